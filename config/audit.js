@@ -0,0 +1,29 @@
+/**
+ * Catálogo de acciones auditadas (entidad.acción) y tipos de entidad.
+ * Cada acción administrativa que cambia estado registra un AuditEvent
+ * en la misma transacción que aplica el cambio (services/auditService.js).
+ */
+
+const AUDIT_ACTIONS = {
+  AUCTION_STATUS_CHANGE: 'auction.status_change',
+  AUCTION_EXTEND_DEADLINE: 'auction.extend_deadline',
+  AUCTION_COMPETITION_RESULT: 'auction.competition_result',
+  MOVEMENT_APPROVE: 'movement.approve',
+  MOVEMENT_REJECT: 'movement.reject',
+  MOVEMENT_MANUAL: 'movement.manual',
+  MOVEMENT_ASSIGN: 'movement.assign',
+  REFUND_MANAGE: 'refund.manage',
+  REFUND_PROCESS: 'refund.process',
+  BUSINESS_RULES_UPDATE: 'business_rules.update',
+  BALANCE_RECONCILE: 'balance.reconcile',
+  EXCHANGE_RATE_CREATE: 'exchange_rate.create',
+  BANK_STATEMENT_IMPORT: 'bank_statement.import',
+  BANK_STATEMENT_REVIEW: 'bank_statement.review',
+};
+
+const AUDIT_ENTITY_TYPES = ['auction', 'guarantee', 'movement', 'refund', 'user', 'business_rules', 'exchange_rate', 'bank_statement'];
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDIT_ENTITY_TYPES,
+};
@@ -0,0 +1,87 @@
+/**
+ * Formatos de extracto bancario aceptados y parámetros de conciliación automática.
+ * Los extractos se leen con utils/bankStatementParser.js; solo los abonos (créditos) se importan
+ * y se comparan contra los pagos de garantía pendientes (services/bankStatementService.js).
+ *
+ * Formatos CSV: cada campo se busca por cualquiera de sus encabezados (sin tildes ni mayúsculas).
+ * - amount: monto con signo (positivo = abono)
+ * - credit: columna de abonos (si existe, tiene prioridad sobre amount)
+ * - signature: encabezados propios del banco con los que se detecta el formato si no se indica
+ */
+
+const BANK_STATEMENT_FORMATS = {
+  csv: {
+    description: 'CSV genérico con encabezados (fecha, monto o abono, numero_operacion, cuenta_origen)',
+    type: 'csv',
+    columns: {
+      fecha: ['fecha', 'fecha operacion', 'fecha_operacion', 'date'],
+      amount: ['monto', 'importe', 'amount'],
+      credit: ['abono', 'credito', 'credit'],
+      moneda: ['moneda', 'currency'],
+      numero_operacion: ['numero_operacion', 'numero operacion', 'nro operacion', 'operacion', 'referencia'],
+      numero_cuenta_origen: ['cuenta_origen', 'numero_cuenta_origen', 'cuenta origen', 'cuenta ordenante'],
+      descripcion: ['descripcion', 'concepto', 'detalle', 'glosa'],
+    },
+  },
+  bcp: {
+    description: 'BCP - Movimientos de cuenta exportados de Banca por Internet',
+    type: 'csv',
+    signature: ['descripcion operacion', 'operacion - numero'],
+    columns: {
+      fecha: ['fecha'],
+      amount: ['monto'],
+      numero_operacion: ['operacion - numero'],
+      descripcion: ['descripcion operacion'],
+      numero_cuenta_origen: ['referencia2'],
+    },
+  },
+  interbank: {
+    description: 'Interbank - Movimientos de cuenta exportados de Banca por Internet Empresas',
+    type: 'csv',
+    signature: ['fecha de operacion', 'nro. de operacion'],
+    columns: {
+      fecha: ['fecha de operacion'],
+      credit: ['abono'],
+      numero_operacion: ['nro. de operacion'],
+      descripcion: ['descripcion'],
+      numero_cuenta_origen: ['cuenta ordenante'],
+    },
+  },
+  mt940: {
+    description: 'SWIFT MT940 (:25: cuenta, :60F: moneda, :61: movimientos, :86: detalle)',
+    type: 'mt940',
+  },
+};
+
+const BANK_STATEMENT_FORMAT_CODES = Object.keys(BANK_STATEMENT_FORMATS);
+
+// Estados de una línea de extracto en la cola de revisión
+const STATEMENT_LINE_STATES = {
+  propuesto: 'Coincidencia propuesta con un pago pendiente; espera revisión',
+  sin_coincidencia: 'Abono sin pago pendiente que coincida; requiere revisión manual',
+  aprobado: 'Pago de garantía aprobado desde la cola de conciliación',
+  descartado: 'Descartado por el revisor (no corresponde a un pago de garantía)',
+};
+
+// Puntaje de coincidencia (suma de criterios, máximo 1) y umbral para proponer la aprobación
+const MATCHING = {
+  weights: {
+    numero_operacion: 0.5,
+    monto: 0.3,
+    fecha: 0.1, // mismo día en Lima; la mitad si está dentro de dateToleranceDays
+    numero_cuenta_origen: 0.1, // cuenta completa; la mitad si coinciden los últimos 4 dígitos
+  },
+  dateToleranceDays: 3,
+  proposeThreshold: 0.5,
+};
+
+// Archivo de extracto: texto plano de hasta 2MB
+const STATEMENT_MAX_FILE_SIZE = 2 * 1024 * 1024;
+
+module.exports = {
+  BANK_STATEMENT_FORMATS,
+  BANK_STATEMENT_FORMAT_CODES,
+  STATEMENT_LINE_STATES,
+  MATCHING,
+  STATEMENT_MAX_FILE_SIZE,
+};
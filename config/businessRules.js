@@ -0,0 +1,26 @@
+/**
+ * Reglas de negocio versionadas (tabla business_rules, services/businessRuleService.js).
+ * Estos valores solo siembran la versión 1; a partir de ahí los cambios los hacen
+ * los administradores creando versiones nuevas desde /business-rules.
+ * Registros creados antes del versionado (rule_version null) se calculan con la versión 1.
+ */
+
+const DEFAULT_BUSINESS_RULES = {
+  guarantee_percentage: 0.08, // 8% de la oferta
+  penalty_percentage: 0.30, // 30% de la garantía
+  minimum_guarantee: 0, // Sin mínimo
+  payment_deadline_hours: null, // Sin plazo de pago por defecto
+};
+
+// Campos editables y su descripción (catálogo para documentación/UI)
+const BUSINESS_RULE_FIELDS = {
+  guarantee_percentage: 'Porcentaje de garantía sobre la oferta ganadora (0-1)',
+  penalty_percentage: 'Porcentaje de penalidad sobre la garantía validada (0-1)',
+  minimum_guarantee: 'Monto mínimo de garantía en USD',
+  payment_deadline_hours: 'Plazo de pago por defecto al asignar ganador, en horas (null = sin plazo)',
+};
+
+module.exports = {
+  DEFAULT_BUSINESS_RULES,
+  BUSINESS_RULE_FIELDS,
+};
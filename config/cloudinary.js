@@ -1,48 +1,26 @@
+const crypto = require('crypto');
 const cloudinary = require('cloudinary').v2;
-const multer = require('multer');
 
-// Configurar Cloudinary
+// Configurar Cloudinary (driver 'cloudinary' de config/fileStorage.js)
 cloudinary.config({
   cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
   api_key: process.env.CLOUDINARY_API_KEY,
   api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
-// Configuración de almacenamiento en memoria para luego subir a Cloudinary
-const storage = multer.memoryStorage();
-
-// Configurar multer para vouchers
-const uploadVoucher = multer({
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB límite
-  },
-  fileFilter: (req, file, cb) => {
-    // Verificar tipos de archivo permitidos
-    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'application/pdf'];
-    
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      // Forzar código de Multer para que el error handler lo responda como 422
-      const err = new Error('Tipo de archivo no permitido. Solo se aceptan JPG, PNG y PDF');
-      err.code = 'LIMIT_UNEXPECTED_FILE';
-      cb(err, false);
-    }
-  },
-});
-
 // Función para subir archivo a Cloudinary
+// Recurso privado: el original no se sirve por su URL, solo con la descarga firmada (private_download_url)
 const uploadToCloudinary = async (fileBuffer, fileName, userId = 'unknown') => {
   return new Promise((resolve, reject) => {
     const timestamp = Date.now();
-    const publicId = `voucher_${userId}_${timestamp}`;
+    const publicId = `voucher_${userId}_${timestamp}_${crypto.randomUUID()}`;
     
     cloudinary.uploader.upload_stream(
       {
         folder: 'bob-subastas/vouchers',
         public_id: publicId,
         resource_type: 'auto',
+        type: 'private',
       },
       (error, result) => {
         if (error) {
@@ -100,7 +78,6 @@ const validateCloudinaryConfig = () => {
 
 module.exports = {
   cloudinary,
-  uploadVoucher,
   uploadToCloudinary,
   deleteFromCloudinary,
   getOptimizedUrl,
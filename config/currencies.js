@@ -0,0 +1,25 @@
+/**
+ * Monedas aceptadas y moneda base del sistema.
+ * Ofertas, garantías, reglas de negocio y saldos consolidados se expresan en la moneda base.
+ * Los montos en otra moneda se convierten con el tipo de cambio vigente (tabla exchange_rates,
+ * services/exchangeRateService.js); la conversión queda registrada en el documento (tipo_cambio, monto_base).
+ */
+
+const BASE_CURRENCY = 'USD';
+
+const CURRENCIES = {
+  USD: 'Dólar estadounidense',
+  PEN: 'Sol peruano',
+};
+
+const SUPPORTED_CURRENCIES = Object.keys(CURRENCIES);
+
+// Monedas con tipo de cambio mantenido por administradores (todas menos la base)
+const QUOTED_CURRENCIES = SUPPORTED_CURRENCIES.filter((code) => code !== BASE_CURRENCY);
+
+module.exports = {
+  BASE_CURRENCY,
+  CURRENCIES,
+  SUPPORTED_CURRENCIES,
+  QUOTED_CURRENCIES,
+};
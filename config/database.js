@@ -1,15 +1,42 @@
 const { PrismaClient } = require('@prisma/client');
 
+// La bitácora de auditoría, los asientos del libro mayor, los saldos de cierre y los tipos de cambio son de solo inserción:
+// bloquear cualquier modificación o borrado (las correcciones se registran como asientos nuevos)
+const IMMUTABLE_OPERATIONS = ['update', 'updateMany', 'upsert', 'delete', 'deleteMany'];
+const IMMUTABLE_MODELS = {
+  auditEvent: 'AuditEvent',
+  ledgerEntry: 'LedgerEntry',
+  ledgerLine: 'LedgerLine',
+  balanceSnapshot: 'BalanceSnapshot',
+  exchangeRate: 'ExchangeRate',
+};
+
+const withImmutableAudit = (client) => client.$extends({
+  query: Object.fromEntries(
+    Object.entries(IMMUTABLE_MODELS).map(([model, name]) => [
+      model,
+      Object.fromEntries(
+        IMMUTABLE_OPERATIONS.map((operation) => [
+          operation,
+          () => {
+            throw new Error(`${name} es inmutable: operación '${operation}' no permitida`);
+          },
+        ])
+      ),
+    ])
+  ),
+});
+
 let prisma;
 
 if (process.env.NODE_ENV === 'production') {
-  prisma = new PrismaClient();
+  prisma = withImmutableAudit(new PrismaClient());
 } else {
   // En desarrollo, usar una instancia global para evitar múltiples conexiones
   if (!global.prisma) {
-    global.prisma = new PrismaClient({
+    global.prisma = withImmutableAudit(new PrismaClient({
       log: ['query', 'info', 'warn', 'error'],
-    });
+    }));
   }
   prisma = global.prisma;
 }
@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { config } = require('./index');
+
+/**
+ * Almacenamiento de archivos intercambiable (comprobantes de pago y de reembolso).
+ * Todos los drivers exponen la misma interfaz asíncrona:
+ * - put(buffer, { fileName, contentType, userId }): guarda el archivo y devuelve { url }
+ *   url es la referencia que se persiste en Movement.voucher_url
+ * - signedUrl(url, expiresAt): URL de descarga que deja de funcionar en expiresAt (ms)
+ * - remove(url): elimina el archivo (false si no existía)
+ *
+ * Referencias: Cloudinary guarda su secure_url; el disco local 'local://<key>'; S3 's3://<bucket>/<key>'.
+ * Así un movement antiguo se sigue descargando aunque luego cambie STORAGE_DRIVER (ver storageTypeOf).
+ */
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/jpg': '.jpg',
+  'image/png': '.png',
+  'application/pdf': '.pdf',
+};
+
+// Clave del archivo: vouchers/voucher_<userId>_<timestamp>_<uuid><ext> (mismo esquema que Cloudinary)
+// El uuid evita que dos subidas del mismo usuario en el mismo milisegundo se sobrescriban
+const buildKey = ({ fileName, contentType, userId = 'unknown' }) => {
+  const ext = EXTENSIONS[contentType] || path.extname(fileName || '').toLowerCase();
+  const safeUser = String(userId).replace(/[^\w-]/g, '');
+  return `vouchers/voucher_${safeUser}_${Date.now()}_${crypto.randomUUID()}${ext}`;
+};
+
+// Driver que generó una referencia guardada; null para enlaces externos (ej. URLs cargadas a mano)
+const storageTypeOf = (url) => {
+  if (typeof url !== 'string') return null;
+  if (url.startsWith('local://')) return 'local';
+  if (url.startsWith('s3://')) return 's3';
+  if (/^https?:\/\/res\.cloudinary\.com\//.test(url)) return 'cloudinary';
+  return null;
+};
+
+// Cloudinary (recurso privado; solo se descarga con la URL firmada y temporal de la API de descarga privada)
+class CloudinaryFileStorage {
+  constructor(client, uploadToCloudinary) {
+    this.cloudinary = client;
+    this.uploadToCloudinary = uploadToCloudinary;
+  }
+
+  // secure_url → { resourceType, type, publicId, format }
+  _parse(url) {
+    const match = url.match(/\/(image|raw|video)\/(upload|authenticated|private)\/(?:s--[^/]+--\/)?(?:v\d+\/)?(.+)$/);
+    if (!match) return null;
+    const [, resourceType, type, rest] = match;
+    // En recursos raw la extensión es parte del public_id
+    if (resourceType === 'raw') return { resourceType, type, publicId: rest, format: '' };
+    const ext = path.extname(rest);
+    return { resourceType, type, publicId: rest.slice(0, -ext.length || undefined), format: ext.slice(1) };
+  }
+
+  async put(buffer, { fileName, userId }) {
+    const result = await this.uploadToCloudinary(buffer, fileName, userId);
+    return { url: result.secure_url };
+  }
+
+  async signedUrl(url, expiresAt) {
+    const asset = this._parse(url);
+    if (!asset) {
+      throw new Error(`Referencia de Cloudinary no reconocida: ${url}`);
+    }
+    if (!this.cloudinary.config().api_secret) {
+      throw new Error('CLOUDINARY_API_SECRET es necesario para firmar descargas de Cloudinary');
+    }
+
+    return this.cloudinary.utils.private_download_url(asset.publicId, asset.format, {
+      resource_type: asset.resourceType,
+      type: asset.type,
+      expires_at: Math.floor(expiresAt / 1000),
+    });
+  }
+
+  async remove(url) {
+    const asset = this._parse(url);
+    if (!asset) return false;
+    const result = await this.cloudinary.uploader.destroy(asset.publicId, {
+      resource_type: asset.resourceType,
+      type: asset.type,
+    });
+    return result.result === 'ok';
+  }
+}
+
+/**
+ * Disco local (desarrollo, pruebas y despliegues sin servicios externos).
+ * Los archivos se sirven por GET /files/:key con firma HMAC y expiración en la query string.
+ */
+class LocalFileStorage {
+  constructor({ rootDir, secret, publicUrl = '' }) {
+    this.rootDir = path.resolve(rootDir);
+    this.secret = secret;
+    this.publicUrl = publicUrl;
+  }
+
+  // Ruta absoluta del archivo; null si la clave sale del directorio raíz
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    return filePath.startsWith(this.rootDir + path.sep) ? filePath : null;
+  }
+
+  _sign(key, expires) {
+    return crypto.createHmac('sha256', this.secret).update(`${key}:${expires}`).digest('hex');
+  }
+
+  /**
+   * Verificar la firma de una URL de descarga
+   * Retorna la ruta del archivo o null si la firma no coincide o ya expiró
+   */
+  verify(key, expires, signature, now = Date.now()) {
+    const exp = Number(expires);
+    if (!Number.isFinite(exp) || exp * 1000 < now) return null;
+
+    const expected = Buffer.from(this._sign(key, exp));
+    const given = Buffer.from(String(signature || ''));
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+    return this.resolvePath(key);
+  }
+
+  async put(buffer, file) {
+    const key = buildKey(file);
+    const filePath = this.resolvePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return { url: `local://${key}` };
+  }
+
+  async signedUrl(url, expiresAt) {
+    const key = url.slice('local://'.length);
+    const expires = Math.floor(expiresAt / 1000);
+    return `${this.publicUrl}/files/${encodeURIComponent(key)}?expires=${expires}&signature=${this._sign(key, expires)}`;
+  }
+
+  async remove(url) {
+    const filePath = this.resolvePath(url.slice('local://'.length));
+    if (!filePath) return false;
+    try {
+      await fs.unlink(filePath);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+}
+
+/**
+ * S3 o compatible (MinIO, R2, Spaces).
+ * Recibe el cliente y los comandos de @aws-sdk/client-s3 más getSignedUrl de @aws-sdk/s3-request-presigner,
+ * lo que permite probarlo con un stand-in local sin bucket real.
+ */
+class S3FileStorage {
+  constructor(sdk, { bucket }) {
+    this.sdk = sdk;
+    this.bucket = bucket;
+  }
+
+  // s3://<bucket>/<key> → { bucket, key }
+  _parse(url) {
+    const [bucket, ...key] = url.slice('s3://'.length).split('/');
+    return { bucket, key: key.join('/') };
+  }
+
+  async put(buffer, file) {
+    const key = buildKey(file);
+    await this.sdk.client.send(new this.sdk.PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: file.contentType,
+    }));
+    return { url: `s3://${this.bucket}/${key}` };
+  }
+
+  async signedUrl(url, expiresAt) {
+    const { bucket, key } = this._parse(url);
+    const expiresIn = Math.max(1, Math.floor((expiresAt - Date.now()) / 1000));
+    return this.sdk.getSignedUrl(
+      this.sdk.client,
+      new this.sdk.GetObjectCommand({ Bucket: bucket, Key: key }),
+      { expiresIn }
+    );
+  }
+
+  async remove(url) {
+    const { bucket, key } = this._parse(url);
+    await this.sdk.client.send(new this.sdk.DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    return true;
+  }
+}
+
+// Construir el driver según configuración (STORAGE_DRIVER=cloudinary|local|s3)
+const createFileStorage = (type = config.storage.driver) => {
+  switch (type) {
+    case 'cloudinary': {
+      const { cloudinary, uploadToCloudinary } = require('./cloudinary');
+      return new CloudinaryFileStorage(cloudinary, uploadToCloudinary);
+    }
+    case 'local':
+      return new LocalFileStorage({
+        rootDir: config.storage.localDir,
+        secret: config.storage.signingSecret,
+        publicUrl: config.storage.publicUrl,
+      });
+    case 's3': {
+      const S3 = require('@aws-sdk/client-s3');
+      const presigner = require('@aws-sdk/s3-request-presigner');
+      const { bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey } = config.storage.s3;
+      const client = new S3.S3Client({
+        region,
+        endpoint,
+        forcePathStyle,
+        // Sin claves explícitas el SDK usa su cadena de credenciales (variables AWS_*, rol de la instancia)
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+      });
+      return new S3FileStorage({
+        client,
+        PutObjectCommand: S3.PutObjectCommand,
+        GetObjectCommand: S3.GetObjectCommand,
+        DeleteObjectCommand: S3.DeleteObjectCommand,
+        getSignedUrl: presigner.getSignedUrl,
+      }, { bucket });
+    }
+    default:
+      throw new Error(`Driver de almacenamiento no soportado: ${type}. Use cloudinary, local o s3`);
+  }
+};
+
+module.exports = {
+  CloudinaryFileStorage,
+  LocalFileStorage,
+  S3FileStorage,
+  createFileStorage,
+  storageTypeOf,
+};
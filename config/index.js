@@ -1,3 +1,5 @@
+const fs = require('fs');
+const path = require('path');
 const dotenv = require('dotenv');
 
 // Cargar variables de entorno
@@ -23,6 +25,37 @@ const config = {
   session: {
     secret: process.env.SESSION_SECRET || 'default-secret-change-in-production',
     expiryHours: parseInt(process.env.SESSION_EXPIRY_HOURS) || 1,
+    store: process.env.SESSION_STORE || 'memory', // memory | prisma | redis
+    redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+    // Detrás de proxy/balanceador (Railway, Render): número de saltos o 'true' para tomar la IP real de X-Forwarded-For
+    trustProxy: /^\d+$/.test(process.env.TRUST_PROXY || '')
+      ? parseInt(process.env.TRUST_PROXY)
+      : process.env.TRUST_PROXY === 'true',
+  },
+  
+  // Autenticación de administradores
+  auth: {
+    maxFailedAttempts: parseInt(process.env.AUTH_MAX_FAILED_ATTEMPTS) || 5,
+    lockoutMinutes: parseInt(process.env.AUTH_LOCKOUT_MINUTES) || 15,
+    passwordResetMinutes: parseInt(process.env.AUTH_PASSWORD_RESET_MINUTES) || 60,
+    adminSessionHours: 8,
+    // Código de un solo uso para login de clientes
+    otp: {
+      length: 6,
+      ttlMinutes: parseInt(process.env.AUTH_OTP_TTL_MINUTES) || 5,
+      maxVerifyAttempts: parseInt(process.env.AUTH_OTP_MAX_ATTEMPTS) || 5,
+      maxRequestsPerWindow: parseInt(process.env.AUTH_OTP_MAX_REQUESTS) || 5,
+      requestWindowMinutes: parseInt(process.env.AUTH_OTP_WINDOW_MINUTES) || 15,
+      // Solo fuera de producción: devolver el código en la respuesta (pruebas automatizadas)
+      exposeInResponse: process.env.AUTH_EXPOSE_OTP === 'true' && process.env.NODE_ENV !== 'production',
+    },
+  },
+  
+  // Idempotencia de POST/PATCH (header Idempotency-Key)
+  idempotency: {
+    ttlHours: parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24,
+    // Una petición en curso con más antigüedad se considera abandonada y la clave puede reutilizarse
+    lockSeconds: parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || 120,
   },
   
   // CORS
@@ -38,22 +71,118 @@ const config = {
     maxSize: 5 * 1024 * 1024, // 5MB
     allowedTypes: ['image/jpeg', 'image/jpg', 'image/png', 'application/pdf'],
   },
+
+  // Almacenamiento de comprobantes (config/fileStorage.js)
+  storage: {
+    // cloudinary | local | s3; sin STORAGE_DRIVER se usa Cloudinary si está configurado, si no el disco local
+    driver: process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local'),
+    localDir: process.env.STORAGE_LOCAL_DIR || 'storage',
+    // Base de las URLs firmadas del disco local (por defecto relativas al API: /files/...)
+    publicUrl: (process.env.STORAGE_PUBLIC_URL || '').replace(/\/+$/, ''),
+    signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.SESSION_SECRET || 'default-secret-change-in-production',
+    signedUrlMinutes: parseInt(process.env.STORAGE_SIGNED_URL_MINUTES) || 10,
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT, // S3 compatible (MinIO, R2, Spaces)
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    },
+  },
+
+  // Comprobantes repetidos entre pagos (services/voucherFingerprintService.js)
+  vouchers: {
+    // flag: se marcan en la vista de aprobación | block: un comprobante idéntico a otro pago vigente se rechaza
+    duplicatePolicy: process.env.VOUCHER_DUPLICATE_POLICY === 'block' ? 'block' : 'flag',
+    // Distancia de Hamming máxima (de 64 bits) entre hashes perceptuales para marcar comprobantes similares
+    similarDistance: parseInt(process.env.VOUCHER_SIMILAR_DISTANCE) || 6,
+    // Los similares se buscan solo entre comprobantes subidos a menos de estos días (los idénticos, en todo el historial)
+    similarWindowDays: parseInt(process.env.VOUCHER_SIMILAR_WINDOW_DAYS) || 90,
+  },
+  
+  // Cola de validación de pagos de garantía (services/paymentQueueService.js)
+  paymentQueue: {
+    // Horas máximas que un pago puede esperar validación; los que las superan se reportan en el reporte diario
+    slaHours: parseInt(process.env.PAYMENT_VALIDATION_SLA_HOURS) || 24,
+  },
+
+  // Lectura de comprobantes por OCR (services/voucherOcrService.js, paquete tesseract.js)
+  ocr: {
+    enabled: process.env.VOUCHER_OCR === 'true',
+    lang: process.env.OCR_LANG || 'spa',
+    // Directorio con <lang>.traineddata(.gz); por defecto el del paquete @tesseract.js-data/<lang>. Nunca se descarga
+    langPath: process.env.OCR_LANG_PATH || undefined,
+    timeoutMs: parseInt(process.env.OCR_TIMEOUT_MS) || 20000,
+  },
   
-  // Reglas de negocio
+  // Reglas de negocio (porcentajes de garantía/penalidad versionados en BD: config/businessRules.js)
   business: {
-    guaranteePercentage: 0.08, // 8% de garantía
-    penaltyPercentage: 0.30,   // 30% de penalidad
     sessionExpiryMinutes: 60,  // 60 minutos de sesión
   },
 };
 
+// Variables requeridas por cada driver de almacenamiento
+const STORAGE_REQUIRED_ENV = {
+  cloudinary: ['CLOUDINARY_CLOUD_NAME', 'CLOUDINARY_API_KEY', 'CLOUDINARY_API_SECRET'],
+  local: [],
+  s3: ['S3_BUCKET'],
+};
+
+// Con VOUCHER_OCR=true el motor y el modelo del idioma deben estar instalados: se resuelve el directorio local
+// del modelo (OCR_LANG_PATH o @tesseract.js-data/<lang>) y si está comprimido. Retorna el error o null
+const resolveOcr = () => {
+  try {
+    require.resolve('tesseract.js');
+  } catch {
+    return 'VOUCHER_OCR=true pero el paquete tesseract.js no está instalado (npm install)';
+  }
+
+  const { lang } = config.ocr;
+  if (!config.ocr.langPath) {
+    try {
+      config.ocr.langPath = require(`@tesseract.js-data/${lang}`).langPath;
+    } catch {
+      return `VOUCHER_OCR=true sin modelo local para "${lang}": instale @tesseract.js-data/${lang} o defina OCR_LANG_PATH`;
+    }
+  }
+
+  const file = path.join(config.ocr.langPath, `${lang}.traineddata`);
+  if (fs.existsSync(`${file}.gz`)) {
+    config.ocr.gzip = true;
+  } else if (fs.existsSync(file)) {
+    config.ocr.gzip = false;
+  } else {
+    return `No se encontró ${lang}.traineddata(.gz) en ${config.ocr.langPath}`;
+  }
+  return null;
+};
+
+// Configuración del driver de almacenamiento activo que no se resuelve con una variable presente/ausente
+const storageConfigError = () => {
+  if (config.storage.driver !== 's3') return null;
+
+  const { endpoint, accessKeyId, secretAccessKey } = config.storage.s3;
+  if (Boolean(accessKeyId) !== Boolean(secretAccessKey)) {
+    return 'S3_ACCESS_KEY_ID y S3_SECRET_ACCESS_KEY se definen juntas (o ninguna, para usar las credenciales de AWS del entorno)';
+  }
+  if (endpoint && !/^https?:\/\/[^/\s]+/.test(endpoint)) {
+    return `S3_ENDPOINT debe ser una URL http(s): ${endpoint}`;
+  }
+  return null;
+};
+
 // Validar configuraciones críticas
 const validateConfig = () => {
+  const storageRequired = STORAGE_REQUIRED_ENV[config.storage.driver];
+  if (!storageRequired) {
+    console.error(`STORAGE_DRIVER no soportado: ${config.storage.driver}. Use cloudinary, local o s3`);
+    process.exit(1);
+  }
+
   const required = [
     'DATABASE_URL',
-    'CLOUDINARY_CLOUD_NAME',
-    'CLOUDINARY_API_KEY',
-    'CLOUDINARY_API_SECRET'
+    ...storageRequired,
   ];
   
   const missing = required.filter(key => !process.env[key]);
@@ -63,18 +192,26 @@ const validateConfig = () => {
     console.error('Por favor revisa el archivo .env');
     process.exit(1);
   }
-  
-  // Validar configuración específica de Cloudinary
-  try {
-    const { validateCloudinaryConfig } = require('./cloudinary');
-    validateCloudinaryConfig();
-  } catch (error) {
-    console.error('❌ Error en configuración de Cloudinary:', error.message);
+
+  const storageError = storageConfigError();
+  if (storageError) {
+    console.error(storageError);
     process.exit(1);
   }
   
+  if (config.ocr.enabled) {
+    const ocrError = resolveOcr();
+    if (ocrError) {
+      console.error(ocrError);
+      process.exit(1);
+    }
+  }
+
   console.log('✅ Configuración validada correctamente');
-  console.log('✅ Cloudinary configurado correctamente');
+  console.log(`✅ Almacenamiento de archivos: ${config.storage.driver}`);
+  if (config.ocr.enabled) {
+    console.log(`✅ OCR de comprobantes: tesseract.js (${config.ocr.lang}, ${config.ocr.langPath})`);
+  }
 };
 
 module.exports = {
@@ -0,0 +1,115 @@
+/**
+ * Libro mayor de doble partida detrás de los saldos de cliente.
+ * Todo Movement validado, Billing y Refund registra un asiento balanceado (debe = haber)
+ * vía services/ledgerService.js; User.saldo_* es una proyección de las cuentas del cliente.
+ *
+ * - Cuentas del cliente (naturaleza acreedora: lo que BOB reconoce al cliente)
+ * - Cuentas de la casa BOB (naturaleza deudora)
+ * - Eventos contables: cuenta al debe / cuenta al haber; 'bob:*' referencia una cuenta de la casa,
+ *   el resto una cuenta del cliente del asiento
+ */
+
+const USER_ACCOUNTS = {
+  disponible: 'Saldo de libre disposición del cliente',
+  retenido: 'Garantías validadas retenidas por subastas en curso',
+  aplicado: 'Garantías aplicadas a facturación (BOB ganó la competencia)',
+  penalizado: 'Garantías retenidas por penalidades (ya no pertenecen al cliente)',
+  en_reembolso: 'Monto reservado por solicitudes de reembolso en curso',
+};
+
+const HOUSE_ACCOUNTS = {
+  banco: 'Cuenta bancaria de BOB (pagos recibidos y reembolsos transferidos)',
+  ajustes: 'Contrapartida de ajustes manuales de saldo',
+};
+
+const ACCOUNT_NATURE = {
+  ...Object.fromEntries(Object.keys(USER_ACCOUNTS).map((tipo) => [tipo, 'acreedora'])),
+  ...Object.fromEntries(Object.keys(HOUSE_ACCOUNTS).map((tipo) => [tipo, 'deudora'])),
+};
+
+const LEDGER_EVENTS = {
+  guarantee_payment: {
+    debit: 'bob:banco',
+    credit: 'retenido',
+    description: 'Pago de garantía validado',
+  },
+  guarantee_overpayment: {
+    debit: 'bob:banco',
+    credit: 'disponible',
+    description: 'Excedente de pago de garantía acreditado como saldo disponible',
+  },
+  guarantee_from_balance: {
+    debit: 'disponible',
+    credit: 'retenido',
+    description: 'Garantía pagada con saldo disponible',
+  },
+  guarantee_billed: {
+    debit: 'retenido',
+    credit: 'aplicado',
+    description: 'Garantía aplicada a facturación',
+  },
+  guarantee_released: {
+    debit: 'retenido',
+    credit: 'disponible',
+    description: 'Garantía liberada (BOB perdió o reembolso automático tras penalidad)',
+  },
+  penalty_applied: {
+    debit: 'retenido',
+    credit: 'penalizado',
+    description: 'Penalidad sobre garantía retenida',
+  },
+  manual_penalty: {
+    debit: 'disponible',
+    credit: 'penalizado',
+    description: 'Penalidad manual sobre saldo disponible',
+  },
+  manual_credit: {
+    debit: 'bob:ajustes',
+    credit: 'disponible',
+    description: 'Ajuste manual positivo',
+  },
+  manual_debit: {
+    debit: 'disponible',
+    credit: 'bob:ajustes',
+    description: 'Ajuste manual negativo',
+  },
+  refund_requested: {
+    debit: 'disponible',
+    credit: 'en_reembolso',
+    description: 'Solicitud de reembolso (reserva el monto)',
+  },
+  refund_cancelled: {
+    debit: 'en_reembolso',
+    credit: 'disponible',
+    description: 'Solicitud de reembolso rechazada (libera la reserva)',
+  },
+  refund_to_balance: {
+    debit: 'en_reembolso',
+    credit: 'disponible',
+    description: 'Reembolso procesado como saldo (mantener_saldo)',
+  },
+  refund_paid: {
+    debit: 'en_reembolso',
+    credit: 'bob:banco',
+    description: 'Reembolso transferido al cliente (devolver_dinero)',
+  },
+};
+
+// Columnas de User proyectadas desde las cuentas del cliente
+// saldo_disponible = cuenta disponible = saldo_total - saldo_retenido - saldo_aplicado
+const BALANCE_PROJECTION = {
+  saldo_total: ['disponible', 'retenido', 'en_reembolso', 'aplicado'],
+  saldo_retenido: ['retenido', 'en_reembolso'],
+  saldo_aplicado: ['aplicado'],
+};
+
+const LEDGER_SOURCE_TYPES = ['movement', 'billing', 'refund'];
+
+module.exports = {
+  USER_ACCOUNTS,
+  HOUSE_ACCOUNTS,
+  ACCOUNT_NATURE,
+  LEDGER_EVENTS,
+  BALANCE_PROJECTION,
+  LEDGER_SOURCE_TYPES,
+};
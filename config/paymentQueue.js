@@ -0,0 +1,44 @@
+/**
+ * Cola de validación de pagos de garantía (services/paymentQueueService.js) y su resolución.
+ * El riesgo de cada pago pendiente depende de las horas que faltan para que venza
+ * el plazo de pago de su garantía (Guarantee.fecha_limite_pago); el SLA se configura
+ * con PAYMENT_VALIDATION_SLA_HOURS (config.paymentQueue.slaHours).
+ */
+
+// Niveles de riesgo en el orden de la cola
+const PAYMENT_RISK_LEVELS = {
+  vencido: 'El plazo de pago ya venció (el job de vencimientos puede penalizar la garantía)',
+  critico: 'Vence en 6 horas o menos',
+  alto: 'Vence en 24 horas o menos',
+  normal: 'Vence en más de 24 horas',
+  sin_plazo: 'Garantía sin plazo de pago registrado',
+};
+
+// Límites superiores (horas para vencer) de los niveles con plazo vigente
+const RISK_HOURS = {
+  critico: 6,
+  alto: 24,
+};
+
+// Pagos fuera de SLA detallados en el reporte diario (el total se informa siempre)
+const SLA_REPORT_LIMIT = 50;
+
+// Motivos de rechazo de un pago (PATCH /movements/:id/reject y lotes)
+const PAYMENT_REJECTION_REASONS = [
+  'Monto incorrecto',
+  'Comprobante ilegible',
+  'Datos bancarios incorrectos',
+  'Fecha de pago inválida',
+  'Documento de facturación incorrecto',
+];
+
+// Pagos por lote en POST /movements/batch/approve|reject
+const BATCH_REVIEW_LIMIT = 100;
+
+module.exports = {
+  PAYMENT_RISK_LEVELS,
+  RISK_HOURS,
+  SLA_REPORT_LIMIT,
+  PAYMENT_REJECTION_REASONS,
+  BATCH_REVIEW_LIMIT,
+};
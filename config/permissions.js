@@ -0,0 +1,112 @@
+/**
+ * Catálogo de permisos y roles por defecto del panel administrativo.
+ * Los roles y sus permisos viven en base de datos (tablas roles/permissions);
+ * este catálogo es la fuente para el seed y para validar asignaciones.
+ * El comodín '*' otorga todos los permisos (rol superadmin).
+ */
+
+const PERMISSIONS = {
+  // Subastas
+  'auctions:read': 'Ver estadísticas y subastas vencidas',
+  'auctions:create': 'Crear subastas',
+  'auctions:update': 'Cambiar estado y extender plazos de pago',
+  'auctions:delete': 'Eliminar subastas',
+  'auctions:result': 'Registrar resultado de competencia externa',
+  'auctions:winner': 'Registrar y reasignar ganadores',
+
+  // Pagos de garantía
+  'payments:read': 'Ver pagos de garantía de todos los clientes',
+  'payments:approve': 'Aprobar o rechazar pagos de garantía',
+  'payments:assign': 'Asignar o liberar pagos de la cola de validación de otros administradores',
+
+  // Reembolsos
+  'refunds:read': 'Ver reembolsos de todos los clientes',
+  'refunds:manage': 'Confirmar o rechazar solicitudes de reembolso',
+  'refunds:process': 'Procesar reembolsos confirmados',
+
+  // Facturación
+  'billing:read': 'Ver facturaciones de todos los clientes',
+  'billing:write': 'Completar datos de facturación de clientes',
+
+  // Saldos y usuarios
+  'balances:read': 'Ver saldos, movimientos y dashboard financiero',
+  'balances:adjust': 'Crear movimientos manuales de ajuste',
+  'users:read': 'Listar usuarios y consultar su información',
+
+  // Reglas de negocio
+  'business_rules:read': 'Ver reglas de negocio vigentes y su historial de versiones',
+  'business_rules:manage': 'Crear nuevas versiones de reglas de negocio',
+
+  // Tipos de cambio
+  'exchange_rates:read': 'Ver tipos de cambio vigentes y su historial',
+  'exchange_rates:manage': 'Registrar tipos de cambio',
+
+  // Extractos bancarios
+  'bank_statements:read': 'Ver extractos bancarios importados y la cola de conciliación',
+  'bank_statements:import': 'Importar extractos bancarios y revisar sus coincidencias',
+
+  // Operación y seguridad
+  'jobs:read': 'Ver estado y reportes de procesos programados',
+  'jobs:run': 'Ejecutar procesos programados manualmente',
+  'sessions:read': 'Ver sesiones activas y estadísticas',
+  'sessions:revoke': 'Revocar sesiones activas de usuarios',
+  'admins:manage': 'Crear administradores y asignar roles',
+  'roles:manage': 'Crear y editar roles y sus permisos',
+  'audit:read': 'Consultar la bitácora de auditoría',
+  'state_machines:read': 'Ver y exportar diagramas de las máquinas de estado',
+};
+
+const ALL = '*';
+
+const READ_PERMISSIONS = Object.keys(PERMISSIONS).filter((key) => key.endsWith(':read'));
+
+const DEFAULT_ROLES = {
+  superadmin: {
+    description: 'Acceso total al sistema',
+    permissions: [ALL],
+  },
+  treasurer: {
+    description: 'Tesorería: valida pagos, gestiona reembolsos y ajustes de saldo',
+    permissions: [
+      'payments:read', 'payments:approve',
+      'refunds:read', 'refunds:manage', 'refunds:process',
+      'billing:read', 'billing:write',
+      'balances:read', 'balances:adjust',
+      'users:read', 'auctions:read', 'business_rules:read',
+      'exchange_rates:read', 'exchange_rates:manage',
+      'bank_statements:read', 'bank_statements:import',
+    ],
+  },
+  auction_operator: {
+    description: 'Operador de subastas: crea subastas, registra ganadores y resultados',
+    permissions: [
+      'auctions:read', 'auctions:create', 'auctions:update',
+      'auctions:delete', 'auctions:result', 'auctions:winner',
+      'payments:read', 'users:read',
+    ],
+  },
+  auditor: {
+    description: 'Auditoría: lectura completa incluyendo procesos y sesiones',
+    permissions: READ_PERMISSIONS,
+  },
+  read_only: {
+    description: 'Solo lectura de información operativa',
+    permissions: [
+      'auctions:read', 'payments:read', 'refunds:read',
+      'billing:read', 'balances:read', 'users:read',
+    ],
+  },
+};
+
+// Rol asignado a administradores nuevos si no se indica otro
+const DEFAULT_ADMIN_ROLE = 'read_only';
+
+const isKnownPermission = (key) => key === ALL || Object.prototype.hasOwnProperty.call(PERMISSIONS, key);
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  DEFAULT_ADMIN_ROLE,
+  ALL_PERMISSIONS: ALL,
+  isKnownPermission,
+};
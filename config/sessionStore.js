@@ -0,0 +1,355 @@
+const { config } = require('./index');
+
+/**
+ * Stores de sesiones intercambiables.
+ * Todos exponen la misma interfaz asíncrona:
+ * - set(session): guarda/reemplaza la sesión completa
+ * - get(sessionId): devuelve la sesión o null
+ * - touch(sessionId, { lastAccess, expiresAt }): actualiza marcas de tiempo
+ * - destroy(sessionId): elimina la sesión (true si existía)
+ * - destroyByUser(userId, { exceptSessionId }): elimina las sesiones de un usuario y devuelve cuántas borró
+ * - list({ userId, userType, now }): sesiones vigentes, filtradas por usuario y/o tipo
+ * - findByHandle(handle): sesión por su identificador público, o null
+ * - all(): lista de sesiones almacenadas
+ * - sweepExpired(now): elimina sesiones expiradas y devuelve cuántas borró
+ *
+ * Forma de la sesión: { id, handle, user, createdAt, expiresAt, lastAccess, ip, userAgent } (fechas en ms)
+ * Las búsquedas por usuario y por handle usan índices propios de cada store (sin recorrer todas las sesiones)
+ */
+
+// Store en memoria del proceso (desarrollo / instancia única)
+// Índices handle → id y userId → Set<id>, actualizados en set y en cada borrado
+class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+    this.idsByHandle = new Map();
+    this.idsByUser = new Map();
+  }
+
+  _index(session) {
+    if (session.handle) this.idsByHandle.set(session.handle, session.id);
+    const userId = session.user?.id;
+    if (userId) {
+      if (!this.idsByUser.has(userId)) this.idsByUser.set(userId, new Set());
+      this.idsByUser.get(userId).add(session.id);
+    }
+  }
+
+  _remove(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return false;
+    this.sessions.delete(sessionId);
+    if (session.handle && this.idsByHandle.get(session.handle) === sessionId) {
+      this.idsByHandle.delete(session.handle);
+    }
+    const userIds = this.idsByUser.get(session.user?.id);
+    if (userIds) {
+      userIds.delete(sessionId);
+      if (userIds.size === 0) this.idsByUser.delete(session.user.id);
+    }
+    return true;
+  }
+
+  async set(session) {
+    this._remove(session.id);
+    this.sessions.set(session.id, { ...session });
+    this._index(session);
+  }
+
+  async get(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session ? { ...session } : null;
+  }
+
+  async touch(sessionId, { lastAccess, expiresAt } = {}) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return false;
+    if (lastAccess !== undefined) session.lastAccess = lastAccess;
+    if (expiresAt !== undefined) session.expiresAt = expiresAt;
+    return true;
+  }
+
+  async destroy(sessionId) {
+    return this._remove(sessionId);
+  }
+
+  async destroyByUser(userId, { exceptSessionId = null } = {}) {
+    let removed = 0;
+    for (const sessionId of Array.from(this.idsByUser.get(userId) || [])) {
+      if (sessionId !== exceptSessionId && this._remove(sessionId)) removed++;
+    }
+    return removed;
+  }
+
+  async list({ userId = null, userType = null, now = Date.now() } = {}) {
+    const candidates = userId
+      ? Array.from(this.idsByUser.get(userId) || [], (sessionId) => this.sessions.get(sessionId))
+      : Array.from(this.sessions.values());
+    return candidates
+      .filter((s) => now <= s.expiresAt)
+      .filter((s) => !userType || s.user?.user_type === userType)
+      .map((s) => ({ ...s }));
+  }
+
+  async findByHandle(handle) {
+    const sessionId = this.idsByHandle.get(handle);
+    return sessionId ? this.get(sessionId) : null;
+  }
+
+  async all() {
+    return Array.from(this.sessions.values()).map((s) => ({ ...s }));
+  }
+
+  async sweepExpired(now = Date.now()) {
+    let removed = 0;
+    for (const [sessionId, session] of Array.from(this.sessions.entries())) {
+      if (now > session.expiresAt && this._remove(sessionId)) removed++;
+    }
+    return removed;
+  }
+}
+
+// Store persistente en PostgreSQL (tabla sessions vía Prisma)
+class PrismaSessionStore {
+  constructor(prismaClient) {
+    this.prisma = prismaClient;
+  }
+
+  _toSession(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      handle: row.handle,
+      user: row.user_data,
+      createdAt: row.created_at.getTime(),
+      expiresAt: row.expires_at.getTime(),
+      lastAccess: row.last_access.getTime(),
+      ip: row.ip,
+      userAgent: row.user_agent,
+    };
+  }
+
+  async set(session) {
+    const data = {
+      handle: session.handle || null,
+      user_id: session.user.id,
+      user_type: session.user.user_type,
+      user_data: session.user,
+      created_at: new Date(session.createdAt),
+      expires_at: new Date(session.expiresAt),
+      last_access: new Date(session.lastAccess),
+      ip: session.ip || null,
+      user_agent: session.userAgent || null,
+    };
+    await this.prisma.session.upsert({
+      where: { id: session.id },
+      update: data,
+      create: { id: session.id, ...data },
+    });
+  }
+
+  async get(sessionId) {
+    const row = await this.prisma.session.findUnique({ where: { id: sessionId } });
+    return this._toSession(row);
+  }
+
+  async touch(sessionId, { lastAccess, expiresAt } = {}) {
+    const data = {};
+    if (lastAccess !== undefined) data.last_access = new Date(lastAccess);
+    if (expiresAt !== undefined) data.expires_at = new Date(expiresAt);
+    const res = await this.prisma.session.updateMany({ where: { id: sessionId }, data });
+    return res.count > 0;
+  }
+
+  async destroy(sessionId) {
+    const res = await this.prisma.session.deleteMany({ where: { id: sessionId } });
+    return res.count > 0;
+  }
+
+  async destroyByUser(userId, { exceptSessionId = null } = {}) {
+    const res = await this.prisma.session.deleteMany({
+      where: { user_id: userId, ...(exceptSessionId ? { id: { not: exceptSessionId } } : {}) },
+    });
+    return res.count;
+  }
+
+  async list({ userId = null, userType = null, now = Date.now() } = {}) {
+    const rows = await this.prisma.session.findMany({
+      where: {
+        expires_at: { gte: new Date(now) },
+        ...(userId ? { user_id: userId } : {}),
+        ...(userType ? { user_type: userType } : {}),
+      },
+    });
+    return rows.map((r) => this._toSession(r));
+  }
+
+  async findByHandle(handle) {
+    const row = await this.prisma.session.findUnique({ where: { handle } });
+    return this._toSession(row);
+  }
+
+  async all() {
+    const rows = await this.prisma.session.findMany({ orderBy: { created_at: 'asc' } });
+    return rows.map((r) => this._toSession(r));
+  }
+
+  async sweepExpired(now = Date.now()) {
+    const res = await this.prisma.session.deleteMany({
+      where: { expires_at: { lt: new Date(now) } },
+    });
+    return res.count;
+  }
+}
+
+/**
+ * Store compatible con Redis.
+ * Recibe un cliente con la API de comandos de ioredis (get, set con 'PX'/'XX', del, sadd, srem, smembers),
+ * lo que permite probarlo contra un stand-in local sin servidor Redis.
+ * Cada sesión se guarda como JSON en `${prefix}${id}` con TTL; el set `${prefix}index` lista los ids,
+ * `${prefix}user:${userId}` los ids de cada usuario y `${prefix}handle:${handle}` apunta al id (mismo TTL).
+ * Los ids que quedan en los sets tras expirar por TTL se limpian al leerlos.
+ */
+class RedisSessionStore {
+  constructor(client, { prefix = 'bob:sess:' } = {}) {
+    this.client = client;
+    this.prefix = prefix;
+    this.indexKey = `${prefix}index`;
+  }
+
+  _key(sessionId) {
+    return `${this.prefix}${sessionId}`;
+  }
+
+  _userKey(userId) {
+    return `${this.prefix}user:${userId}`;
+  }
+
+  _handleKey(handle) {
+    return `${this.prefix}handle:${handle}`;
+  }
+
+  async set(session) {
+    const ttl = Math.max(1, session.expiresAt - Date.now());
+    await this.client.set(this._key(session.id), JSON.stringify(session), 'PX', ttl);
+    await this.client.sadd(this.indexKey, session.id);
+    if (session.user?.id) await this.client.sadd(this._userKey(session.user.id), session.id);
+    if (session.handle) await this.client.set(this._handleKey(session.handle), session.id, 'PX', ttl);
+  }
+
+  async get(sessionId) {
+    const raw = await this.client.get(this._key(sessionId));
+    if (!raw) {
+      // La clave expiró por TTL: mantener el índice limpio
+      await this.client.srem(this.indexKey, sessionId);
+      return null;
+    }
+    return JSON.parse(raw);
+  }
+
+  // SET ... XX: solo reescribe si la clave sigue existiendo, así un renewSession en curso
+  // no revive una sesión que destroy/destroyUserSessions eliminó entre la lectura y la escritura
+  async touch(sessionId, changes = {}) {
+    const raw = await this.client.get(this._key(sessionId));
+    if (!raw) return false;
+    const session = { ...JSON.parse(raw), ...changes };
+    const ttl = Math.max(1, session.expiresAt - Date.now());
+    const result = await this.client.set(this._key(sessionId), JSON.stringify(session), 'PX', ttl, 'XX');
+    if (result !== 'OK') return false;
+    if (session.handle) await this.client.set(this._handleKey(session.handle), sessionId, 'PX', ttl, 'XX');
+    return true;
+  }
+
+  async destroy(sessionId) {
+    const raw = await this.client.get(this._key(sessionId));
+    const deleted = await this.client.del(this._key(sessionId));
+    await this.client.srem(this.indexKey, sessionId);
+    if (raw) {
+      const session = JSON.parse(raw);
+      if (session.user?.id) await this.client.srem(this._userKey(session.user.id), sessionId);
+      if (session.handle) await this.client.del(this._handleKey(session.handle));
+    }
+    return deleted > 0;
+  }
+
+  // Sesiones de un usuario a partir de su set (limpia los ids ya expirados)
+  async _userSessions(userId) {
+    const sessions = [];
+    for (const id of await this.client.smembers(this._userKey(userId))) {
+      const session = await this.get(id);
+      if (session) sessions.push(session);
+      else await this.client.srem(this._userKey(userId), id);
+    }
+    return sessions;
+  }
+
+  async destroyByUser(userId, { exceptSessionId = null } = {}) {
+    let removed = 0;
+    for (const session of await this._userSessions(userId)) {
+      if (session.id !== exceptSessionId && await this.destroy(session.id)) removed++;
+    }
+    return removed;
+  }
+
+  async list({ userId = null, userType = null, now = Date.now() } = {}) {
+    const sessions = userId ? await this._userSessions(userId) : await this.all();
+    return sessions
+      .filter((s) => now <= s.expiresAt)
+      .filter((s) => !userType || s.user?.user_type === userType);
+  }
+
+  async findByHandle(handle) {
+    const sessionId = await this.client.get(this._handleKey(handle));
+    return sessionId ? this.get(sessionId) : null;
+  }
+
+  async all() {
+    const ids = await this.client.smembers(this.indexKey);
+    const sessions = [];
+    for (const id of ids) {
+      const session = await this.get(id);
+      if (session) sessions.push(session);
+    }
+    return sessions;
+  }
+
+  async sweepExpired(now = Date.now()) {
+    const ids = await this.client.smembers(this.indexKey);
+    let removed = 0;
+    for (const id of ids) {
+      const session = await this.get(id);
+      if (!session) {
+        removed++;
+      } else if (now > session.expiresAt) {
+        await this.destroy(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+// Construir el store según configuración (SESSION_STORE=memory|prisma|redis)
+const createSessionStore = (type = config.session.store) => {
+  switch (type) {
+    case 'prisma': {
+      const { prisma } = require('./database');
+      return new PrismaSessionStore(prisma);
+    }
+    case 'redis': {
+      const Redis = require('ioredis');
+      return new RedisSessionStore(new Redis(config.session.redisUrl));
+    }
+    case 'memory':
+      return new MemorySessionStore();
+    default:
+      throw new Error(`Store de sesiones no soportado: ${type}. Use memory, prisma o redis`);
+  }
+};
+
+module.exports = {
+  MemorySessionStore,
+  PrismaSessionStore,
+  RedisSessionStore,
+  createSessionStore,
+};
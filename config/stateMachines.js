@@ -0,0 +1,114 @@
+/**
+ * Máquinas de estado declarativas de las entidades con ciclo de vida.
+ * Toda transición de estado pasa por services/stateMachineService.js, que valida
+ * contra estas definiciones, aplica el cambio y emite el evento de la transición.
+ *
+ * - model: modelo Prisma que guarda el campo `estado`
+ * - auctionRef: campo del registro que referencia la subasta (agrupa el historial en state_transitions)
+ * - initial: estado(s) con los que se crea el registro
+ * - states: estado → descripción
+ * - transitions: { from, to, event, manual? }
+ *   `manual` marca las transiciones que un admin puede forzar vía PATCH /auctions/:id/status;
+ *   el resto solo ocurre como efecto de un flujo de negocio (pago, validación, facturación, jobs).
+ */
+
+const STATE_MACHINES = {
+  auction: {
+    model: 'auction',
+    auctionRef: 'id',
+    label: 'Subasta',
+    initial: ['activa'],
+    states: {
+      activa: 'Subasta activa, sin ganador asignado',
+      pendiente: 'Ganador asignado, esperando pago de garantía (o el saldo pendiente tras un pago parcial)',
+      en_validacion: 'Pago registrado, esperando validación del administrador',
+      finalizada: 'Pago de garantía validado, esperando resultado de competencia',
+      vencida: 'Ganador no realizó pago antes del límite de tiempo',
+      cancelada: 'Subasta cancelada por el administrador',
+      ganada: 'BOB ganó la competencia, pendiente de facturación',
+      perdida: 'BOB perdió la competencia, garantía disponible para reembolso',
+      penalizada: 'BOB ganó pero el cliente no pagó el vehículo, penalidad aplicada',
+      facturada: 'Facturación completada',
+    },
+    transitions: [
+      { from: 'activa', to: 'pendiente', event: 'winner_assigned', manual: true },
+      { from: 'activa', to: 'cancelada', event: 'cancelled', manual: true },
+      { from: 'pendiente', to: 'pendiente', event: 'winner_reassigned' },
+      { from: 'pendiente', to: 'en_validacion', event: 'payment_registered', manual: true },
+      { from: 'pendiente', to: 'finalizada', event: 'balance_applied' },
+      { from: 'pendiente', to: 'vencida', event: 'payment_expired', manual: true },
+      { from: 'pendiente', to: 'cancelada', event: 'cancelled', manual: true },
+      { from: 'en_validacion', to: 'en_validacion', event: 'payment_registered' },
+      { from: 'en_validacion', to: 'finalizada', event: 'payment_approved', manual: true },
+      { from: 'en_validacion', to: 'finalizada', event: 'balance_applied' },
+      { from: 'en_validacion', to: 'pendiente', event: 'payment_rejected', manual: true },
+      { from: 'en_validacion', to: 'pendiente', event: 'payment_partially_approved' },
+      { from: 'en_validacion', to: 'pendiente', event: 'winner_reassigned' },
+      { from: 'en_validacion', to: 'vencida', event: 'payment_expired', manual: true },
+      { from: 'vencida', to: 'pendiente', event: 'winner_reassigned', manual: true },
+      { from: 'finalizada', to: 'ganada', event: 'competition_won' },
+      { from: 'finalizada', to: 'perdida', event: 'competition_lost' },
+      { from: 'finalizada', to: 'penalizada', event: 'competition_penalized' },
+      { from: 'ganada', to: 'facturada', event: 'billed' },
+    ],
+  },
+
+  guarantee: {
+    model: 'guarantee',
+    auctionRef: 'auction_id',
+    label: 'Garantía',
+    initial: ['activa'],
+    states: {
+      activa: 'Oferta ganadora vigente de la subasta',
+      perdedora: 'Oferta reemplazada por reasignación o vencimiento del plazo de pago',
+    },
+    transitions: [
+      { from: 'activa', to: 'perdedora', event: 'winner_reassigned' },
+      { from: 'activa', to: 'perdedora', event: 'payment_expired' },
+    ],
+  },
+
+  movement: {
+    model: 'movement',
+    auctionRef: 'auction_id_ref',
+    label: 'Movimiento',
+    initial: ['pendiente', 'validado'],
+    states: {
+      pendiente: 'Pago registrado, esperando validación',
+      validado: 'Pago aprobado por el administrador',
+      rechazado: 'Pago rechazado, debe registrar nuevo pago',
+    },
+    transitions: [
+      { from: 'pendiente', to: 'validado', event: 'approved' },
+      { from: 'pendiente', to: 'rechazado', event: 'rejected' },
+    ],
+  },
+
+  refund: {
+    model: 'refund',
+    auctionRef: 'auction_id',
+    label: 'Reembolso',
+    initial: ['solicitado'],
+    states: {
+      solicitado: 'Solicitud registrada, pendiente de confirmación',
+      confirmado: 'Solicitud confirmada con el cliente, pendiente de procesar',
+      rechazado: 'Solicitud rechazada',
+      procesado: 'Reembolso ejecutado',
+    },
+    transitions: [
+      { from: 'solicitado', to: 'confirmado', event: 'confirmed' },
+      { from: 'solicitado', to: 'rechazado', event: 'rejected' },
+      { from: 'confirmado', to: 'procesado', event: 'processed' },
+    ],
+  },
+};
+
+const STATE_MACHINE_ENTITIES = Object.keys(STATE_MACHINES);
+
+const DIAGRAM_FORMATS = ['json', 'mermaid', 'dot'];
+
+module.exports = {
+  STATE_MACHINES,
+  STATE_MACHINE_ENTITIES,
+  DIAGRAM_FORMATS,
+};
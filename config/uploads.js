@@ -0,0 +1,50 @@
+const multer = require('multer');
+const { config } = require('./index');
+const { STATEMENT_MAX_FILE_SIZE } = require('./bankStatements');
+
+// Archivos en memoria: los comprobantes se guardan luego en el almacenamiento configurado (config/fileStorage.js)
+const storage = multer.memoryStorage();
+
+// Configurar multer para vouchers
+const uploadVoucher = multer({
+  storage: storage,
+  limits: {
+    fileSize: config.file.maxSize,
+  },
+  fileFilter: (req, file, cb) => {
+    // Verificar tipos de archivo permitidos
+    if (config.file.allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      // Forzar código de Multer para que el error handler lo responda como 422
+      const err = new Error('Tipo de archivo no permitido. Solo se aceptan JPG, PNG y PDF');
+      err.code = 'LIMIT_UNEXPECTED_FILE';
+      cb(err, false);
+    }
+  },
+});
+
+// Configurar multer para extractos bancarios (texto plano; se procesan en memoria, no se guardan)
+const uploadStatement = multer({
+  storage: storage,
+  limits: {
+    fileSize: STATEMENT_MAX_FILE_SIZE,
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['text/csv', 'text/plain', 'application/vnd.ms-excel', 'application/octet-stream'];
+    const allowedExtensions = /\.(csv|txt|sta|mt940|940)$/i;
+
+    if (allowedTypes.includes(file.mimetype) || allowedExtensions.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      const err = new Error('Tipo de archivo no permitido. Solo se aceptan extractos CSV, TXT o MT940');
+      err.code = 'LIMIT_UNEXPECTED_FILE';
+      cb(err, false);
+    }
+  },
+});
+
+module.exports = {
+  uploadVoucher,
+  uploadStatement,
+};
@@ -0,0 +1,61 @@
+/**
+ * Lectura de comprobantes por OCR (services/voucherOcrService.js, utils/voucherOcrParser.js).
+ * El texto reconocido se normaliza (sin tildes, minúsculas) antes de buscar etiquetas y bancos.
+ */
+
+// Bancos reconocibles en el comprobante: código → textos que lo identifican
+const VOUCHER_BANKS = {
+  BCP: ['banco de credito', 'viabcp', 'bcp'],
+  INTERBANK: ['interbank'],
+  BBVA: ['bbva', 'continental'],
+  SCOTIABANK: ['scotiabank'],
+  BANBIF: ['banbif', 'interamericano de finanzas'],
+  BANCO_NACION: ['banco de la nacion'],
+  PICHINCHA: ['pichincha'],
+};
+
+// Etiquetas que preceden a cada dato (la más específica primero); el valor sigue en la misma línea o en la siguiente
+const FIELD_LABELS = {
+  numero_operacion: [
+    /\b(?:numero|nro|num|no|n)\.?\s*(?:de\s+)?operacion/,
+    /codigo\s+(?:de\s+)?operacion/,
+    /operacion\s+(?:numero|nro|n)\.?/,
+    /(?:numero|nro)\.?\s*(?:de\s+)?(?:constancia|referencia)/,
+    /^operacion\b/,
+  ],
+  monto: [
+    /monto\s+(?:transferido|depositado|pagado|abonado|total)/,
+    /importe\s+(?:transferido|depositado|pagado|abonado|total)?/,
+    /monto/,
+    /total/,
+  ],
+  fecha: [
+    /fecha\s+(?:de\s+)?(?:operacion|transferencia|deposito|pago)/,
+    /fecha\s+y\s+hora/,
+    /fecha/,
+  ],
+};
+
+// Tipos de archivo que el motor OCR puede leer (los PDF quedan como no_soportado)
+const OCR_SUPPORTED_TYPES = ['image/jpeg', 'image/jpg', 'image/png'];
+
+// Estados de la extracción guardada en Movement.voucher_ocr
+const OCR_STATES = {
+  pendiente: 'Lectura en cola: se procesa después de registrar el pago',
+  procesado: 'Se leyó al menos un dato del comprobante',
+  sin_datos: 'El texto reconocido no contiene datos de pago identificables',
+  no_soportado: 'Tipo de archivo que el motor OCR no lee (PDF)',
+  no_disponible: 'Motor OCR no instalado (paquete tesseract.js)',
+  error: 'El reconocimiento falló o excedió el tiempo máximo',
+};
+
+// Diferencia máxima entre el monto leído y el declarado para considerarlos iguales
+const OCR_AMOUNT_TOLERANCE = 0.01;
+
+module.exports = {
+  VOUCHER_BANKS,
+  FIELD_LABELS,
+  OCR_SUPPORTED_TYPES,
+  OCR_STATES,
+  OCR_AMOUNT_TOLERANCE,
+};
@@ -3,7 +3,8 @@ const {
   asyncHandler 
 } = require('../middleware/errorHandler');
 const { 
-  validations: { auctionSchemas, querySchemas, validate } 
+  validations: { auctionSchemas, querySchemas, validate },
+  concurrencyHelpers,
 } = require('../utils');
 const { Logger } = require('../middleware/logger');
 
@@ -65,6 +66,7 @@ const getAuctionById = asyncHandler(async (req, res) => {
   // Obtener subasta usando el servicio
   const auction = await auctionService.getAuctionById(id, include);
   
+  res.set('ETag', concurrencyHelpers.etag(auction.version));
   res.status(200).json({
     success: true,
     data: {
@@ -73,6 +75,19 @@ const getAuctionById = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Línea de tiempo de la subasta
+ * GET /api/auctions/:id/timeline
+ */
+const getAuctionTimeline = asyncHandler(async (req, res) => {
+  const result = await auctionService.getAuctionTimeline(req.params.id);
+  
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
 /**
  * Cambiar estado de subasta
  * PATCH /api/auctions/:id/status
@@ -88,8 +103,11 @@ const updateAuctionStatus = asyncHandler(async (req, res) => {
   });
   
   // Actualizar estado usando el servicio
-  const updatedAuction = await auctionService.updateAuctionStatus(id, estado, motivo);
+  const updatedAuction = await auctionService.updateAuctionStatus(id, estado, motivo, req.user.id, {
+    expectedVersion: req.expectedVersion,
+  });
   
+  res.set('ETag', concurrencyHelpers.etag(updatedAuction.version));
   res.status(200).json({
     success: true,
     data: {
@@ -118,9 +136,12 @@ const extendPaymentDeadline = asyncHandler(async (req, res) => {
   const updatedAuction = await auctionService.extendPaymentDeadline(
     id, 
     fecha_limite_pago, 
-    motivo
+    motivo,
+    req.user.id,
+    { expectedVersion: req.expectedVersion }
   );
   
+  res.set('ETag', concurrencyHelpers.etag(updatedAuction.version));
   res.status(200).json({
     success: true,
     data: {
@@ -144,8 +165,11 @@ const registerCompetitionResult = asyncHandler(async (req, res) => {
     observaciones,
   });
 
-  const result = await auctionService.registerCompetitionResult(id, resultado, observaciones || null);
+  const result = await auctionService.registerCompetitionResult(id, resultado, observaciones || null, req.user.id, {
+    expectedVersion: req.expectedVersion,
+  });
 
+  res.set('ETag', concurrencyHelpers.etag(result.auction.version));
   res.status(200).json({
     success: true,
     data: result,
@@ -240,6 +264,7 @@ module.exports = {
   createAuction,
   getAuctions,
   getAuctionById,
+  getAuctionTimeline,
   updateAuctionStatus,
   extendPaymentDeadline,
   deleteAuction,
@@ -0,0 +1,25 @@
+const auditService = require('../services/auditService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  validations: { querySchemas, validate },
+} = require('../utils');
+
+/**
+ * Consultar bitácora de auditoría
+ * GET /audit
+ * Query: entity_type, entity_id, actor_id, action, fecha_desde, fecha_hasta, page, limit
+ */
+const listAuditEvents = asyncHandler(async (req, res) => {
+  const filters = validate(querySchemas.auditFilters, req.query);
+
+  const result = await auditService.listEvents(filters);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+module.exports = {
+  listAuditEvents,
+};
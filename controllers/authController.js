@@ -2,19 +2,25 @@ const { prisma } = require('../config/database');
 const { 
   createSession, 
   destroySession, 
-  getSession 
+  getSession,
+  getRequestClientInfo,
 } = require('../middleware/auth');
 const { 
   BusinessErrors, 
   asyncHandler 
 } = require('../middleware/errorHandler');
 const { 
-  validations: { userSchemas, validate } 
+  validations: { userSchemas, querySchemas, validate } 
 } = require('../utils');
 const { Logger } = require('../middleware/logger');
+const { config } = require('../config');
+const adminAuthService = require('../services/adminAuthService');
+const clientAuthService = require('../services/clientAuthService');
+const roleService = require('../services/roleService');
+const sessionService = require('../services/sessionService');
 
 /**
- * Login de cliente por documento
+ * Login de cliente por documento (paso 1: solicitar código)
  * POST /api/auth/client-login
  */
 const clientLogin = asyncHandler(async (req, res) => {
@@ -23,34 +29,28 @@ const clientLogin = asyncHandler(async (req, res) => {
   
   Logger.info(`Intento de login de cliente: ${document_type} ${document_number}`);
   
-  // Buscar usuario en la base de datos
-  const user = await prisma.user.findFirst({
-    where: {
-      document_type,
-      document_number,
-      user_type: 'client',
-      deleted_at: null,
-    },
-    select: {
-      id: true,
-      first_name: true,
-      last_name: true,
-      email: true,
-      phone_number: true,
-      document_type: true,
-      document_number: true,
-      user_type: true,
-      created_at: true,
+  const challenge = await clientAuthService.requestLoginCode(document_type, document_number);
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      challenge,
     },
+    message: 'Código de verificación enviado al email registrado',
   });
+});
+
+/**
+ * Login de cliente (paso 2: verificar código y crear sesión)
+ * POST /api/auth/client-login/verify
+ */
+const verifyClientLogin = asyncHandler(async (req, res) => {
+  const { challenge_id, code } = validate(userSchemas.clientLoginVerify, req.body);
   
-  if (!user) {
-    Logger.warn(`Cliente no encontrado: ${document_type} ${document_number}`);
-    throw BusinessErrors.UserNotFound();
-  }
+  const user = await clientAuthService.verifyLoginCode(challenge_id, code);
   
-  // Crear sesión
-  const sessionData = createSession(user, 1); // 1 hora de duración
+  // Crear sesión solo tras verificar el código
+  const sessionData = await createSession(user, 1, getRequestClientInfo(req)); // 1 hora de duración
   
   Logger.info(`Login exitoso para cliente: ${user.email}`);
   
@@ -65,48 +65,107 @@ const clientLogin = asyncHandler(async (req, res) => {
 });
 
 /**
- * Acceso automático de administrador
- * POST /api/auth/admin-access
+ * Login de administrador con credenciales
+ * POST /api/auth/admin-login
  */
-const adminAccess = asyncHandler(async (req, res) => {
-  Logger.info('Intento de acceso de administrador');
+const adminLogin = asyncHandler(async (req, res) => {
+  const { email, password } = validate(userSchemas.adminLogin, req.body);
   
-  // Buscar el usuario administrador
-  const admin = await prisma.user.findFirst({
-    where: {
-      user_type: 'admin',
-      deleted_at: null,
-    },
-    select: {
-      id: true,
-      first_name: true,
-      last_name: true,
-      email: true,
-      phone_number: true,
-      document_type: true,
-      document_number: true,
-      user_type: true,
-      created_at: true,
-    },
-  });
+  Logger.info(`Intento de login de administrador: ${email}`);
   
-  if (!admin) {
-    Logger.error('Usuario administrador no encontrado en la base de datos');
-    throw BusinessErrors.UserNotFound();
-  }
+  const admin = await adminAuthService.login(email, password);
   
   // Crear sesión para admin
-  const sessionData = createSession(admin, 8); // 8 horas de duración para admin
+  const sessionData = await createSession(admin, config.auth.adminSessionHours, getRequestClientInfo(req));
+  
+  // Permisos del rol para que el frontend adapte el panel
+  const access = await roleService.getUserAccess(admin.id);
   
-  Logger.info(`Acceso de administrador exitoso: ${admin.email}`);
+  Logger.info(`Login de administrador exitoso: ${admin.email} (${access.role || 'sin rol'})`);
   
   res.status(200).json({
     success: true,
     data: {
       user: admin,
       session: sessionData,
+      role: access.role,
+      permissions: access.permissions,
     },
-    message: 'Acceso de administrador exitoso',
+    message: 'Sesión de administrador iniciada exitosamente',
+  });
+});
+
+/**
+ * Solicitar restablecimiento de contraseña de administrador
+ * POST /api/auth/admin/password-reset/request
+ */
+const requestAdminPasswordReset = asyncHandler(async (req, res) => {
+  const { email } = validate(userSchemas.adminPasswordResetRequest, req.body);
+  
+  await adminAuthService.requestPasswordReset(email);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Si el email corresponde a un administrador, recibirá instrucciones para restablecer la contraseña',
+  });
+});
+
+/**
+ * Establecer contraseña con token (reset o primer acceso)
+ * POST /api/auth/admin/password-reset
+ */
+const resetAdminPassword = asyncHandler(async (req, res) => {
+  const { token, password } = validate(userSchemas.adminPasswordReset, req.body);
+  
+  await adminAuthService.resetPassword(token, password);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Contraseña establecida exitosamente. Inicie sesión con su nueva contraseña',
+  });
+});
+
+/**
+ * Cambiar contraseña del administrador autenticado
+ * PATCH /api/auth/admin/password
+ */
+const changeAdminPassword = asyncHandler(async (req, res) => {
+  const { current_password, new_password } = validate(userSchemas.adminPasswordChange, req.body);
+  
+  await adminAuthService.changePassword(req.user.id, current_password, new_password, req.session?.id);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Contraseña actualizada exitosamente',
+  });
+});
+
+/**
+ * Listar administradores
+ * GET /api/auth/admins
+ */
+const listAdmins = asyncHandler(async (req, res) => {
+  const admins = await adminAuthService.listAdmins();
+  
+  res.status(200).json({
+    success: true,
+    data: { admins },
+  });
+});
+
+/**
+ * Crear administrador nominal
+ * POST /api/auth/admins
+ */
+const createAdmin = asyncHandler(async (req, res) => {
+  const data = validate(userSchemas.createAdmin, req.body);
+  
+  const admin = await adminAuthService.createAdmin(data, req.user);
+  
+  res.status(201).json({
+    success: true,
+    data: { admin },
+    message: 'Administrador creado. Se envió un email para establecer su contraseña',
   });
 });
 
@@ -125,7 +184,7 @@ const logout = asyncHandler(async (req, res) => {
     });
   }
   
-  const wasDestroyed = destroySession(sessionId);
+  const wasDestroyed = await destroySession(sessionId);
   
   if (wasDestroyed) {
     Logger.info(`Sesión cerrada: ${sessionId}`);
@@ -156,7 +215,7 @@ const validateSession = asyncHandler(async (req, res) => {
     });
   }
   
-  const session = getSession(sessionId);
+  const session = await getSession(sessionId);
   
   if (!session) {
     return res.status(401).json({
@@ -184,7 +243,7 @@ const validateSession = asyncHandler(async (req, res) => {
   
   if (!user || user.deleted_at) {
     // Usuario eliminado, invalidar sesión
-    destroySession(sessionId);
+    await destroySession(sessionId);
     
     return res.status(401).json({
       success: false,
@@ -217,7 +276,7 @@ const validateSession = asyncHandler(async (req, res) => {
 const getSessionStats = asyncHandler(async (req, res) => {
   const { getSessionStats: getStats } = require('../middleware/auth');
   
-  const stats = getStats();
+  const stats = await getStats();
   
   res.status(200).json({
     success: true,
@@ -228,10 +287,106 @@ const getSessionStats = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Sesiones activas propias (cliente o admin)
+ * GET /api/auth/sessions
+ */
+const listMySessions = asyncHandler(async (req, res) => {
+  const sessions = await sessionService.listOwnSessions(req.user.id, req.session.id);
+  
+  res.status(200).json({
+    success: true,
+    data: { sessions },
+  });
+});
+
+/**
+ * Cerrar una sesión propia de otro dispositivo
+ * DELETE /api/auth/sessions/:sessionId
+ */
+const revokeMySession = asyncHandler(async (req, res) => {
+  const session = await sessionService.revokeOwnSession(req.user, req.params.sessionId, req.session.id);
+  
+  res.status(200).json({
+    success: true,
+    data: { session },
+    message: 'Sesión cerrada exitosamente',
+  });
+});
+
+/**
+ * Cerrar todas las sesiones propias excepto la actual
+ * DELETE /api/auth/sessions
+ */
+const revokeMyOtherSessions = asyncHandler(async (req, res) => {
+  const result = await sessionService.revokeOtherOwnSessions(req.user, req.session.id);
+  
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: 'Sesiones de otros dispositivos cerradas',
+  });
+});
+
+/**
+ * Listar sesiones activas de todos los usuarios (Admin)
+ * GET /api/auth/admin/sessions
+ */
+const listActiveSessions = asyncHandler(async (req, res) => {
+  const filters = validate(querySchemas.sessionFilters, req.query);
+  
+  const result = await sessionService.listSessions(filters, req.session.id);
+  
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Revocar una sesión (Admin)
+ * DELETE /api/auth/admin/sessions/:sessionId
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+  const session = await sessionService.revokeSession(req.params.sessionId, req.user);
+  
+  res.status(200).json({
+    success: true,
+    data: { session },
+    message: 'Sesión revocada exitosamente',
+  });
+});
+
+/**
+ * Revocar todas las sesiones de un usuario (Admin)
+ * DELETE /api/auth/admin/users/:userId/sessions
+ */
+const revokeUserSessions = asyncHandler(async (req, res) => {
+  const result = await sessionService.revokeUserSessions(req.params.userId, req.user, req.session.id);
+  
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: 'Sesiones del usuario revocadas',
+  });
+});
+
 module.exports = {
   clientLogin,
-  adminAccess,
+  verifyClientLogin,
+  adminLogin,
+  requestAdminPasswordReset,
+  resetAdminPassword,
+  changeAdminPassword,
+  listAdmins,
+  createAdmin,
   logout,
   validateSession,
   getSessionStats,
+  listMySessions,
+  revokeMySession,
+  revokeMyOtherSessions,
+  listActiveSessions,
+  revokeSession,
+  revokeUserSessions,
 };
\ No newline at end of file
@@ -1,37 +1,31 @@
 const balanceService = require('../services/balanceService');
+const ledgerService = require('../services/ledgerService');
+const reconciliationService = require('../services/reconciliationService');
+const statementService = require('../services/statementService');
 const { 
   asyncHandler 
 } = require('../middleware/errorHandler');
 const {
-  validations: { movementSchemas, querySchemas, validate }
+  validations: { movementSchemas, balanceSchemas, querySchemas, validate }
 } = require('../utils');
 const { Logger } = require('../middleware/logger');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES } = require('../config/currencies');
 
 /**
- * Obtener saldo de usuario
+ * Obtener saldo de usuario (actual o a una fecha de corte con ?as_of=)
  * GET /api/users/:userId/balance
  */
 const getBalance = asyncHandler(async (req, res) => {
   const { userId } = req.params;
-  
-  // Los clientes solo pueden ver su propio saldo
-  if (req.user.user_type === 'client' && req.user.id !== userId) {
-    return res.status(403).json({
-      success: false,
-      error: {
-        code: 'FORBIDDEN',
-        message: 'Solo puede consultar su propio saldo',
-        timestamp: new Date().toISOString(),
-      },
-    });
-  }
+  const filters = validate(querySchemas.balanceAsOf, req.query);
   
   Logger.info(`Consultando saldo de usuario ${userId}`, {
     requested_by: req.user.email,
+    ...filters,
   });
   
   // Obtener saldo usando el servicio
-  const balance = await balanceService.getBalance(userId);
+  const balance = await balanceService.getBalance(userId, filters);
   
   res.status(200).json({
     success: true,
@@ -48,18 +42,6 @@ const getBalance = asyncHandler(async (req, res) => {
 const getUserMovements = asyncHandler(async (req, res) => {
   const { userId } = req.params;
   
-  // Los clientes solo pueden ver sus propios movimientos
-  if (req.user.user_type === 'client' && req.user.id !== userId) {
-    return res.status(403).json({
-      success: false,
-      error: {
-        code: 'FORBIDDEN',
-        message: 'Solo puede consultar sus propios movimientos',
-        timestamp: new Date().toISOString(),
-      },
-    });
-  }
-  
   // Validar parámetros de consulta (usa Movement listFilters)
   const filters = validate(movementSchemas.listFilters, req.query);
   
@@ -77,6 +59,50 @@ const getUserMovements = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Obtener libro mayor de usuario (cuentas y asientos)
+ * GET /api/users/:userId/ledger
+ */
+const getUserLedger = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  const filters = validate(querySchemas.ledgerFilters, req.query);
+
+  Logger.info(`Consultando libro mayor de usuario ${userId}`, {
+    requested_by: req.user.email,
+    filters,
+  });
+
+  const result = await ledgerService.getUserLedger(userId, filters);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Descargar estado de cuenta de usuario (PDF o CSV)
+ * GET /api/users/:userId/statement
+ */
+const getUserStatement = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  const filters = validate(querySchemas.statementFilters, req.query);
+
+  Logger.info(`Generando estado de cuenta de usuario ${userId}`, {
+    requested_by: req.user.email,
+    filters,
+  });
+
+  const { filename, contentType, body } = await statementService.generate(userId, filters);
+
+  res.status(200)
+    .type(contentType)
+    .attachment(filename)
+    .send(body);
+});
+
 /**
  * Obtener resumen de saldos (solo admin)
  * GET /api/balances/summary
@@ -126,7 +152,7 @@ const getBalanceStats = asyncHandler(async (req, res) => {
  */
 const createManualMovement = asyncHandler(async (req, res) => {
   const { userId } = req.params;
-  const { tipo_movimiento, monto, descripcion, motivo } = req.body;
+  const { tipo_movimiento, monto, descripcion, motivo, moneda = BASE_CURRENCY } = req.body;
   
   // Validaciones básicas
   if (!tipo_movimiento || !monto || !descripcion) {
@@ -163,16 +189,28 @@ const createManualMovement = asyncHandler(async (req, res) => {
     });
   }
   
+  if (!SUPPORTED_CURRENCIES.includes(moneda)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_CURRENCY',
+        message: `Moneda debe ser una de: ${SUPPORTED_CURRENCIES.join(', ')}`,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+  
   Logger.warn(`Admin ${req.user.email} creando movimiento manual para usuario ${userId}`, {
     tipo: tipo_movimiento,
     monto,
+    moneda,
     motivo,
   });
   
   // Crear movimiento usando el servicio
   const result = await balanceService.createManualMovement(
     userId,
-    { tipo_movimiento, monto, descripcion, motivo },
+    { tipo_movimiento, monto, descripcion, motivo, moneda },
     req.user.id
   );
   
@@ -181,14 +219,17 @@ const createManualMovement = asyncHandler(async (req, res) => {
     data: {
       movement: {
         id: result.movement.id,
-        tipo_movimiento: result.movement.tipo_movimiento,
+        tipo_movimiento,
         monto: result.movement.monto,
-        descripcion: result.movement.descripcion,
+        moneda: result.movement.moneda,
+        tipo_cambio: result.movement.tipo_cambio,
+        monto_base: result.movement.monto_base,
+        descripcion: result.movement.concepto,
         created_at: result.movement.created_at,
       },
       updated_balance: {
-        saldo_total: result.updated_balance.saldo_total,
-        saldo_penalizado: result.updated_balance.saldo_penalizado,
+        saldo_total: result.updated_user_cache.saldo_total,
+        saldo_retenido: result.updated_user_cache.saldo_retenido,
       },
       user: result.user,
     },
@@ -196,6 +237,39 @@ const createManualMovement = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Reporte de reconciliación de saldos (solo admin)
+ * GET /api/balances/reconciliation
+ */
+const getReconciliationReport = asyncHandler(async (req, res) => {
+  const filters = validate(querySchemas.reconciliationFilters, req.query);
+
+  Logger.info(`Admin ${req.user.email} consultando reconciliación de saldos`, { filters });
+
+  const report = await reconciliationService.run(filters);
+
+  res.status(200).json({
+    success: true,
+    data: report,
+  });
+});
+
+/**
+ * Reparar saldos con discrepancias (solo admin)
+ * POST /api/balances/reconciliation/repair
+ */
+const repairBalances = asyncHandler(async (req, res) => {
+  const data = validate(balanceSchemas.reconcileRepair, req.body);
+
+  const result = await reconciliationService.repair(data, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: `Reconciliación completada: ${result.repaired} reparados, ${result.requires_manual_review} requieren revisión manual`,
+  });
+});
+
 /**
  * Obtener resumen financiero para dashboard
  * GET /api/balances/dashboard
@@ -232,8 +306,12 @@ const getDashboardSummary = asyncHandler(async (req, res) => {
 module.exports = {
   getBalance,
   getUserMovements,
+  getUserLedger,
+  getUserStatement,
   getBalancesSummary,
   getBalanceStats,
   createManualMovement,
+  getReconciliationReport,
+  repairBalances,
   getDashboardSummary,
 };
\ No newline at end of file
@@ -0,0 +1,145 @@
+const bankStatementService = require('../services/bankStatementService');
+const { uploadStatement } = require('../config/uploads');
+const { idempotency } = require('../middleware/idempotency');
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  validations: { bankStatementSchemas, querySchemas, validate },
+} = require('../utils');
+
+/**
+ * Importar extracto bancario y proponer coincidencias con pagos pendientes
+ * POST /bank-statements (multipart: statement + formato?, moneda?, cuenta?)
+ */
+const importStatement = [
+  uploadStatement.single('statement'),
+  idempotency({ multipart: true }),
+  asyncHandler(async (req, res) => {
+    const options = validate(bankStatementSchemas.importStatement, req.body);
+
+    const result = await bankStatementService.importStatement(req.file, options, req.user);
+    const { statement } = result;
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: `Extracto importado: ${statement.total_propuestos} coincidencia(s) propuesta(s), ` +
+        `${statement.total_sin_coincidencia} abono(s) sin coincidencia`,
+    });
+  }),
+];
+
+/**
+ * Extractos importados
+ * GET /bank-statements
+ */
+const listStatements = asyncHandler(async (req, res) => {
+  const filters = validate(querySchemas.bankStatementFilters, req.query);
+
+  const result = await bankStatementService.listStatements(filters);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Detalle de extracto con sus líneas
+ * GET /bank-statements/:id
+ */
+const getStatement = asyncHandler(async (req, res) => {
+  const result = await bankStatementService.getStatementById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Cola de revisión de conciliación
+ * GET /bank-statements/lines
+ */
+const listLines = asyncHandler(async (req, res) => {
+  const filters = validate(querySchemas.statementLineFilters, req.query);
+
+  const result = await bankStatementService.listLines(filters);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Aprobar el pago propuesto por una línea
+ * PATCH /bank-statements/lines/:id/approve
+ */
+const approveLine = asyncHandler(async (req, res) => {
+  const { comentarios } = validate(bankStatementSchemas.approveLine, req.body);
+
+  const result = await bankStatementService.approveLine(req.params.id, req.user, comentarios);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      line: result.line,
+      movement: {
+        id: result.movement.id,
+        estado: result.movement.estado,
+        version: result.movement.version,
+        monto_excedente: result.movement.monto_excedente,
+        fecha_resolucion: result.movement.fecha_resolucion,
+      },
+      auction_updated: {
+        id: result.auction.id,
+        estado: result.auction.estado,
+        finished_at: result.auction.finished_at,
+      },
+      garantia: result.coverage,
+    },
+    message: 'Pago aprobado desde la conciliación bancaria',
+  });
+});
+
+/**
+ * Asignar manualmente un pago pendiente a una línea
+ * PATCH /bank-statements/lines/:id/match
+ */
+const matchLine = asyncHandler(async (req, res) => {
+  const { movement_id } = validate(bankStatementSchemas.matchLine, req.body);
+
+  const line = await bankStatementService.matchLine(req.params.id, movement_id, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: { line },
+    message: 'Coincidencia asignada; pendiente de aprobación',
+  });
+});
+
+/**
+ * Descartar una línea de extracto
+ * PATCH /bank-statements/lines/:id/discard
+ */
+const discardLine = asyncHandler(async (req, res) => {
+  const { motivo } = validate(bankStatementSchemas.discardLine, req.body);
+
+  const line = await bankStatementService.discardLine(req.params.id, req.user, motivo);
+
+  res.status(200).json({
+    success: true,
+    data: { line },
+    message: 'Línea de extracto descartada',
+  });
+});
+
+module.exports = {
+  importStatement,
+  listStatements,
+  getStatement,
+  listLines,
+  approveLine,
+  matchLine,
+  discardLine,
+};
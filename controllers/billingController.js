@@ -73,12 +73,7 @@ const getBillingById = asyncHandler(async (req, res) => {
 
   Logger.info(`Detalle billing ${id} - ${req.user.user_type}: ${req.user.email}`, { include });
 
-  const billing = await billingService.getBillingById(
-    id,
-    req.user.user_type,
-    req.user.id,
-    include
-  );
+  const billing = await billingService.getBillingById(id, include);
 
   res.status(200).json({
     success: true,
@@ -102,12 +97,7 @@ const completeBilling = asyncHandler(async (req, res) => {
     },
   });
 
-  const result = await billingService.completeBilling(
-    id,
-    req.user.user_type,
-    req.user.id,
-    payload
-  );
+  const result = await billingService.completeBilling(id, payload, req.user.id);
 
   res.status(200).json({
     success: true,
@@ -144,12 +134,7 @@ const getBillingsByUser = asyncHandler(async (req, res) => {
     { filters }
   );
 
-  const result = await billingService.getBillingsByUser(
-    userId,
-    filters,
-    req.user.user_type,
-    req.user.id
-  );
+  const result = await billingService.getBillingsByUser(userId, filters);
 
   res.status(200).json({
     success: true,
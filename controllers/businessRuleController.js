@@ -0,0 +1,54 @@
+const businessRuleService = require('../services/businessRuleService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  validations: { businessRuleSchemas, validate },
+} = require('../utils');
+
+/**
+ * Historial de versiones de reglas de negocio
+ * GET /business-rules
+ */
+const listBusinessRules = asyncHandler(async (req, res) => {
+  const result = await businessRuleService.listVersions();
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Reglas vigentes
+ * GET /business-rules/current
+ */
+const getCurrentBusinessRules = asyncHandler(async (req, res) => {
+  const rules = await businessRuleService.getCurrent();
+
+  res.status(200).json({
+    success: true,
+    data: { rules },
+  });
+});
+
+/**
+ * Crear nueva versión de reglas (las versiones anteriores no se modifican)
+ * POST /business-rules
+ * Body: { guarantee_percentage?, penalty_percentage?, minimum_guarantee?, payment_deadline_hours?, effective_from?, motivo }
+ */
+const createBusinessRuleVersion = asyncHandler(async (req, res) => {
+  const data = validate(businessRuleSchemas.createVersion, req.body);
+
+  const rules = await businessRuleService.createVersion(data, req.user);
+
+  res.status(201).json({
+    success: true,
+    data: { rules },
+    message: `Versión ${rules.version} de reglas de negocio creada exitosamente`,
+  });
+});
+
+module.exports = {
+  listBusinessRules,
+  getCurrentBusinessRules,
+  createBusinessRuleVersion,
+};
@@ -0,0 +1,59 @@
+const exchangeRateService = require('../services/exchangeRateService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  validations: { exchangeRateSchemas, querySchemas, validate },
+  timeHelpers,
+} = require('../utils');
+
+/**
+ * Tipos de cambio vigentes (ahora o a una fecha)
+ * GET /exchange-rates/current?fecha=
+ */
+const getCurrentExchangeRates = asyncHandler(async (req, res) => {
+  const { fecha } = validate(querySchemas.exchangeRateAt, req.query);
+
+  const result = await exchangeRateService.getCurrent(fecha ? timeHelpers.resolveCutoff(fecha) : new Date());
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Historial de tipos de cambio
+ * GET /exchange-rates
+ */
+const listExchangeRates = asyncHandler(async (req, res) => {
+  const filters = validate(querySchemas.exchangeRateFilters, req.query);
+
+  const result = await exchangeRateService.listRates(filters);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Registrar tipo de cambio (los registros anteriores no se modifican)
+ * POST /exchange-rates
+ * Body: { moneda, tasa, effective_from?, motivo }
+ */
+const createExchangeRate = asyncHandler(async (req, res) => {
+  const data = validate(exchangeRateSchemas.createRate, req.body);
+
+  const rate = await exchangeRateService.createRate(data, req.user);
+
+  res.status(201).json({
+    success: true,
+    data: { rate },
+    message: `Tipo de cambio ${rate.moneda} ${rate.tasa} registrado exitosamente`,
+  });
+});
+
+module.exports = {
+  getCurrentExchangeRates,
+  listExchangeRates,
+  createExchangeRate,
+};
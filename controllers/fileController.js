@@ -0,0 +1,29 @@
+const fs = require('fs/promises');
+const fileStorageService = require('../services/fileStorageService');
+const { asyncHandler, AppError, NotFoundError } = require('../middleware/errorHandler');
+
+/**
+ * Descargar archivo del almacenamiento local con URL firmada
+ * GET /files/:key?expires=&signature=
+ */
+const downloadFile = asyncHandler(async (req, res) => {
+  const { expires, signature } = req.query;
+
+  const filePath = fileStorageService.localFilePath(req.params.key, expires, signature);
+  if (!filePath) {
+    throw new AppError('El enlace de descarga no es válido o expiró', 403, 'INVALID_DOWNLOAD_LINK');
+  }
+
+  try {
+    await fs.access(filePath);
+  } catch (error) {
+    throw new NotFoundError('Archivo');
+  }
+
+  res.set('Cache-Control', 'private, no-store');
+  res.sendFile(filePath);
+});
+
+module.exports = {
+  downloadFile,
+};
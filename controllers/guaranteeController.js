@@ -23,7 +23,7 @@ const createWinner = asyncHandler(async (req, res) => {
   });
   
   // Registrar ganador usando el servicio
-  const result = await guaranteeService.createWinner(auctionId, winnerData);
+  const result = await guaranteeService.createWinner(auctionId, winnerData, req.user.id);
   
   res.status(201).json({
     success: true,
@@ -48,7 +48,7 @@ const reassignWinner = asyncHandler(async (req, res) => {
   });
   
   // Reasignar ganador usando el servicio
-  const result = await guaranteeService.reassignWinner(auctionId, reassignData);
+  const result = await guaranteeService.reassignWinner(auctionId, reassignData, req.user.id);
   
   res.status(200).json({
     success: true,
@@ -64,18 +64,6 @@ const reassignWinner = asyncHandler(async (req, res) => {
 const getWonAuctionsByUser = asyncHandler(async (req, res) => {
   const { userId } = req.params;
   
-  // Los clientes solo pueden ver sus propias subastas ganadas
-  if (req.user.user_type === 'client' && req.user.id !== userId) {
-    return res.status(403).json({
-      success: false,
-      error: {
-        code: 'FORBIDDEN',
-        message: 'Solo puede acceder a sus propias subastas ganadas',
-        timestamp: new Date().toISOString(),
-      },
-    });
-  }
-  
   // Validar parámetros de consulta
   const filters = validate(querySchemas.pagination, req.query);
   
@@ -105,18 +93,6 @@ const getWonAuctionsByUser = asyncHandler(async (req, res) => {
 const canUserParticipate = asyncHandler(async (req, res) => {
   const { userId } = req.params;
   
-  // Los clientes solo pueden consultar su propio estado
-  if (req.user.user_type === 'client' && req.user.id !== userId) {
-    return res.status(403).json({
-      success: false,
-      error: {
-        code: 'FORBIDDEN',
-        message: 'Solo puede consultar su propio estado de participación',
-        timestamp: new Date().toISOString(),
-      },
-    });
-  }
-  
   Logger.info(`Verificando elegibilidad de participación (guarantees) para usuario ${userId}`, {
     requested_by: req.user.email,
   });
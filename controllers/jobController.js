@@ -63,14 +63,26 @@ const getJobsList = asyncHandler(async (req, res) => {
     },
     {
       name: 'daily-report',
-      description: 'Generar reporte diario de actividades',
+      description: 'Generar reporte diario de actividades y pagos fuera del SLA de validación',
       frequency: '6:00 AM diario',
       manual: true,
     },
+    {
+      name: 'reconcile-balances',
+      description: 'Reconciliar saldos de clientes contra su historial y reportar discrepancias',
+      frequency: '5:30 AM diario',
+      manual: true,
+    },
+    {
+      name: 'balance-snapshots',
+      description: 'Registrar saldos de cierre del mes anterior por cliente',
+      frequency: 'Día 1 de cada mes, 00:15',
+      manual: true,
+    },
     {
       name: 'cleanup-sessions',
       description: 'Limpieza de sesiones expiradas',
-      frequency: 'Cada 4 horas',
+      frequency: 'Cada 10 minutos',
       manual: true,
     },
   ];
@@ -177,10 +189,22 @@ const getJobsStatus = asyncHandler(async (req, res) => {
         description: 'Diario a las 6:00 AM',
         active: true,
       },
+      {
+        name: 'reconcile-balances',
+        schedule: '30 5 * * *',
+        description: 'Diario a las 5:30 AM',
+        active: true,
+      },
+      {
+        name: 'balance-snapshots',
+        schedule: '15 0 1 * *',
+        description: 'Mensual, día 1 a las 00:15',
+        active: true,
+      },
       {
         name: 'cleanup-sessions',
-        schedule: '0 */4 * * *',
-        description: 'Cada 4 horas en punto',
+        schedule: '*/10 * * * *',
+        description: 'Cada 10 minutos',
         active: true,
       },
     ],
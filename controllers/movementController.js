@@ -1,10 +1,16 @@
 const movementService = require('../services/movementService');
-const { uploadVoucher } = require('../config/cloudinary');
+const fileStorageService = require('../services/fileStorageService');
+const voucherOcrService = require('../services/voucherOcrService');
+const paymentQueueService = require('../services/paymentQueueService');
+const { uploadVoucher } = require('../config/uploads');
+const { idempotency } = require('../middleware/idempotency');
+const { hasPermission } = require('../middleware/auth');
 const {
   asyncHandler
 } = require('../middleware/errorHandler');
 const {
-  validations: { movementSchemas, validate }
+  validations: { movementSchemas, validate },
+  concurrencyHelpers,
 } = require('../utils');
 const { Logger } = require('../middleware/logger');
 
@@ -15,6 +21,7 @@ const { Logger } = require('../middleware/logger');
 const createPayment = [
   // Middleware de subida de archivo (voucher)
   uploadVoucher.single('voucher'),
+  idempotency({ multipart: true }),
 
   asyncHandler(async (req, res) => {
     // Validar request
@@ -41,19 +48,67 @@ const createPayment = [
           tipo_movimiento_especifico: result.movement.tipo_movimiento_especifico,
           monto: result.movement.monto,
           estado: result.movement.estado,
-          voucher_url: result.movement.voucher_url,
+          voucher_path: movementService.voucherPath(result.movement),
           created_at: result.movement.created_at,
         },
         auction_updated: {
           id: result.auction.id,
           estado: result.auction.estado,
         },
+        garantia: result.coverage,
       },
       message: 'Transacción registrada exitosamente',
     });
   })
 ];
 
+/**
+ * Pagar garantía con saldo disponible (opcionalmente + transferencia por el resto)
+ * POST /api/movements/apply-balance
+ */
+const applyBalance = [
+  // Voucher solo si se registra la transferencia por el resto
+  uploadVoucher.single('voucher'),
+  idempotency({ multipart: true }),
+
+  asyncHandler(async (req, res) => {
+    const payload = validate(movementSchemas.applyBalance, req.body);
+
+    Logger.info(`Cliente ${req.user.email} pagando garantía con saldo disponible`, {
+      auction_id: payload.auction_id,
+      monto_saldo: payload.monto_saldo,
+      monto_transferencia: payload.monto,
+    });
+
+    const result = await movementService.applyBalanceToGuarantee(req.user.id, payload, req.file);
+
+    const summary = (movement) => ({
+      id: movement.id,
+      tipo_movimiento_especifico: movement.tipo_movimiento_especifico,
+      tipo_pago: movement.tipo_pago,
+      monto: movement.monto,
+      moneda: movement.moneda,
+      estado: movement.estado,
+      voucher_path: movementService.voucherPath(movement),
+      created_at: movement.created_at,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        movement: summary(result.movement),
+        transfer_movement: result.transfer_movement ? summary(result.transfer_movement) : null,
+        auction_updated: {
+          id: result.auction.id,
+          estado: result.auction.estado,
+        },
+        garantia: result.coverage,
+      },
+      message: 'Saldo disponible aplicado a la garantía',
+    });
+  })
+];
+
 /**
  * Listar movements (admin: todos, client: propios)
  * GET /api/movements
@@ -87,13 +142,11 @@ const getMovementById = asyncHandler(async (req, res) => {
 
   Logger.info(`Detalle movement ${id} - ${req.user.user_type}: ${req.user.email}`, { include });
 
-  const movement = await movementService.getMovementById(
-    id,
-    req.user.user_type,
-    req.user.id,
-    include
-  );
+  const movement = await movementService.getMovementById(id, include, {
+    adminView: req.user.user_type === 'admin',
+  });
 
+  res.set('ETag', concurrencyHelpers.etag(movement.version));
   res.status(200).json({
     success: true,
     data: {
@@ -102,6 +155,76 @@ const getMovementById = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Cola de validación de pagos pendientes (ordenada por riesgo de vencimiento)
+ * GET /api/movements/validation-queue
+ */
+const getValidationQueue = asyncHandler(async (req, res) => {
+  const filters = validate(movementSchemas.queueFilters, req.query);
+
+  Logger.info(`Admin ${req.user.email} consultando cola de validación`, { filters });
+
+  const result = await paymentQueueService.getQueue(filters, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Tomar un pago de la cola de validación
+ * PATCH /api/movements/:id/claim
+ */
+const claimPayment = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const movement = await paymentQueueService.claim(id, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: { movement },
+    message: 'Pago asignado a tu cola de validación',
+  });
+});
+
+/**
+ * Liberar un pago tomado (vuelve a la cola sin asignar)
+ * PATCH /api/movements/:id/release
+ */
+const releasePayment = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const movement = await paymentQueueService.release(
+    id,
+    req.user,
+    hasPermission(req.permissions, 'payments:assign')
+  );
+
+  res.status(200).json({
+    success: true,
+    data: { movement },
+    message: 'Pago liberado',
+  });
+});
+
+/**
+ * Asignar un pago de la cola a un admin
+ * PATCH /api/movements/:id/assign
+ */
+const assignPayment = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { admin_id } = validate(movementSchemas.assign, req.body);
+
+  const movement = await paymentQueueService.assign(id, admin_id, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: { movement },
+    message: 'Pago asignado',
+  });
+});
+
 /**
  * Aprobar pago de garantía (movement)
  * PATCH /api/movements/:id/approve
@@ -115,15 +238,19 @@ const approvePayment = asyncHandler(async (req, res) => {
   const result = await movementService.approvePaymentMovement(
     id,
     req.user.id,
-    comentarios
+    comentarios,
+    { expectedVersion: req.expectedVersion }
   );
 
+  res.set('ETag', concurrencyHelpers.etag(result.movement.version));
   res.status(200).json({
     success: true,
     data: {
       movement: {
         id: result.movement.id,
         estado: result.movement.estado,
+        version: result.movement.version,
+        monto_excedente: result.movement.monto_excedente,
         fecha_resolucion: result.movement.fecha_resolucion,
       },
       auction_updated: {
@@ -131,7 +258,9 @@ const approvePayment = asyncHandler(async (req, res) => {
         estado: result.auction.estado,
         finished_at: result.auction.finished_at,
       },
+      garantia: result.coverage,
       user: result.user,
+      ocr_check: voucherOcrService.compare(result.movement),
     },
     message: 'Transacción aprobada exitosamente',
   });
@@ -153,15 +282,18 @@ const rejectPayment = asyncHandler(async (req, res) => {
   const result = await movementService.rejectPaymentMovement(
     id,
     req.user.id,
-    rejectionData
+    rejectionData,
+    { expectedVersion: req.expectedVersion }
   );
 
+  res.set('ETag', concurrencyHelpers.etag(result.movement.version));
   res.status(200).json({
     success: true,
     data: {
       movement: {
         id: result.movement.id,
         estado: result.movement.estado,
+        version: result.movement.version,
         motivo_rechazo: result.movement.motivo_rechazo,
         fecha_resolucion: result.movement.fecha_resolucion,
       },
@@ -169,6 +301,7 @@ const rejectPayment = asyncHandler(async (req, res) => {
         id: result.auction.id,
         estado: result.auction.estado,
       },
+      garantia: result.coverage,
       user: result.user,
     },
     message: 'Transacción rechazada',
@@ -176,7 +309,43 @@ const rejectPayment = asyncHandler(async (req, res) => {
 });
 
 /**
- * Descargar voucher del movement
+ * Aprobar pagos en lote (una transacción por pago, resultado por item)
+ * POST /api/movements/batch/approve
+ */
+const approvePaymentsBatch = asyncHandler(async (req, res) => {
+  const { items } = validate(movementSchemas.batchApprove, req.body);
+
+  Logger.info(`Admin ${req.user.email} aprobando lote de ${items.length} pago(s)`);
+
+  const result = await movementService.reviewPaymentsBatch('approve', items, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: `${result.resumen.exitosos} de ${result.resumen.total} pago(s) aprobados`,
+  });
+});
+
+/**
+ * Rechazar pagos en lote (una transacción por pago, resultado por item)
+ * POST /api/movements/batch/reject
+ */
+const rejectPaymentsBatch = asyncHandler(async (req, res) => {
+  const { items } = validate(movementSchemas.batchReject, req.body);
+
+  Logger.warn(`Admin ${req.user.email} rechazando lote de ${items.length} pago(s)`);
+
+  const result = await movementService.reviewPaymentsBatch('reject', items, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: `${result.resumen.exitosos} de ${result.resumen.total} pago(s) rechazados`,
+  });
+});
+
+/**
+ * Descargar voucher del movement (redirección a URL firmada y temporal)
  * GET /api/movements/:id/voucher
  */
 const downloadVoucher = asyncHandler(async (req, res) => {
@@ -184,13 +353,9 @@ const downloadVoucher = asyncHandler(async (req, res) => {
 
   Logger.info(`Descargando voucher movement ${id} - ${req.user.user_type}: ${req.user.email}`);
 
-  const movement = await movementService.getMovementById(
-    id,
-    req.user.user_type,
-    req.user.id
-  );
+  const voucherUrl = await movementService.getVoucherReference(id);
 
-  if (!movement.voucher_url) {
+  if (!voucherUrl) {
     return res.status(404).json({
       success: false,
       error: {
@@ -201,14 +366,25 @@ const downloadVoucher = asyncHandler(async (req, res) => {
     });
   }
 
-  res.redirect(movement.voucher_url);
+  const { url } = await fileStorageService.signedUrl(voucherUrl);
+
+  // La URL firmada expira: no debe quedar en caché del navegador ni de proxies
+  res.set('Cache-Control', 'no-store');
+  res.redirect(url);
 });
 
 module.exports = {
   createPayment,
+  applyBalance,
   listMovements,
   getMovementById,
+  getValidationQueue,
+  claimPayment,
+  releasePayment,
+  assignPayment,
   approvePayment,
   rejectPayment,
+  approvePaymentsBatch,
+  rejectPaymentsBatch,
   downloadVoucher,
 };
\ No newline at end of file
@@ -2,8 +2,10 @@ const refundService = require('../services/refundService');
 const { asyncHandler } = require('../middleware/errorHandler');
 const {
   validations: { refundSchemas, querySchemas, validate },
+  concurrencyHelpers,
 } = require('../utils');
-const { uploadVoucher } = require('../config/cloudinary');
+const { uploadVoucher } = require('../config/uploads');
+const { idempotency } = require('../middleware/idempotency');
 const { Logger } = require('../middleware/logger');
 
 /**
@@ -34,8 +36,11 @@ const manageRefund = asyncHandler(async (req, res) => {
 
   Logger.info(`Admin ${req.user.email} gestionando refund ${id}`, payload);
 
-  const result = await refundService.manageRefund(id, req.user.id, payload);
+  const result = await refundService.manageRefund(id, req.user.id, payload, {
+    expectedVersion: req.expectedVersion,
+  });
 
+  res.set('ETag', concurrencyHelpers.etag(result.version));
   res.status(200).json({
     success: true,
     data: { refund: result },
@@ -49,6 +54,7 @@ const manageRefund = asyncHandler(async (req, res) => {
  */
 const processRefund = [
   uploadVoucher.single('voucher'),
+  idempotency({ multipart: true }),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
     // Datos opcionales; validación la ejecuta el service según tipo/estado
@@ -56,8 +62,11 @@ const processRefund = [
 
     Logger.info(`Admin ${req.user.email} procesando refund ${id}`);
 
-    const result = await refundService.processRefund(id, req.user.id, data, req.file);
+    const result = await refundService.processRefund(id, req.user.id, data, req.file, {
+      expectedVersion: req.expectedVersion,
+    });
 
+    res.set('ETag', concurrencyHelpers.etag(result.refund.version));
     res.status(200).json({
       success: true,
       data: {
@@ -97,7 +106,7 @@ const listRefunds = asyncHandler(async (req, res) => {
 /**
  * GET /refunds/:id — Detalle de refund
  * Query: include (CSV: user,auction)
- * Auth: Admin cualquiera; Client solo propio
+ * Auth: Admin cualquiera; Client solo propio (requireOwnership en la ruta)
  */
 const getRefundById = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -105,13 +114,9 @@ const getRefundById = asyncHandler(async (req, res) => {
 
   Logger.info(`Detalle refund ${id} - ${req.user.user_type}: ${req.user.email}`, { include });
 
-  const refund = await refundService.getRefundById(
-    id,
-    req.user.user_type,
-    req.user.id,
-    include
-  );
+  const refund = await refundService.getRefundById(id, include);
 
+  res.set('ETag', concurrencyHelpers.etag(refund.version));
   res.status(200).json({
     success: true,
     data: { refund },
@@ -121,7 +126,7 @@ const getRefundById = asyncHandler(async (req, res) => {
 /**
  * GET /users/:userId/refunds — Listar refunds por usuario
  * Query: estado, auction_id, fecha_desde, fecha_hasta, page, limit, include (CSV: user,auction)
- * Auth: Admin cualquiera; Client solo propio
+ * Auth: Admin cualquiera; Client solo propio (requireOwnership en la ruta)
  */
 const getRefundsByUser = asyncHandler(async (req, res) => {
   const { userId } = req.params;
@@ -132,12 +137,7 @@ const getRefundsByUser = asyncHandler(async (req, res) => {
     { filters }
   );
 
-  const result = await refundService.getRefundsByUser(
-    userId,
-    filters,
-    req.user.user_type,
-    req.user.id
-  );
+  const result = await refundService.getRefundsByUser(userId, filters);
 
   res.status(200).json({
     success: true,
@@ -0,0 +1,104 @@
+const roleService = require('../services/roleService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  validations: { roleSchemas, validate },
+} = require('../utils');
+const { Logger } = require('../middleware/logger');
+
+/**
+ * Listar roles con sus permisos
+ * GET /roles
+ */
+const listRoles = asyncHandler(async (req, res) => {
+  const roles = await roleService.listRoles();
+
+  res.status(200).json({
+    success: true,
+    data: { roles },
+  });
+});
+
+/**
+ * Catálogo de permisos disponibles
+ * GET /roles/permissions
+ */
+const listPermissions = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { permissions: roleService.listPermissions() },
+  });
+});
+
+/**
+ * Crear rol
+ * POST /roles
+ * Body: { name, description?, permissions: string[] }
+ */
+const createRole = asyncHandler(async (req, res) => {
+  const data = validate(roleSchemas.createRole, req.body);
+
+  const role = await roleService.createRole(data, req.user);
+
+  res.status(201).json({
+    success: true,
+    data: { role },
+    message: 'Rol creado exitosamente',
+  });
+});
+
+/**
+ * Actualizar rol (descripción y/o reemplazo de permisos)
+ * PATCH /roles/:id
+ */
+const updateRole = asyncHandler(async (req, res) => {
+  const data = validate(roleSchemas.updateRole, req.body);
+
+  const role = await roleService.updateRole(req.params.id, data, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: { role },
+    message: 'Rol actualizado exitosamente',
+  });
+});
+
+/**
+ * Eliminar rol personalizado
+ * DELETE /roles/:id
+ */
+const deleteRole = asyncHandler(async (req, res) => {
+  await roleService.deleteRole(req.params.id, req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Rol eliminado exitosamente',
+  });
+});
+
+/**
+ * Asignar rol a un administrador
+ * PATCH /auth/admins/:userId/role
+ * Body: { role }
+ */
+const assignRole = asyncHandler(async (req, res) => {
+  const { role } = validate(roleSchemas.assignRole, req.body);
+
+  Logger.info(`Admin ${req.user.email} asignando rol ${role} a usuario ${req.params.userId}`);
+
+  const admin = await roleService.assignRole(req.params.userId, role, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: { admin },
+    message: 'Rol asignado exitosamente',
+  });
+});
+
+module.exports = {
+  listRoles,
+  listPermissions,
+  createRole,
+  updateRole,
+  deleteRole,
+  assignRole,
+};
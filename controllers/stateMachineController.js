@@ -0,0 +1,41 @@
+const stateMachineService = require('../services/stateMachineService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  validations: { querySchemas, validate },
+} = require('../utils');
+
+/**
+ * Listar máquinas de estado (estados y transiciones de cada entidad)
+ * GET /state-machines
+ */
+const listStateMachines = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { machines: stateMachineService.listMachines() },
+  });
+});
+
+/**
+ * Exportar diagrama de una máquina de estado
+ * GET /state-machines/:entity
+ * Query: format = json | mermaid | dot (mermaid y dot se entregan como text/plain)
+ */
+const getStateMachineDiagram = asyncHandler(async (req, res) => {
+  const { format } = validate(querySchemas.stateMachineDiagram, req.query);
+
+  const diagram = stateMachineService.exportDiagram(req.params.entity, format);
+
+  if (format === 'json') {
+    return res.status(200).json({
+      success: true,
+      data: { machine: diagram },
+    });
+  }
+
+  res.status(200).type('text/plain').send(diagram);
+});
+
+module.exports = {
+  listStateMachines,
+  getStateMachineDiagram,
+};
@@ -8,15 +8,29 @@ const {
   notFound,
   extractSession,
   renewSession,
+  idempotency,
 } = require('./middleware');
 const { Logger } = require('./middleware/logger');
+const fileStorageService = require('./services/fileStorageService');
 
 // Validar configuración antes de iniciar
 validateConfig();
 
+try {
+  fileStorageService.init();
+} catch (error) {
+  console.error(`❌ Almacenamiento de archivos (${config.storage.driver}):`, error.message);
+  process.exit(1);
+}
+
 const app = express();
 const PORT = config.port;
 
+// IP real del cliente detrás de proxy (se registra en las sesiones)
+if (config.session.trustProxy) {
+  app.set('trust proxy', config.session.trustProxy);
+}
+
 // Conectar a la base de datos
 connectDB();
 
@@ -47,6 +61,9 @@ app.use(extractSession);
 // Middleware para renovar sesión
 app.use(renewSession);
 
+// Header Idempotency-Key en POST/PATCH (multipart: en el controller, después de multer)
+app.use(idempotency());
+
 // Health check endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -67,6 +84,13 @@ app.use('/jobs', require('./routes/jobs'));
 app.use('/billing', require('./routes/billing'));
 app.use('/notifications', require('./routes/notifications'));
 app.use('/refunds', require('./routes/refunds'));
+app.use('/roles', require('./routes/roles'));
+app.use('/audit', require('./routes/audit'));
+app.use('/state-machines', require('./routes/stateMachines'));
+app.use('/business-rules', require('./routes/businessRules'));
+app.use('/exchange-rates', require('./routes/exchangeRates'));
+app.use('/bank-statements', require('./routes/bankStatements'));
+app.use('/files', require('./routes/files'));
 
 // 404 handler - Express 5.x compatible
 app.use((req, res, next) => {
@@ -7,6 +7,14 @@ const {
   timeHelpers,
 } = require('../utils');
 const { Logger } = require('../middleware/logger');
+const { sweepExpiredSessions } = require('../middleware/auth');
+const clientAuthService = require('../services/clientAuthService');
+const idempotencyService = require('../services/idempotencyService');
+const stateMachineService = require('../services/stateMachineService');
+const movementService = require('../services/movementService');
+const reconciliationService = require('../services/reconciliationService');
+const balanceService = require('../services/balanceService');
+const paymentQueueService = require('../services/paymentQueueService');
 
 class AuctionJobs {
   
@@ -76,21 +84,27 @@ class AuctionJobs {
       // Aquí solo se marca la garantía actual como perdedora y la subasta como 'vencida'.
 
       // 1. Marcar garantía actual como perdedora
-      await tx.guarantee.update({
-        where: { id: currentGuarantee.id },
-        data: { estado: 'perdedora' },
+      await stateMachineService.transition(tx, 'guarantee', currentGuarantee, 'perdedora', {
+        event: 'payment_expired',
       });
 
       // 2. Actualizar estado de subasta a 'vencida'
-      await tx.auction.update({
-        where: { id: auction.id },
-        data: { estado: 'vencida' },
+      await stateMachineService.transition(tx, 'auction', auction, 'vencida', {
+        metadata: { guarantee_id: currentGuarantee.id },
       });
 
+      // 3. Pagos parciales ya validados vuelven al saldo disponible del cliente
+      const released = await movementService.releasePartialPayments(
+        tx,
+        currentGuarantee,
+        `Liberación de pagos parciales por vencimiento del plazo - Subasta ${auction.asset.placa}`
+      );
+
       return {
         auction_id: auction.id,
         previous_winner: formatters.fullName(currentWinner),
         penalty_applied: 0,
+        partial_payments_released: released ? Number(released.monto) : 0,
         placa: auction.asset.placa,
       };
     });
@@ -174,14 +188,57 @@ class AuctionJobs {
   }
   
   /**
-   * Limpiar sesiones expiradas (complementa el middleware de auth)
+   * Limpiar sesiones expiradas del store configurado (memory | prisma | redis),
+   * códigos de login y claves de idempotencia vencidos
    */
   async cleanupExpiredSessions() {
-    // Este job complementa la limpieza automática del middleware de auth
-    Logger.info('🧹 Sesiones - limpieza manejada por middleware de auth');
-    return { message: 'Limpieza manejada por middleware' };
+    Logger.info('🧹 Iniciando limpieza de sesiones expiradas');
+    const removed = await sweepExpiredSessions();
+    const loginCodesRemoved = await clientAuthService.purgeExpiredCodes();
+    const idempotencyKeysRemoved = await idempotencyService.purgeExpired();
+    Logger.info(
+      `✅ Limpieza completada: ${removed} sesiones, ${loginCodesRemoved} códigos de login, ${idempotencyKeysRemoved} claves de idempotencia eliminados`
+    );
+    return { removed, login_codes_removed: loginCodesRemoved, idempotency_keys_removed: idempotencyKeysRemoved };
   }
   
+  /**
+   * Reconciliar saldos de clientes contra su historial (solo reporte; la reparación es manual)
+   */
+  async reconcileBalances() {
+    Logger.info('🧮 Iniciando reconciliación de saldos');
+
+    const report = await reconciliationService.run({ only_discrepancies: true });
+
+    report.results.forEach((result) => {
+      Logger.warn(`⚠️  Discrepancia de saldos: ${result.user.name} (${result.user.email})`, {
+        differences: result.differences,
+        offending_records: result.offending_records,
+      });
+    });
+
+    Logger.info(`✅ Reconciliación completada: ${report.users_checked} clientes, ${report.users_with_discrepancies} con discrepancias`);
+
+    return {
+      users_checked: report.users_checked,
+      users_with_discrepancies: report.users_with_discrepancies,
+      user_ids: report.results.map((r) => r.user_id),
+    };
+  }
+
+  /**
+   * Registrar saldos de cierre del mes anterior (BalanceSnapshot)
+   */
+  async createBalanceSnapshots() {
+    Logger.info('📸 Registrando saldos de cierre de mes');
+
+    const result = await balanceService.createMonthEndSnapshots();
+
+    Logger.info(`✅ Cierre ${result.period}: ${result.created} registrados, ${result.skipped} ya existentes`);
+
+    return result;
+  }
+
   /**
    * Generar reporte diario de actividades
    */
@@ -246,8 +303,14 @@ class AuctionJobs {
         pagos_validados: pagosValidados,
         subastas_finalizadas: subastasFinalizadas,
         movimientos_totales: movimientosTotales,
+        // Cola de validación: pagos pendientes que superan el SLA
+        validacion_pagos: await paymentQueueService.slaReport(),
       };
       
+      if (report.validacion_pagos.sla_vencidos > 0) {
+        Logger.warn(`⏰ ${report.validacion_pagos.sla_vencidos} pago(s) pendientes superan el SLA de validación de ${report.validacion_pagos.sla_horas}h`);
+      }
+      
       Logger.info('📈 Reporte diario generado:', report);
       
       return report;
@@ -300,8 +363,32 @@ class AuctionJobs {
       timezone: 'America/Lima',
     });
     
-    // Limpieza de sesiones cada 4 horas (complementa middleware)
-    cron.schedule('0 */4 * * *', async () => {
+    // Reconciliación de saldos a las 5:30 AM (antes del reporte diario)
+    cron.schedule('30 5 * * *', async () => {
+      try {
+        await this.reconcileBalances();
+      } catch (error) {
+        Logger.error('❌ Error en job de reconciliación de saldos:', error);
+      }
+    }, {
+      name: 'reconcile-balances',
+      timezone: 'America/Lima',
+    });
+    
+    // Saldos de cierre del mes anterior: día 1 a las 00:15
+    cron.schedule('15 0 1 * *', async () => {
+      try {
+        await this.createBalanceSnapshots();
+      } catch (error) {
+        Logger.error('❌ Error en job de saldos de cierre:', error);
+      }
+    }, {
+      name: 'balance-snapshots',
+      timezone: 'America/Lima',
+    });
+    
+    // Limpieza de sesiones expiradas cada 10 minutos
+    cron.schedule('*/10 * * * *', async () => {
       try {
         await this.cleanupExpiredSessions();
       } catch (error) {
@@ -316,8 +403,10 @@ class AuctionJobs {
     Logger.info('📅 Cronograma activo:');
     Logger.info('   • Subastas vencidas: cada 30 minutos');
     Logger.info('   • Próximos vencimientos: cada hora');
+    Logger.info('   • Reconciliación de saldos: 5:30 AM');
     Logger.info('   • Reporte diario: 6:00 AM');
-    Logger.info('   • Limpieza: cada 4 horas');
+    Logger.info('   • Saldos de cierre de mes: día 1, 00:15');
+    Logger.info('   • Limpieza de sesiones: cada 10 minutos');
   }
   
   /**
@@ -330,6 +419,8 @@ class AuctionJobs {
       'process-expired': () => this.processExpiredAuctions(),
       'check-upcoming': () => this.checkUpcomingExpirations(),
       'daily-report': () => this.generateDailyReport(),
+      'reconcile-balances': () => this.reconcileBalances(),
+      'balance-snapshots': () => this.createBalanceSnapshots(),
       'cleanup-sessions': () => this.cleanupExpiredSessions(),
     };
     
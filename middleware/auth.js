@@ -1,35 +1,48 @@
 const { v4: uuidv4 } = require('uuid');
-const { UnauthorizedError, ForbiddenError, BusinessErrors } = require('./errorHandler');
+const { UnauthorizedError, ForbiddenError, NotFoundError, BusinessErrors } = require('./errorHandler');
 const { Logger } = require('./logger');
 
-// Store de sesiones en memoria (en producción usar Redis)
-const sessions = new Map();
+const { createSessionStore } = require('../config/sessionStore');
+const { securityHelpers } = require('../utils/helpers');
+const { ALL_PERMISSIONS } = require('../config/permissions');
 
-// Limpiar sesiones expiradas cada 10 minutos
-setInterval(() => {
-  const now = Date.now();
-  for (const [sessionId, session] of sessions.entries()) {
-    if (now > session.expiresAt) {
-      sessions.delete(sessionId);
-      Logger.info(`Sesión expirada eliminada: ${sessionId}`);
-    }
-  }
-}, 10 * 60 * 1000);
+// Store de sesiones configurable (memory | prisma | redis) según SESSION_STORE
+let sessionStore = createSessionStore();
+
+// Reemplazar el store activo (útil para pruebas o arranque con un cliente propio)
+const setSessionStore = (store) => {
+  sessionStore = store;
+};
+
+const getSessionStore = () => sessionStore;
+
+// Datos del cliente HTTP que se guardan con la sesión (para listados y revocación)
+const getRequestClientInfo = (req) => ({
+  ip: req.ip || null,
+  userAgent: req.get('user-agent')?.slice(0, 255) || null,
+});
+
+// Identificador público de una sesión: nunca exponer el session_id (es la credencial)
+const getSessionHandle = (sessionId) => securityHelpers.hashToken(sessionId).slice(0, 32);
 
 // Crear nueva sesión
-const createSession = (user, expiryHours = 1) => {
+const createSession = async (user, expiryHours = 1, { ip = null, userAgent = null } = {}) => {
   const sessionId = uuidv4();
-  const expiresAt = Date.now() + (expiryHours * 60 * 60 * 1000);
+  const now = Date.now();
+  const expiresAt = now + (expiryHours * 60 * 60 * 1000);
   
   const session = {
     id: sessionId,
+    handle: getSessionHandle(sessionId),
     user,
-    createdAt: Date.now(),
+    createdAt: now,
     expiresAt,
-    lastAccess: Date.now(),
+    lastAccess: now,
+    ip,
+    userAgent,
   };
   
-  sessions.set(sessionId, session);
+  await sessionStore.set(session);
   
   Logger.info(`Nueva sesión creada para usuario: ${user.email} (${user.user_type})`);
   
@@ -40,38 +53,69 @@ const createSession = (user, expiryHours = 1) => {
 };
 
 // Obtener sesión válida
-const getSession = (sessionId) => {
-  const session = sessions.get(sessionId);
+const getSession = async (sessionId) => {
+  const session = await sessionStore.get(sessionId);
   
   if (!session) {
     return null;
   }
   
   if (Date.now() > session.expiresAt) {
-    sessions.delete(sessionId);
+    await sessionStore.destroy(sessionId);
     return null;
   }
   
-  // Actualizar último acceso
+  // Actualizar último acceso (se persiste en renewSession)
   session.lastAccess = Date.now();
   return session;
 };
 
 // Eliminar sesión
-const destroySession = (sessionId) => {
-  const deleted = sessions.delete(sessionId);
+const destroySession = async (sessionId) => {
+  const deleted = await sessionStore.destroy(sessionId);
   if (deleted) {
     Logger.info(`Sesión eliminada: ${sessionId}`);
   }
   return deleted;
 };
 
+// Eliminar todas las sesiones de un usuario (ej. tras cambio de contraseña)
+const destroyUserSessions = async (userId, { exceptSessionId = null } = {}) => {
+  const removed = await sessionStore.destroyByUser(userId, { exceptSessionId });
+  if (removed > 0) {
+    Logger.info(`Sesiones eliminadas para usuario ${userId}: ${removed}`);
+  }
+  return removed;
+};
+
+// Sesiones vigentes, opcionalmente filtradas por usuario o tipo (más reciente primero)
+const listActiveSessions = async ({ userId = null, userType = null } = {}) => {
+  const sessions = await sessionStore.list({ userId, userType, now: Date.now() });
+  return sessions.sort((a, b) => b.lastAccess - a.lastAccess);
+};
+
+// Buscar una sesión vigente por su identificador público (guardado con la sesión)
+const findSessionByHandle = async (handle) => {
+  const session = await sessionStore.findByHandle(handle);
+  if (!session || Date.now() > session.expiresAt) return null;
+  return session;
+};
+
+// Eliminar sesiones expiradas (invocado por el job programado cleanup_sessions)
+const sweepExpiredSessions = async () => {
+  const removed = await sessionStore.sweepExpired(Date.now());
+  if (removed > 0) {
+    Logger.info(`Sesiones expiradas eliminadas: ${removed}`);
+  }
+  return removed;
+};
+
 // Middleware para extraer sesión de headers
-const extractSession = (req, res, next) => {
+const extractSession = async (req, res, next) => {
   const sessionId = req.headers['x-session-id'] || req.headers['authorization']?.replace('Bearer ', '');
   
   if (sessionId) {
-    const session = getSession(sessionId);
+    const session = await getSession(sessionId);
     if (session) {
       req.user = session.user;
       req.session = session;
@@ -110,59 +154,142 @@ const requireAdmin = requireRole(['admin']);
 // Middleware específico para rutas de cliente
 const requireClient = requireRole(['client']);
 
-// Middleware para validar acceso por ruta (según la arquitectura de BOB)
-const validateRouteAccess = (req, res, next) => {
-  const path = req.path;
-  const user = req.user;
+// Cargar permisos del rol del admin (una consulta por request)
+const loadPermissions = async (req) => {
+  if (req.permissions) return req.permissions;
   
-  // Rutas públicas (sin autenticación)
-  const publicRoutes = ['/health', '/api/auth'];
-  if (publicRoutes.some(route => path.startsWith(route))) {
-    return next();
-  }
+  const { prisma } = require('../config/database');
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: {
+      role: {
+        select: {
+          name: true,
+          permissions: { select: { key: true } },
+        },
+      },
+    },
+  });
   
-  // Todas las demás rutas requieren autenticación
-  if (!user) {
-    throw new UnauthorizedError('Autenticación requerida');
-  }
+  req.role = user?.role?.name || null;
+  req.permissions = new Set((user?.role?.permissions || []).map((p) => p.key));
+  return req.permissions;
+};
+
+// Verificar un permiso sobre un conjunto ya cargado
+const hasPermission = (permissions, key) => permissions.has(ALL_PERMISSIONS) || permissions.has(key);
+
+/**
+ * Middleware para exigir permisos nominales (RBAC) a administradores
+ * - required: permiso o lista de permisos (se exigen todos)
+ * - allowClients: rutas compartidas donde el cliente accede a sus propios datos;
+ *   el cliente pasa y el control de propiedad se aplica aparte
+ */
+const requirePermission = (required, { allowClients = false } = {}) => {
+  const requiredList = Array.isArray(required) ? required : [required];
   
-  // Validar acceso por tipo de usuario y ruta
-  if (path.startsWith('/api/admin') || path.includes('admin')) {
-    if (user.user_type !== 'admin') {
-      throw new ForbiddenError('Solo administradores pueden acceder a esta ruta');
+  return async (req, res, next) => {
+    if (!req.user) {
+      throw new UnauthorizedError('Sesión requerida');
+    }
+    
+    if (req.user.user_type === 'client' && allowClients) {
+      return next();
     }
+    
+    if (req.user.user_type !== 'admin') {
+      throw new ForbiddenError('Acceso denegado. Se requiere rol: admin');
+    }
+    
+    const permissions = await loadPermissions(req);
+    const missing = requiredList.filter((key) => !hasPermission(permissions, key));
+    
+    if (missing.length > 0) {
+      Logger.warn(`Permiso denegado a ${req.user.email} (${req.role || 'sin rol'}): ${missing.join(', ')} en ${req.method} ${req.originalUrl}`);
+      throw new ForbiddenError(`Permiso requerido: ${missing.join(', ')}`);
+    }
+    
+    next();
+  };
+};
+
+// Recursos con dueño: de dónde sale el id y cómo se obtiene el user_id propietario
+const OWNED_RESOURCES = {
+  user: { param: 'userId' },
+  movement: { param: 'id', model: 'movement', label: 'Movement' },
+  billing: { param: 'id', model: 'billing', label: 'Billing' },
+  refund: { param: 'id', model: 'refund', label: 'Refund' },
+};
+
+/**
+ * Middleware de propiedad de recursos (control central para clientes)
+ * - Admin: pasa (su alcance lo define requirePermission)
+ * - Cliente: solo accede a recursos cuyo user_id es el suyo; 404 si no existe, 403 si es ajeno
+ * Uso: router.get('/:id', requirePermission(...), requireOwnership('movement'), handler)
+ */
+const requireOwnership = (resource) => {
+  const definition = OWNED_RESOURCES[resource];
+  if (!definition) {
+    throw new Error(`Recurso sin regla de propiedad: ${resource}`);
   }
   
-  // Los clientes pueden acceder a rutas generales y sus propios recursos
-  if (user.user_type === 'client') {
-    // Validar que solo acceden a sus propios recursos
-    const userId = req.params.userId || req.params.id;
-    if (userId && userId !== user.id) {
+  return async (req, res, next) => {
+    if (!req.user) {
+      throw new UnauthorizedError('Sesión requerida');
+    }
+    
+    if (req.user.user_type === 'admin') {
+      return next();
+    }
+    
+    const resourceId = req.params[definition.param];
+    let ownerId = resourceId;
+    
+    if (definition.model) {
+      const { prisma } = require('../config/database');
+      const record = await prisma[definition.model].findUnique({
+        where: { id: resourceId },
+        select: { user_id: true },
+      });
+      if (!record) {
+        throw new NotFoundError(definition.label);
+      }
+      ownerId = record.user_id;
+    }
+    
+    if (ownerId !== req.user.id) {
+      Logger.warn(`Acceso denegado a ${resource} ${resourceId} de otro usuario: ${req.user.email}`);
       throw new ForbiddenError('Solo puede acceder a sus propios recursos');
     }
-  }
-  
-  next();
+    
+    next();
+  };
 };
 
 // Middleware para renovar sesión en cada request válido
-const renewSession = (req, res, next) => {
+const renewSession = async (req, res, next) => {
   if (req.session) {
     // Extender expiración por 1 hora más
     req.session.expiresAt = Date.now() + (60 * 60 * 1000);
+    await sessionStore.touch(req.session.id, {
+      lastAccess: req.session.lastAccess,
+      expiresAt: req.session.expiresAt,
+    });
   }
   next();
 };
 
 // Obtener estadísticas de sesiones (útil para admin)
-const getSessionStats = () => {
+const getSessionStats = async () => {
+  const now = Date.now();
+  const active = (await sessionStore.all()).filter((session) => now <= session.expiresAt);
   const stats = {
-    total: sessions.size,
+    total: active.length,
     admin: 0,
     client: 0,
   };
   
-  for (const session of sessions.values()) {
+  for (const session of active) {
     stats[session.user.user_type]++;
   }
   
@@ -173,12 +300,23 @@ module.exports = {
   createSession,
   getSession,
   destroySession,
+  destroyUserSessions,
+  listActiveSessions,
+  findSessionByHandle,
+  getSessionHandle,
+  getRequestClientInfo,
+  sweepExpiredSessions,
+  setSessionStore,
+  getSessionStore,
   extractSession,
   requireAuth,
   requireRole,
   requireAdmin,
   requireClient,
-  validateRouteAccess,
+  requirePermission,
+  loadPermissions,
+  hasPermission,
+  requireOwnership,
   renewSession,
   getSessionStats,
 };
\ No newline at end of file
@@ -0,0 +1,20 @@
+const { ValidationError } = require('./errorHandler');
+const { concurrencyHelpers } = require('../utils/helpers');
+
+/**
+ * Header If-Match (concurrencia optimista)
+ * Deja en req.expectedVersion la versión que el cliente leyó (ETag de GET o de la última respuesta),
+ * o null si no envió precondición. Los services responden 409 RESOURCE_MODIFIED si la versión cambió
+ */
+const ifMatch = (req, res, next) => {
+  const expectedVersion = concurrencyHelpers.parseIfMatch(req.get('If-Match'));
+  if (expectedVersion === undefined) {
+    throw new ValidationError('If-Match inválido: use el ETag recibido (ej. "3")', { field: 'If-Match' });
+  }
+  req.expectedVersion = expectedVersion;
+  next();
+};
+
+module.exports = {
+  ifMatch,
+};
@@ -61,9 +61,28 @@ class BusinessErrors {
     );
   }
   
+  static InvalidStateTransition(entity, label, from, to, allowed = []) {
+    const hint = allowed.length ? ` Estados válidos: ${allowed.join(', ')}` : ' No admite transiciones desde este estado.';
+    return new AppError(
+      `${label}: no se puede cambiar de '${from}' a '${to}'.${hint}`,
+      409,
+      'INVALID_STATE_TRANSITION',
+      { entity, from, to, allowed }
+    );
+  }
+
+  static ResourceModified(entity, label, expectedVersion, currentVersion) {
+    return new AppError(
+      `${label}: el registro fue modificado por otra operación. Vuelva a consultarlo e intente nuevamente`,
+      409,
+      'RESOURCE_MODIFIED',
+      { entity, expected_version: expectedVersion, current_version: currentVersion }
+    );
+  }
+
   static InvalidAmount(expected, received) {
     return new ValidationError(
-      'El monto debe coincidir exactamente con el 8%',
+      'El monto debe coincidir exactamente con la garantía requerida',
       { expected, received, field: 'monto_garantia' }
     );
   }
@@ -89,6 +108,47 @@ class BusinessErrors {
     );
   }
   
+  static InvalidCredentials() {
+    return new AppError('Email o contraseña incorrectos', 401, 'INVALID_CREDENTIALS');
+  }
+
+  static AccountLocked(lockedUntil) {
+    return new AppError(
+      'Cuenta bloqueada temporalmente por intentos fallidos. Intente más tarde',
+      423,
+      'ACCOUNT_LOCKED',
+      { locked_until: lockedUntil }
+    );
+  }
+
+  static TooManyRequests(message, retryAfterSeconds) {
+    return new AppError(message, 429, 'TOO_MANY_REQUESTS', { retry_after_seconds: retryAfterSeconds });
+  }
+
+  static InvalidLoginCode(attemptsLeft) {
+    return new AppError(
+      'Código de verificación inválido o expirado',
+      401,
+      'INVALID_LOGIN_CODE',
+      { attempts_left: attemptsLeft }
+    );
+  }
+
+  static IdempotencyKeyReused() {
+    return new AppError(
+      'La clave Idempotency-Key ya se usó con una petición distinta',
+      422,
+      'IDEMPOTENCY_KEY_REUSED'
+    );
+  }
+
+  static IdempotentRequestInProgress() {
+    return new ConflictError(
+      'Hay una petición con la misma clave Idempotency-Key en curso. Reintente en unos segundos',
+      'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+    );
+  }
+
   static FileTooLarge(maxSize) {
     return new ValidationError(
       `Archivo demasiado grande. Tamaño máximo: ${maxSize / 1024 / 1024}MB`,
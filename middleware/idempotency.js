@@ -0,0 +1,87 @@
+const idempotencyService = require('../services/idempotencyService');
+const { ValidationError } = require('./errorHandler');
+const { Logger } = require('./logger');
+
+const IDEMPOTENT_METHODS = ['POST', 'PATCH'];
+
+// Clave opaca generada por el cliente (UUID recomendado): ASCII visible, hasta 255 caracteres
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// Rutas excluidas: sus respuestas llevan credenciales (session_id, dev_code) que no se guardan en BD ni se reenvían
+const EXCLUDED_PREFIXES = ['/auth/'];
+
+// Respuestas que no se guardan: el reintento con la misma clave vuelve a ejecutarse
+const isTransient = (status) => status >= 500 || status === 429;
+
+/**
+ * Header Idempotency-Key en POST/PATCH
+ * - Sin header la petición sigue sin cambios
+ * - Primera petición: se ejecuta y su respuesta (status + JSON) se guarda antes de enviarse
+ * - Reintento con la misma clave y el mismo body: devuelve la respuesta guardada con Idempotent-Replayed: true
+ * - Respuestas que no pasan por res.json (send, end, redirect, descargas) no se guardan: al terminar de
+ *   enviarse la clave se libera y el reintento vuelve a ejecutarse
+ * - La clave es por usuario de la sesión (o por IP sin sesión) y vence a las config.idempotency.ttlHours
+ * - /auth queda fuera: el header se ignora y cada login crea su propia sesión
+ *
+ * El body multipart recién existe después de multer: a nivel app se usa idempotency() y los
+ * controllers con archivo agregan idempotency({ multipart: true }) tras uploadVoucher
+ */
+const idempotency = ({ multipart = false } = {}) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key || !IDEMPOTENT_METHODS.includes(req.method) || req.idempotency) return next();
+  if (Boolean(req.is('multipart/form-data')) !== multipart) return next();
+  if (EXCLUDED_PREFIXES.some((prefix) => req.originalUrl.startsWith(prefix))) return next();
+
+  if (!KEY_PATTERN.test(key)) {
+    throw new ValidationError('Idempotency-Key inválida: hasta 255 caracteres ASCII visibles', { field: 'Idempotency-Key' });
+  }
+
+  const scope = req.user ? req.user.id : `anon:${req.ip}`;
+  const path = req.originalUrl;
+  const requestHash = idempotencyService.requestHash({
+    method: req.method,
+    path,
+    body: req.body,
+    file: req.file,
+  });
+
+  const result = await idempotencyService.begin({ scope, key, method: req.method, path, requestHash });
+
+  if (result.replay) {
+    Logger.info(`Respuesta idempotente reenviada: ${req.method} ${path}`, { scope, status: result.replay.status });
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(result.replay.status).json(result.replay.body);
+  }
+
+  req.idempotency = { id: result.id, key };
+  let captured = false;
+
+  // Guardar la respuesta antes de enviarla: un reintento posterior siempre la encuentra
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    captured = true;
+    const status = res.statusCode;
+    const store = isTransient(status)
+      ? idempotencyService.release(result.id)
+      : idempotencyService.complete(result.id, status, body);
+
+    store
+      .catch((error) => Logger.error(`Error guardando respuesta idempotente: ${error.message}`, { key, path }))
+      .finally(() => sendJson(body));
+    return res;
+  };
+
+  // Respuesta enviada sin res.json: no hay nada que reenviar. Si el cliente corta la conexión antes de
+  // la respuesta no se libera (el controller puede seguir ejecutándose); la clave vence por lockSeconds
+  res.on('finish', () => {
+    if (captured) return;
+    idempotencyService.release(result.id)
+      .catch((error) => Logger.error(`Error liberando clave idempotente: ${error.message}`, { key, path }));
+  });
+
+  next();
+};
+
+module.exports = {
+  idempotency,
+};
@@ -16,15 +16,21 @@ const {
   createSession,
   getSession,
   destroySession,
+  destroyUserSessions,
+  listActiveSessions,
+  sweepExpiredSessions,
   extractSession,
   requireAuth,
   requireRole,
   requireAdmin,
   requireClient,
-  validateRouteAccess,
+  requirePermission,
+  requireOwnership,
   renewSession,
   getSessionStats,
 } = require('./auth');
+const { idempotency } = require('./idempotency');
+const { ifMatch } = require('./concurrency');
 
 module.exports = {
   // Logger
@@ -47,12 +53,20 @@ module.exports = {
   createSession,
   getSession,
   destroySession,
+  destroyUserSessions,
+  listActiveSessions,
+  sweepExpiredSessions,
   extractSession,
   requireAuth,
   requireRole,
   requireAdmin,
   requireClient,
-  validateRouteAccess,
+  requirePermission,
+  requireOwnership,
   renewSession,
   getSessionStats,
+
+  // Idempotencia y concurrencia
+  idempotency,
+  ifMatch,
 };
\ No newline at end of file
@@ -0,0 +1,41 @@
+const { prisma } = require('../config/database');
+const ledgerService = require('../services/ledgerService');
+
+// Registra en el libro mayor los documentos previos a su introducción
+// (Movements validados, Billings y Refunds) y reproyecta User.saldo_*. Idempotente.
+async function main() {
+  console.log('📒 Iniciando backfill del libro mayor...');
+
+  const clients = await prisma.user.findMany({
+    where: { user_type: 'client', deleted_at: null },
+    select: { id: true, email: true, saldo_total: true, saldo_retenido: true },
+  });
+
+  let totalEntries = 0;
+  for (const client of clients) {
+    const { created, balances } = await prisma.$transaction(async (tx) => {
+      const count = await ledgerService.backfillUser(tx, client.id);
+      return { created: count, balances: await ledgerService.getUserBalances(tx, client.id) };
+    });
+    totalEntries += created;
+
+    const changed =
+      Number(client.saldo_total) !== balances.saldo_total ||
+      Number(client.saldo_retenido) !== balances.saldo_retenido;
+
+    console.log(
+      `${changed ? '⚠️ ' : '✅'} ${client.email}: ${created} asientos | total ${client.saldo_total} → ${balances.saldo_total}, retenido ${client.saldo_retenido} → ${balances.saldo_retenido}`
+    );
+  }
+
+  console.log(`✅ Backfill completado: ${clients.length} clientes, ${totalEntries} asientos creados`);
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Error en backfill del libro mayor:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -1,9 +1,52 @@
 const { PrismaClient } = require('@prisma/client');
+const { securityHelpers } = require('../utils/helpers');
+const { PERMISSIONS, DEFAULT_ROLES, ALL_PERMISSIONS } = require('../config/permissions');
+const { DEFAULT_BUSINESS_RULES } = require('../config/businessRules');
 const prisma = new PrismaClient();
 
+// Contraseña inicial del admin (solo se aplica si aún no tiene una)
+const DEV_ADMIN_PASSWORD = 'BobAdmin2024';
+
 async function main() {
   console.log('🌱 Iniciando seed de la base de datos...');
 
+  // Catálogo de permisos
+  const permissionEntries = [
+    [ALL_PERMISSIONS, 'Todos los permisos'],
+    ...Object.entries(PERMISSIONS),
+  ];
+  for (const [key, description] of permissionEntries) {
+    await prisma.permission.upsert({
+      where: { key },
+      update: { description },
+      create: { key, description },
+    });
+  }
+
+  // Roles base (se sincronizan sus permisos con el catálogo)
+  const roles = {};
+  for (const [name, def] of Object.entries(DEFAULT_ROLES)) {
+    const permissions = def.permissions.map((key) => ({ key }));
+    roles[name] = await prisma.role.upsert({
+      where: { name },
+      update: { description: def.description, is_system: true, permissions: { set: permissions } },
+      create: { name, description: def.description, is_system: true, permissions: { connect: permissions } },
+    });
+  }
+  console.log(`🔑 Roles sincronizados: ${Object.keys(roles).join(', ')}`);
+
+  // Versión 1 de reglas de negocio (valores históricos: garantía 8%, penalidad 30%)
+  await prisma.businessRule.upsert({
+    where: { version: 1 },
+    update: {},
+    create: {
+      version: 1,
+      ...DEFAULT_BUSINESS_RULES,
+      effective_from: new Date(0),
+      motivo: 'Valores iniciales',
+    },
+  });
+
   // Crear usuario admin
   const admin = await prisma.user.upsert({
     where: { email: 'admin@bobsubastas.com' },
@@ -16,9 +59,34 @@ async function main() {
       document_type: null, // Admin no tiene documento
       document_number: 'ADMIN001', // Identificador único para admin
       user_type: 'admin',
+      role_id: roles.superadmin.id,
     },
   });
 
+  // Admin inicial sin rol (bases previas al RBAC): asignar superadmin
+  if (!admin.role_id) {
+    await prisma.user.update({ where: { id: admin.id }, data: { role_id: roles.superadmin.id } });
+  }
+
+  // Credenciales iniciales del admin: ADMIN_INITIAL_PASSWORD o valor de desarrollo
+  const initialPassword = process.env.ADMIN_INITIAL_PASSWORD
+    || (process.env.NODE_ENV === 'development' ? DEV_ADMIN_PASSWORD : null);
+
+  if (!admin.password_hash) {
+    if (initialPassword) {
+      await prisma.user.update({
+        where: { id: admin.id },
+        data: {
+          password_hash: await securityHelpers.hashPassword(initialPassword),
+          password_updated_at: new Date(),
+        },
+      });
+      console.log('🔐 Contraseña inicial de admin establecida');
+    } else {
+      console.log('⚠️  Admin sin contraseña: defina ADMIN_INITIAL_PASSWORD o use POST /auth/admin/password-reset/request');
+    }
+  }
+
   // Cache de saldos ahora vive en User (saldo_total, saldo_retenido). No se usa tabla legacy de balances.
   // No es necesario crear registros adicionales para admin.
 
@@ -4,6 +4,7 @@ const {
   createAuction,
   getAuctions,
   getAuctionById,
+  getAuctionTimeline,
   updateAuctionStatus,
   extendPaymentDeadline,
   deleteAuction,
@@ -17,8 +18,9 @@ const {
 } = require('../controllers/guaranteeController');
 const {
   requireAuth,
-  requireAdmin
+  requirePermission,
 } = require('../middleware/auth');
+const { ifMatch } = require('../middleware/concurrency');
 
 // Aplicar autenticación a todas las rutas
 router.use(requireAuth);
@@ -26,21 +28,21 @@ router.use(requireAuth);
 /**
  * @route GET /api/auctions/stats
  * @desc Obtener estadísticas de subastas
- * @access Private (Admin only)
+ * @access Private (Admin con permiso auctions:read)
  */
-router.get('/stats', requireAdmin, getAuctionStats);
+router.get('/stats', requirePermission('auctions:read'), getAuctionStats);
 
 /**
  * @route GET /api/auctions/expired
  * @desc Obtener subastas vencidas para procesamiento
- * @access Private (Admin only)
+ * @access Private (Admin con permiso auctions:read)
  */
-router.get('/expired', requireAdmin, getExpiredAuctions);
+router.get('/expired', requirePermission('auctions:read'), getExpiredAuctions);
 
 /**
  * @route GET /api/auctions
  * @desc Listar subastas con filtros
- * @access Private (Admin and Client)
+ * @access Private (Admin and Client) — Admin requiere auctions:read
  * @query {string} estado - Filtrar por estados (separados por coma)
  * @query {string} search - Buscar por placa, marca, modelo, empresa
  * @query {string} fecha_desde - Fecha inicio del rango
@@ -48,82 +50,93 @@ router.get('/expired', requireAdmin, getExpiredAuctions);
  * @query {number} page - Número de página
  * @query {number} limit - Registros por página
  */
-router.get('/', getAuctions);
+router.get('/', requirePermission('auctions:read', { allowClients: true }), getAuctions);
 
 /**
  * @route POST /api/auctions
  * @desc Crear nueva subasta
- * @access Private (Admin only)
+ * @access Private (Admin con permiso auctions:create)
  * @body {object} auction - Datos de la subasta y activo
  */
-router.post('/', requireAdmin, createAuction);
+router.post('/', requirePermission('auctions:create'), createAuction);
 
 /**
  * @route GET /api/auctions/:id
  * @desc Obtener detalle de subasta específica
- * @access Private (Admin and Client)
+ * @access Private (Admin and Client) — Admin requiere auctions:read
  * @params {string} id - ID de la subasta
  */
-router.get('/:id', getAuctionById);
+router.get('/:id', requirePermission('auctions:read', { allowClients: true }), getAuctionById);
+
+/**
+ * @route GET /api/auctions/:id/timeline
+ * @desc Línea de tiempo cronológica: transiciones de subasta, garantías, movements, facturación y reembolsos
+ * @access Private (Admin con permiso auctions:read)
+ * @params {string} id - ID de la subasta
+ */
+router.get('/:id/timeline', requirePermission('auctions:read'), getAuctionTimeline);
 
 /**
  * @route PATCH /api/auctions/:id/status
  * @desc Cambiar estado de subasta
- * @access Private (Admin only)
+ * @access Private (Admin con permiso auctions:update)
  * @params {string} id - ID de la subasta
  * @body {string} estado - Nuevo estado
  * @body {string} motivo - Motivo del cambio (opcional)
+ * @header {string} If-Match - Opcional, ETag de la última lectura; si la subasta cambió → 409 RESOURCE_MODIFIED
  */
-router.patch('/:id/status', requireAdmin, updateAuctionStatus);
+router.patch('/:id/status', requirePermission('auctions:update'), ifMatch, updateAuctionStatus);
 
 /**
  * @route PATCH /api/auctions/:id/extend-deadline
  * @desc Extender plazo de pago de subasta
- * @access Private (Admin only)
+ * @access Private (Admin con permiso auctions:update)
  * @params {string} id - ID de la subasta
  * @body {string} fecha_limite_pago - Nueva fecha límite
  * @body {string} motivo - Motivo de la extensión (opcional)
+ * @header {string} If-Match - Opcional, ETag de la última lectura; si la subasta cambió → 409 RESOURCE_MODIFIED
  */
-router.patch('/:id/extend-deadline', requireAdmin, extendPaymentDeadline);
+router.patch('/:id/extend-deadline', requirePermission('auctions:update'), ifMatch, extendPaymentDeadline);
 
 /**
  * @route PATCH /api/auctions/:id/competition-result
  * @desc Registrar resultado de competencia externa (ganada | perdida | penalizada)
- * @access Private (Admin only)
+ * @access Private (Admin con permiso auctions:result)
  * @params {string} id - ID de la subasta
  * @body {string} resultado - 'ganada' | 'perdida' | 'penalizada'
  * @body {string} observaciones - Observaciones opcionales
+ * @header {string} If-Match - Opcional, ETag de la última lectura; si la subasta cambió → 409 RESOURCE_MODIFIED
  */
-router.patch('/:id/competition-result', requireAdmin, registerCompetitionResult);
+router.patch('/:id/competition-result', requirePermission('auctions:result'), ifMatch, registerCompetitionResult);
 
 /**
  * @route POST /api/auctions/:id/winner
  * @desc Registrar ganador de subasta
- * @access Private (Admin only)
+ * @access Private (Admin con permiso auctions:winner)
  * @params {string} id - ID de la subasta
  * @body {string} user_id - ID del usuario ganador
  * @body {number} monto_oferta - Monto de la oferta ganadora
  * @body {string} fecha_limite_pago - Fecha límite para el pago (opcional)
  */
-router.post('/:id/winner', requireAdmin, createWinner);
+router.post('/:id/winner', requirePermission('auctions:winner'), createWinner);
 
 /**
  * @route POST /api/auctions/:id/reassign-winner
  * @desc Reasignar ganador de subasta
- * @access Private (Admin only)
+ * @access Private (Admin con permiso auctions:winner)
  * @params {string} id - ID de la subasta
  * @body {string} user_id - ID del nuevo usuario ganador
  * @body {number} monto_oferta - Monto de la nueva oferta
  * @body {string} motivo_reasignacion - Motivo de la reasignación (opcional)
  */
-router.post('/:id/reassign-winner', requireAdmin, reassignWinner);
+router.post('/:id/reassign-winner', requirePermission('auctions:winner'), reassignWinner);
 
 /**
  * @route DELETE /api/auctions/:id
  * @desc Eliminar subasta (solo sin ofertas)
- * @access Private (Admin only)
+ * @access Private (Admin con permiso auctions:delete)
  * @params {string} id - ID de la subasta
  */
-router.delete('/:id', requireAdmin, deleteAuction);
+router.delete('/:id', requirePermission('auctions:delete'), deleteAuction);
 
 module.exports = router;
\ No newline at end of file
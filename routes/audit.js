@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { listAuditEvents } = require('../controllers/auditController');
+const {
+  requireAuth,
+  requirePermission,
+} = require('../middleware/auth');
+
+// Autenticación y permiso de auditoría para todas las rutas
+router.use(requireAuth);
+router.use(requirePermission('audit:read'));
+
+/**
+ * @route GET /api/audit
+ * @desc Bitácora inmutable de acciones administrativas (más reciente primero)
+ * @access Private (Admin con permiso audit:read)
+ * @query {string} entity_type - auction | guarantee | movement | refund | user
+ * @query {string} entity_id - ID de la entidad
+ * @query {string} actor_id - ID del admin que ejecutó la acción
+ * @query {string} action - Ej. movement.approve, auction.status_change
+ * @query {string} fecha_desde - ISO
+ * @query {string} fecha_hasta - ISO
+ * @query {number} page - Número de página
+ * @query {number} limit - Registros por página
+ */
+router.get('/', listAuditEvents);
+
+module.exports = router;
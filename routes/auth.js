@@ -2,26 +2,96 @@ const express = require('express');
 const router = express.Router();
 const {
   clientLogin,
-  adminAccess,
+  verifyClientLogin,
+  adminLogin,
+  requestAdminPasswordReset,
+  resetAdminPassword,
+  changeAdminPassword,
+  listAdmins,
+  createAdmin,
   logout,
   validateSession,
   getSessionStats,
+  listMySessions,
+  revokeMySession,
+  revokeMyOtherSessions,
+  listActiveSessions,
+  revokeSession,
+  revokeUserSessions,
 } = require('../controllers/authController');
-const { requireAdmin } = require('../middleware/auth');
+const { requireAuth, requireAdmin, requirePermission } = require('../middleware/auth');
+const { assignRole } = require('../controllers/roleController');
 
 /**
  * @route POST /api/auth/client-login
- * @desc Identificar cliente por documento
+ * @desc Identificar cliente por documento y enviar código de un solo uso a su email
  * @access Public
+ * @body { document_type, document_number }
  */
 router.post('/client-login', clientLogin);
 
 /**
- * @route POST /api/auth/admin-access
- * @desc Acceso automático del administrador
+ * @route POST /api/auth/client-login/verify
+ * @desc Verificar código de un solo uso y crear sesión de cliente
  * @access Public
+ * @body { challenge_id, code }
  */
-router.post('/admin-access', adminAccess);
+router.post('/client-login/verify', verifyClientLogin);
+
+/**
+ * @route POST /api/auth/admin-login
+ * @desc Login de administrador con email y contraseña (bloqueo tras intentos fallidos)
+ * @access Public
+ * @body { email, password }
+ */
+router.post('/admin-login', adminLogin);
+
+/**
+ * @route POST /api/auth/admin/password-reset/request
+ * @desc Solicitar enlace de restablecimiento de contraseña (enviado por email)
+ * @access Public
+ * @body { email }
+ */
+router.post('/admin/password-reset/request', requestAdminPasswordReset);
+
+/**
+ * @route POST /api/auth/admin/password-reset
+ * @desc Establecer contraseña con token (reset o primer acceso)
+ * @access Public
+ * @body { token, password }
+ */
+router.post('/admin/password-reset', resetAdminPassword);
+
+/**
+ * @route PATCH /api/auth/admin/password
+ * @desc Cambiar contraseña del administrador autenticado
+ * @access Private (Admin only)
+ * @body { current_password, new_password }
+ */
+router.patch('/admin/password', requireAdmin, changeAdminPassword);
+
+/**
+ * @route GET /api/auth/admins
+ * @desc Listar administradores y estado de sus credenciales
+ * @access Private (Admin con permiso admins:manage)
+ */
+router.get('/admins', requirePermission('admins:manage'), listAdmins);
+
+/**
+ * @route POST /api/auth/admins
+ * @desc Crear administrador nominal (recibe email para establecer contraseña)
+ * @access Private (Admin con permiso admins:manage)
+ * @body { first_name, last_name, email, phone_number? }
+ */
+router.post('/admins', requirePermission('admins:manage'), createAdmin);
+
+/**
+ * @route PATCH /api/auth/admins/:userId/role
+ * @desc Asignar rol a un administrador
+ * @access Private (Admin con permiso admins:manage)
+ * @body { role }
+ */
+router.patch('/admins/:userId/role', requirePermission('admins:manage'), assignRole);
 
 /**
  * @route POST /api/auth/logout
@@ -40,8 +110,54 @@ router.get('/session', validateSession);
 /**
  * @route GET /api/auth/sessions/stats
  * @desc Obtener estadísticas de sesiones activas
- * @access Private (Admin only)
+ * @access Private (Admin con permiso sessions:read)
+ */
+router.get('/sessions/stats', requirePermission('sessions:read'), getSessionStats);
+
+/**
+ * @route GET /api/auth/sessions
+ * @desc Listar sesiones activas propias (dispositivo, IP, último acceso); marca la actual
+ * @access Private
+ */
+router.get('/sessions', requireAuth, listMySessions);
+
+/**
+ * @route DELETE /api/auth/sessions
+ * @desc Cerrar todas las sesiones propias excepto la actual
+ * @access Private
+ */
+router.delete('/sessions', requireAuth, revokeMyOtherSessions);
+
+/**
+ * @route DELETE /api/auth/sessions/:sessionId
+ * @desc Cerrar una sesión propia de otro dispositivo (id público del listado)
+ * @access Private
+ */
+router.delete('/sessions/:sessionId', requireAuth, revokeMySession);
+
+/**
+ * @route GET /api/auth/admin/sessions
+ * @desc Listar sesiones activas de todos los usuarios
+ * @access Private (Admin con permiso sessions:read)
+ * @query {string} user_id - Filtrar por usuario
+ * @query {string} user_type - admin | client
+ * @query {number} page - Número de página
+ * @query {number} limit - Registros por página
+ */
+router.get('/admin/sessions', requirePermission('sessions:read'), listActiveSessions);
+
+/**
+ * @route DELETE /api/auth/admin/sessions/:sessionId
+ * @desc Revocar una sesión (id público del listado)
+ * @access Private (Admin con permiso sessions:revoke)
+ */
+router.delete('/admin/sessions/:sessionId', requirePermission('sessions:revoke'), revokeSession);
+
+/**
+ * @route DELETE /api/auth/admin/users/:userId/sessions
+ * @desc Revocar todas las sesiones de un usuario (ej. sospecha de cuenta comprometida)
+ * @access Private (Admin con permiso sessions:revoke)
  */
-router.get('/sessions/stats', requireAdmin, getSessionStats);
+router.delete('/admin/users/:userId/sessions', requirePermission('sessions:revoke'), revokeUserSessions);
 
 module.exports = router;
\ No newline at end of file
@@ -4,38 +4,58 @@ const {
   getBalancesSummary,
   getBalanceStats,
   getDashboardSummary,
+  getReconciliationReport,
+  repairBalances,
 } = require('../controllers/balanceController');
 const { 
   requireAuth, 
-  requireAdmin
+  requirePermission
 } = require('../middleware/auth');
 
 // Aplicar autenticación y requerir admin para todas las rutas
 router.use(requireAuth);
-router.use(requireAdmin);
+router.use(requirePermission('balances:read'));
 
 /**
  * @route GET /api/balances/dashboard
  * @desc Obtener resumen financiero para dashboard admin
- * @access Private (Admin only)
+ * @access Private (Admin con permiso balances:read)
  */
 router.get('/dashboard', getDashboardSummary);
 
 /**
  * @route GET /api/balances/stats
  * @desc Obtener estadísticas detalladas de saldos
- * @access Private (Admin only)
+ * @access Private (Admin con permiso balances:read)
  */
 router.get('/stats', getBalanceStats);
 
 /**
  * @route GET /api/balances/summary
  * @desc Obtener resumen de saldos de todos los usuarios
- * @access Private (Admin only)
+ * @access Private (Admin con permiso balances:read)
  * @query {string} search - Buscar por nombre, documento, email
  * @query {number} page - Número de página
  * @query {number} limit - Registros por página
  */
 router.get('/summary', getBalancesSummary);
 
+/**
+ * @route GET /api/balances/reconciliation
+ * @desc Recalcular saldos desde Movement/Billing/Refund y reportar discrepancias con cache y libro mayor
+ * @access Private (Admin con permiso balances:read)
+ * @query {string} user_id - Reconciliar solo un cliente
+ * @query {boolean} only_discrepancies - Solo clientes con discrepancias (default true)
+ */
+router.get('/reconciliation', getReconciliationReport);
+
+/**
+ * @route POST /api/balances/reconciliation/repair
+ * @desc Reparar saldos: registrar asientos faltantes y reproyectar cache (con auditoría)
+ * @access Private (Admin con permisos balances:read y balances:adjust)
+ * @body {string[]} user_ids - Clientes a reparar (opcional; por defecto todos los que tengan discrepancias)
+ * @body {string} motivo - Motivo de la reparación (10-500)
+ */
+router.post('/reconciliation/repair', requirePermission('balances:adjust'), repairBalances);
+
 module.exports = router;
\ No newline at end of file
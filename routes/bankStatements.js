@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const {
+  importStatement,
+  listStatements,
+  getStatement,
+  listLines,
+  approveLine,
+  matchLine,
+  discardLine,
+} = require('../controllers/bankStatementController');
+const {
+  requireAuth,
+  requirePermission,
+} = require('../middleware/auth');
+
+// Todas las rutas requieren autenticación
+router.use(requireAuth);
+
+/**
+ * @route POST /api/bank-statements
+ * @desc Importar extracto bancario (CSV genérico, BCP, Interbank o MT940); propone coincidencias de sus abonos
+ *       con pagos de garantía pendientes y marca los abonos sin coincidencia
+ * @access Private (Admin con permiso bank_statements:import)
+ * @body {file} statement - Requerido (CSV/TXT/MT940, máx 2MB)
+ * @body {string} formato - Opcional (csv, bcp, interbank, mt940); por defecto se detecta
+ * @body {string} moneda - Opcional, moneda de los abonos si el archivo no la indica (por defecto USD)
+ * @body {string} cuenta - Opcional, cuenta de BOB del extracto
+ */
+router.post('/', requirePermission('bank_statements:import'), importStatement);
+
+/**
+ * @route GET /api/bank-statements
+ * @desc Extractos importados (más reciente primero)
+ * @access Private (Admin con permiso bank_statements:read)
+ * @query {number} page, limit
+ */
+router.get('/', requirePermission('bank_statements:read'), listStatements);
+
+/**
+ * @route GET /api/bank-statements/lines
+ * @desc Cola de revisión: abonos por confianza de coincidencia (mayor primero) con el pago propuesto
+ * @access Private (Admin con permiso bank_statements:read)
+ * @query {string} estado - Opcional (propuesto, sin_coincidencia, aprobado, descartado)
+ * @query {string} statement_id - Opcional
+ * @query {number} min_confidence - Opcional (0-1)
+ * @query {number} page, limit
+ */
+router.get('/lines', requirePermission('bank_statements:read'), listLines);
+
+/**
+ * @route PATCH /api/bank-statements/lines/:id/approve
+ * @desc Aprobar el pago de garantía propuesto por la línea (mismo efecto que PATCH /movements/:id/approve)
+ * @access Private (Admin con permiso payments:approve)
+ * @params {string} id - ID de la línea de extracto
+ * @body {string} comentarios - Opcional
+ */
+router.patch('/lines/:id/approve', requirePermission('payments:approve'), approveLine);
+
+/**
+ * @route PATCH /api/bank-statements/lines/:id/match
+ * @desc Asignar manualmente un pago de garantía pendiente a la línea (queda propuesta para aprobar)
+ * @access Private (Admin con permiso bank_statements:import)
+ * @params {string} id - ID de la línea de extracto
+ * @body {string} movement_id - Requerido, pago de garantía pendiente en la moneda del abono
+ */
+router.patch('/lines/:id/match', requirePermission('bank_statements:import'), matchLine);
+
+/**
+ * @route PATCH /api/bank-statements/lines/:id/discard
+ * @desc Descartar la línea (no corresponde a un pago de garantía); libera el pago propuesto
+ * @access Private (Admin con permiso bank_statements:import)
+ * @params {string} id - ID de la línea de extracto
+ * @body {string} motivo - Requerido (5-500 caracteres)
+ */
+router.patch('/lines/:id/discard', requirePermission('bank_statements:import'), discardLine);
+
+/**
+ * @route GET /api/bank-statements/:id
+ * @desc Extracto con sus líneas y conteo actual por estado de revisión
+ * @access Private (Admin con permiso bank_statements:read)
+ * @params {string} id - ID del extracto
+ */
+router.get('/:id', requirePermission('bank_statements:read'), getStatement);
+
+module.exports = router;
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
  
 const { createBilling, listBillings, getBillingById, completeBilling } = require('../controllers/billingController');
-const { requireAuth, requireClient, requireAdmin } = require('../middleware/auth');
+const { requireAuth, requireClient, requirePermission, requireOwnership } = require('../middleware/auth');
  
 /**
  * Billing routes
@@ -15,22 +15,22 @@ router.use(requireAuth);
 /**
  * @route GET /api/billing
  * @desc Listar facturaciones (solo Admin)
- * @access Private (Admin only)
+ * @access Private (Admin con permiso billing:read)
  * @query {string} fecha_desde - ISO
  * @query {string} fecha_hasta - ISO
  * @query {number} page - Número de página
  * @query {number} limit - Registros por página
  * @query {string} include - CSV: user,auction
  */
-router.get('/', requireAdmin, listBillings);
+router.get('/', requirePermission('billing:read'), listBillings);
  
 /**
  * @route GET /api/billing/:id
  * @desc Detalle de una facturación
- * @access Private (Admin: cualquiera, Client: propio)
+ * @access Private (Admin: cualquiera, Client: propio) — Admin requiere billing:read
  * @query {string} include - CSV: user,auction
  */
-router.get('/:id', getBillingById);
+router.get('/:id', requirePermission('billing:read', { allowClients: true }), requireOwnership('billing'), getBillingById);
  
 /**
  * @route POST /api/billing
@@ -46,11 +46,11 @@ router.post('/', requireClient, createBilling);
 /**
  * @route PATCH /api/billing/:id/complete
  * @desc Completar datos de facturación (Cliente: propio, Admin: cualquiera)
- * @access Private (Auth required; control de permisos en servicio)
+ * @access Private (Admin: cualquiera, Client: propio) — Admin requiere billing:write
  * @body {string} billing_document_type - 'RUC' | 'DNI'
  * @body {string} billing_document_number
  * @body {string} billing_name
  */
-router.patch('/:id/complete', completeBilling);
+router.patch('/:id/complete', requirePermission('billing:write', { allowClients: true }), requireOwnership('billing'), completeBilling);
  
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listBusinessRules,
+  getCurrentBusinessRules,
+  createBusinessRuleVersion,
+} = require('../controllers/businessRuleController');
+const {
+  requireAuth,
+  requirePermission,
+} = require('../middleware/auth');
+
+// Todas las rutas requieren autenticación
+router.use(requireAuth);
+
+/**
+ * @route GET /api/business-rules/current
+ * @desc Reglas vigentes (porcentaje de garantía, penalidad, garantía mínima, plazo de pago)
+ * @access Private (Admin con permiso business_rules:read)
+ */
+router.get('/current', requirePermission('business_rules:read'), getCurrentBusinessRules);
+
+/**
+ * @route GET /api/business-rules
+ * @desc Historial de versiones (más reciente primero) y versión vigente
+ * @access Private (Admin con permiso business_rules:read)
+ */
+router.get('/', requirePermission('business_rules:read'), listBusinessRules);
+
+/**
+ * @route POST /api/business-rules
+ * @desc Crear nueva versión a partir de la vigente; aplica a garantías y movimientos creados desde effective_from
+ * @access Private (Admin con permiso business_rules:manage)
+ * @body {number} guarantee_percentage - Opcional, fracción (0.08 = 8%)
+ * @body {number} penalty_percentage - Opcional, fracción (0.30 = 30%)
+ * @body {number} minimum_guarantee - Opcional, monto mínimo de garantía (USD)
+ * @body {number} payment_deadline_hours - Opcional, plazo de pago por defecto en horas (null = sin valor por defecto)
+ * @body {string} effective_from - Opcional, ISO; por defecto ahora
+ * @body {string} motivo - Requerido (10-500 caracteres)
+ */
+router.post('/', requirePermission('business_rules:manage'), createBusinessRuleVersion);
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCurrentExchangeRates,
+  listExchangeRates,
+  createExchangeRate,
+} = require('../controllers/exchangeRateController');
+const {
+  requireAuth,
+  requirePermission,
+} = require('../middleware/auth');
+
+// Todas las rutas requieren autenticación
+router.use(requireAuth);
+
+/**
+ * @route GET /api/exchange-rates/current
+ * @desc Tipos de cambio vigentes por moneda (unidades por 1 USD); el cliente lo usa para pagar en soles
+ * @access Private (Client o Admin con permiso exchange_rates:read)
+ * @query {string} fecha - Opcional, 'YYYY-MM-DD' (fin del día en Lima) o ISO; por defecto ahora
+ */
+router.get('/current', requirePermission('exchange_rates:read', { allowClients: true }), getCurrentExchangeRates);
+
+/**
+ * @route GET /api/exchange-rates
+ * @desc Historial de tipos de cambio (más reciente primero)
+ * @access Private (Admin con permiso exchange_rates:read)
+ * @query {string} moneda - Opcional (PEN)
+ * @query {number} page, limit
+ */
+router.get('/', requirePermission('exchange_rates:read'), listExchangeRates);
+
+/**
+ * @route POST /api/exchange-rates
+ * @desc Registrar tipo de cambio; aplica a conversiones con fecha desde effective_from
+ * @access Private (Admin con permiso exchange_rates:manage)
+ * @body {string} moneda - Requerido (PEN)
+ * @body {number} tasa - Requerido, unidades de la moneda por 1 USD (hasta 6 decimales)
+ * @body {string} effective_from - Opcional, ISO; por defecto ahora
+ * @body {string} motivo - Requerido (10-500 caracteres)
+ */
+router.post('/', requirePermission('exchange_rates:manage'), createExchangeRate);
+
+module.exports = router;
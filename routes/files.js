@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { downloadFile } = require('../controllers/fileController');
+
+/**
+ * @route GET /api/files/:key
+ * @desc Descargar comprobante guardado en disco local (STORAGE_DRIVER=local); las URLs se obtienen
+ *       de GET /movements/:id/voucher y la firma reemplaza a la sesión
+ * @access Public (URL firmada con expiración)
+ * @params {string} key - Clave del archivo (codificada, ej. vouchers%2Fvoucher_x.png)
+ * @query {number} expires - Expiración (epoch en segundos)
+ * @query {string} signature - Firma HMAC de la clave y la expiración
+ */
+router.get('/:key', downloadFile);
+
+module.exports = router;
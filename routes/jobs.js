@@ -10,54 +10,53 @@ const {
 } = require('../controllers/jobController');
 const { 
   requireAuth, 
-  requireAdmin
+  requirePermission
 } = require('../middleware/auth');
 
-// Aplicar autenticación y requerir admin para todas las rutas
+// Aplicar autenticación a todas las rutas (permisos por ruta)
 router.use(requireAuth);
-router.use(requireAdmin);
 
 /**
  * @route GET /api/jobs/status
  * @desc Obtener estado de jobs programados
- * @access Private (Admin only)
+ * @access Private (Admin con permiso jobs:read)
  */
-router.get('/status', getJobsStatus);
+router.get('/status', requirePermission('jobs:read'), getJobsStatus);
 
 /**
  * @route GET /api/jobs/list
  * @desc Obtener lista de jobs disponibles
- * @access Private (Admin only)
+ * @access Private (Admin con permiso jobs:read)
  */
-router.get('/list', getJobsList);
+router.get('/list', requirePermission('jobs:read'), getJobsList);
 
 /**
  * @route POST /api/jobs/run/:jobName
  * @desc Ejecutar job específico manualmente
- * @access Private (Admin only)
+ * @access Private (Admin con permiso jobs:run)
  * @params {string} jobName - Nombre del job a ejecutar
  */
-router.post('/run/:jobName', runJob);
+router.post('/run/:jobName', requirePermission('jobs:run'), runJob);
 
 /**
  * @route POST /api/jobs/process-expired
  * @desc Procesar subastas vencidas manualmente
- * @access Private (Admin only)
+ * @access Private (Admin con permiso jobs:run)
  */
-router.post('/process-expired', processExpiredAuctions);
+router.post('/process-expired', requirePermission('jobs:run'), processExpiredAuctions);
 
 /**
  * @route GET /api/jobs/check-upcoming
  * @desc Verificar próximos vencimientos
- * @access Private (Admin only)
+ * @access Private (Admin con permiso jobs:read)
  */
-router.get('/check-upcoming', checkUpcomingExpirations);
+router.get('/check-upcoming', requirePermission('jobs:read'), checkUpcomingExpirations);
 
 /**
  * @route GET /api/jobs/daily-report
  * @desc Generar reporte diario manualmente
- * @access Private (Admin only)
+ * @access Private (Admin con permiso jobs:read)
  */
-router.get('/daily-report', generateDailyReport);
+router.get('/daily-report', requirePermission('jobs:read'), generateDailyReport);
 
 module.exports = router;
\ No newline at end of file
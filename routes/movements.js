@@ -3,18 +3,27 @@ const router = express.Router();
 
 const {
   createPayment,
+  applyBalance,
   listMovements,
   getMovementById,
+  getValidationQueue,
+  claimPayment,
+  releasePayment,
+  assignPayment,
   approvePayment,
   rejectPayment,
+  approvePaymentsBatch,
+  rejectPaymentsBatch,
   downloadVoucher,
 } = require('../controllers/movementController');
 
 const {
   requireAuth,
-  requireAdmin,
   requireClient,
+  requirePermission,
+  requireOwnership,
 } = require('../middleware/auth');
+const { ifMatch } = require('../middleware/concurrency');
 
 // Autenticación para todas las rutas de movements
 router.use(requireAuth);
@@ -22,7 +31,7 @@ router.use(requireAuth);
 /**
  * @route GET /api/movements
  * @desc Listar movements (admin: todos, client: propios)
- * @access Private
+ * @access Private — Admin requiere payments:read
  * @query {string} tipo_especifico - Filtrar por tipos específicos (pago_garantia,reembolso,penalidad,ajuste_manual)
  * @query {string} estado - Filtrar por estados (pendiente,validado,rechazado)
  * @query {string} fecha_desde - ISO
@@ -30,54 +39,124 @@ router.use(requireAuth);
  * @query {number} page - Número de página
  * @query {number} limit - Registros por página
  */
-router.get('/', listMovements);
+router.get('/', requirePermission('payments:read', { allowClients: true }), listMovements);
 
 /**
  * @route POST /api/movements
- * @desc Registrar pago de garantía como Movement (cliente)
+ * @desc Registrar pago de garantía como Movement (cliente); admite pagos parciales en varios vouchers
  * @access Private (Client only)
  * @body {string} auction_id
- * @body {number} monto
+ * @body {number} monto - Total o parcial; si lo ya registrado cubre la garantía → 409 GUARANTEE_ALREADY_COVERED
  * @body {string} tipo_pago - 'deposito' | 'transferencia'
  * @body {string} numero_cuenta_origen
  * @body {string} numero_operacion
  * @body {string} fecha_pago - ISO
- * @body {string} moneda - default 'USD'
+ * @body {string} moneda - 'USD' | 'PEN', default 'USD'; todos los pagos de una garantía en la misma moneda
  * @body {string} concepto - default 'Pago de garantía'
  * @body {file} voucher - PDF/JPG/PNG
  */
 router.post('/', requireClient, createPayment);
 
+/**
+ * @route POST /api/movements/apply-balance
+ * @desc Pagar garantía con saldo disponible, sin revisión de voucher (cliente); opcionalmente con transferencia por el resto
+ * @access Private (Client only)
+ * @body {string} auction_id
+ * @body {number} monto_saldo - Opcional; por defecto todo lo que falta cubrir, hasta el saldo disponible
+ * @body {string} moneda - Opcional; moneda del saldo (la de los pagos previos de la garantía o 'USD')
+ * @body {number} monto - Opcional, transferencia por el resto (registrada como pago pendiente); exige tipo_pago, numero_cuenta_origen, fecha_pago y voucher
+ * @body {string} numero_operacion - Opcional, de la transferencia
+ * @body {file} voucher - PDF/JPG/PNG, solo con transferencia
+ */
+router.post('/apply-balance', requireClient, applyBalance);
+
+/**
+ * @route POST /api/movements/batch/approve
+ * @desc Aprobar pagos de garantía en lote (admin): cada pago en su propia transacción, resultado por item
+ * @access Private (Admin con permiso payments:approve)
+ * @body {array} items - [{ movement_id, comentarios?, version? }] hasta 100, sin ids repetidos;
+ *       version = ETag leído (como If-Match del endpoint individual)
+ */
+router.post('/batch/approve', requirePermission('payments:approve'), approvePaymentsBatch);
+
+/**
+ * @route POST /api/movements/batch/reject
+ * @desc Rechazar pagos de garantía en lote (admin): cada pago en su propia transacción, resultado por item
+ * @access Private (Admin con permiso payments:approve)
+ * @body {array} items - [{ movement_id, motivos, otros_motivos?, comentarios?, version? }] hasta 100, sin ids repetidos
+ */
+router.post('/batch/reject', requirePermission('payments:approve'), rejectPaymentsBatch);
+
+/**
+ * @route GET /api/movements/validation-queue
+ * @desc Cola de validación: pagos de garantía pendientes ordenados por riesgo de vencimiento del plazo de pago,
+ *       con tiempo en cola, SLA y admin asignado
+ * @access Private (Admin con permiso payments:read)
+ * @query {string} asignado - 'me' | 'none' | id de admin
+ * @query {string} riesgo - vencido | critico | alto | normal | sin_plazo
+ * @query {boolean} sla_vencido - Solo pagos que superan (true) o no (false) el SLA
+ * @query {number} page - Número de página
+ * @query {number} limit - Registros por página
+ */
+router.get('/validation-queue', requirePermission('payments:read'), getValidationQueue);
+
 /**
  * @route GET /api/movements/:id
  * @desc Detalle movement
- * @access Private (Admin: cualquiera, Client: propio)
+ * @access Private (Admin: cualquiera, Client: propio) — Admin requiere payments:read
+ */
+router.get('/:id', requirePermission('payments:read', { allowClients: true }), requireOwnership('movement'), getMovementById);
+
+/**
+ * @route PATCH /api/movements/:id/claim
+ * @desc Tomar un pago pendiente de la cola; mientras esté asignado solo ese admin lo aprueba o rechaza.
+ *       Si otro admin ya lo tomó → 409 PAYMENT_CLAIMED; si no es un pago pendiente → 409 PAYMENT_NOT_IN_QUEUE
+ * @access Private (Admin con permiso payments:approve)
+ */
+router.patch('/:id/claim', requirePermission('payments:approve'), claimPayment);
+
+/**
+ * @route PATCH /api/movements/:id/release
+ * @desc Liberar un pago tomado (vuelve a la cola sin asignar)
+ * @access Private (Admin asignado con payments:approve, o cualquier admin con payments:assign)
+ */
+router.patch('/:id/release', requirePermission('payments:approve'), releasePayment);
+
+/**
+ * @route PATCH /api/movements/:id/assign
+ * @desc Asignar un pago pendiente a un admin (reasigna si ya estaba tomado)
+ * @access Private (Admin con permiso payments:assign)
+ * @body {string} admin_id - Admin activo con permiso payments:approve
  */
-router.get('/:id', getMovementById);
+router.patch('/:id/assign', requirePermission('payments:assign'), assignPayment);
 
 /**
  * @route PATCH /api/movements/:id/approve
- * @desc Aprobar pago de garantía (admin)
- * @access Private (Admin only)
+ * @desc Aprobar pago de garantía (admin); la subasta pasa a finalizada cuando los pagos validados cubren la garantía
+ * @access Private (Admin con permiso payments:approve)
  * @body {string} comentarios (opcional)
+ * @header {string} If-Match - Opcional, ETag de la última lectura; si el pago cambió → 409 RESOURCE_MODIFIED
+ * Si otro admin tomó el pago en la cola de validación → 409 PAYMENT_CLAIMED
  */
-router.patch('/:id/approve', requireAdmin, approvePayment);
+router.patch('/:id/approve', requirePermission('payments:approve'), ifMatch, approvePayment);
 
 /**
  * @route PATCH /api/movements/:id/reject
  * @desc Rechazar pago de garantía (admin)
- * @access Private (Admin only)
+ * @access Private (Admin con permiso payments:approve)
  * @body {array} motivos - Motivos del rechazo (obligatorio)
  * @body {string} otros_motivos - Opcional
  * @body {string} comentarios - Opcional
+ * @header {string} If-Match - Opcional, ETag de la última lectura; si el pago cambió → 409 RESOURCE_MODIFIED
+ * Si otro admin tomó el pago en la cola de validación → 409 PAYMENT_CLAIMED
  */
-router.patch('/:id/reject', requireAdmin, rejectPayment);
+router.patch('/:id/reject', requirePermission('payments:approve'), ifMatch, rejectPayment);
 
 /**
  * @route GET /api/movements/:id/voucher
  * @desc Descargar comprobante (voucher)
- * @access Private (Admin: cualquiera, Client: propio)
+ * @access Private (Admin: cualquiera, Client: propio) — Admin requiere payments:read
  */
-router.get('/:id/voucher', downloadVoucher);
+router.get('/:id/voucher', requirePermission('payments:read', { allowClients: true }), requireOwnership('movement'), downloadVoucher);
 
 module.exports = router;
\ No newline at end of file
@@ -9,7 +9,8 @@ const {
   getRefundById,
 } = require('../controllers/refundController');
 
-const { requireAuth, requireClient, requireAdmin } = require('../middleware/auth');
+const { requireAuth, requireClient, requirePermission, requireOwnership } = require('../middleware/auth');
+const { ifMatch } = require('../middleware/concurrency');
 
 /**
  * Refunds routes
@@ -24,7 +25,7 @@ router.use(requireAuth);
 /**
  * @route GET /refunds
  * @desc Listar solicitudes de reembolso
- * @access Private (Admin: todas | Client: solo propias)
+ * @access Private (Admin: todas | Client: solo propias) — Admin requiere refunds:read
  * @query {string} estado - (opcional) 'solicitado,confirmado,procesado,rechazado,cancelado'
  * @query {string} user_id - (admin opcional) filtrar por usuario
  * @query {string} auction_id - (opcional) filtrar por subasta
@@ -33,15 +34,15 @@ router.use(requireAuth);
  * @query {number} page - (opcional) default 1
  * @query {number} limit - (opcional) default 20
  */
-router.get('/', listRefunds);
+router.get('/', requirePermission('refunds:read', { allowClients: true }), listRefunds);
 
 /**
  * @route GET /api/refunds/:id
  * @desc Detalle de refund
- * @access Private (Admin: cualquiera, Client: propio)
+ * @access Private (Admin: cualquiera, Client: propio) — Admin requiere refunds:read
  * @query {string} include - CSV: user,auction
  */
-router.get('/:id', getRefundById);
+router.get('/:id', requirePermission('refunds:read', { allowClients: true }), requireOwnership('refund'), getRefundById);
 
 /**
  * @route POST /api/refunds
@@ -50,30 +51,33 @@ router.get('/:id', getRefundById);
  * @body {number} monto_solicitado
  * @body {string} motivo - opcional
  * @body {string} auction_id? - opcional (solo trazabilidad)
+ * @body {string} moneda - opcional, moneda del saldo disponible a reembolsar (USD | PEN; default USD)
  */
 router.post('/', requireClient, createRefund);
 
 /**
  * @route PATCH /api/refunds/:id/manage
  * @desc Confirmar o rechazar solicitud de reembolso
- * @access Private (Admin only)
+ * @access Private (Admin con permiso refunds:manage)
  * @params {string} id - ID de la solicitud
  * @body {string} estado - 'confirmado' | 'rechazado'
  * @body {string} motivo - opcional
+ * @header {string} If-Match - Opcional, ETag de la última lectura; si la solicitud cambió → 409 RESOURCE_MODIFIED
  */
-router.patch('/:id/manage', requireAdmin, manageRefund);
+router.patch('/:id/manage', requirePermission('refunds:manage'), ifMatch, manageRefund);
 
 /**
  * @route PATCH /api/refunds/:id/process
  * @desc Procesar reembolso confirmado (únicamente devolución de dinero)
- * @access Private (Admin only)
+ * @access Private (Admin con permiso refunds:process)
  * @params {string} id - ID de la solicitud
  * @body {string} tipo_transferencia? - 'transferencia' | 'deposito'
  * @body {string} banco_destino?
  * @body {string} numero_cuenta_destino?
  * @body {string} numero_operacion - obligatorio
  * @body {file} voucher? - comprobante del reembolso (PDF/JPG/PNG)
+ * @header {string} If-Match - Opcional, ETag de la última lectura; si la solicitud cambió → 409 RESOURCE_MODIFIED
  */
-router.patch('/:id/process', requireAdmin, processRefund);
+router.patch('/:id/process', requirePermission('refunds:process'), ifMatch, processRefund);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listRoles,
+  listPermissions,
+  createRole,
+  updateRole,
+  deleteRole,
+} = require('../controllers/roleController');
+const {
+  requireAuth,
+  requirePermission,
+} = require('../middleware/auth');
+
+// Autenticación y permiso de gestión de roles para todas las rutas
+router.use(requireAuth);
+router.use(requirePermission('roles:manage'));
+
+/**
+ * @route GET /api/roles/permissions
+ * @desc Catálogo de permisos asignables
+ * @access Private (Admin con permiso roles:manage)
+ */
+router.get('/permissions', listPermissions);
+
+/**
+ * @route GET /api/roles
+ * @desc Listar roles con permisos y cantidad de administradores asignados
+ * @access Private (Admin con permiso roles:manage)
+ */
+router.get('/', listRoles);
+
+/**
+ * @route POST /api/roles
+ * @desc Crear rol personalizado
+ * @access Private (Admin con permiso roles:manage)
+ * @body {string} name - snake_case
+ * @body {string} description - Opcional
+ * @body {array} permissions - Claves del catálogo (ej. payments:approve)
+ */
+router.post('/', createRole);
+
+/**
+ * @route PATCH /api/roles/:id
+ * @desc Actualizar descripción y/o reemplazar permisos del rol
+ * @access Private (Admin con permiso roles:manage)
+ * @body {string} description - Opcional
+ * @body {array} permissions - Opcional, reemplaza el conjunto completo; no admitido en roles del sistema (409 SYSTEM_ROLE)
+ *   ni cuando deja sin '*' al último administrador activo (409 LAST_SUPERADMIN)
+ */
+router.patch('/:id', updateRole);
+
+/**
+ * @route DELETE /api/roles/:id
+ * @desc Eliminar rol personalizado sin administradores asignados
+ * @access Private (Admin con permiso roles:manage)
+ */
+router.delete('/:id', deleteRole);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listStateMachines,
+  getStateMachineDiagram,
+} = require('../controllers/stateMachineController');
+const {
+  requireAuth,
+  requirePermission,
+} = require('../middleware/auth');
+
+// Autenticación y permiso de lectura de máquinas de estado para todas las rutas
+router.use(requireAuth);
+router.use(requirePermission('state_machines:read'));
+
+/**
+ * @route GET /api/state-machines
+ * @desc Máquinas de estado declaradas (auction, guarantee, movement, refund)
+ * @access Private (Admin con permiso state_machines:read)
+ */
+router.get('/', listStateMachines);
+
+/**
+ * @route GET /api/state-machines/:entity
+ * @desc Exportar diagrama de estados y transiciones de una entidad
+ * @access Private (Admin con permiso state_machines:read)
+ * @params {string} entity - auction | guarantee | movement | refund
+ * @query {string} format - json (default) | mermaid | dot
+ */
+router.get('/:entity', getStateMachineDiagram);
+
+module.exports = router;
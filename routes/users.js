@@ -8,6 +8,8 @@ const {
 const {
   getBalance,
   getUserMovements,
+  getUserLedger,
+  getUserStatement,
   createManualMovement,
 } = require('../controllers/balanceController');
 const { listUsers } = require('../controllers/userController');
@@ -15,56 +17,58 @@ const { getBillingsByUser } = require('../controllers/billingController');
 const { getRefundsByUser } = require('../controllers/refundController');
 const {
   requireAuth,
-  requireAdmin,
-  requireClient
+  requirePermission,
+  requireOwnership,
 } = require('../middleware/auth');
 
 // Aplicar autenticación a todas las rutas
+// Rutas /:userId/* compartidas: el cliente solo accede a las propias (requireOwnership('user'))
 router.use(requireAuth);
 
 /**
  * @route GET /users
  * @desc Listar usuarios (solo Admin)
- * @access Private (Admin only)
+ * @access Private (Admin con permiso users:read)
  * @query {string} search - nombre/apellido/email/documento/teléfono
  * @query {string} document_type - DNI | CE | RUC | Pasaporte
  * @query {string} user_type - admin | client
  * @query {number} page - Número de página
  * @query {number} limit - Registros por página
  */
-router.get('/', requireAdmin, listUsers);
+router.get('/', requirePermission('users:read'), listUsers);
 
 /**
  * @route GET /api/users/:userId/won-auctions
  * @desc Obtener subastas ganadas por cliente
- * @access Private (Client own data or Admin)
+ * @access Private (Client own data or Admin) — Admin requiere users:read
  * @params {string} userId - ID del usuario
  * @query {string} estado - Filtrar por estado de oferta
  * @query {number} page - Número de página
  * @query {number} limit - Registros por página
  */
-router.get('/:userId/won-auctions', getWonAuctionsByUser);
+router.get('/:userId/won-auctions', requirePermission('users:read', { allowClients: true }), requireOwnership('user'), getWonAuctionsByUser);
 
 /**
  * @route GET /api/users/:userId/can-participate
  * @desc Verificar si cliente puede participar en nuevas subastas
- * @access Private (Client own data or Admin)
+ * @access Private (Client own data or Admin) — Admin requiere users:read
  * @params {string} userId - ID del usuario
  */
-router.get('/:userId/can-participate', canUserParticipate);
+router.get('/:userId/can-participate', requirePermission('users:read', { allowClients: true }), requireOwnership('user'), canUserParticipate);
 
 /**
  * @route GET /api/users/:userId/balance
- * @desc Obtener saldo de usuario
- * @access Private (Client own data or Admin)
+ * @desc Obtener saldo de usuario (actual o a una fecha de corte)
+ * @access Private (Client own data or Admin) — Admin requiere balances:read
  * @params {string} userId - ID del usuario
+ * @query {string} as_of - Fecha de corte (YYYY-MM-DD = fin del día en Lima, o ISO 8601)
  */
-router.get('/:userId/balance', getBalance);
+router.get('/:userId/balance', requirePermission('balances:read', { allowClients: true }), requireOwnership('user'), getBalance);
 
 /**
  * @route GET /api/users/:userId/movements
  * @desc Obtener movimientos de usuario
- * @access Private (Client own data or Admin)
+ * @access Private (Client own data or Admin) — Admin requiere balances:read
  * @params {string} userId - ID del usuario
  * @query {string} tipo - Filtrar por tipo de movimiento
  * @query {string} fecha_desde - Fecha inicio del rango
@@ -72,66 +76,78 @@ router.get('/:userId/balance', getBalance);
  * @query {number} page - Número de página
  * @query {number} limit - Registros por página
  */
-router.get('/:userId/movements', getUserMovements);
+router.get('/:userId/movements', requirePermission('balances:read', { allowClients: true }), requireOwnership('user'), getUserMovements);
 
 /**
- * @route GET /api/users/:userId/billings
- * @desc Listar facturaciones por usuario
- * @access Private (Client own data or Admin)
+ * @route GET /api/users/:userId/ledger
+ * @desc Obtener libro mayor de usuario (saldos por cuenta y asientos de doble partida)
+ * @access Private (Client own data or Admin) — Admin requiere balances:read
  * @params {string} userId - ID del usuario
- * @query {string} fecha_desde - ISO
- * @query {string} fecha_hasta - ISO
+ * @query {string} event - Filtrar por evento contable (ver config/ledger.js)
+ * @query {string} fecha_desde - Fecha inicio del rango
+ * @query {string} fecha_hasta - Fecha fin del rango
  * @query {number} page - Número de página
  * @query {number} limit - Registros por página
- * @query {string} include - CSV: user,auction
  */
-router.get('/:userId/billings', getBillingsByUser);
+router.get('/:userId/ledger', requirePermission('balances:read', { allowClients: true }), requireOwnership('user'), getUserLedger);
 
 /**
- * @route GET /api/users/:userId/refunds
- * @desc Listar reembolsos por usuario
- * @access Private (Client own data or Admin)
+ * @route GET /api/users/:userId/statement
+ * @desc Descargar estado de cuenta (saldo inicial, movimientos con saldo acumulado, facturaciones y saldo final)
+ * @access Private (Client own data or Admin) — Admin requiere balances:read
+ * @params {string} userId - ID del usuario
+ * @query {string} from - Fecha inicial (YYYY-MM-DD o ISO; por defecto inicio del mes en curso)
+ * @query {string} to - Fecha final (YYYY-MM-DD o ISO; por defecto ahora)
+ * @query {string} format - pdf (default) | csv
+ */
+router.get('/:userId/statement', requirePermission('balances:read', { allowClients: true }), requireOwnership('user'), getUserStatement);
+
+/**
+ * @route GET /api/users/:userId/billings
+ * @desc Listar facturaciones por usuario
+ * @access Private (Client own data or Admin) — Admin requiere billing:read
  * @params {string} userId - ID del usuario
- * @query {string} estado - Filtrar por estado
- * @query {string} auction_id - Filtrar por subasta
  * @query {string} fecha_desde - ISO
  * @query {string} fecha_hasta - ISO
  * @query {number} page - Número de página
  * @query {number} limit - Registros por página
  * @query {string} include - CSV: user,auction
  */
-router.get('/:userId/refunds', getRefundsByUser);
+router.get('/:userId/billings', requirePermission('billing:read', { allowClients: true }), requireOwnership('user'), getBillingsByUser);
 
 /**
- * @route GET /api/users/:userId/billings
- * @desc Listar facturaciones por usuario
- * @access Private (Client own data or Admin)
+ * @route GET /api/users/:userId/refunds
+ * @desc Listar reembolsos por usuario
+ * @access Private (Client own data or Admin) — Admin requiere refunds:read
  * @params {string} userId - ID del usuario
+ * @query {string} estado - Filtrar por estado
+ * @query {string} auction_id - Filtrar por subasta
  * @query {string} fecha_desde - ISO
  * @query {string} fecha_hasta - ISO
  * @query {number} page - Número de página
  * @query {number} limit - Registros por página
  * @query {string} include - CSV: user,auction
  */
-router.get('/:userId/billings', getBillingsByUser);
+router.get('/:userId/refunds', requirePermission('refunds:read', { allowClients: true }), requireOwnership('user'), getRefundsByUser);
 
 /**
  * @route POST /api/users/:userId/movements/manual
  * @desc Crear movimiento manual (ajustes admin)
- * @access Private (Admin only)
+ * @access Private (Admin con permiso balances:adjust)
  * @params {string} userId - ID del usuario
  * @body {string} tipo_movimiento - Tipo de movimiento manual
  * @body {number} monto - Monto del ajuste
  * @body {string} descripcion - Descripción del movimiento
  * @body {string} motivo - Motivo del ajuste (opcional)
+ * @body {string} moneda - Moneda del ajuste (opcional, default USD; en otra moneda se convierte al tipo de cambio vigente)
  */
-router.post('/:userId/movements/manual', requireAdmin, createManualMovement);
+router.post('/:userId/movements/manual', requirePermission('balances:adjust'), createManualMovement);
 
 /**
  * @route GET /api/users/guarantees/stats
  * @desc Obtener estadísticas de garantías (para dashboard admin)
- * @access Private (Admin only)
+ * @access Private (Admin con permiso auctions:read)
  */
-router.get('/guarantees/stats', requireAdmin, getGuaranteeStats);
+router.get('/guarantees/stats', requirePermission('auctions:read'), getGuaranteeStats);
 
 module.exports = router;
\ No newline at end of file
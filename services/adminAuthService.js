@@ -0,0 +1,311 @@
+const { prisma } = require('../config/database');
+const { config } = require('../config');
+const { securityHelpers } = require('../utils');
+const {
+  BusinessErrors,
+  ConflictError,
+  NotFoundError,
+  UnauthorizedError,
+  ValidationError,
+} = require('../middleware/errorHandler');
+const { destroyUserSessions } = require('../middleware/auth');
+const { DEFAULT_ADMIN_ROLE } = require('../config/permissions');
+const { Logger } = require('../middleware/logger');
+
+// Datos del admin que viajan en la sesión (nunca incluir credenciales)
+const SESSION_USER_SELECT = {
+  id: true,
+  first_name: true,
+  last_name: true,
+  email: true,
+  phone_number: true,
+  document_type: true,
+  document_number: true,
+  user_type: true,
+  created_at: true,
+};
+
+// Hash fijo para igualar el tiempo de respuesta cuando el email no existe
+let dummyHashPromise = null;
+const getDummyHash = () => {
+  if (!dummyHashPromise) {
+    dummyHashPromise = securityHelpers.hashPassword(securityHelpers.generateToken(16));
+  }
+  return dummyHashPromise;
+};
+
+class AdminAuthService {
+  /**
+   * Login de administrador por email + contraseña
+   * - Bloquea la cuenta tras N intentos fallidos consecutivos (config.auth); el contador se
+   *   incrementa en la base de datos, así intentos en paralelo no esquivan el umbral
+   * - Respuesta genérica para email inexistente o contraseña incorrecta
+   */
+  async login(email, password) {
+    const normalizedEmail = String(email).trim().toLowerCase();
+
+    const admin = await prisma.user.findFirst({
+      where: {
+        email: { equals: normalizedEmail, mode: 'insensitive' },
+        user_type: 'admin',
+        deleted_at: null,
+      },
+      select: {
+        ...SESSION_USER_SELECT,
+        password_hash: true,
+        failed_login_attempts: true,
+        locked_until: true,
+      },
+    });
+
+    if (!admin || !admin.password_hash) {
+      await securityHelpers.verifyPassword(password, await getDummyHash());
+      Logger.warn(`Login admin fallido (cuenta inexistente o sin contraseña): ${normalizedEmail}`);
+      throw BusinessErrors.InvalidCredentials();
+    }
+
+    if (admin.locked_until && admin.locked_until > new Date()) {
+      Logger.warn(`Login admin bloqueado: ${admin.email} hasta ${admin.locked_until.toISOString()}`);
+      throw BusinessErrors.AccountLocked(admin.locked_until.toISOString());
+    }
+
+    // Bloqueo vencido: el contador vuelve a cero (solo la primera petición que lo detecta)
+    if (admin.locked_until) {
+      await prisma.user.updateMany({
+        where: { id: admin.id, locked_until: admin.locked_until },
+        data: { failed_login_attempts: 0, locked_until: null },
+      });
+    }
+
+    const valid = await securityHelpers.verifyPassword(password, admin.password_hash);
+
+    if (!valid) {
+      const { failed_login_attempts: attempts } = await prisma.user.update({
+        where: { id: admin.id },
+        data: { failed_login_attempts: { increment: 1 } },
+        select: { failed_login_attempts: true },
+      });
+
+      if (attempts >= config.auth.maxFailedAttempts) {
+        const lockedUntil = new Date(Date.now() + config.auth.lockoutMinutes * 60 * 1000);
+        // El contador se conserva mientras dura el bloqueo: los intentos en paralelo que
+        // superan el umbral también quedan bloqueados
+        await prisma.user.updateMany({
+          where: { id: admin.id, OR: [{ locked_until: null }, { locked_until: { lt: lockedUntil } }] },
+          data: { locked_until: lockedUntil },
+        });
+        Logger.warn(`Cuenta admin bloqueada por ${config.auth.lockoutMinutes} min: ${admin.email}`);
+        throw BusinessErrors.AccountLocked(lockedUntil.toISOString());
+      }
+
+      Logger.warn(`Login admin fallido: ${admin.email} (intento ${attempts}/${config.auth.maxFailedAttempts})`);
+      throw BusinessErrors.InvalidCredentials();
+    }
+
+    // Solo si la cuenta no quedó bloqueada por intentos fallidos en paralelo
+    const now = new Date();
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: admin.id,
+        OR: [{ locked_until: null }, { locked_until: { lte: now } }],
+      },
+      data: {
+        failed_login_attempts: 0,
+        locked_until: null,
+        last_login_at: now,
+      },
+    });
+    if (count === 0) {
+      const { locked_until: lockedUntil } = await prisma.user.findUnique({
+        where: { id: admin.id },
+        select: { locked_until: true },
+      });
+      Logger.warn(`Login admin bloqueado: ${admin.email} hasta ${lockedUntil.toISOString()}`);
+      throw BusinessErrors.AccountLocked(lockedUntil.toISOString());
+    }
+
+    const { password_hash, failed_login_attempts, locked_until, ...user } = admin;
+    return user;
+  }
+
+  /**
+   * Solicitar restablecimiento de contraseña
+   * Siempre responde igual (no revela si el email existe); el token viaja solo por email
+   */
+  async requestPasswordReset(email) {
+    const admin = await prisma.user.findFirst({
+      where: {
+        email: { equals: String(email).trim(), mode: 'insensitive' },
+        user_type: 'admin',
+        deleted_at: null,
+      },
+      select: { id: true, email: true },
+    });
+
+    if (!admin) {
+      Logger.warn(`Solicitud de reset para email no registrado como admin: ${email}`);
+      return;
+    }
+
+    await this._issuePasswordToken(admin, 'reset');
+  }
+
+  /**
+   * Establecer nueva contraseña con token (reset o primer acceso)
+   */
+  async resetPassword(token, newPassword) {
+    const admin = await prisma.user.findFirst({
+      where: {
+        password_reset_token_hash: securityHelpers.hashToken(token),
+        password_reset_expires_at: { gt: new Date() },
+        user_type: 'admin',
+        deleted_at: null,
+      },
+      select: { id: true, email: true },
+    });
+
+    if (!admin) {
+      throw new ValidationError('Token de restablecimiento inválido o expirado');
+    }
+
+    await this._setPassword(admin.id, newPassword);
+    await destroyUserSessions(admin.id);
+
+    Logger.info(`Contraseña restablecida para admin: ${admin.email}`);
+  }
+
+  /**
+   * Cambiar contraseña propia (requiere la contraseña actual)
+   * Cierra el resto de sesiones del admin, conservando la actual
+   */
+  async changePassword(adminId, currentPassword, newPassword, currentSessionId = null) {
+    const admin = await prisma.user.findUnique({
+      where: { id: adminId },
+      select: { id: true, email: true, password_hash: true },
+    });
+
+    if (!admin || !(await securityHelpers.verifyPassword(currentPassword, admin.password_hash))) {
+      throw new UnauthorizedError('La contraseña actual es incorrecta');
+    }
+
+    await this._setPassword(admin.id, newPassword);
+    await destroyUserSessions(admin.id, { exceptSessionId: currentSessionId });
+
+    Logger.info(`Contraseña actualizada por admin: ${admin.email}`);
+  }
+
+  /**
+   * Crear un nuevo administrador nominal
+   * El admin se crea sin contraseña y recibe por email un enlace para establecerla
+   */
+  async createAdmin(data, createdBy) {
+    const email = String(data.email).trim().toLowerCase();
+
+    const existing = await prisma.user.findFirst({
+      where: { email: { equals: email, mode: 'insensitive' } },
+      select: { id: true },
+    });
+    if (existing) {
+      throw new ConflictError('Ya existe un usuario registrado con este email', 'EMAIL_ALREADY_EXISTS');
+    }
+
+    const roleName = data.role || DEFAULT_ADMIN_ROLE;
+    const role = await prisma.role.findUnique({ where: { name: roleName }, select: { id: true } });
+    if (!role) {
+      throw new NotFoundError(`Rol '${roleName}'`);
+    }
+
+    const admin = await prisma.user.create({
+      data: {
+        first_name: data.first_name,
+        last_name: data.last_name,
+        email,
+        phone_number: data.phone_number || null,
+        document_type: null,
+        document_number: `ADMIN-${securityHelpers.generateToken(5).toUpperCase()}`,
+        user_type: 'admin',
+        role_id: role.id,
+      },
+      select: SESSION_USER_SELECT,
+    });
+
+    await this._issuePasswordToken(admin, 'set');
+
+    Logger.info(`Admin ${createdBy.email} creó administrador: ${admin.email} (rol ${roleName})`);
+    return { ...admin, role: roleName };
+  }
+
+  /**
+   * Listar administradores con estado de credenciales
+   */
+  async listAdmins() {
+    const admins = await prisma.user.findMany({
+      where: { user_type: 'admin', deleted_at: null },
+      select: {
+        ...SESSION_USER_SELECT,
+        password_hash: true,
+        locked_until: true,
+        last_login_at: true,
+        password_updated_at: true,
+        role: { select: { name: true } },
+      },
+      orderBy: { created_at: 'asc' },
+    });
+
+    const now = new Date();
+    return admins.map(({ password_hash, locked_until, role, ...admin }) => ({
+      ...admin,
+      role: role?.name || null,
+      has_password: !!password_hash,
+      is_locked: !!(locked_until && locked_until > now),
+      locked_until,
+    }));
+  }
+
+  // Métodos privados
+
+  async _setPassword(userId, newPassword) {
+    const password_hash = await securityHelpers.hashPassword(newPassword);
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        password_hash,
+        password_updated_at: new Date(),
+        password_reset_token_hash: null,
+        password_reset_expires_at: null,
+        failed_login_attempts: 0,
+        locked_until: null,
+      },
+    });
+  }
+
+  async _issuePasswordToken(admin, purpose) {
+    const token = securityHelpers.generateToken();
+    const expiresAt = new Date(Date.now() + config.auth.passwordResetMinutes * 60 * 1000);
+
+    await prisma.user.update({
+      where: { id: admin.id },
+      data: {
+        password_reset_token_hash: securityHelpers.hashToken(token),
+        password_reset_expires_at: expiresAt,
+      },
+    });
+
+    const link = `${config.frontend.url}/admin/reset-password?token=${token}`;
+    const subject = purpose === 'set'
+      ? 'Configura tu contraseña de administrador'
+      : 'Restablecimiento de contraseña';
+    const body = purpose === 'set'
+      ? `Se creó tu cuenta de administrador en BOB Subastas. Define tu contraseña aquí (válido ${config.auth.passwordResetMinutes} minutos): ${link}`
+      : `Recibimos una solicitud para restablecer tu contraseña. Si fuiste tú, usa este enlace (válido ${config.auth.passwordResetMinutes} minutos): ${link}`;
+
+    try {
+      const emailService = require('./emailService');
+      await emailService.send({ toUserId: admin.id, subject, body });
+    } catch (error) {
+      Logger.error(`No se pudo enviar email de contraseña a ${admin.email}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new AdminAuthService();
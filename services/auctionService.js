@@ -6,12 +6,17 @@ const {
 } = require('../middleware/errorHandler');
 const {
   businessValidations,
-  stateHelpers,
   formatters,
   paginationHelpers,
   businessCalculations,
 } = require('../utils');
 const { Logger } = require('../middleware/logger');
+const auditService = require('./auditService');
+const stateMachineService = require('./stateMachineService');
+const businessRuleService = require('./businessRuleService');
+const ledgerService = require('./ledgerService');
+const { AUDIT_ACTIONS } = require('../config/audit');
+const { BASE_CURRENCY } = require('../config/currencies');
 
 class AuctionService {
   
@@ -355,6 +360,7 @@ class AuctionService {
       id_offerWin: auction.id_offerWin,
       fecha_resultado_general: auction.fecha_resultado_general,
       finished_at: auction.finished_at,
+      version: auction.version,
       created_at: auction.created_at,
       updated_at: auction.updated_at,
       guarantees: auction.guarantees,
@@ -397,29 +403,175 @@ class AuctionService {
   }
   
   /**
-   * Cambiar estado de subasta
+   * Línea de tiempo de la subasta (orden cronológico)
+   * Combina transiciones persistidas (state_transitions) de subasta, garantías, movements y reembolsos
+   * con la creación de cada registro relacionado, facturación y extensiones de plazo (bitácora de auditoría)
    */
-  async updateAuctionStatus(auctionId, newStatus, motivo = null) {
-    const auction = await this.getAuctionById(auctionId);
-    
-    // Validar transición de estado
-    if (!stateHelpers.isValidStateTransition(auction.estado, newStatus)) {
-      const validStates = stateHelpers.getValidAuctionTransitions(auction.estado);
-      throw new ConflictError(
-        `No se puede cambiar de '${auction.estado}' a '${newStatus}'. Estados válidos: ${validStates.join(', ')}`,
-        'INVALID_STATE_TRANSITION'
-      );
-    }
-    
-    const updatedAuction = await prisma.auction.update({
+  async getAuctionTimeline(auctionId) {
+    const auction = await prisma.auction.findUnique({
       where: { id: auctionId },
-      data: {
-        estado: newStatus,
-        finished_at: newStatus === 'finalizada' ? new Date() : null,
-      },
       include: {
-        asset: true,
+        asset: { select: { placa: true } },
+        guarantees: true,
+        movements_ref: true,
+        billings: true,
+        refunds: true,
+        transitions: { orderBy: { created_at: 'asc' } },
+      },
+    });
+    if (!auction) throw BusinessErrors.AuctionNotFound();
+
+    const deadlineEvents = await prisma.auditEvent.findMany({
+      where: { entity_type: 'auction', entity_id: auctionId, action: AUDIT_ACTIONS.AUCTION_EXTEND_DEADLINE },
+      orderBy: { created_at: 'asc' },
+    });
+
+    // Estado con el que se creó un registro: origen de su primera transición o, sin transiciones, el actual
+    const initialState = (entityType, record) =>
+      auction.transitions.find((t) => t.entity_type === entityType && t.entity_id === record.id)?.from_estado ??
+      record.estado;
+
+    const entry = (at, source, event, entityId, extra = {}) => ({
+      at,
+      source,
+      event,
+      entity_id: entityId,
+      from: null,
+      to: null,
+      actor_id: null,
+      reason: null,
+      details: null,
+      ...extra,
+    });
+
+    const timeline = [
+      entry(auction.created_at, 'auction', 'created', auction.id, { to: initialState('auction', auction) }),
+      ...auction.guarantees.map((g) =>
+        entry(g.created_at, 'guarantee', 'created', g.id, {
+          to: initialState('guarantee', g),
+          details: { user_id: g.user_id, monto_oferta: g.monto_oferta, fecha_limite_pago: g.fecha_limite_pago },
+        })
+      ),
+      ...auction.movements_ref.map((m) =>
+        entry(m.created_at, 'movement', 'created', m.id, {
+          to: initialState('movement', m),
+          details: {
+            user_id: m.user_id,
+            tipo_movimiento_general: m.tipo_movimiento_general,
+            tipo_movimiento_especifico: m.tipo_movimiento_especifico,
+            monto: m.monto,
+            moneda: m.moneda,
+          },
+        })
+      ),
+      ...auction.billings.map((b) =>
+        entry(b.created_at, 'billing', 'created', b.id, {
+          details: { user_id: b.user_id, monto: b.monto, moneda: b.moneda },
+        })
+      ),
+      ...auction.refunds.map((r) =>
+        entry(r.created_at, 'refund', 'created', r.id, {
+          to: initialState('refund', r),
+          details: { user_id: r.user_id, monto_solicitado: r.monto_solicitado },
+        })
+      ),
+      ...auction.transitions.map((t) =>
+        entry(t.created_at, t.entity_type, t.event, t.entity_id, {
+          from: t.from_estado,
+          to: t.to_estado,
+          actor_id: t.actor_id,
+          reason: t.reason,
+          details: {
+            movement_id: t.movement_id,
+            guarantee_id: t.guarantee_id,
+            ...(t.metadata || {}),
+          },
+        })
+      ),
+      ...deadlineEvents.map((e) =>
+        entry(e.created_at, 'guarantee', 'deadline_extended', e.metadata?.guarantee_id ?? null, {
+          actor_id: e.actor_id,
+          reason: e.reason,
+          details: {
+            fecha_limite_pago_anterior: e.before?.fecha_limite_pago ?? null,
+            fecha_limite_pago: e.after?.fecha_limite_pago ?? null,
+          },
+        })
+      ),
+    ];
+
+    // Resolver actores en una sola consulta
+    const actorIds = [...new Set(timeline.map((e) => e.actor_id).filter(Boolean))];
+    const actors = actorIds.length
+      ? await prisma.user.findMany({
+          where: { id: { in: actorIds } },
+          select: { id: true, first_name: true, last_name: true, email: true, user_type: true },
+        })
+      : [];
+    const actorsById = new Map(actors.map((u) => [u.id, u]));
+
+    // sort estable: a igual instante, la creación precede a sus transiciones
+    const events = timeline
+      .sort((a, b) => new Date(a.at) - new Date(b.at))
+      .map(({ actor_id, ...rest }) => {
+        const actor = actor_id ? actorsById.get(actor_id) : null;
+        return {
+          ...rest,
+          actor: actor_id
+            ? {
+                id: actor_id,
+                name: actor ? formatters.fullName(actor) : null,
+                email: actor?.email ?? null,
+                user_type: actor?.user_type ?? null,
+              }
+            : null,
+        };
+      });
+
+    return {
+      auction: {
+        id: auction.id,
+        estado: auction.estado,
+        placa: auction.asset?.placa ?? null,
       },
+      timeline: events,
+    };
+  }
+  
+  /**
+   * Cambiar estado de subasta
+   * El motivo queda persistido en la bitácora de auditoría
+   * expectedVersion (If-Match): si la subasta cambió desde que el admin la consultó → 409 RESOURCE_MODIFIED
+   */
+  async updateAuctionStatus(auctionId, newStatus, motivo = null, adminUserId = null, { expectedVersion = null } = {}) {
+    const auction = await this.getAuctionById(auctionId);
+    stateMachineService.assertVersion('auction', auction, expectedVersion);
+    
+    const updatedAuction = await prisma.$transaction(async (tx) => {
+      // Solo transiciones marcadas como manuales en la máquina de estados
+      const updated = await stateMachineService.transition(tx, 'auction', auction, newStatus, {
+        manualOnly: true,
+        data: {
+          finished_at: newStatus === 'finalizada' ? new Date() : null,
+        },
+        include: {
+          asset: true,
+        },
+        actorId: adminUserId,
+        reason: motivo,
+      });
+      
+      await auditService.record(tx, {
+        actorId: adminUserId,
+        action: AUDIT_ACTIONS.AUCTION_STATUS_CHANGE,
+        entityType: 'auction',
+        entityId: auctionId,
+        before: auction,
+        after: updated,
+        reason: motivo,
+      });
+      
+      return updated;
     });
     
     Logger.info(`Estado de subasta actualizado: ${auctionId} -> ${newStatus}`, {
@@ -432,8 +584,10 @@ class AuctionService {
   
   /**
    * Extender fecha límite de pago
+   * La fecha vive en la garantía ganadora; la subasta también incrementa su versión porque expone
+   * fecha_limite_pago (su ETag cambia). expectedVersion (If-Match) es la versión de la subasta
    */
-  async extendPaymentDeadline(auctionId, newDeadline, motivo = null) {
+  async extendPaymentDeadline(auctionId, newDeadline, motivo = null, adminUserId = null, { expectedVersion = null } = {}) {
     // Cargar subasta base (sin campo fecha_limite_pago en DB)
     const auction = await prisma.auction.findUnique({
       where: { id: auctionId },
@@ -441,9 +595,11 @@ class AuctionService {
         id: true,
         estado: true,
         id_offerWin: true,
+        version: true,
       },
     });
     if (!auction) throw BusinessErrors.AuctionNotFound();
+    stateMachineService.assertVersion('auction', auction, expectedVersion);
     
     // Validar que la subasta pueda tener extensión
     if (!['pendiente', 'en_validacion'].includes(auction.estado)) {
@@ -462,10 +618,38 @@ class AuctionService {
       throw new ConflictError('No existe garantía ganadora para extender plazo', 'NO_WINNING_GUARANTEE');
     }
 
-    // Actualizar fecha en Guarantee ganadora
-    await prisma.guarantee.update({
-      where: { id: auction.id_offerWin },
-      data: { fecha_limite_pago: new Date(newDeadline) },
+    // Actualizar fecha en Guarantee ganadora (auditado en la misma transacción)
+    await prisma.$transaction(async (tx) => {
+      const bumped = await tx.auction.updateMany({
+        where: { id: auctionId, version: auction.version },
+        data: { version: { increment: 1 } },
+      });
+      if (bumped.count === 0) {
+        const current = await tx.auction.findUnique({ where: { id: auctionId }, select: { version: true } });
+        throw BusinessErrors.ResourceModified(
+          'auction',
+          stateMachineService.getMachine('auction').label,
+          auction.version,
+          current?.version ?? null
+        );
+      }
+
+      const previous = await tx.guarantee.findUnique({ where: { id: auction.id_offerWin } });
+      const updatedGuarantee = await tx.guarantee.update({
+        where: { id: auction.id_offerWin },
+        data: { fecha_limite_pago: new Date(newDeadline), version: { increment: 1 } },
+      });
+      
+      await auditService.record(tx, {
+        actorId: adminUserId,
+        action: AUDIT_ACTIONS.AUCTION_EXTEND_DEADLINE,
+        entityType: 'auction',
+        entityId: auctionId,
+        before: previous,
+        after: updatedGuarantee,
+        reason: motivo,
+        metadata: { guarantee_id: auction.id_offerWin },
+      });
     });
     
     Logger.info(`Fecha límite extendida para subasta ${auctionId}`, {
@@ -561,11 +745,13 @@ class AuctionService {
 
   /**
    * Registrar resultado de competencia externa (ganada | perdida | penalizada)
-   * - ganada: estado=ganada, mantener retenido hasta facturación (facturada), notificar
-   * - perdida: estado=perdida, mantener retenido hasta que el reembolso sea procesado, notificar
-   * - penalizada: estado=penalizada, aplicar penalidad (salida 30%) y mantener retenido hasta que el reembolso sea procesado, notificar
+   * - ganada: estado=ganada, Billing parcial y asiento guarantee_billed (retenido → aplicado), notificar
+   * - perdida: estado=perdida, reembolso automático y asiento guarantee_released (retenido → disponible), notificar
+   * - penalizada: estado=penalizada, penalidad según reglas de negocio (retenido → penalizado)
+   *   y reembolso automático del resto (retenido → disponible), notificar
+   * expectedVersion (If-Match): si la subasta cambió desde que el admin la consultó → 409 RESOURCE_MODIFIED
    */
-  async registerCompetitionResult(auctionId, resultado, observaciones = null) {
+  async registerCompetitionResult(auctionId, resultado, observaciones = null, adminUserId = null, { expectedVersion = null } = {}) {
     if (!['ganada', 'perdida', 'penalizada'].includes(resultado)) {
       throw new ConflictError('Resultado de competencia no válido', 'INVALID_COMPETITION_RESULT');
     }
@@ -580,14 +766,10 @@ class AuctionService {
         },
       });
       if (!auction) throw BusinessErrors.AuctionNotFound();
+      stateMachineService.assertVersion('auction', auction, expectedVersion);
 
       // Validar transición: solo desde 'finalizada' se resuelve competencia
-      if (!['finalizada', 'ganada', 'perdida', 'penalizada'].includes(auction.estado) && auction.estado !== 'finalizada') {
-        throw new ConflictError(
-          `Estado actual no permite registrar resultado de competencia: ${auction.estado}`,
-          'INVALID_AUCTION_STATE'
-        );
-      }
+      stateMachineService.assertTransition('auction', auction.estado, resultado);
 
       // Offer ganador y usuario
       const winningOfferId = auction.id_offerWin;
@@ -596,92 +778,17 @@ class AuctionService {
         throw new ConflictError('No se encontró la oferta ganadora para esta subasta', 'NO_WINNING_OFFER');
       }
       const userId = winningOffer.user_id;
+      // Reglas de la versión estampada en la garantía ganadora (penalidad y fallback de garantía)
+      const rules = await businessRuleService.forGuarantee(winningOffer, tx);
 
       // Cambiar estado base + fecha_resultado_general
-      const updatedAuction = await tx.auction.update({
-        where: { id: auctionId },
-        data: {
-          estado: resultado,
-          fecha_resultado_general: new Date(),
-        },
+      const updatedAuction = await stateMachineService.transition(tx, 'auction', auction, resultado, {
+        data: { fecha_resultado_general: new Date() },
         include: { asset: true },
+        actorId: adminUserId,
+        reason: observaciones,
       });
 
-      // Helpers internos
-      const recalcSaldoTotalTx = async (uid) => {
-        // Excluir entradas de tipo 'reembolso' para no inflar saldo_total cuando se libera retenido
-        const entradas = await tx.movement.aggregate({
-          _sum: { monto: true },
-          where: {
-            user_id: uid,
-            estado: 'validado',
-            tipo_movimiento_general: 'entrada',
-            NOT: { tipo_movimiento_especifico: 'reembolso' },
-          },
-        });
-        const salidas = await tx.movement.aggregate({
-          _sum: { monto: true },
-          where: {
-            user_id: uid,
-            estado: 'validado',
-            tipo_movimiento_general: 'salida',
-          },
-        });
-        const totalEntradas = Number(entradas._sum.monto || 0);
-        const totalSalidas = Number(salidas._sum.monto || 0);
-        const saldoTotal = Number((totalEntradas - totalSalidas).toFixed(2));
-        await tx.user.update({ where: { id: uid }, data: { saldo_total: saldoTotal } });
-        return saldoTotal;
-      };
-
-      const recalcSaldoRetenidoTx = async (uid) => {
-        // RN07: Estados que retienen: finalizada, ganada, perdida, penalizada
-        const guarantees = await tx.guarantee.findMany({
-          where: { user_id: uid },
-          select: { auction: { select: { id: true, estado: true } } },
-        });
-        const retainStates = new Set(['finalizada', 'ganada', 'perdida']);
-        const auctionIdsToRetain = guarantees
-          .filter((o) => o.auction && retainStates.has(o.auction.estado))
-          .map((o) => o.auction.id);
-
-        // Sumar garantías validadas asociadas a subastas retenedoras
-        let sumGarantias = 0;
-        if (auctionIdsToRetain.length > 0) {
-          const validatedGuaranteeMovs = await tx.movement.findMany({
-            where: {
-              user_id: uid,
-              estado: 'validado',
-              tipo_movimiento_general: 'entrada',
-              tipo_movimiento_especifico: 'pago_garantia',
-              auction_id_ref: { in: auctionIdsToRetain },
-            },
-            select: { monto: true },
-          });
-          sumGarantias = validatedGuaranteeMovs.reduce((acc, m) => acc + Number(m.monto || 0), 0);
-        }
-
-        // Restar reembolsos de salida ya procesados (validados) SOLO de estas subastas retenedoras
-        let sumReembolsos = 0;
-        if (auctionIdsToRetain.length > 0) {
-          const refundMovs = await tx.movement.findMany({
-            where: {
-              user_id: uid,
-              estado: 'validado',
-              // Considerar cualquier 'reembolso' (entrada: liberación, salida: devolución de dinero)
-              tipo_movimiento_especifico: 'reembolso',
-              auction_id_ref: { in: auctionIdsToRetain },
-            },
-            select: { monto: true },
-          });
-          sumReembolsos = refundMovs.reduce((acc, m) => acc + Number(m.monto || 0), 0);
-        }
-
-        const saldoRetenido = Number(Math.max(0, sumGarantias - sumReembolsos).toFixed(2));
-        await tx.user.update({ where: { id: uid }, data: { saldo_retenido: saldoRetenido } });
-        return saldoRetenido;
-      };
-
       // Crear notificación dentro de la TX, pero enviar email fuera de la TX para evitar expiración (P2028)
       const notifySafe = async (tipo, { uid, titulo, mensaje, reference_type, reference_id }) => {
         try {
@@ -731,7 +838,7 @@ class AuctionService {
         case 'ganada': {
           // HU-COMP-02:
           // - Crear Billing automático con datos parciales (idempotente)
-          // - Liberar saldo_retenido inmediatamente (restar garantía)
+          // - Asiento guarantee_billed: la garantía retenida pasa a aplicada
           // - Notificar al cliente con referencia al billing creado
           const existingBilling = await tx.billing.findFirst({
             where: { auction_id: auctionId, user_id: userId },
@@ -740,25 +847,15 @@ class AuctionService {
           let billingRecord = existingBilling;
 
           if (!existingBilling) {
-            // Calcular monto de garantía validada para esta subasta
-            const agg = await tx.movement.aggregate({
-              _sum: { monto: true },
-              where: {
-                user_id: userId,
-                estado: 'validado',
-                tipo_movimiento_general: 'entrada',
-                tipo_movimiento_especifico: 'pago_garantia',
-                auction_id_ref: auctionId,
-              },
-            });
-            let montoGarantia = Number(agg._sum.monto || 0);
+            // Garantía validada para esta subasta, en la moneda en que se pagó
+            const funds = await ledgerService.guaranteeFunds(tx, userId, auctionId);
+            let montoGarantia = funds?.monto ?? 0;
 
-            // Fallback: 8% de la oferta ganadora si no hay movimientos (consistencia)
+            // Fallback: garantía de la oferta ganadora si no hay movimientos (consistencia)
             if (montoGarantia <= 0) {
-              const winningGuarantee = auction.guarantees.find(o => o.id === auction.id_offerWin);
-              const baseOferta = Number(winningGuarantee?.monto_oferta || 0);
-              if (baseOferta > 0 && businessCalculations?.calculateGuaranteeAmount) {
-                montoGarantia = businessCalculations.calculateGuaranteeAmount(baseOferta);
+              const baseOferta = Number(winningOffer.monto_oferta || 0);
+              if (baseOferta > 0) {
+                montoGarantia = businessCalculations.calculateGuaranteeAmount(baseOferta, rules);
               }
             }
 
@@ -771,26 +868,16 @@ class AuctionService {
                 billing_document_number: null,
                 billing_name: null,
                 monto: montoGarantia,
-                moneda: 'USD',
+                moneda: funds?.moneda ?? BASE_CURRENCY,
+                tipo_cambio: funds?.tipo_cambio ?? 1,
+                monto_base: funds?.monto_base ?? montoGarantia,
                 concepto,
                 auction_id: auctionId,
               },
             });
 
-            // Liberar retenido inmediatamente: restar el monto de esta garantía
-            if (montoGarantia > 0) {
-              const currentUser = await tx.user.findUnique({
-                where: { id: userId },
-                select: { saldo_retenido: true },
-              });
-              const newRetenido = Number(
-                Math.max(0, Number(currentUser?.saldo_retenido || 0) - montoGarantia).toFixed(2)
-              );
-              await tx.user.update({
-                where: { id: userId },
-                data: { saldo_retenido: newRetenido },
-              });
-            }
+            await ledgerService.postBilling(tx, billingRecord);
+            await ledgerService.projectUser(tx, userId);
           }
 
           await notifySafe('competencia_ganada', {
@@ -804,27 +891,19 @@ class AuctionService {
           break;
         }
         case 'perdida': {
-          // Crear reembolso automático (entrada/reembolso) por el 100% de la garantía validada
-          const agg = await tx.movement.aggregate({
-            _sum: { monto: true },
-            where: {
-              user_id: userId,
-              estado: 'validado',
-              tipo_movimiento_general: 'entrada',
-              tipo_movimiento_especifico: 'pago_garantia',
-              auction_id_ref: auctionId,
-            },
-          });
-          const garantiaTotal = Number(agg._sum.monto || 0);
+          // Crear reembolso automático (entrada/reembolso) por el 100% de la garantía validada, en su moneda
+          const funds = await ledgerService.guaranteeFunds(tx, userId, auctionId);
 
-          if (garantiaTotal > 0) {
-            await tx.movement.create({
+          if (funds && funds.monto > 0) {
+            const releaseMovement = await tx.movement.create({
               data: {
                 user_id: userId,
                 tipo_movimiento_general: 'entrada',
                 tipo_movimiento_especifico: 'reembolso',
-                monto: garantiaTotal,
-                moneda: 'USD',
+                monto: funds.monto,
+                moneda: funds.moneda,
+                tipo_cambio: funds.tipo_cambio,
+                monto_base: funds.monto_base,
                 tipo_pago: null,
                 numero_cuenta_origen: null,
                 voucher_url: null,
@@ -835,12 +914,14 @@ class AuctionService {
                 motivo_rechazo: null,
                 numero_operacion: null,
                 auction_id_ref: auctionId,
+                rule_version: rules.version,
               },
             });
+            // Asiento guarantee_released: retenido → disponible
+            await ledgerService.postMovement(tx, releaseMovement);
           }
 
-          await recalcSaldoTotalTx(userId);
-          await recalcSaldoRetenidoTx(userId);
+          await ledgerService.projectUser(tx, userId);
 
           await notifySafe('competencia_perdida', {
             uid: userId,
@@ -852,19 +933,16 @@ class AuctionService {
           break;
         }
         case 'penalizada': {
-          // Penalidad 30% de garantía validada asociada a esta subasta + reembolso automático 70%
-          const agg = await tx.movement.aggregate({
-            _sum: { monto: true },
-            where: {
-              user_id: userId,
-              estado: 'validado',
-              tipo_movimiento_general: 'entrada',
-              tipo_movimiento_especifico: 'pago_garantia',
-              auction_id_ref: auctionId,
-            },
-          });
-          const garantiaTotal = Number(agg._sum.monto || 0);
-          const penalidad = Number((garantiaTotal * 0.30).toFixed(2));
+          // Penalidad (% de la versión de reglas) de garantía validada asociada a esta subasta + reembolso automático del resto
+          // Ambos en la moneda del pago; el equivalente en moneda base se reparte con el mismo porcentaje
+          const funds = await ledgerService.guaranteeFunds(tx, userId, auctionId);
+          const moneda = funds?.moneda ?? BASE_CURRENCY;
+          const tipoCambio = funds?.tipo_cambio ?? 1;
+          const garantiaTotal = funds?.monto ?? 0;
+          const garantiaBase = funds?.monto_base ?? 0;
+          const penalidad = businessCalculations.calculatePenalty(garantiaTotal, rules);
+          const penalidadBase = businessCalculations.calculatePenalty(garantiaBase, rules);
+          const penaltyPct = Math.round(rules.penalty_percentage * 100);
 
           if (penalidad > 0) {
             const penalMovement = await tx.movement.create({
@@ -873,60 +951,79 @@ class AuctionService {
                 tipo_movimiento_general: 'salida',
                 tipo_movimiento_especifico: 'penalidad',
                 monto: penalidad,
-                moneda: 'USD',
+                moneda,
+                tipo_cambio: tipoCambio,
+                monto_base: penalidadBase,
                 tipo_pago: null,
                 numero_cuenta_origen: null,
                 voucher_url: null,
-                concepto: `Penalidad 30% por no completar pago de vehículo - Subasta ${updatedAuction.asset?.placa ?? ''}`,
+                concepto: `Penalidad ${penaltyPct}% por no completar pago de vehículo - Subasta ${updatedAuction.asset?.placa ?? ''}`,
                 estado: 'validado',
                 fecha_pago: new Date(),
                 fecha_resolucion: new Date(),
                 motivo_rechazo: null,
                 numero_operacion: null,
                 auction_id_ref: auctionId,
+                rule_version: rules.version,
               },
             });
+            // Asiento penalty_applied: retenido → penalizado
+            await ledgerService.postMovement(tx, penalMovement);
 
             await notifySafe('penalidad_aplicada', {
               uid: userId,
               titulo: 'Penalidad aplicada',
-              mensaje: `Se aplicó penalidad del 30% de la garantía para la subasta ${updatedAuction.asset?.placa ?? ''}.`,
+              mensaje: `Se aplicó penalidad del ${penaltyPct}% de la garantía para la subasta ${updatedAuction.asset?.placa ?? ''}.`,
               reference_type: 'movement',
               reference_id: penalMovement.id,
             });
           }
 
-          // Reembolso automático del 70% restante como entrada/reembolso (libera retenido)
-          const reembolso70 = Number((garantiaTotal - penalidad).toFixed(2));
-          if (reembolso70 > 0) {
-            await tx.movement.create({
+          // Reembolso automático del restante como entrada/reembolso (libera retenido)
+          const reembolsoRestante = Number((garantiaTotal - penalidad).toFixed(2));
+          if (reembolsoRestante > 0) {
+            const releaseMovement = await tx.movement.create({
               data: {
                 user_id: userId,
                 tipo_movimiento_general: 'entrada',
                 tipo_movimiento_especifico: 'reembolso',
-                monto: reembolso70,
-                moneda: 'USD',
+                monto: reembolsoRestante,
+                moneda,
+                tipo_cambio: tipoCambio,
+                monto_base: Number((garantiaBase - penalidadBase).toFixed(2)),
                 tipo_pago: null,
                 numero_cuenta_origen: null,
                 voucher_url: null,
-                concepto: `Reembolso automático 70% por penalidad - Subasta ${updatedAuction.asset?.placa ?? ''}`,
+                concepto: `Reembolso automático ${100 - penaltyPct}% por penalidad - Subasta ${updatedAuction.asset?.placa ?? ''}`,
                 estado: 'validado',
                 fecha_pago: new Date(),
                 fecha_resolucion: new Date(),
                 motivo_rechazo: null,
                 numero_operacion: null,
                 auction_id_ref: auctionId,
+                rule_version: rules.version,
               },
             });
+            // Asiento guarantee_released: retenido → disponible
+            await ledgerService.postMovement(tx, releaseMovement);
           }
 
-          // Recalcular caches tras penalidad + reembolso automático
-          await recalcSaldoTotalTx(userId);
-          await recalcSaldoRetenidoTx(userId);
+          await ledgerService.projectUser(tx, userId);
           break;
         }
       }
 
+      await auditService.record(tx, {
+        actorId: adminUserId,
+        action: AUDIT_ACTIONS.AUCTION_COMPETITION_RESULT,
+        entityType: 'auction',
+        entityId: auctionId,
+        before: auction,
+        after: updatedAuction,
+        reason: observaciones,
+        metadata: { resultado, winner_user_id: userId, guarantee_id: winningOfferId },
+      });
+
       return {
         auction: updatedAuction,
         resultado,
@@ -0,0 +1,90 @@
+const { prisma } = require('../config/database');
+const { paginationHelpers } = require('../utils');
+
+/**
+ * Snapshot serializable de un registro: solo campos escalares
+ * (Decimal y Date quedan como string; relaciones incluidas se descartan)
+ */
+const snapshot = (record) => {
+  if (!record) return null;
+  const plain = JSON.parse(JSON.stringify(record));
+  return Object.fromEntries(
+    Object.entries(plain).filter(([, value]) => value === null || typeof value !== 'object')
+  );
+};
+
+class AuditService {
+  /**
+   * Registrar evento de auditoría
+   * Debe invocarse con el cliente de la transacción (tx) que aplica el cambio,
+   * de modo que el evento y el cambio se confirman o revierten juntos
+   */
+  async record(tx, { actorId = null, action, entityType, entityId, before = null, after = null, reason = null, metadata = null }) {
+    const client = tx || prisma;
+
+    const actor = actorId
+      ? await client.user.findUnique({ where: { id: actorId }, select: { email: true } })
+      : null;
+
+    return client.auditEvent.create({
+      data: {
+        actor_id: actorId,
+        actor_email: actor?.email ?? null,
+        action,
+        entity_type: entityType,
+        entity_id: entityId,
+        before: snapshot(before) ?? undefined,
+        after: snapshot(after) ?? undefined,
+        reason: reason || null,
+        metadata: metadata ? JSON.parse(JSON.stringify(metadata)) : undefined,
+      },
+    });
+  }
+
+  /**
+   * Listar eventos de auditoría
+   * Filtros: entity_type, entity_id, actor_id, action, fecha_desde, fecha_hasta, page, limit
+   */
+  async listEvents(filters = {}) {
+    const {
+      entity_type,
+      entity_id,
+      actor_id,
+      action,
+      fecha_desde,
+      fecha_hasta,
+      page = 1,
+      limit = 20,
+    } = filters;
+
+    const where = {};
+    if (entity_type) where.entity_type = entity_type;
+    if (entity_id) where.entity_id = entity_id;
+    if (actor_id) where.actor_id = actor_id;
+    if (action) where.action = action;
+    if (fecha_desde || fecha_hasta) {
+      where.created_at = {};
+      if (fecha_desde) where.created_at.gte = new Date(fecha_desde);
+      if (fecha_hasta) where.created_at.lte = new Date(fecha_hasta);
+    }
+
+    const offset = paginationHelpers.calculateOffset(page, limit);
+
+    const [events, total] = await Promise.all([
+      prisma.auditEvent.findMany({
+        where,
+        orderBy: { created_at: 'desc' },
+        skip: offset,
+        take: parseInt(limit),
+      }),
+      prisma.auditEvent.count({ where }),
+    ]);
+
+    return {
+      events,
+      pagination: paginationHelpers.generatePaginationMeta(page, limit, total),
+    };
+  }
+}
+
+module.exports = new AuditService();
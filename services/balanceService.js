@@ -3,21 +3,32 @@ const {
   BusinessErrors,
   NotFoundError,
   ConflictError,
+  ValidationError,
 } = require('../middleware/errorHandler');
 const {
   businessCalculations,
   formatters,
   paginationHelpers,
+  timeHelpers,
 } = require('../utils');
 const { Logger } = require('../middleware/logger');
+const auditService = require('./auditService');
+const ledgerService = require('./ledgerService');
+const businessRuleService = require('./businessRuleService');
+const exchangeRateService = require('./exchangeRateService');
+const { AUDIT_ACTIONS } = require('../config/audit');
+const { BASE_CURRENCY } = require('../config/currencies');
 
 class BalanceService {
   /**
-   * Obtener saldo de un usuario con la nueva fórmula:
-   * Saldo Disponible = saldo_total(User) - saldo_retenido(User) - SUM(Billing.monto)
+   * Obtener saldo de un usuario (proyección del libro mayor en User):
+   * Saldo Disponible = saldo_total - saldo_retenido - saldo_aplicado
+   * - saldo_*: consolidado en moneda base (montos en otra moneda al tipo de cambio con que se registraron)
+   * - saldos_por_moneda: los mismos saldos por moneda, cada uno en su moneda
+   * Con as_of ('YYYY-MM-DD' = fin de ese día en Lima, o fecha ISO): saldo a esa fecha desde el historial
    */
-  async getBalance(userId) {
-    Logger.info(`Consultando saldo del usuario ${userId}`);
+  async getBalance(userId, { as_of } = {}) {
+    Logger.info(`Consultando saldo del usuario ${userId}`, as_of ? { as_of } : undefined);
 
     const user = await prisma.user.findUnique({
       where: { id: userId },
@@ -29,6 +40,7 @@ class BalanceService {
         document_number: true,
         saldo_total: true,
         saldo_retenido: true,
+        saldo_aplicado: true,
         updated_at: true,
       },
     });
@@ -37,13 +49,34 @@ class BalanceService {
       throw new NotFoundError('Usuario');
     }
 
-    // 3) Calcular saldo_aplicado desde Billing
-    const appliedAgg = await prisma.billing.aggregate({
-      _sum: { monto: true },
-      where: { user_id: userId },
-    });
+    const userInfo = {
+      name: formatters.fullName(user),
+      document: formatters.document(user.document_type, user.document_number),
+    };
+
+    if (as_of) {
+      const cutoff = timeHelpers.resolveCutoff(as_of);
+      if (Number.isNaN(cutoff.getTime())) {
+        throw new ValidationError('as_of no es una fecha válida', { field: 'as_of' });
+      }
+      if (cutoff > new Date()) {
+        throw new ValidationError('as_of no puede ser una fecha futura', { field: 'as_of' });
+      }
+
+      const { balances, currencyBalances, snapshot } = await this.computeBalancesAt(prisma, userId, cutoff);
+      return {
+        user_id: userId,
+        user: userInfo,
+        moneda_base: BASE_CURRENCY,
+        ...balances,
+        saldos_por_moneda: currencyBalances,
+        as_of: cutoff.toISOString(),
+        source: snapshot && snapshot.as_of.getTime() === cutoff.getTime() ? 'snapshot' : 'history',
+        snapshot_period: snapshot?.period ?? null,
+      };
+    }
 
-    const saldo_aplicado = Number(appliedAgg._sum.monto || 0);
+    const saldo_aplicado = Number(user.saldo_aplicado || 0);
     const saldo_total = Number(user.saldo_total || 0);
     const saldo_retenido = Number(user.saldo_retenido || 0);
     const saldo_disponible = Number(
@@ -52,18 +85,91 @@ class BalanceService {
 
     return {
       user_id: userId,
-      user: {
-        name: formatters.fullName(user),
-        document: formatters.document(user.document_type, user.document_number),
-      },
+      user: userInfo,
+      moneda_base: BASE_CURRENCY,
       saldo_total,
       saldo_retenido,
       saldo_aplicado,
       saldo_disponible,
+      saldos_por_moneda: await ledgerService.getUserCurrencyBalances(prisma, userId),
       updated_at: user.updated_at,
     };
   }
 
+  /**
+   * Saldos de un cliente a una fecha de corte
+   * - Parte del último cierre mensual (BalanceSnapshot) con as_of <= corte y aplica los asientos
+   *   del historial posteriores al cierre: las cifras de periodos cerrados no cambian retroactivamente
+   * - Sin cierre previo: reconstruye desde todo el historial
+   * Retorna saldos consolidados (accounts/balances) y por moneda (currencyAccounts/currencyBalances)
+   */
+  async computeBalancesAt(client, userId, cutoff) {
+    const [snapshot, postings] = await Promise.all([
+      client.balanceSnapshot.findFirst({
+        where: { user_id: userId, as_of: { lte: cutoff } },
+        orderBy: { as_of: 'desc' },
+      }),
+      ledgerService.historyPostings(client, userId),
+    ]);
+
+    const pending = postings.filter((p) => {
+      const at = new Date(p.at);
+      return at <= cutoff && (!snapshot || at > snapshot.as_of);
+    });
+    const accounts = ledgerService.accountsFromPostings(pending, snapshot?.accounts ?? {});
+    // Cierres previos al multimoneda solo tienen cuentas en moneda base
+    const currencyAccounts = ledgerService.currencyAccountsFromPostings(
+      pending,
+      snapshot ? snapshot.currency_accounts ?? { [BASE_CURRENCY]: snapshot.accounts } : {}
+    );
+
+    return {
+      accounts,
+      balances: ledgerService.projectBalances(accounts),
+      currencyAccounts,
+      currencyBalances: ledgerService.projectCurrencyBalances(currencyAccounts),
+      snapshot,
+    };
+  }
+
+  /**
+   * Registrar saldos de cierre de un periodo (YYYY-MM; por defecto el mes anterior) para todos los clientes
+   * Idempotente: los clientes con cierre del periodo se omiten; los cierres existentes nunca se modifican
+   */
+  async createMonthEndSnapshots(period = timeHelpers.previousPeriod(timeHelpers.periodOf(new Date()))) {
+    const asOf = timeHelpers.periodEnd(period);
+    if (asOf > new Date()) {
+      throw new ValidationError(`El periodo ${period} aún no ha cerrado`, { period });
+    }
+
+    const [clients, existing] = await Promise.all([
+      prisma.user.findMany({
+        where: { user_type: 'client', created_at: { lte: asOf } },
+        select: { id: true },
+      }),
+      prisma.balanceSnapshot.findMany({ where: { period }, select: { user_id: true } }),
+    ]);
+    const done = new Set(existing.map((s) => s.user_id));
+
+    const data = [];
+    for (const { id } of clients.filter((c) => !done.has(c.id))) {
+      const { accounts, balances, currencyAccounts } = await this.computeBalancesAt(prisma, id, asOf);
+      data.push({ user_id: id, period, as_of: asOf, ...balances, accounts, currency_accounts: currencyAccounts });
+    }
+
+    const { count } = await prisma.balanceSnapshot.createMany({ data, skipDuplicates: true });
+
+    Logger.info(`Cierre de saldos ${period}: ${count} clientes registrados, ${done.size} ya existentes`);
+
+    return {
+      period,
+      as_of: asOf.toISOString(),
+      users: clients.length,
+      created: count,
+      skipped: clients.length - count,
+    };
+  }
+
   /**
    * Obtener movimientos de un usuario (Movement) con filtros
    */
@@ -179,6 +285,8 @@ class BalanceService {
         tipo_movimiento_especifico: m.tipo_movimiento_especifico,
         monto: m.monto,
         moneda: m.moneda,
+        tipo_cambio: m.tipo_cambio,
+        monto_base: m.monto_base,
         estado: m.estado,
         concepto: m.concepto,
         numero_operacion: m.numero_operacion,
@@ -275,6 +383,7 @@ class BalanceService {
           phone_number: true,
           saldo_total: true,
           saldo_retenido: true,
+          saldo_aplicado: true,
           updated_at: true,
         },
         orderBy: { saldo_total: 'desc' },
@@ -284,14 +393,9 @@ class BalanceService {
       prisma.user.count({ where }),
     ]);
 
-    // Calcular saldo_aplicado por usuario (Billing)
     const balances = [];
     for (const u of users) {
-      const appliedAgg = await prisma.billing.aggregate({
-        _sum: { monto: true },
-        where: { user_id: u.id },
-      });
-      const saldo_aplicado = Number(appliedAgg._sum.monto || 0);
+      const saldo_aplicado = Number(u.saldo_aplicado || 0);
       const saldo_total = Number(u.saldo_total || 0);
       const saldo_retenido = Number(u.saldo_retenido || 0);
       const saldo_disponible = Number(
@@ -326,19 +430,16 @@ class BalanceService {
   async getBalanceStats() {
     Logger.info('Calculando estadísticas de saldos (nueva arquitectura)');
 
-    const [userAgg, billingAgg, usersWithBalanceCount, movementsThisMonth] = await Promise.all([
+    const [userAgg, usersWithBalanceCount, movementsThisMonth] = await Promise.all([
       prisma.user.aggregate({
         where: { user_type: 'client' },
         _sum: {
           saldo_total: true,
           saldo_retenido: true,
+          saldo_aplicado: true,
         },
         _count: { id: true },
       }),
-      prisma.billing.aggregate({
-        where: { user: { user_type: 'client' } },
-        _sum: { monto: true },
-      }),
       prisma.user.count({
         where: { user_type: 'client', saldo_total: { gt: 0 } },
       }),
@@ -358,7 +459,7 @@ class BalanceService {
 
     const saldo_total_sistema = Number(userAgg._sum.saldo_total || 0);
     const saldo_retenido_total = Number(userAgg._sum.saldo_retenido || 0);
-    const saldo_aplicado_total = Number(billingAgg._sum.monto || 0);
+    const saldo_aplicado_total = Number(userAgg._sum.saldo_aplicado || 0);
     const saldo_disponible_total = Number(
       (saldo_total_sistema - saldo_retenido_total - saldo_aplicado_total).toFixed(2)
     );
@@ -379,13 +480,16 @@ class BalanceService {
    * - ajuste_positivo: entrada/ajuste_manual
    * - ajuste_negativo: salida/ajuste_manual
    * - penalidad_manual: salida/penalidad
+   * Moneda distinta a la base: las entradas se convierten al tipo de cambio vigente; las salidas toman
+   * el equivalente al costo histórico de la cuenta disponible de esa moneda
    */
   async createManualMovement(userId, movementData, adminUserId) {
-    const { tipo_movimiento, monto, descripcion, motivo } = movementData;
+    const { tipo_movimiento, monto, descripcion, motivo, moneda = BASE_CURRENCY } = movementData;
 
     Logger.info(`Admin ${adminUserId} creando movimiento manual para usuario ${userId}`, {
       tipo: tipo_movimiento,
       monto,
+      moneda,
       motivo,
     });
 
@@ -425,6 +529,21 @@ class BalanceService {
           );
       }
 
+      // Versión de reglas vigente al momento del ajuste
+      const rules = await businessRuleService.getCurrent(tx);
+
+      let conversion;
+      if (general === 'entrada') {
+        conversion = await exchangeRateService.convert(amount, moneda, new Date(), tx);
+      } else {
+        const montoBase = await ledgerService.baseEquivalent(tx, userId, 'disponible', moneda, amount);
+        conversion = {
+          tipo_cambio: montoBase > 0 ? Number((amount / montoBase).toFixed(6)) : 1,
+          monto_base: montoBase,
+          exchange_rate_id: null,
+        };
+      }
+
       // Crear movement ya validado (afecta inmediatamente el saldo_total)
       const movement = await tx.movement.create({
         data: {
@@ -432,7 +551,8 @@ class BalanceService {
           tipo_movimiento_general: general,
           tipo_movimiento_especifico: especifico,
           monto: amount,
-          moneda: 'USD',
+          moneda,
+          ...conversion,
           tipo_pago: null,
           numero_cuenta_origen: null,
           voucher_url: null,
@@ -442,14 +562,24 @@ class BalanceService {
           fecha_resolucion: new Date(),
           motivo_rechazo: null,
           numero_operacion: null,
+          rule_version: rules.version,
         },
       });
 
-      // Sin referencias adicionales; Movement usa FKs directos (auction_id_ref, guarantee_id_ref, refund_id_ref)
-
-      // Recalcular cache de saldo_total y saldo_retenido
-      const saldo_total = await this._recalcularSaldoTotalTx(tx, userId);
-      const saldo_retenido = await this._recalcularSaldoRetenidoTx(tx, userId);
+      // Asiento contable (manual_credit | manual_debit | manual_penalty) y proyección de saldos
+      await ledgerService.postMovement(tx, movement);
+      const { saldo_total, saldo_retenido } = await ledgerService.projectUser(tx, userId);
+
+      await auditService.record(tx, {
+        actorId: adminUserId,
+        action: AUDIT_ACTIONS.MOVEMENT_MANUAL,
+        entityType: 'user',
+        entityId: userId,
+        before: { saldo_total: user.saldo_total, saldo_retenido: user.saldo_retenido },
+        after: { saldo_total, saldo_retenido },
+        reason: motivo || descripcion,
+        metadata: { movement_id: movement.id, tipo_movimiento, monto: amount, moneda, ...conversion },
+      });
 
       return {
         movement,
@@ -464,116 +594,6 @@ class BalanceService {
       };
     });
   }
-
-  // -----------------------
-  // Helpers internos de recálculo
-  // -----------------------
-
-  /**
-   * Recalcula y actualiza User.saldo_total = sum(entradas validadas) - sum(salidas validadas)
-   */
-  async _recalcularSaldoTotalTx(tx, userId) {
-    const entradas = await tx.movement.aggregate({
-      _sum: { monto: true },
-      where: {
-        user_id: userId,
-        estado: 'validado',
-        tipo_movimiento_general: 'entrada',
-      },
-    });
-    const salidas = await tx.movement.aggregate({
-      _sum: { monto: true },
-      where: {
-        user_id: userId,
-        estado: 'validado',
-        tipo_movimiento_general: 'salida',
-      },
-    });
-
-    const totalEntradas = Number(entradas._sum.monto || 0);
-    const totalSalidas = Number(salidas._sum.monto || 0);
-    const saldoTotal = Number((totalEntradas - totalSalidas).toFixed(2));
-
-    await tx.user.update({
-      where: { id: userId },
-      data: { saldo_total: saldoTotal },
-    });
-
-    return saldoTotal;
-  }
-
-  /**
-   * Recalcula y actualiza User.saldo_retenido.
-   * Regla RN07:
-   *   - Retenemos garantías validadas de subastas en estados: ['finalizada','ganada','perdida','penalizada'].
-   *   - 'facturada' NO retiene.
-   *   - La retención efectiva se reduce por reembolsos ya procesados (salida/reembolso validados).
-   */
-  async _recalcularSaldoRetenidoTx(tx, userId) {
-    // 1) Retención por subastas (garantías validadas - reembolsos validados)
-    const guarantees = await tx.guarantee.findMany({
-      where: { user_id: userId },
-      select: {
-        auction: { select: { id: true, estado: true } },
-      },
-    });
-
-    const retenedorStates = new Set(['finalizada', 'ganada', 'perdida']);
-    const auctionIdsToRetain = guarantees
-      .filter((o) => o.auction && retenedorStates.has(o.auction.estado))
-      .map((o) => o.auction.id);
-
-    let sumGarantias = 0;
-    if (auctionIdsToRetain.length > 0) {
-      const validatedGuaranteeMovs = await tx.movement.findMany({
-        where: {
-          user_id: userId,
-          estado: 'validado',
-          tipo_movimiento_general: 'entrada',
-          tipo_movimiento_especifico: 'pago_garantia',
-          auction_id_ref: { in: auctionIdsToRetain },
-        },
-        select: { monto: true },
-      });
-      sumGarantias = validatedGuaranteeMovs.reduce((acc, m) => acc + Number(m.monto || 0), 0);
-    }
-
-    let sumReembolsos = 0;
-    if (auctionIdsToRetain.length > 0) {
-      const refundMovs = await tx.movement.findMany({
-        where: {
-          user_id: userId,
-          estado: 'validado',
-          // Considerar cualquier 'reembolso' (entrada o salida) para liberar retenido
-          tipo_movimiento_especifico: 'reembolso',
-          auction_id_ref: { in: auctionIdsToRetain },
-        },
-        select: { monto: true },
-      });
-      sumReembolsos = refundMovs.reduce((acc, m) => acc + Number(m.monto || 0), 0);
-    }
-
-    const retenidoSubastas = Number(Math.max(0, sumGarantias - sumReembolsos).toFixed(2));
-
-    // 2) Retención por solicitudes de reembolso en curso (solicitado|confirmado)
-    const pendingRefundsAgg = await tx.refund.aggregate({
-      _sum: { monto_solicitado: true },
-      where: {
-        user_id: userId,
-        estado: { in: ['solicitado', 'confirmado'] },
-      },
-    });
-    const retenidoSolicitudes = Number(pendingRefundsAgg._sum.monto_solicitado || 0);
-
-    const saldoRetenido = Number((retenidoSubastas + retenidoSolicitudes).toFixed(2));
-
-    await tx.user.update({
-      where: { id: userId },
-      data: { saldo_retenido: saldoRetenido },
-    });
-
-    return saldoRetenido;
-  }
 }
 
 module.exports = new BalanceService();
\ No newline at end of file
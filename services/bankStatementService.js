@@ -0,0 +1,526 @@
+const crypto = require('crypto');
+const { prisma } = require('../config/database');
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require('../middleware/errorHandler');
+const { Logger } = require('../middleware/logger');
+const { paginationHelpers, businessCalculations, timeHelpers } = require('../utils');
+const { parseStatement } = require('../utils/bankStatementParser');
+const { MATCHING } = require('../config/bankStatements');
+const movementService = require('./movementService');
+const auditService = require('./auditService');
+const { AUDIT_ACTIONS } = require('../config/audit');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Líneas que reservan su pago: otro abono no puede proponerse para el mismo movement
+const RESERVING_STATES = ['propuesto', 'aprobado'];
+
+// Número de operación comparable: solo letras y dígitos, sin ceros a la izquierda
+const normalizeOperation = (value) => {
+  const text = String(value ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/^0+/, '');
+  return text || null;
+};
+
+const normalizeAccount = (value) => {
+  const digits = String(value ?? '').replace(/\D/g, '');
+  return digits || null;
+};
+
+// Día calendario en Lima (UTC-5) de una fecha
+const limaDay = (date) => new Date(new Date(date).getTime() - 5 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const dayDiff = (a, b) => Math.round(Math.abs(Date.parse(a) - Date.parse(b)) / DAY_MS);
+
+const round3 = (value) => Number(value.toFixed(3));
+
+const formatLine = (line) => ({
+  id: line.id,
+  statement_id: line.statement_id,
+  line_number: line.line_number,
+  fecha: limaDay(line.fecha),
+  monto: Number(line.monto),
+  moneda: line.moneda,
+  numero_operacion: line.numero_operacion,
+  numero_cuenta_origen: line.numero_cuenta_origen,
+  descripcion: line.descripcion,
+  estado: line.estado,
+  confidence: line.confidence !== null ? Number(line.confidence) : null,
+  match_details: line.match_details,
+  movement: line.movement
+    ? {
+        id: line.movement.id,
+        estado: line.movement.estado,
+        monto: Number(line.movement.monto),
+        moneda: line.movement.moneda,
+        numero_operacion: line.movement.numero_operacion,
+        numero_cuenta_origen: line.movement.numero_cuenta_origen,
+        fecha_pago: line.movement.fecha_pago,
+        auction_id: line.movement.auction_id_ref,
+        user: line.movement.user,
+      }
+    : line.movement_id ? { id: line.movement_id } : null,
+  statement: line.statement,
+  reviewed_by: line.reviewed_by,
+  reviewed_at: line.reviewed_at,
+  review_note: line.review_note,
+});
+
+const LINE_INCLUDE = {
+  movement: {
+    select: {
+      id: true,
+      estado: true,
+      monto: true,
+      moneda: true,
+      numero_operacion: true,
+      numero_cuenta_origen: true,
+      fecha_pago: true,
+      auction_id_ref: true,
+      user: { select: { id: true, first_name: true, last_name: true, document_type: true, document_number: true } },
+    },
+  },
+};
+
+/**
+ * Conciliación de pagos de garantía con extractos bancarios (tablas bank_statements / bank_statement_lines)
+ * - Se importan solo los abonos; cada uno se compara con los pagos de garantía pendientes
+ * - Puntaje (config/bankStatements.js MATCHING): número de operación, monto, fecha y cuenta de origen
+ * - Con puntaje >= proposeThreshold la línea queda 'propuesto' para que un admin apruebe el pago;
+ *   el resto queda 'sin_coincidencia' para revisión manual
+ * - La aprobación usa el mismo flujo que PATCH /movements/:id/approve
+ */
+class BankStatementService {
+  /**
+   * Importar extracto: leer abonos, omitir los ya importados y proponer coincidencias
+   * El mismo archivo (sha256) no se importa dos veces → 409 STATEMENT_ALREADY_IMPORTED
+   */
+  async importStatement(file, options, adminUser) {
+    if (!file) {
+      throw new ValidationError('Archivo de extracto requerido', { field: 'statement' });
+    }
+
+    const fileHash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+    const parsed = parseStatement(file.buffer, options.formato);
+    const moneda = parsed.moneda || options.moneda;
+    const credits = parsed.credits.map((credit) => ({ ...credit, moneda: credit.moneda || moneda }));
+
+    const result = await prisma.$transaction(async (tx) => {
+      const existing = await tx.bankStatement.findUnique({ where: { file_hash: fileHash }, select: { id: true } });
+      if (existing) {
+        throw new ConflictError(`El extracto ya fue importado (${existing.id})`, 'STATEMENT_ALREADY_IMPORTED');
+      }
+
+      const { fresh, duplicates } = await this._splitDuplicates(tx, credits);
+      const candidates = await this._pendingPayments(tx, fresh);
+      const matches = this._match(fresh, candidates);
+
+      const propuestos = matches.filter(Boolean).length;
+      const statement = await tx.bankStatement.create({
+        data: {
+          formato: parsed.formato,
+          filename: file.originalname,
+          file_hash: fileHash,
+          cuenta: parsed.cuenta || options.cuenta || null,
+          moneda,
+          total_lineas: parsed.total_lineas,
+          total_abonos: credits.length,
+          total_propuestos: propuestos,
+          total_sin_coincidencia: fresh.length - propuestos,
+          total_duplicados: duplicates,
+          uploaded_by: adminUser.id,
+        },
+      });
+
+      await tx.bankStatementLine.createMany({
+        data: fresh.map((credit, i) => ({
+          statement_id: statement.id,
+          line_number: credit.line_number,
+          fecha: timeHelpers.resolveStart(credit.fecha),
+          monto: credit.monto,
+          moneda: credit.moneda,
+          numero_operacion: credit.numero_operacion,
+          numero_cuenta_origen: credit.numero_cuenta_origen,
+          descripcion: credit.descripcion,
+          raw: credit.raw,
+          estado: matches[i] ? 'propuesto' : 'sin_coincidencia',
+          movement_id: matches[i]?.movement_id ?? null,
+          confidence: matches[i]?.confidence ?? null,
+          match_details: matches[i]?.details ?? undefined,
+        })),
+      });
+
+      await auditService.record(tx, {
+        actorId: adminUser.id,
+        action: AUDIT_ACTIONS.BANK_STATEMENT_IMPORT,
+        entityType: 'bank_statement',
+        entityId: statement.id,
+        after: statement,
+      });
+
+      return statement;
+    });
+
+    Logger.info(`Admin ${adminUser.email} importó extracto ${result.filename} (${result.formato})`, {
+      abonos: result.total_abonos,
+      propuestos: result.total_propuestos,
+      sin_coincidencia: result.total_sin_coincidencia,
+      duplicados: result.total_duplicados,
+    });
+
+    return this.getStatementById(result.id);
+  }
+
+  /**
+   * Extractos importados (más reciente primero)
+   */
+  async listStatements(filters = {}) {
+    const { page = 1, limit = 20 } = filters;
+
+    const [statements, total] = await Promise.all([
+      prisma.bankStatement.findMany({
+        orderBy: { created_at: 'desc' },
+        skip: paginationHelpers.calculateOffset(page, limit),
+        take: parseInt(limit),
+      }),
+      prisma.bankStatement.count(),
+    ]);
+
+    return {
+      statements,
+      pagination: paginationHelpers.generatePaginationMeta(page, limit, total),
+    };
+  }
+
+  /**
+   * Extracto con sus líneas y el conteo actual por estado de revisión
+   */
+  async getStatementById(statementId) {
+    const statement = await prisma.bankStatement.findUnique({
+      where: { id: statementId },
+      include: {
+        lines: { include: LINE_INCLUDE, orderBy: { line_number: 'asc' } },
+      },
+    });
+    if (!statement) throw new NotFoundError('Extracto bancario');
+
+    const { lines, ...data } = statement;
+    return {
+      statement: data,
+      resumen: this._countByState(lines),
+      lines: lines.map(formatLine),
+    };
+  }
+
+  /**
+   * Cola de revisión: líneas de extracto por confianza (mayor primero) y fecha
+   * Filtros: estado, statement_id, min_confidence, page, limit
+   */
+  async listLines(filters = {}) {
+    const { estado, statement_id, min_confidence, page = 1, limit = 20 } = filters;
+
+    const where = {};
+    if (estado) where.estado = estado;
+    if (statement_id) where.statement_id = statement_id;
+    if (min_confidence !== undefined) where.confidence = { gte: min_confidence };
+
+    const [lines, total, grouped] = await Promise.all([
+      prisma.bankStatementLine.findMany({
+        where,
+        include: {
+          ...LINE_INCLUDE,
+          statement: { select: { id: true, filename: true, formato: true, created_at: true } },
+        },
+        orderBy: [{ confidence: { sort: 'desc', nulls: 'last' } }, { fecha: 'asc' }, { line_number: 'asc' }],
+        skip: paginationHelpers.calculateOffset(page, limit),
+        take: parseInt(limit),
+      }),
+      prisma.bankStatementLine.count({ where }),
+      prisma.bankStatementLine.groupBy({
+        by: ['estado'],
+        where: statement_id ? { statement_id } : {},
+        _count: { _all: true },
+      }),
+    ]);
+
+    return {
+      resumen: Object.fromEntries(grouped.map((row) => [row.estado, row._count._all])),
+      lines: lines.map(formatLine),
+      pagination: paginationHelpers.generatePaginationMeta(page, limit, total),
+    };
+  }
+
+  /**
+   * Aprobar el pago propuesto por una línea (mismo flujo que PATCH /movements/:id/approve)
+   * Solo líneas 'propuesto'; si el pago ya fue resuelto, la aprobación falla con su error de estado
+   */
+  async approveLine(lineId, adminUser, comentarios = null) {
+    const line = await this._findLine(lineId);
+    if (line.estado !== 'propuesto' || !line.movement_id) {
+      throw new ConflictError('Solo es posible aprobar líneas con una coincidencia propuesta', 'STATEMENT_LINE_NOT_PROPOSED');
+    }
+
+    const referencia = `Conciliado con extracto ${line.statement.filename} (línea ${line.line_number})`;
+    const result = await movementService.approvePaymentMovement(
+      line.movement_id,
+      adminUser.id,
+      comentarios ? `${referencia}: ${comentarios}` : referencia
+    );
+
+    const updated = await this._review(line, adminUser, {
+      estado: 'aprobado',
+      review_note: comentarios ?? null,
+    });
+
+    Logger.info(`Admin ${adminUser.email} aprobó pago ${line.movement_id} desde extracto`, { line_id: lineId });
+
+    return { line: updated, ...result };
+  }
+
+  /**
+   * Asignar manualmente un pago pendiente a una línea (sin coincidencia o con otra propuesta)
+   * La línea queda 'propuesto' con el puntaje calculado y match_details.manual = true
+   */
+  async matchLine(lineId, movementId, adminUser) {
+    const line = await this._findLine(lineId);
+    if (!['propuesto', 'sin_coincidencia'].includes(line.estado)) {
+      throw new ConflictError(`La línea ya fue revisada (${line.estado})`, 'STATEMENT_LINE_ALREADY_REVIEWED');
+    }
+
+    const movement = await prisma.movement.findUnique({
+      where: { id: movementId },
+      include: {
+        statement_lines: { where: { estado: { in: RESERVING_STATES }, id: { not: lineId } }, select: { id: true } },
+      },
+    });
+    if (!movement) throw new NotFoundError('Movement');
+    if (
+      movement.estado !== 'pendiente' ||
+      movement.tipo_movimiento_especifico !== 'pago_garantia'
+    ) {
+      throw new ConflictError('Solo es posible asignar pagos de garantía pendientes', 'INVALID_MOVEMENT_TYPE');
+    }
+    if (movement.statement_lines.length > 0) {
+      throw new ConflictError('El pago ya está asignado a otra línea de extracto', 'MOVEMENT_ALREADY_MATCHED');
+    }
+    if (movement.moneda !== line.moneda) {
+      throw new ConflictError(
+        `La moneda del pago (${movement.moneda}) no coincide con la del abono (${line.moneda})`,
+        'STATEMENT_CURRENCY_MISMATCH'
+      );
+    }
+
+    const { score, details } = this._score({ ...line, fecha: limaDay(line.fecha) }, movement);
+    return this._review(line, adminUser, {
+      estado: 'propuesto',
+      movement_id: movement.id,
+      confidence: round3(score),
+      match_details: { ...details, manual: true },
+    }, { reviewed: false });
+  }
+
+  /**
+   * Descartar una línea (no corresponde a un pago de garantía); libera el pago propuesto
+   */
+  async discardLine(lineId, adminUser, motivo) {
+    const line = await this._findLine(lineId);
+    if (!['propuesto', 'sin_coincidencia'].includes(line.estado)) {
+      throw new ConflictError(`La línea ya fue revisada (${line.estado})`, 'STATEMENT_LINE_ALREADY_REVIEWED');
+    }
+
+    return this._review(line, adminUser, {
+      estado: 'descartado',
+      movement_id: null,
+      review_note: motivo,
+    });
+  }
+
+  async _findLine(lineId) {
+    const line = await prisma.bankStatementLine.findUnique({
+      where: { id: lineId },
+      include: { statement: { select: { id: true, filename: true } } },
+    });
+    if (!line) throw new NotFoundError('Línea de extracto');
+    return line;
+  }
+
+  /**
+   * Aplicar la revisión si la línea no cambió desde que se leyó (estado y pago) y auditarla
+   */
+  async _review(line, adminUser, data, { reviewed = true } = {}) {
+    return prisma.$transaction(async (tx) => {
+      const res = await tx.bankStatementLine.updateMany({
+        where: { id: line.id, estado: line.estado, movement_id: line.movement_id },
+        data: {
+          ...data,
+          ...(reviewed ? { reviewed_by: adminUser.id, reviewed_at: new Date() } : {}),
+        },
+      });
+      if (res.count === 0) {
+        throw new ConflictError('La línea de extracto fue modificada por otra revisión', 'RESOURCE_MODIFIED');
+      }
+
+      const updated = await tx.bankStatementLine.findUnique({ where: { id: line.id }, include: LINE_INCLUDE });
+
+      await auditService.record(tx, {
+        actorId: adminUser.id,
+        action: AUDIT_ACTIONS.BANK_STATEMENT_REVIEW,
+        entityType: 'bank_statement',
+        entityId: line.statement_id,
+        before: line,
+        after: updated,
+        reason: data.review_note ?? null,
+        metadata: { line_id: line.id, estado: data.estado, movement_id: updated.movement_id },
+      });
+
+      return formatLine(updated);
+    });
+  }
+
+  /**
+   * Separar abonos ya importados en otro extracto (mismo número de operación, monto, moneda y fecha)
+   * Los abonos sin número de operación no se pueden identificar y siempre se importan
+   */
+  async _splitDuplicates(tx, credits) {
+    const operations = [...new Set(credits.map((c) => c.numero_operacion).filter(Boolean))];
+    if (operations.length === 0) return { fresh: credits, duplicates: 0 };
+
+    const existing = await tx.bankStatementLine.findMany({
+      where: { numero_operacion: { in: operations } },
+      select: { numero_operacion: true, monto: true, moneda: true, fecha: true },
+    });
+    const keyOf = (c) => `${c.numero_operacion}|${Number(c.monto).toFixed(2)}|${c.moneda}|${c.fecha}`;
+    const seen = new Set(existing.map((line) => keyOf({ ...line, fecha: limaDay(line.fecha) })));
+
+    const fresh = [];
+    for (const credit of credits) {
+      if (credit.numero_operacion && seen.has(keyOf(credit))) continue;
+      // Un mismo abono repetido dentro del archivo también se registra una sola vez
+      if (credit.numero_operacion) seen.add(keyOf(credit));
+      fresh.push(credit);
+    }
+    return { fresh, duplicates: credits.length - fresh.length };
+  }
+
+  /**
+   * Pagos de garantía pendientes que podrían coincidir: mismo número de operación o fecha de pago
+   * dentro de la tolerancia del periodo del extracto (sin alguno de los dos no se alcanza el umbral)
+   * Se excluyen los pagos ya propuestos o aprobados por otra línea
+   */
+  async _pendingPayments(tx, credits) {
+    if (credits.length === 0) return [];
+
+    const fechas = credits.map((c) => c.fecha).sort();
+    const tolerance = MATCHING.dateToleranceDays * DAY_MS;
+    const desde = new Date(timeHelpers.resolveStart(fechas[0]).getTime() - tolerance);
+    const hasta = new Date(timeHelpers.resolveCutoff(fechas[fechas.length - 1]).getTime() + tolerance);
+    // Número tal como figura en el extracto y sin ceros a la izquierda
+    const operations = [...new Set(
+      credits.flatMap((c) => [c.numero_operacion, normalizeOperation(c.numero_operacion)]).filter(Boolean)
+    )];
+
+    return tx.movement.findMany({
+      where: {
+        tipo_movimiento_general: 'entrada',
+        tipo_movimiento_especifico: 'pago_garantia',
+        estado: 'pendiente',
+        statement_lines: { none: { estado: { in: RESERVING_STATES } } },
+        OR: [
+          { fecha_pago: { gte: desde, lte: hasta } },
+          ...(operations.length ? [{ numero_operacion: { in: operations } }] : []),
+        ],
+      },
+      select: {
+        id: true,
+        monto: true,
+        moneda: true,
+        numero_operacion: true,
+        numero_cuenta_origen: true,
+        fecha_pago: true,
+      },
+    });
+  }
+
+  /**
+   * Puntaje de un abono contra un pago pendiente (0 si las monedas difieren)
+   */
+  _score(credit, movement) {
+    const { weights, dateToleranceDays } = MATCHING;
+    const details = { numero_operacion: false, monto: false, fecha: false, numero_cuenta_origen: false };
+    if (credit.moneda !== movement.moneda) return { score: 0, details };
+
+    let score = 0;
+    const operation = normalizeOperation(credit.numero_operacion);
+    if (operation && operation === normalizeOperation(movement.numero_operacion)) {
+      details.numero_operacion = true;
+      score += weights.numero_operacion;
+    }
+
+    if (businessCalculations.amountsEqual(Number(credit.monto), Number(movement.monto))) {
+      details.monto = true;
+      score += weights.monto;
+    }
+
+    if (movement.fecha_pago) {
+      const diff = dayDiff(credit.fecha, limaDay(movement.fecha_pago));
+      if (diff === 0) {
+        details.fecha = 'mismo_dia';
+        score += weights.fecha;
+      } else if (diff <= dateToleranceDays) {
+        details.fecha = 'cercana';
+        score += weights.fecha / 2;
+      }
+    }
+
+    const account = normalizeAccount(credit.numero_cuenta_origen);
+    const movementAccount = normalizeAccount(movement.numero_cuenta_origen);
+    if (account && movementAccount) {
+      if (account === movementAccount) {
+        details.numero_cuenta_origen = 'completa';
+        score += weights.numero_cuenta_origen;
+      } else if (account.length >= 4 && movementAccount.length >= 4 && account.slice(-4) === movementAccount.slice(-4)) {
+        details.numero_cuenta_origen = 'ultimos_4';
+        score += weights.numero_cuenta_origen / 2;
+      }
+    }
+
+    return { score, details };
+  }
+
+  /**
+   * Asignación voraz: los pares con mayor puntaje primero; cada abono y cada pago se usan una vez
+   * Retorna por abono { movement_id, confidence, details } o null
+   */
+  _match(credits, candidates) {
+    const pairs = [];
+    credits.forEach((credit, index) => {
+      for (const movement of candidates) {
+        const { score, details } = this._score(credit, movement);
+        if (round3(score) >= MATCHING.proposeThreshold) {
+          pairs.push({ index, movement_id: movement.id, score, details });
+        }
+      }
+    });
+    pairs.sort((a, b) => b.score - a.score);
+
+    const matches = credits.map(() => null);
+    const used = new Set();
+    for (const pair of pairs) {
+      if (matches[pair.index] || used.has(pair.movement_id)) continue;
+      matches[pair.index] = { movement_id: pair.movement_id, confidence: round3(pair.score), details: pair.details };
+      used.add(pair.movement_id);
+    }
+    return matches;
+  }
+
+  _countByState(lines) {
+    return lines.reduce((acc, line) => {
+      acc[line.estado] = (acc[line.estado] || 0) + 1;
+      return acc;
+    }, {});
+  }
+}
+
+module.exports = new BankStatementService();
@@ -7,6 +7,10 @@ const {
 } = require('../middleware/errorHandler');
 const { businessCalculations, formatters } = require('../utils');
 const notificationService = require('./notificationService');
+const stateMachineService = require('./stateMachineService');
+const businessRuleService = require('./businessRuleService');
+const ledgerService = require('./ledgerService');
+const { BASE_CURRENCY } = require('../config/currencies');
 
 /**
  * Servicio de Billing (facturación)
@@ -42,13 +46,8 @@ class BillingService {
 
       if (!auction) throw BusinessErrors.AuctionNotFound();
 
-      // VN-01: Solo permitir si subasta está en estado 'ganada'
-      if (auction.estado !== 'ganada') {
-        throw new ConflictError(
-          `Solo se puede facturar una subasta en estado 'ganada' (actual: ${auction.estado})`,
-          'AUCTION_NOT_WON'
-        );
-      }
+      // VN-01: Solo permitir si subasta está en estado 'ganada' (ganada → facturada)
+      stateMachineService.assertTransition('auction', auction.estado, 'facturada');
 
       // VN-02: Verificar ganador
       const winningGuaranteeId = auction.id_offerWin;
@@ -83,22 +82,15 @@ class BillingService {
       }
 
       // Calcular monto a facturar = monto de garantía para esta subasta
-      // Preferimos la suma de movimientos validados de 'pago_garantia' asociados a esta subasta.
-      const agg = await tx.movement.aggregate({
-        _sum: { monto: true },
-        where: {
-          user_id: userId,
-          estado: 'validado',
-          tipo_movimiento_general: 'entrada',
-          tipo_movimiento_especifico: 'pago_garantia',
-          auction_id_ref: auction_id,
-        },
-      });
+      // Preferimos la suma de movimientos validados de 'pago_garantia' asociados a esta subasta (en su moneda).
+      const funds = await ledgerService.guaranteeFunds(tx, userId, auction_id);
 
-      let montoGarantia = Number(agg._sum.monto || 0);
-      // Fallback: si no encuentra movimientos (consistencia), calcular 8% de la oferta ganadora
+      let montoGarantia = funds?.monto ?? 0;
+      // Fallback: si no encuentra movimientos (consistencia), calcular la garantía de la oferta ganadora
+      // con la versión de reglas estampada en ella
       if (montoGarantia <= 0) {
-        montoGarantia = businessCalculations.calculateGuaranteeAmount(Number(winningGuarantee.monto_oferta));
+        const rules = await businessRuleService.forGuarantee(winningGuarantee, tx);
+        montoGarantia = businessCalculations.calculateGuaranteeAmount(Number(winningGuarantee.monto_oferta), rules);
       }
 
       // Concepto: "Compra vehículo [marca] [modelo] [año] - Subasta #[id]"
@@ -113,31 +105,24 @@ class BillingService {
           billing_document_number,
           billing_name,
           monto: montoGarantia,
-          moneda: 'USD',
+          moneda: funds?.moneda ?? BASE_CURRENCY,
+          tipo_cambio: funds?.tipo_cambio ?? 1,
+          monto_base: funds?.monto_base ?? montoGarantia,
           concepto,
           auction_id,
         },
       });
 
       // 3) Actualizar subasta -> 'facturada'
-      const updatedAuction = await tx.auction.update({
-        where: { id: auction_id },
-        data: { estado: 'facturada' },
+      const updatedAuction = await stateMachineService.transition(tx, 'auction', auction, 'facturada', {
         include: { asset: true },
+        actorId: userId,
+        metadata: { billing_id: billing.id },
       });
 
-      // 4) Liberar retención solo de esta subasta específica (enfoque incremental)
-      const currentUser = await tx.user.findUnique({
-        where: { id: userId },
-        select: { saldo_retenido: true },
-      });
-      const newRetenido = Number(
-        Math.max(0, Number(currentUser?.saldo_retenido || 0) - montoGarantia).toFixed(2)
-      );
-      await tx.user.update({
-        where: { id: userId },
-        data: { saldo_retenido: newRetenido },
-      });
+      // 4) Asiento guarantee_billed: la garantía de esta subasta pasa de retenida a aplicada
+      await ledgerService.postBilling(tx, billing);
+      await ledgerService.projectUser(tx, userId);
 
       // 5) Notificaciones
       // Cliente: facturacion_completada
@@ -168,7 +153,7 @@ class BillingService {
           user_id: admin.id,
           tipo: 'billing_generado',
           titulo: 'Billing generado',
-          mensaje: `Se generó Billing para ${cliente} - Subasta ${updatedAuction.asset?.placa ?? ''}. Monto aplicado: $${montoGarantia}`,
+          mensaje: `Se generó Billing para ${cliente} - Subasta ${updatedAuction.asset?.placa ?? ''}. Monto aplicado: ${billing.moneda} ${montoGarantia}`,
           reference_type: 'billing',
           reference_id: billing.id,
         });
@@ -185,10 +170,11 @@ class BillingService {
    * HU-BILL-01 — Completar Datos de Facturación sobre un Billing existente (cliente o admin)
    * - Actualiza billing_document_type, billing_document_number, billing_name
    * - Marca la subasta como 'facturada'
-   * - No recalcula saldo_retenido (ya fue liberado en HU-COMP-02)
+   * - Sin asiento contable: la garantía se aplicó al crear el Billing (HU-COMP-02)
    * - Notifica a cliente (facturacion_completada) y admin (billing_generado)
+   * - La propiedad se valida en la ruta con requireOwnership('billing')
    */
-  async completeBilling(billingId, requesterRole = 'client', requesterId = null, payload) {
+  async completeBilling(billingId, payload, actorId = null) {
     const {
       billing_document_type,
       billing_document_number,
@@ -207,11 +193,6 @@ class BillingService {
         throw new NotFoundError('Billing');
       }
 
-      // Seguridad: Cliente solo su propio billing. Admin cualquiera.
-      if (requesterRole === 'client' && requesterId && billing.user_id !== requesterId) {
-        throw new ConflictError('No tiene permisos para modificar esta facturación', 'FORBIDDEN');
-      }
-
       // VN-07: Verificar que el Billing tiene datos pendientes
       if (billing.billing_document_type && billing.billing_document_number && billing.billing_name) {
         throw new ConflictError('Este Billing ya está completado', 'BILLING_ALREADY_COMPLETED');
@@ -247,11 +228,11 @@ class BillingService {
 
       // Marcar subasta como 'facturada' (si todavía no lo está)
       if (billing.auction_id) {
-        const auction = await tx.auction.findUnique({ where: { id: billing.auction_id }, select: { estado: true } });
+        const auction = await tx.auction.findUnique({ where: { id: billing.auction_id }, select: { id: true, estado: true } });
         if (auction && auction.estado !== 'facturada') {
-          await tx.auction.update({
-            where: { id: billing.auction_id },
-            data: { estado: 'facturada' },
+          await stateMachineService.transition(tx, 'auction', auction, 'facturada', {
+            actorId,
+            metadata: { billing_id: billing.id },
           });
         }
       }
@@ -284,7 +265,7 @@ class BillingService {
           user_id: admin.id,
           tipo: 'billing_generado',
           titulo: 'Billing generado',
-          mensaje: `Se completó la facturación para ${cliente} - Subasta ${billing.auction?.asset?.placa ?? ''}. Monto aplicado: $${billing.monto}`,
+          mensaje: `Se completó la facturación para ${cliente} - Subasta ${billing.auction?.asset?.placa ?? ''}. Monto aplicado: ${billing.moneda} ${billing.monto}`,
           reference_type: 'billing',
           reference_id: billing.id,
         });
@@ -353,6 +334,8 @@ class BillingService {
       billing_name: b.billing_name,
       monto: b.monto,
       moneda: b.moneda,
+      tipo_cambio: b.tipo_cambio,
+      monto_base: b.monto_base,
       concepto: b.concepto,
       created_at: b.created_at,
       updated_at: b.updated_at,
@@ -441,14 +424,11 @@ class BillingService {
   }
  
   /**
-   * Listar facturaciones por usuario (Admin: cualquiera; Client: solo propio)
+   * Listar facturaciones por usuario
+   * La propiedad (cliente solo propio) se valida en la ruta con requireOwnership('user')
    * Filtros: fecha_desde, fecha_hasta, page, limit, include=user,auction
    */
-  async getBillingsByUser(targetUserId, filters = {}, requesterRole = 'client', requesterId = null) {
-    if (requesterRole === 'client' && requesterId && requesterId !== targetUserId) {
-      throw new ConflictError('No tiene permisos para ver facturaciones de este usuario', 'FORBIDDEN');
-    }
- 
+  async getBillingsByUser(targetUserId, filters = {}) {
     const {
       page = 1,
       limit = 20,
@@ -493,10 +473,11 @@ class BillingService {
   }
  
   /**
-   * Detalle de facturación (Admin: cualquiera; Client: solo propio)
+   * Detalle de facturación
+   * La propiedad se valida en la ruta con requireOwnership('billing')
    * include CSV: user,auction
    */
-  async getBillingById(billingId, requesterRole = 'client', requesterId = null, include = '') {
+  async getBillingById(billingId, include = '') {
     const { includeSet, prismaInclude } = this._buildIncludeForBilling(include);
  
     const b = await prisma.billing.findUnique({
@@ -505,61 +486,8 @@ class BillingService {
     });
     if (!b) throw new NotFoundError('Billing');
  
-    if (requesterRole === 'client' && requesterId && b.user_id !== requesterId) {
-      throw new ConflictError('No tiene permisos para ver esta facturación', 'FORBIDDEN');
-    }
- 
     return this._mapBillingResponse(b, includeSet);
   }
- 
-  /**
-   * Helper: Recalcula y actualiza User.saldo_retenido sumando pagos de garantía validados
-   * de subastas en estados que retienen: ['finalizada', 'ganada'].
-   * Nota: Método legado, no usado en completeBilling.
-   */
-  async _recalcularSaldoRetenidoTx(tx, userId) {
-    const offers = await tx.guarantee.findMany({
-      where: { user_id: userId },
-      select: {
-        auction: { select: { id: true, estado: true } },
-      },
-    });
- 
-    const retenedorStates = new Set(['finalizada', 'ganada']);
-    const auctionIdsToRetain = offers
-      .filter((o) => o.auction && retenedorStates.has(o.auction.estado))
-      .map((o) => o.auction.id);
- 
-    if (auctionIdsToRetain.length === 0) {
-      await tx.user.update({
-        where: { id: userId },
-        data: { saldo_retenido: 0 },
-      });
-      return 0;
-    }
- 
-    const validatedGuaranteeMovs = await tx.movement.findMany({
-      where: {
-        user_id: userId,
-        estado: 'validado',
-        tipo_movimiento_general: 'entrada',
-        tipo_movimiento_especifico: 'pago_garantia',
-        auction_id_ref: { in: auctionIdsToRetain },
-      },
-      select: { monto: true },
-    });
- 
-    const saldoRetenido = Number(
-      validatedGuaranteeMovs.reduce((acc, m) => acc + Number(m.monto || 0), 0).toFixed(2)
-    );
- 
-    await tx.user.update({
-      where: { id: userId },
-      data: { saldo_retenido: saldoRetenido },
-    });
- 
-    return saldoRetenido;
-  }
 }
  
 module.exports = new BillingService();
\ No newline at end of file
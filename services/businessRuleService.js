@@ -0,0 +1,138 @@
+const { prisma } = require('../config/database');
+const { NotFoundError } = require('../middleware/errorHandler');
+const { Logger } = require('../middleware/logger');
+const { DEFAULT_BUSINESS_RULES } = require('../config/businessRules');
+const auditService = require('./auditService');
+const { AUDIT_ACTIONS } = require('../config/audit');
+
+// Versión en formato numérico (Decimal → number) para cálculos y respuestas
+const formatRule = (rule) => ({
+  id: rule.id,
+  version: rule.version,
+  guarantee_percentage: Number(rule.guarantee_percentage),
+  penalty_percentage: Number(rule.penalty_percentage),
+  minimum_guarantee: Number(rule.minimum_guarantee),
+  payment_deadline_hours: rule.payment_deadline_hours,
+  effective_from: rule.effective_from,
+  motivo: rule.motivo,
+  created_by: rule.created_by,
+  created_at: rule.created_at,
+});
+
+class BusinessRuleService {
+  /**
+   * Versión 1 sembrada con los valores por defecto (idempotente)
+   * Cubre entornos sin seed y registros anteriores al versionado
+   */
+  async _ensureInitialVersion(client = prisma) {
+    const rule = await client.businessRule.upsert({
+      where: { version: 1 },
+      update: {},
+      create: {
+        version: 1,
+        ...DEFAULT_BUSINESS_RULES,
+        effective_from: new Date(0),
+        motivo: 'Valores iniciales',
+      },
+    });
+    return formatRule(rule);
+  }
+
+  /**
+   * Reglas vigentes: mayor versión con effective_from <= ahora
+   */
+  async getCurrent(client = prisma) {
+    const rule = await client.businessRule.findFirst({
+      where: { effective_from: { lte: new Date() } },
+      orderBy: { version: 'desc' },
+    });
+    return rule ? formatRule(rule) : this._ensureInitialVersion(client);
+  }
+
+  /**
+   * Reglas de una versión específica (null → versión 1)
+   */
+  async getByVersion(version, client = prisma) {
+    if (!version || version === 1) {
+      const initial = await client.businessRule.findUnique({ where: { version: 1 } });
+      return initial ? formatRule(initial) : this._ensureInitialVersion(client);
+    }
+
+    const rule = await client.businessRule.findUnique({ where: { version } });
+    if (!rule) throw new NotFoundError(`Versión ${version} de reglas de negocio`);
+    return formatRule(rule);
+  }
+
+  /**
+   * Reglas con las que se creó una garantía: el monto, la penalidad y el plazo
+   * de una subasta se calculan siempre con la versión estampada en su garantía
+   */
+  async forGuarantee(guarantee, client = prisma) {
+    return this.getByVersion(guarantee?.rule_version ?? null, client);
+  }
+
+  /**
+   * Historial de versiones (más reciente primero) e indicador de la vigente
+   */
+  async listVersions() {
+    const [rules, current] = await Promise.all([
+      prisma.businessRule.findMany({ orderBy: { version: 'desc' } }),
+      this.getCurrent(),
+    ]);
+
+    return {
+      current_version: current.version,
+      versions: rules.map(formatRule),
+    };
+  }
+
+  /**
+   * Crear nueva versión a partir de la vigente con los campos indicados
+   * - effective_from: opcional (por defecto ahora); permite programar cambios futuros
+   * - Registra evento de auditoría en la misma transacción
+   */
+  async createVersion(data, adminUser) {
+    const { motivo, effective_from, ...changes } = data;
+
+    const created = await prisma.$transaction(async (tx) => {
+      const current = await this.getCurrent(tx);
+      const last = await tx.businessRule.findFirst({ orderBy: { version: 'desc' } });
+
+      const rule = await tx.businessRule.create({
+        data: {
+          version: (last?.version ?? 0) + 1,
+          guarantee_percentage: changes.guarantee_percentage ?? current.guarantee_percentage,
+          penalty_percentage: changes.penalty_percentage ?? current.penalty_percentage,
+          minimum_guarantee: changes.minimum_guarantee ?? current.minimum_guarantee,
+          payment_deadline_hours:
+            changes.payment_deadline_hours !== undefined
+              ? changes.payment_deadline_hours
+              : current.payment_deadline_hours,
+          effective_from: effective_from ? new Date(effective_from) : new Date(),
+          motivo,
+          created_by: adminUser.id,
+        },
+      });
+
+      await auditService.record(tx, {
+        actorId: adminUser.id,
+        action: AUDIT_ACTIONS.BUSINESS_RULES_UPDATE,
+        entityType: 'business_rules',
+        entityId: String(rule.version),
+        before: current,
+        after: formatRule(rule),
+        reason: motivo,
+      });
+
+      return rule;
+    });
+
+    Logger.info(`Admin ${adminUser.email} creó versión ${created.version} de reglas de negocio`, {
+      effective_from: created.effective_from,
+    });
+
+    return formatRule(created);
+  }
+}
+
+module.exports = new BusinessRuleService();
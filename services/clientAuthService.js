@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const { prisma } = require('../config/database');
+const { config } = require('../config');
+const { securityHelpers } = require('../utils');
+const { AppError, BusinessErrors } = require('../middleware/errorHandler');
+const { Logger } = require('../middleware/logger');
+
+// Datos del cliente que viajan en la sesión
+const SESSION_USER_SELECT = {
+  id: true,
+  first_name: true,
+  last_name: true,
+  email: true,
+  phone_number: true,
+  document_type: true,
+  document_number: true,
+  user_type: true,
+  created_at: true,
+};
+
+// Ocultar parte del email para informar el destino sin exponerlo completo
+const maskEmail = (email) => {
+  const [local, domain] = String(email).split('@');
+  if (!domain) return '***';
+  const visible = local.slice(0, Math.min(2, local.length));
+  return `${visible}${'*'.repeat(Math.max(local.length - visible.length, 3))}@${domain}`;
+};
+
+class ClientAuthService {
+  /**
+   * Paso 1 del login de cliente: emitir código de un solo uso
+   * - Límite de solicitudes por documento en una ventana de tiempo (429), verificado y registrado
+   *   en la misma transacción con la fila del cliente bloqueada
+   * - Invalida códigos pendientes previos del mismo cliente
+   * - Envía el código por email (emailService.send)
+   */
+  async requestLoginCode(document_type, document_number) {
+    const otp = config.auth.otp;
+
+    const user = await prisma.user.findFirst({
+      where: {
+        document_type,
+        document_number,
+        user_type: 'client',
+        deleted_at: null,
+      },
+      select: { id: true, email: true },
+    });
+
+    if (!user) {
+      Logger.warn(`Cliente no encontrado: ${document_type} ${document_number}`);
+      throw BusinessErrors.UserNotFound();
+    }
+
+    // Control previo sin bloqueo: evita calcular el hash cuando el límite ya se alcanzó
+    await this._assertRequestLimit(prisma, document_type, document_number);
+
+    const code = String(crypto.randomInt(0, 10 ** otp.length)).padStart(otp.length, '0');
+    const expiresAt = new Date(Date.now() + otp.ttlMinutes * 60 * 1000);
+    const code_hash = await securityHelpers.hashPassword(code);
+
+    const challenge = await prisma.$transaction(async (tx) => {
+      // Bloqueo de la fila del cliente: las solicitudes concurrentes del mismo documento
+      // se cuentan y registran de a una, así no superan el límite
+      await tx.$queryRaw`SELECT id FROM users WHERE id = ${user.id} FOR UPDATE`;
+
+      await this._assertRequestLimit(tx, document_type, document_number);
+
+      // Un solo código vigente por cliente
+      await tx.loginCode.updateMany({
+        where: {
+          user_id: user.id,
+          consumed_at: null,
+          expires_at: { gt: new Date() },
+        },
+        data: { expires_at: new Date() },
+      });
+
+      return tx.loginCode.create({
+        data: {
+          user_id: user.id,
+          document_type,
+          document_number,
+          code_hash,
+          expires_at: expiresAt,
+        },
+        select: { id: true },
+      });
+    });
+
+    try {
+      const emailService = require('./emailService');
+      await emailService.send({
+        toUserId: user.id,
+        subject: 'Tu código de acceso a BOB Subastas',
+        body: `Tu código de acceso es ${code}. Vence en ${otp.ttlMinutes} minutos. Si no solicitaste este código, ignora este mensaje.`,
+      });
+    } catch (error) {
+      Logger.error(`No se pudo enviar código de login a ${user.email}: ${error.message}`);
+      if (!otp.exposeInResponse) {
+        throw new AppError(
+          'No se pudo enviar el código de verificación. Intente nuevamente',
+          503,
+          'LOGIN_CODE_DELIVERY_FAILED'
+        );
+      }
+    }
+
+    Logger.info(`Código de login emitido para cliente: ${user.email}`);
+
+    const result = {
+      challenge_id: challenge.id,
+      expires_at: expiresAt.toISOString(),
+      delivery: {
+        channel: 'email',
+        destination: maskEmail(user.email),
+      },
+    };
+
+    if (otp.exposeInResponse) {
+      result.dev_code = code;
+    }
+
+    return result;
+  }
+
+  // Rate limit por documento (429 con retry_after_seconds)
+  async _assertRequestLimit(client, document_type, document_number) {
+    const otp = config.auth.otp;
+    const windowStart = new Date(Date.now() - otp.requestWindowMinutes * 60 * 1000);
+    const recent = await client.loginCode.findMany({
+      where: {
+        document_type,
+        document_number,
+        created_at: { gte: windowStart },
+      },
+      select: { created_at: true },
+      orderBy: { created_at: 'asc' },
+    });
+
+    if (recent.length >= otp.maxRequestsPerWindow) {
+      const retryAt = recent[0].created_at.getTime() + otp.requestWindowMinutes * 60 * 1000;
+      const retryAfter = Math.max(1, Math.ceil((retryAt - Date.now()) / 1000));
+      Logger.warn(`Límite de códigos de login alcanzado: ${document_type} ${document_number}`);
+      throw BusinessErrors.TooManyRequests(
+        'Demasiadas solicitudes de código para este documento. Intente más tarde',
+        retryAfter
+      );
+    }
+  }
+
+  /**
+   * Paso 2 del login de cliente: verificar código y devolver el usuario para crear sesión
+   * - Cada código admite un número limitado de intentos
+   * - El código se consume al verificarse (no reutilizable)
+   */
+  async verifyLoginCode(challengeId, code) {
+    const otp = config.auth.otp;
+
+    const challenge = await prisma.loginCode.findUnique({
+      where: { id: challengeId },
+    });
+
+    if (!challenge || challenge.consumed_at || challenge.expires_at <= new Date()) {
+      throw BusinessErrors.InvalidLoginCode(0);
+    }
+
+    // Registrar el intento de forma atómica (evita exceder el máximo con requests concurrentes)
+    const attempt = await prisma.loginCode.updateMany({
+      where: {
+        id: challenge.id,
+        consumed_at: null,
+        attempts: { lt: otp.maxVerifyAttempts },
+      },
+      data: { attempts: { increment: 1 } },
+    });
+    if (attempt.count === 0) {
+      throw BusinessErrors.InvalidLoginCode(0);
+    }
+
+    const valid = await securityHelpers.verifyPassword(code, challenge.code_hash);
+
+    if (!valid) {
+      const attempts = challenge.attempts + 1;
+      Logger.warn(`Código de login incorrecto: ${challenge.document_type} ${challenge.document_number} (intento ${attempts}/${otp.maxVerifyAttempts})`);
+      throw BusinessErrors.InvalidLoginCode(Math.max(otp.maxVerifyAttempts - attempts, 0));
+    }
+
+    // Consumir de forma atómica para evitar doble uso concurrente
+    const consumed = await prisma.loginCode.updateMany({
+      where: { id: challenge.id, consumed_at: null },
+      data: { consumed_at: new Date() },
+    });
+    if (consumed.count === 0) {
+      throw BusinessErrors.InvalidLoginCode(0);
+    }
+
+    const user = await prisma.user.findFirst({
+      where: { id: challenge.user_id, user_type: 'client', deleted_at: null },
+      select: SESSION_USER_SELECT,
+    });
+
+    if (!user) {
+      throw BusinessErrors.UserNotFound();
+    }
+
+    return user;
+  }
+
+  /**
+   * Eliminar códigos vencidos hace más de un día (mantenimiento)
+   */
+  async purgeExpiredCodes() {
+    const res = await prisma.loginCode.deleteMany({
+      where: { expires_at: { lt: new Date(Date.now() - 24 * 60 * 60 * 1000) } },
+    });
+    return res.count;
+  }
+}
+
+module.exports = new ClientAuthService();
@@ -0,0 +1,159 @@
+const { prisma } = require('../config/database');
+const { ConflictError } = require('../middleware/errorHandler');
+const { Logger } = require('../middleware/logger');
+const { paginationHelpers } = require('../utils');
+const { BASE_CURRENCY, QUOTED_CURRENCIES } = require('../config/currencies');
+const auditService = require('./auditService');
+const { AUDIT_ACTIONS } = require('../config/audit');
+
+const round2 = (value) => Number(Number(value || 0).toFixed(2));
+
+const formatRate = (rate) => ({
+  id: rate.id,
+  moneda: rate.moneda,
+  tasa: Number(rate.tasa),
+  effective_from: rate.effective_from,
+  motivo: rate.motivo,
+  created_by: rate.created_by,
+  created_at: rate.created_at,
+});
+
+/**
+ * Tipos de cambio mantenidos por administradores (tabla exchange_rates, solo inserción)
+ * - tasa = unidades de la moneda por 1 unidad de moneda base (3.75 PEN por 1 USD)
+ * - El vigente a una fecha es el de mayor effective_from <= fecha
+ */
+class ExchangeRateService {
+  /**
+   * Tipo de cambio vigente de una moneda a una fecha
+   * La moneda base tiene tasa 1 sin registro; sin tipo de cambio vigente → 409 EXCHANGE_RATE_NOT_FOUND
+   */
+  async getRateAt(moneda, date = new Date(), client = prisma) {
+    if (moneda === BASE_CURRENCY) {
+      return { id: null, moneda, tasa: 1, effective_from: null };
+    }
+
+    const rate = await client.exchangeRate.findFirst({
+      where: { moneda, effective_from: { lte: date } },
+      orderBy: [{ effective_from: 'desc' }, { created_at: 'desc' }],
+    });
+    if (!rate) {
+      throw new ConflictError(
+        `No hay tipo de cambio ${moneda}/${BASE_CURRENCY} vigente al ${new Date(date).toISOString()}`,
+        'EXCHANGE_RATE_NOT_FOUND'
+      );
+    }
+    return formatRate(rate);
+  }
+
+  toBase(monto, rate) {
+    return round2(Number(monto) / rate.tasa);
+  }
+
+  fromBase(montoBase, rate) {
+    return round2(Number(montoBase) * rate.tasa);
+  }
+
+  /**
+   * Convertir un monto a moneda base con el tipo de cambio vigente a la fecha
+   * Retorna los campos que se registran en el documento convertido
+   */
+  async convert(monto, moneda, date = new Date(), client = prisma) {
+    const rate = await this.getRateAt(moneda, date, client);
+    return {
+      tipo_cambio: rate.tasa,
+      monto_base: this.toBase(monto, rate),
+      exchange_rate_id: rate.id,
+    };
+  }
+
+  /**
+   * Tipos de cambio vigentes a una fecha (por defecto ahora) de todas las monedas cotizadas
+   * Monedas sin tipo de cambio registrado → null
+   */
+  async getCurrent(date = new Date()) {
+    const rates = await Promise.all(
+      QUOTED_CURRENCIES.map((moneda) => this.getRateAt(moneda, date).catch((error) => {
+        if (error.code === 'EXCHANGE_RATE_NOT_FOUND') return { moneda, tasa: null };
+        throw error;
+      }))
+    );
+
+    return {
+      moneda_base: BASE_CURRENCY,
+      fecha: date.toISOString(),
+      rates,
+    };
+  }
+
+  /**
+   * Historial de tipos de cambio (más reciente primero)
+   * Filtros: moneda, page, limit
+   */
+  async listRates(filters = {}) {
+    const { moneda, page = 1, limit = 20 } = filters;
+    const where = moneda ? { moneda } : {};
+
+    const [rates, total] = await Promise.all([
+      prisma.exchangeRate.findMany({
+        where,
+        orderBy: [{ effective_from: 'desc' }, { created_at: 'desc' }],
+        skip: paginationHelpers.calculateOffset(page, limit),
+        take: parseInt(limit),
+      }),
+      prisma.exchangeRate.count({ where }),
+    ]);
+
+    return {
+      moneda_base: BASE_CURRENCY,
+      rates: rates.map(formatRate),
+      pagination: paginationHelpers.generatePaginationMeta(page, limit, total),
+    };
+  }
+
+  /**
+   * Registrar tipo de cambio (effective_from opcional, por defecto ahora; permite programar o corregir)
+   * Los documentos ya convertidos conservan el tipo de cambio con el que se registraron
+   */
+  async createRate(data, adminUser) {
+    const { moneda, tasa, effective_from, motivo } = data;
+
+    const created = await prisma.$transaction(async (tx) => {
+      const effectiveFrom = effective_from ? new Date(effective_from) : new Date();
+      const previous = await tx.exchangeRate.findFirst({
+        where: { moneda, effective_from: { lte: effectiveFrom } },
+        orderBy: [{ effective_from: 'desc' }, { created_at: 'desc' }],
+      });
+
+      const rate = await tx.exchangeRate.create({
+        data: {
+          moneda,
+          tasa,
+          effective_from: effectiveFrom,
+          motivo,
+          created_by: adminUser.id,
+        },
+      });
+
+      await auditService.record(tx, {
+        actorId: adminUser.id,
+        action: AUDIT_ACTIONS.EXCHANGE_RATE_CREATE,
+        entityType: 'exchange_rate',
+        entityId: rate.id,
+        before: previous ? formatRate(previous) : null,
+        after: formatRate(rate),
+        reason: motivo,
+      });
+
+      return rate;
+    });
+
+    Logger.info(`Admin ${adminUser.email} registró tipo de cambio ${moneda} ${created.tasa}`, {
+      effective_from: created.effective_from,
+    });
+
+    return formatRate(created);
+  }
+}
+
+module.exports = new ExchangeRateService();
@@ -0,0 +1,64 @@
+const { config } = require('../config');
+const { createFileStorage, storageTypeOf } = require('../config/fileStorage');
+
+/**
+ * Comprobantes en el almacenamiento configurado (STORAGE_DRIVER) y descargas con URL firmada
+ * - Los archivos nuevos se guardan con el driver activo
+ * - Las descargas usan el driver que generó cada referencia, así los comprobantes anteriores
+ *   a un cambio de driver siguen disponibles
+ */
+class FileStorageService {
+  constructor() {
+    this.drivers = new Map();
+  }
+
+  /**
+   * Crear el driver activo al arrancar: un SDK o una configuración inválida detiene el servidor
+   * en lugar de fallar en la primera subida
+   */
+  init() {
+    this._driver(config.storage.driver);
+  }
+
+  // Drivers de referencias de otro driver (comprobantes anteriores a un cambio) creados bajo demanda
+  _driver(type) {
+    if (!this.drivers.has(type)) this.drivers.set(type, createFileStorage(type));
+    return this.drivers.get(type);
+  }
+
+  /**
+   * Guardar un archivo recibido por multer
+   * Retorna { url }: url se persiste como referencia (Movement.voucher_url)
+   */
+  async upload(file, userId) {
+    return this._driver(config.storage.driver).put(file.buffer, {
+      fileName: file.originalname,
+      contentType: file.mimetype,
+      userId,
+    });
+  }
+
+  /**
+   * URL de descarga temporal de una referencia guardada
+   * Retorna { url, expires_at }; los enlaces externos se devuelven tal cual (expires_at null)
+   */
+  async signedUrl(storedUrl) {
+    const type = storageTypeOf(storedUrl);
+    if (!type) return { url: storedUrl, expires_at: null };
+
+    const expiresAt = Date.now() + config.storage.signedUrlMinutes * 60 * 1000;
+    return {
+      url: await this._driver(type).signedUrl(storedUrl, expiresAt),
+      expires_at: new Date(expiresAt),
+    };
+  }
+
+  /**
+   * Ruta en disco de un archivo local si la firma de su URL es válida y no expiró; null en otro caso
+   */
+  localFilePath(key, expires, signature) {
+    return this._driver('local').verify(key, expires, signature);
+  }
+}
+
+module.exports = new FileStorageService();
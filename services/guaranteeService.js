@@ -10,13 +10,16 @@ const {
   formatters,
 } = require('../utils');
 const { Logger } = require('../middleware/logger');
+const stateMachineService = require('./stateMachineService');
+const businessRuleService = require('./businessRuleService');
+const movementService = require('./movementService');
 
 class GuaranteeService {
   
   /**
    * Registrar ganador de subasta (crea Guarantee)
    */
-  async createWinner(auctionId, winnerData) {
+  async createWinner(auctionId, winnerData, adminUserId = null) {
     const { user_id, monto_oferta, fecha_limite_pago } = winnerData;
     
     Logger.info(`Registrando ganador (guarantee) para subasta ${auctionId}`, {
@@ -36,9 +39,7 @@ class GuaranteeService {
         throw BusinessErrors.AuctionNotFound();
       }
       
-      if (auction.estado !== 'activa') {
-        throw BusinessErrors.InvalidAuctionState('activa', auction.estado);
-      }
+      stateMachineService.assertTransition('auction', auction.estado, 'pendiente', { event: 'winner_assigned' });
       
       // Verificar que el usuario existe y es tipo cliente
       const user = await tx.user.findUnique({
@@ -51,8 +52,9 @@ class GuaranteeService {
       
       // Validación de rango de fechas eliminada: la subasta ya no tiene fecha_inicio/fecha_fin
       
-      // Calcular monto de garantía
-      const monto_garantia = businessCalculations.calculateGuaranteeAmount(monto_oferta);
+      // Calcular monto de garantía con las reglas vigentes (la versión queda estampada en la garantía)
+      const rules = await businessRuleService.getCurrent(tx);
+      const monto_garantia = businessCalculations.calculateGuaranteeAmount(monto_oferta, rules);
       
       // Crear garantía (ganador)
       const guarantee = await tx.guarantee.create({
@@ -62,18 +64,20 @@ class GuaranteeService {
           monto_oferta: monto_oferta,
           posicion_ranking: 1,
           estado: 'activa',
-          fecha_limite_pago: fecha_limite_pago ? new Date(fecha_limite_pago) : null,
+          fecha_limite_pago: fecha_limite_pago
+            ? new Date(fecha_limite_pago)
+            : businessCalculations.defaultPaymentDeadline(rules),
+          rule_version: rules.version,
         },
       });
       
       // Actualizar subasta con el ganador y cambiar estado
-      const updatedAuction = await tx.auction.update({
-        where: { id: auctionId },
-        data: {
-          estado: 'pendiente',
-          id_offerWin: guarantee.id, // mantenemos nombre de campo
-        },
+      const updatedAuction = await stateMachineService.transition(tx, 'auction', auction, 'pendiente', {
+        event: 'winner_assigned',
+        data: { id_offerWin: guarantee.id }, // mantenemos nombre de campo
         include: { asset: true },
+        actorId: adminUserId,
+        metadata: { guarantee_id: guarantee.id },
       });
       
       return {
@@ -102,7 +106,7 @@ class GuaranteeService {
   /**
    * Reasignar ganador cuando el actual no paga
    */
-  async reassignWinner(auctionId, newWinnerData) {
+  async reassignWinner(auctionId, newWinnerData, adminUserId = null) {
     const { user_id, monto_oferta, motivo_reasignacion } = newWinnerData;
     
     Logger.info(`Reasignando ganador (guarantee) para subasta ${auctionId}`, {
@@ -128,9 +132,7 @@ class GuaranteeService {
       }
       
       // Verificar que la subasta puede ser reasignada
-      if (!['pendiente', 'en_validacion', 'vencida'].includes(auction.estado)) {
-        throw BusinessErrors.InvalidAuctionState('pendiente, en_validacion o vencida', auction.estado);
-      }
+      stateMachineService.assertTransition('auction', auction.estado, 'pendiente', { event: 'winner_reassigned' });
       
       // Obtener garantía ganadora actual
       const currentWinningGuarantee = auction.guarantees.find(g => g.id === auction.id_offerWin);
@@ -156,12 +158,22 @@ class GuaranteeService {
       const penaltyApplied = null;
       
       // Marcar garantía anterior como perdedora
-      await tx.guarantee.update({
-        where: { id: currentWinningGuarantee.id },
-        data: { estado: 'perdedora' },
+      await stateMachineService.transition(tx, 'guarantee', currentWinningGuarantee, 'perdedora', {
+        event: 'winner_reassigned',
+        actorId: adminUserId,
+        reason: motivo_reasignacion,
       });
+
+      // Pagos parciales ya validados del ganador anterior vuelven a su saldo disponible
+      await movementService.releasePartialPayments(
+        tx,
+        currentWinningGuarantee,
+        `Liberación de pagos parciales por reasignación de ganador - Subasta ${auction.asset?.placa ?? ''}`,
+        adminUserId
+      );
       
-      // Crear nueva garantía ganadora
+      // Crear nueva garantía ganadora (reglas vigentes al momento de la reasignación)
+      const rules = await businessRuleService.getCurrent(tx);
       const newGuarantee = await tx.guarantee.create({
         data: {
           auction_id: auctionId,
@@ -169,21 +181,22 @@ class GuaranteeService {
           monto_oferta: monto_oferta,
           posicion_ranking: 1,
           estado: 'activa',
-          fecha_limite_pago: null,
+          fecha_limite_pago: businessCalculations.defaultPaymentDeadline(rules),
+          rule_version: rules.version,
         },
       });
       
       // Actualizar subasta
-      const updatedAuction = await tx.auction.update({
-        where: { id: auctionId },
-        data: {
-          estado: 'pendiente',
-          id_offerWin: newGuarantee.id,
-        },
+      const updatedAuction = await stateMachineService.transition(tx, 'auction', auction, 'pendiente', {
+        event: 'winner_reassigned',
+        data: { id_offerWin: newGuarantee.id },
         include: { asset: true },
+        actorId: adminUserId,
+        reason: motivo_reasignacion,
+        metadata: { guarantee_id: newGuarantee.id, previous_guarantee_id: currentWinningGuarantee.id },
       });
       
-      const monto_garantia = businessCalculations.calculateGuaranteeAmount(monto_oferta);
+      const monto_garantia = businessCalculations.calculateGuaranteeAmount(monto_oferta, rules);
       
       return {
         new_guarantee: {
@@ -250,7 +263,8 @@ class GuaranteeService {
     
     // Formatear resultados
     const wonAuctions = await Promise.all(guarantees.map(async (guarantee) => {
-      const monto_garantia = businessCalculations.calculateGuaranteeAmount(guarantee.monto_oferta);
+      const rules = await businessRuleService.forGuarantee(guarantee);
+      const monto_garantia = businessCalculations.calculateGuaranteeAmount(guarantee.monto_oferta, rules);
 
       // Buscar movement de pago_garantia para esta subasta y usuario
       const paymentMovement = await prisma.movement.findFirst({
@@ -276,6 +290,7 @@ class GuaranteeService {
           monto_oferta: guarantee.monto_oferta,
           monto_garantia,
           estado: guarantee.estado,
+          rule_version: rules.version,
         },
         payment_status: paymentMovement ? {
           has_payment: true,
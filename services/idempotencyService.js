@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const { prisma } = require('../config/database');
+const { config } = require('../config');
+const { BusinessErrors } = require('../middleware/errorHandler');
+const { Logger } = require('../middleware/logger');
+
+// Serialización con claves ordenadas: el mismo body produce el mismo hash sin importar el orden de campos
+const canonical = (value) => {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.keys(value).sort().reduce((acc, key) => {
+      acc[key] = canonical(value[key]);
+      return acc;
+    }, {});
+  }
+  return value;
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Claves de idempotencia (tabla idempotency_keys)
+ * - La clave se reserva con el insert (unique scope + key) antes de ejecutar la petición, de modo que
+ *   dos envíos simultáneos no pueden ejecutarse ambos
+ * - Al responder se guarda la respuesta; los reintentos con el mismo body la reciben sin re-ejecutar
+ * - Misma clave con otro body/ruta → 422 IDEMPOTENCY_KEY_REUSED; petición aún en curso → 409
+ */
+class IdempotencyService {
+  /**
+   * Hash de la petición: método, ruta, body y archivo adjunto (contenido incluido)
+   */
+  requestHash({ method, path, body, file }) {
+    const payload = {
+      method,
+      path,
+      body: body ?? {},
+      file: file
+        ? {
+            fieldname: file.fieldname,
+            originalname: file.originalname,
+            mimetype: file.mimetype,
+            size: file.size,
+            sha256: sha256(file.buffer),
+          }
+        : null,
+    };
+    return sha256(JSON.stringify(canonical(payload)));
+  }
+
+  /**
+   * Reservar la clave para ejecutar la petición
+   * Retorna { id } para ejecutarla o { replay: { status, body } } si ya tiene respuesta guardada
+   * Claves vencidas o con procesamiento abandonado (lockSeconds) se reutilizan
+   */
+  async begin({ scope, key, method, path, requestHash }, attempt = 0) {
+    const { ttlHours, lockSeconds } = config.idempotency;
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + ttlHours * 60 * 60 * 1000);
+    const fresh = {
+      method,
+      path,
+      request_hash: requestHash,
+      status: 'processing',
+      response_status: null,
+      response_body: null,
+      locked_at: now,
+      completed_at: null,
+      expires_at: expiresAt,
+    };
+
+    try {
+      const record = await prisma.idempotencyKey.create({ data: { scope, key, ...fresh } });
+      return { id: record.id };
+    } catch (error) {
+      if (error.code !== 'P2002') throw error;
+    }
+
+    const existing = await prisma.idempotencyKey.findUnique({ where: { scope_key: { scope, key } } });
+    if (!existing) {
+      // Eliminada por la limpieza entre el insert y la lectura
+      if (attempt > 0) throw BusinessErrors.IdempotentRequestInProgress();
+      return this.begin({ scope, key, method, path, requestHash }, attempt + 1);
+    }
+
+    if (existing.expires_at < now) {
+      const res = await prisma.idempotencyKey.updateMany({
+        where: { id: existing.id, expires_at: { lt: now } },
+        data: fresh,
+      });
+      if (res.count > 0) return { id: existing.id };
+      if (attempt > 0) throw BusinessErrors.IdempotentRequestInProgress();
+      return this.begin({ scope, key, method, path, requestHash }, attempt + 1);
+    }
+
+    if (existing.request_hash !== requestHash) {
+      Logger.warn(`Idempotency-Key reutilizada con otra petición: ${method} ${path}`, {
+        scope,
+        original: `${existing.method} ${existing.path}`,
+      });
+      throw BusinessErrors.IdempotencyKeyReused();
+    }
+
+    if (existing.status === 'completed') {
+      return { replay: { status: existing.response_status, body: existing.response_body } };
+    }
+
+    const staleBefore = new Date(now.getTime() - lockSeconds * 1000);
+    if (existing.locked_at < staleBefore) {
+      const res = await prisma.idempotencyKey.updateMany({
+        where: { id: existing.id, status: 'processing', locked_at: existing.locked_at },
+        data: { locked_at: now },
+      });
+      if (res.count > 0) return { id: existing.id };
+    }
+
+    throw BusinessErrors.IdempotentRequestInProgress();
+  }
+
+  /**
+   * Guardar la respuesta enviada para los reintentos
+   */
+  async complete(id, status, body) {
+    await prisma.idempotencyKey.update({
+      where: { id },
+      data: {
+        status: 'completed',
+        response_status: status,
+        response_body: body ?? null,
+        completed_at: new Date(),
+      },
+    });
+  }
+
+  /**
+   * Liberar la clave sin respuesta guardada (errores transitorios): el reintento se ejecuta de nuevo
+   */
+  async release(id) {
+    await prisma.idempotencyKey.deleteMany({ where: { id, status: 'processing' } });
+  }
+
+  async purgeExpired() {
+    const res = await prisma.idempotencyKey.deleteMany({
+      where: { expires_at: { lt: new Date() } },
+    });
+    return res.count;
+  }
+}
+
+module.exports = new IdempotencyService();
@@ -0,0 +1,581 @@
+const { prisma } = require('../config/database');
+const { ConflictError, NotFoundError } = require('../middleware/errorHandler');
+const { Logger } = require('../middleware/logger');
+const { paginationHelpers } = require('../utils');
+const {
+  ACCOUNT_NATURE,
+  LEDGER_EVENTS,
+  BALANCE_PROJECTION,
+} = require('../config/ledger');
+const { BASE_CURRENCY } = require('../config/currencies');
+
+const round2 = (value) => Number(Number(value || 0).toFixed(2));
+
+// Código de cuenta: las cuentas en moneda base conservan el código sin sufijo
+const accountCode = (ref, userId, moneda = BASE_CURRENCY) => {
+  const code = ref.startsWith('bob:') ? ref : `user:${userId}:${ref}`;
+  return moneda === BASE_CURRENCY ? code : `${code}:${moneda}`;
+};
+
+/**
+ * Libro mayor de doble partida (reglas en config/ledger.js)
+ * - Cada asiento tiene una línea al debe y otra al haber por el mismo monto
+ * - Un documento origen registra cada evento una sola vez (unique source_type + source_id + event)
+ * - Multimoneda: el asiento va en la moneda del documento contra las cuentas de esa moneda y guarda su
+ *   equivalente en moneda base (monto_base); los saldos consolidados usan ese equivalente (costo histórico)
+ * - Todos los métodos de escritura reciben el cliente de la transacción (tx) que aplica el cambio de negocio
+ */
+class LedgerService {
+  /**
+   * Evento contable de un Movement validado según su tipo
+   */
+  movementEvent(movement) {
+    const general = movement.tipo_movimiento_general;
+    const especifico = movement.tipo_movimiento_especifico;
+
+    if (general === 'entrada' && especifico === 'pago_garantia') {
+      // Pagado con saldo disponible: traslado interno sin ingreso bancario
+      return movement.tipo_pago === 'saldo_disponible' ? 'guarantee_from_balance' : 'guarantee_payment';
+    }
+    if (general === 'entrada' && especifico === 'reembolso') {
+      // Con refund_id_ref: reembolso procesado como saldo; sin él: liberación automática (perdida/penalizada)
+      return movement.refund_id_ref ? 'refund_to_balance' : 'guarantee_released';
+    }
+    if (general === 'salida' && especifico === 'reembolso') return 'refund_paid';
+    if (general === 'salida' && especifico === 'penalidad') {
+      // Con subasta: penalidad automática sobre garantía retenida; sin subasta: penalidad manual
+      return movement.auction_id_ref ? 'penalty_applied' : 'manual_penalty';
+    }
+    if (especifico === 'ajuste_manual') return general === 'entrada' ? 'manual_credit' : 'manual_debit';
+
+    throw new ConflictError(
+      `Movimiento sin regla contable: ${general}/${especifico}`,
+      'LEDGER_EVENT_NOT_MAPPED'
+    );
+  }
+
+  /**
+   * Asientos de un Movement validado: un único evento, salvo el pago de garantía con excedente
+   * (monto_excedente), que se reparte entre retenido (guarantee_payment) y disponible (guarantee_overpayment)
+   * El equivalente en moneda base del excedente se prorratea sobre monto_base del pago
+   */
+  movementPostings(movement) {
+    const event = this.movementEvent(movement);
+    const monto = round2(movement.monto);
+    const montoBase = round2(movement.monto_base ?? movement.monto);
+    const excedente = round2(movement.monto_excedente);
+
+    if (event !== 'guarantee_payment' || excedente <= 0) {
+      return [{ event, amount: monto, amountBase: montoBase }];
+    }
+
+    const excedenteBase = excedente >= monto ? montoBase : round2((excedente * montoBase) / monto);
+    return [
+      { event, amount: round2(monto - excedente), amountBase: round2(montoBase - excedenteBase) },
+      { event: 'guarantee_overpayment', amount: excedente, amountBase: excedenteBase },
+    ].filter((posting) => posting.amount > 0);
+  }
+
+  /**
+   * Parte de un pago de garantía validado que queda retenida por la subasta (sin excedente); null si no hay
+   */
+  retainedPosting(movement) {
+    return this.movementPostings(movement).find((p) => LEDGER_EVENTS[p.event].credit === 'retenido') ?? null;
+  }
+
+  /**
+   * Cuenta del libro mayor ('bob:<tipo>' = casa; '<tipo>' = cuenta del cliente) en una moneda, creada al primer uso
+   */
+  async _account(tx, ref, userId, moneda = BASE_CURRENCY) {
+    const isHouse = ref.startsWith('bob:');
+    const tipo = isHouse ? ref.slice(4) : ref;
+    const code = accountCode(ref, userId, moneda);
+
+    return tx.ledgerAccount.upsert({
+      where: { code },
+      update: {},
+      create: {
+        code,
+        user_id: isHouse ? null : userId,
+        tipo,
+        naturaleza: ACCOUNT_NATURE[tipo],
+        moneda,
+      },
+    });
+  }
+
+  async _applyToBalance(tx, account, side, monto, montoBase) {
+    const sign = (side === 'debit') === (account.naturaleza === 'deudora') ? 1 : -1;
+    const data = { balance: { increment: sign * monto } };
+    // En cuentas de moneda base el equivalente es el propio saldo
+    if (account.moneda !== BASE_CURRENCY) data.balance_base = { increment: sign * montoBase };
+
+    await tx.ledgerAccount.update({ where: { id: account.id }, data });
+  }
+
+  /**
+   * Registrar asiento balanceado para un evento contable
+   * Idempotente por documento origen + evento: si ya existe, retorna el asiento existente
+   * En moneda distinta a la base se exige amountBase (equivalente registrado en el documento)
+   */
+  async post(tx, {
+    event, userId, amount, amountBase = null, moneda = BASE_CURRENCY,
+    sourceType, sourceId, auctionId = null, concepto = null,
+  }) {
+    const rule = LEDGER_EVENTS[event];
+    if (!rule) {
+      throw new ConflictError(`Evento contable no declarado: ${event}`, 'LEDGER_EVENT_NOT_MAPPED');
+    }
+
+    const monto = round2(amount);
+    if (monto <= 0) return null;
+
+    if (moneda !== BASE_CURRENCY && (amountBase === null || amountBase === undefined)) {
+      throw new ConflictError(
+        `Asiento ${event} en ${moneda} sin equivalente en ${BASE_CURRENCY}`,
+        'LEDGER_MISSING_BASE_AMOUNT'
+      );
+    }
+    const montoBase = moneda === BASE_CURRENCY ? monto : round2(amountBase);
+
+    const existing = await tx.ledgerEntry.findUnique({
+      where: { source_type_source_id_event: { source_type: sourceType, source_id: sourceId, event } },
+    });
+    if (existing) return existing;
+
+    const debitAccount = await this._account(tx, rule.debit, userId, moneda);
+    const creditAccount = await this._account(tx, rule.credit, userId, moneda);
+
+    const entry = await tx.ledgerEntry.create({
+      data: {
+        event,
+        source_type: sourceType,
+        source_id: sourceId,
+        user_id: userId,
+        auction_id: auctionId,
+        moneda,
+        monto,
+        monto_base: montoBase,
+        concepto: concepto || rule.description,
+        lines: {
+          create: [
+            { account_id: debitAccount.id, debit: monto },
+            { account_id: creditAccount.id, credit: monto },
+          ],
+        },
+      },
+    });
+
+    await this._applyToBalance(tx, debitAccount, 'debit', monto, montoBase);
+    await this._applyToBalance(tx, creditAccount, 'credit', monto, montoBase);
+
+    Logger.debug(`Asiento ${event} ${sourceType}:${sourceId} ${moneda} ${monto} (${rule.debit} → ${rule.credit})`);
+
+    return entry;
+  }
+
+  /**
+   * Asientos de un Movement (solo validados; pendientes y rechazados no afectan saldos)
+   * Retorna el asiento principal (el de excedente, si lo hay, se registra a continuación)
+   */
+  async postMovement(tx, movement) {
+    if (movement.estado !== 'validado') return null;
+
+    const entries = [];
+    for (const { event, amount, amountBase } of this.movementPostings(movement)) {
+      entries.push(await this.post(tx, {
+        event,
+        userId: movement.user_id,
+        amount,
+        amountBase,
+        moneda: movement.moneda,
+        sourceType: 'movement',
+        sourceId: movement.id,
+        auctionId: movement.auction_id_ref ?? null,
+        concepto: movement.concepto,
+      }));
+    }
+    return entries[0];
+  }
+
+  /**
+   * Asiento de un Billing: la garantía retenida pasa a aplicada
+   */
+  async postBilling(tx, billing) {
+    return this.post(tx, {
+      event: 'guarantee_billed',
+      userId: billing.user_id,
+      amount: billing.monto,
+      amountBase: billing.monto_base,
+      moneda: billing.moneda,
+      sourceType: 'billing',
+      sourceId: billing.id,
+      auctionId: billing.auction_id,
+      concepto: billing.concepto,
+    });
+  }
+
+  /**
+   * Asiento de una solicitud de reembolso: refund_requested (reserva) | refund_cancelled (libera)
+   * El procesamiento se registra con el Movement que genera
+   */
+  async postRefund(tx, refund, event) {
+    return this.post(tx, {
+      event,
+      userId: refund.user_id,
+      amount: refund.monto_solicitado,
+      amountBase: refund.monto_base,
+      moneda: refund.moneda,
+      sourceType: 'refund',
+      sourceId: refund.id,
+      auctionId: refund.auction_id ?? null,
+      concepto: refund.motivo,
+    });
+  }
+
+  /**
+   * Garantía validada de una subasta (pagos pago_garantia validados, sin su excedente) en su moneda y su
+   * equivalente en moneda base; null si no hay pagos. Los documentos derivados (facturación, liberación,
+   * penalidad) se registran en esta moneda para descargar las mismas cuentas que acreditó el pago.
+   */
+  async guaranteeFunds(client, userId, auctionId) {
+    const payments = await client.movement.findMany({
+      where: {
+        user_id: userId,
+        estado: 'validado',
+        tipo_movimiento_general: 'entrada',
+        tipo_movimiento_especifico: 'pago_garantia',
+        auction_id_ref: auctionId,
+      },
+      select: {
+        tipo_movimiento_general: true,
+        tipo_movimiento_especifico: true,
+        tipo_pago: true,
+        monto: true,
+        monto_base: true,
+        monto_excedente: true,
+        moneda: true,
+      },
+    });
+    if (!payments.length) return null;
+
+    const monedas = [...new Set(payments.map((p) => p.moneda))];
+    if (monedas.length > 1) {
+      throw new ConflictError(
+        `Pagos de garantía de la subasta en monedas distintas: ${monedas.join(', ')}`,
+        'MIXED_CURRENCY_GUARANTEE'
+      );
+    }
+
+    const [moneda] = monedas;
+    let monto = 0;
+    let montoBase = 0;
+    for (const payment of payments) {
+      const retained = this.retainedPosting(payment);
+      if (!retained) continue;
+      monto = round2(monto + retained.amount);
+      montoBase = round2(montoBase + retained.amountBase);
+    }
+    if (moneda === BASE_CURRENCY) montoBase = monto;
+    return {
+      moneda,
+      monto,
+      monto_base: montoBase,
+      tipo_cambio: montoBase > 0 ? Number((monto / montoBase).toFixed(6)) : 1,
+    };
+  }
+
+  /**
+   * Saldo de una cuenta del cliente en una moneda (0 si aún no tiene movimientos)
+   */
+  async getAccountBalance(client, userId, tipo, moneda = BASE_CURRENCY) {
+    const account = await client.ledgerAccount.findUnique({
+      where: { code: accountCode(tipo, userId, moneda) },
+      select: { balance: true },
+    });
+    return round2(account?.balance);
+  }
+
+  /**
+   * Equivalente en moneda base de un monto que sale de una cuenta del cliente, al tipo de cambio
+   * histórico promedio de la cuenta (saldo_base / saldo); si se retira todo el saldo, su equivalente completo
+   */
+  async baseEquivalent(client, userId, tipo, moneda, amount) {
+    const monto = round2(amount);
+    if (moneda === BASE_CURRENCY) return monto;
+
+    const account = await client.ledgerAccount.findUnique({
+      where: { code: accountCode(tipo, userId, moneda) },
+      select: { balance: true, balance_base: true },
+    });
+    const balance = round2(account?.balance);
+    if (balance <= 0) {
+      throw new ConflictError(`Cuenta ${tipo} ${moneda} sin saldo`, 'INSUFFICIENT_BALANCE');
+    }
+    if (monto >= balance) return round2(account.balance_base);
+    return round2((monto * Number(account.balance_base)) / balance);
+  }
+
+  /**
+   * Columnas de saldo a partir de los saldos por tipo de cuenta del cliente
+   */
+  projectBalances(byTipo) {
+    const sum = (tipos) => round2(tipos.reduce((acc, tipo) => acc + (byTipo[tipo] || 0), 0));
+
+    return {
+      ...Object.fromEntries(
+        Object.entries(BALANCE_PROJECTION).map(([column, tipos]) => [column, sum(tipos)])
+      ),
+      saldo_disponible: sum(['disponible']),
+    };
+  }
+
+  _applyPosting(byTipo, event, amount) {
+    const rule = LEDGER_EVENTS[event];
+    // Cuentas del cliente (acreedoras): el haber aumenta, el debe disminuye
+    if (!rule.debit.startsWith('bob:')) byTipo[rule.debit] = round2((byTipo[rule.debit] || 0) - amount);
+    if (!rule.credit.startsWith('bob:')) byTipo[rule.credit] = round2((byTipo[rule.credit] || 0) + amount);
+  }
+
+  /**
+   * Saldos consolidados (moneda base) por tipo de cuenta del cliente tras aplicar en memoria una lista
+   * de asientos (ver historyPostings), opcionalmente a partir de saldos iniciales
+   */
+  accountsFromPostings(postings, initial = {}) {
+    const byTipo = { ...initial };
+    for (const { event, amount, amountBase } of postings) {
+      this._applyPosting(byTipo, event, amountBase ?? amount);
+    }
+    return byTipo;
+  }
+
+  /**
+   * Saldos por moneda y tipo de cuenta ({ USD: { disponible, ... }, PEN: {...} }) tras aplicar una lista
+   * de asientos, opcionalmente a partir de saldos iniciales con la misma forma
+   */
+  currencyAccountsFromPostings(postings, initial = {}) {
+    const byCurrency = Object.fromEntries(
+      Object.entries(initial).map(([moneda, byTipo]) => [moneda, { ...byTipo }])
+    );
+    for (const { event, amount, moneda = BASE_CURRENCY } of postings) {
+      byCurrency[moneda] = byCurrency[moneda] || {};
+      this._applyPosting(byCurrency[moneda], event, amount);
+    }
+    return byCurrency;
+  }
+
+  /**
+   * Saldos proyectados por moneda (siempre incluye la moneda base)
+   */
+  projectCurrencyBalances(byCurrency) {
+    return Object.fromEntries(
+      Object.entries({ [BASE_CURRENCY]: {}, ...byCurrency }).map(([moneda, byTipo]) => [
+        moneda,
+        this.projectBalances(byTipo),
+      ])
+    );
+  }
+
+  /**
+   * Saldos consolidados del cliente (moneda base) derivados de sus cuentas
+   */
+  async getUserBalances(client, userId) {
+    const accounts = await client.ledgerAccount.findMany({
+      where: { user_id: userId },
+      select: { tipo: true, moneda: true, balance: true, balance_base: true },
+    });
+
+    const byTipo = {};
+    for (const a of accounts) {
+      const value = a.moneda === BASE_CURRENCY ? Number(a.balance) : Number(a.balance_base);
+      byTipo[a.tipo] = round2((byTipo[a.tipo] || 0) + value);
+    }
+    return this.projectBalances(byTipo);
+  }
+
+  /**
+   * Saldos del cliente por moneda ({ USD: {...}, PEN: {...} }), cada uno en su moneda
+   */
+  async getUserCurrencyBalances(client, userId) {
+    const accounts = await client.ledgerAccount.findMany({
+      where: { user_id: userId },
+      select: { tipo: true, moneda: true, balance: true },
+    });
+
+    const byCurrency = {};
+    for (const a of accounts) {
+      byCurrency[a.moneda] = byCurrency[a.moneda] || {};
+      byCurrency[a.moneda][a.tipo] = round2((byCurrency[a.moneda][a.tipo] || 0) + Number(a.balance));
+    }
+    return this.projectCurrencyBalances(byCurrency);
+  }
+
+  /**
+   * Proyectar las cuentas del cliente en User.saldo_total / saldo_retenido / saldo_aplicado (consolidado)
+   * Debe invocarse en la misma transacción que registró los asientos
+   */
+  async projectUser(tx, userId) {
+    const balances = await this.getUserBalances(tx, userId);
+
+    await tx.user.update({
+      where: { id: userId },
+      data: {
+        saldo_total: balances.saldo_total,
+        saldo_retenido: balances.saldo_retenido,
+        saldo_aplicado: balances.saldo_aplicado,
+      },
+    });
+
+    return balances;
+  }
+
+  /**
+   * Asientos que corresponden a los documentos de un cliente (Movements validados, Billings, Refunds),
+   * en orden cronológico. Es la fuente para backfill y reconciliación.
+   */
+  async historyPostings(client, userId) {
+    const [movements, billings, refunds] = await Promise.all([
+      client.movement.findMany({ where: { user_id: userId, estado: 'validado' } }),
+      client.billing.findMany({ where: { user_id: userId } }),
+      client.refund.findMany({ where: { user_id: userId } }),
+    ]);
+
+    // Monto en la moneda del documento y su equivalente en moneda base (monto_base null = moneda base)
+    const amounts = (moneda, monto, montoBase) => ({
+      moneda,
+      amount: round2(monto),
+      amountBase: round2(montoBase ?? monto),
+    });
+
+    const fromRefund = (r, event, at) => ({
+      at,
+      event,
+      sourceType: 'refund',
+      sourceId: r.id,
+      ...amounts(r.moneda, r.monto_solicitado, r.monto_base),
+      auctionId: r.auction_id ?? null,
+      concepto: r.motivo,
+    });
+
+    return [
+      ...movements.flatMap((m) => this.movementPostings(m).map(({ event, amount, amountBase }) => ({
+        at: m.fecha_resolucion ?? m.created_at,
+        event,
+        sourceType: 'movement',
+        sourceId: m.id,
+        ...amounts(m.moneda, amount, amountBase),
+        auctionId: m.auction_id_ref ?? null,
+        concepto: m.concepto,
+      }))),
+      ...billings.map((b) => ({
+        at: b.created_at,
+        event: 'guarantee_billed',
+        sourceType: 'billing',
+        sourceId: b.id,
+        ...amounts(b.moneda, b.monto, b.monto_base),
+        auctionId: b.auction_id,
+        concepto: b.concepto,
+      })),
+      ...refunds.map((r) => fromRefund(r, 'refund_requested', r.created_at)),
+      ...refunds
+        .filter((r) => ['rechazado', 'cancelado'].includes(r.estado))
+        .map((r) => fromRefund(r, 'refund_cancelled', r.fecha_respuesta_empresa ?? r.updated_at)),
+    ].sort((a, b) => new Date(a.at) - new Date(b.at));
+  }
+
+  /**
+   * Registrar los asientos faltantes de un cliente a partir de sus documentos (datos previos al libro mayor)
+   * Idempotente: los eventos ya registrados se omiten. Retorna la cantidad de asientos creados.
+   */
+  async backfillUser(tx, userId) {
+    const postings = await this.historyPostings(tx, userId);
+
+    const before = await tx.ledgerEntry.count({ where: { user_id: userId } });
+    for (const { at, ...posting } of postings) {
+      await this.post(tx, { ...posting, userId });
+    }
+    const after = await tx.ledgerEntry.count({ where: { user_id: userId } });
+
+    await this.projectUser(tx, userId);
+    return after - before;
+  }
+
+  /**
+   * Cuentas y asientos de un cliente
+   * Filtros: event, fecha_desde, fecha_hasta, page, limit
+   */
+  async getUserLedger(userId, filters = {}) {
+    const { event, fecha_desde, fecha_hasta, page = 1, limit = 20 } = filters;
+
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true } });
+    if (!user) throw new NotFoundError('Usuario');
+
+    const where = { user_id: userId };
+    if (event) where.event = event;
+    if (fecha_desde || fecha_hasta) {
+      where.created_at = {};
+      if (fecha_desde) where.created_at.gte = new Date(fecha_desde);
+      if (fecha_hasta) where.created_at.lte = new Date(fecha_hasta);
+    }
+
+    const offset = paginationHelpers.calculateOffset(page, limit);
+
+    const [accounts, balances, currencyBalances, entries, total] = await Promise.all([
+      prisma.ledgerAccount.findMany({
+        where: { user_id: userId },
+        select: { tipo: true, naturaleza: true, moneda: true, balance: true, balance_base: true, updated_at: true },
+        orderBy: [{ moneda: 'asc' }, { tipo: 'asc' }],
+      }),
+      this.getUserBalances(prisma, userId),
+      this.getUserCurrencyBalances(prisma, userId),
+      prisma.ledgerEntry.findMany({
+        where,
+        include: {
+          lines: {
+            select: {
+              debit: true,
+              credit: true,
+              account: { select: { code: true, tipo: true } },
+            },
+          },
+        },
+        orderBy: { created_at: 'desc' },
+        skip: offset,
+        take: parseInt(limit),
+      }),
+      prisma.ledgerEntry.count({ where }),
+    ]);
+
+    return {
+      user_id: userId,
+      moneda_base: BASE_CURRENCY,
+      balances,
+      balances_by_currency: currencyBalances,
+      accounts: accounts.map((a) => ({
+        ...a,
+        balance: Number(a.balance),
+        balance_base: a.moneda === BASE_CURRENCY ? Number(a.balance) : Number(a.balance_base),
+      })),
+      entries: entries.map((e) => ({
+        id: e.id,
+        event: e.event,
+        source_type: e.source_type,
+        source_id: e.source_id,
+        auction_id: e.auction_id,
+        moneda: e.moneda,
+        monto: Number(e.monto),
+        monto_base: Number(e.monto_base ?? e.monto),
+        concepto: e.concepto,
+        created_at: e.created_at,
+        lines: e.lines.map((l) => ({
+          account: l.account.code.startsWith('bob:') ? l.account.code : l.account.tipo,
+          debit: Number(l.debit),
+          credit: Number(l.credit),
+        })),
+      })),
+      pagination: paginationHelpers.generatePaginationMeta(page, limit, total),
+    };
+  }
+}
+
+module.exports = new LedgerService();
@@ -1,16 +1,59 @@
 const { prisma } = require('../config/database');
-const { uploadToCloudinary } = require('../config/cloudinary');
 const {
   BusinessErrors,
   NotFoundError,
   ConflictError,
+  ValidationError,
 } = require('../middleware/errorHandler');
 const { Logger } = require('../middleware/logger');
 const {
   businessCalculations,
-  businessValidations,
   formatters,
 } = require('../utils');
+const auditService = require('./auditService');
+const stateMachineService = require('./stateMachineService');
+const businessRuleService = require('./businessRuleService');
+const ledgerService = require('./ledgerService');
+const exchangeRateService = require('./exchangeRateService');
+const fileStorageService = require('./fileStorageService');
+const voucherFingerprintService = require('./voucherFingerprintService');
+const voucherOcrService = require('./voucherOcrService');
+const { AUDIT_ACTIONS } = require('../config/audit');
+const { BASE_CURRENCY } = require('../config/currencies');
+
+// Campos del detalle para clientes (select explícito): sin huellas ni lectura OCR del comprobante ni la toma del pago
+// en la cola de validación, de uso interno del admin
+const CLIENT_MOVEMENT_FIELDS = {
+  id: true,
+  user_id: true,
+  tipo_movimiento_general: true,
+  tipo_movimiento_especifico: true,
+  monto: true,
+  moneda: true,
+  tipo_pago: true,
+  numero_cuenta_origen: true,
+  voucher_url: true,
+  concepto: true,
+  estado: true,
+  fecha_pago: true,
+  fecha_resolucion: true,
+  motivo_rechazo: true,
+  numero_operacion: true,
+  auction_id_ref: true,
+  guarantee_id_ref: true,
+  refund_id_ref: true,
+  rule_version: true,
+  tipo_cambio: true,
+  monto_base: true,
+  monto_excedente: true,
+  exchange_rate_id: true,
+  version: true,
+  created_at: true,
+  updated_at: true,
+};
+
+const round2 = (value) => Number(Number(value || 0).toFixed(2));
+const ceil2 = (value) => Math.ceil(Number((Number(value) * 100).toFixed(6))) / 100;
 
 /**
  * Servicio central de Movements (transacciones)
@@ -20,166 +63,184 @@ class MovementService {
   /**
    * Registrar pago de garantía (Movement entrada, tipo_especifico = pago_garantia)
    * - Valida subasta y oferta ganadora del usuario
-   * - Valida monto exacto (8%)
+   * - Pagos parciales: cada voucher suma a los pagos pendientes y validados de la garantía (porcentaje de la
+   *   versión de reglas de la garantía); se rechaza si lo registrado ya cubre la garantía requerida.
+   *   Todos los pagos de una garantía van en la misma moneda
    * - Valida unicidad de numero_operacion para el usuario
-   * - Sube voucher a Cloudinary
+   * - Sube voucher a Cloudinary y guarda sus huellas (sha256 y hash perceptual); comprobante idéntico al de
+   *   otro pago vigente → 409 DUPLICATE_VOUCHER con VOUCHER_DUPLICATE_POLICY=block
    * - Crea Movement en estado 'pendiente'
    * - Crea Movement_References a auction y guarantee
    * - Actualiza Auction.estado = 'en_validacion'
-   * - Recalcula cache saldos (por estado de subasta)
+   * - No registra asiento contable: un pago pendiente no altera saldos (RN07)
    */
   async createPaymentMovement(userId, data, voucherFile) {
-    const {
-      auction_id,
-      monto,
-      tipo_pago, // 'deposito' | 'transferencia'
-      numero_cuenta_origen,
-      numero_operacion,
-      fecha_pago,
-      moneda = 'USD',
-      concepto = 'Pago de garantía',
-    } = data;
+    const { auction_id } = data;
 
     Logger.info(`Cliente ${userId} registrando Movement pago_garantia para subasta ${auction_id}`);
 
-    // Snapshot del retenido actual para garantizar que movimientos pendientes no lo alteren (RN07)
-    const userBeforeCache = await prisma.user.findUnique({
-      where: { id: userId },
-      select: { saldo_retenido: true },
-    });
-    const retenidoBefore = Number(userBeforeCache?.saldo_retenido || 0);
-
-// Subir voucher a Cloudinary FUERA de la transacción para evitar P2028
-let voucherUrl = null;
-if (voucherFile?.buffer) {
-  try {
-    const uploadResult = await uploadToCloudinary(
-      voucherFile.buffer,
-      voucherFile.originalname || 'payment_voucher',
-      userId
-    );
-    voucherUrl = uploadResult.secure_url;
-    Logger.info(`Comprobante subido (pre-TX): ${uploadResult.public_id}`);
-  } catch (err) {
-    Logger.error('Error subiendo voucher a Cloudinary (pre-TX):', err);
-    throw new ConflictError('Error al procesar el archivo del comprobante', 'UPLOAD_ERROR');
-  }
-}
+    // Subir voucher a Cloudinary FUERA de la transacción para evitar P2028
+    const voucher = await this._uploadVoucher(userId, voucherFile);
+
     const result = await prisma.$transaction(async (tx) => {
-      // 1) Validar subasta
-      const auction = await tx.auction.findUnique({
-        where: { id: auction_id },
-        include: {
-          asset: true,
-          guarantees: {
-            where: { user_id: userId },
-            orderBy: { posicion_ranking: 'asc' },
-            take: 1,
-          },
-        },
+      // 1-2) Validar subasta y que el usuario es el ganador vigente
+      const { auction, guarantee: userGuarantee } = await this._winnerAuction(tx, auction_id, userId);
+
+      stateMachineService.assertTransition('auction', auction.estado, 'en_validacion');
+
+      // 3-7) Validar cobertura, fecha y número de operación; crear Movement pendiente
+      const rules = await businessRuleService.forGuarantee(userGuarantee, tx);
+      const movement = await this._createPendingPayment(tx, userId, userGuarantee, rules, data, voucher);
+
+      // 9) Cambiar estado de subasta -> 'en_validacion'
+      const updatedAuction = await stateMachineService.transition(tx, 'auction', auction, 'en_validacion', {
+        include: { asset: true },
+        actorId: userId,
+        metadata: { movement_id: movement.id, guarantee_id: userGuarantee.id },
       });
 
-      if (!auction) throw BusinessErrors.AuctionNotFound();
+      return {
+        movement,
+        auction: updatedAuction,
+        coverage: await this._guaranteeCoverage(tx, userGuarantee, rules),
+      };
+    });
 
-      if (!['pendiente', 'en_validacion'].includes(auction.estado)) {
-        throw BusinessErrors.InvalidAuctionState('pendiente|en_validacion', auction.estado);
-      }
+    this._queueVoucherOcr(result.movement, voucherFile);
 
-      // 2) Validar que el usuario tiene garantía asociada a la subasta (ganador vigente)
-      const userGuarantee = auction.guarantees?.[0];
-      if (!userGuarantee) {
-        throw new ConflictError(
-          'Solo el ganador/ganadora puede registrar el pago de garantía para esta subasta',
-          'NOT_CURRENT_WINNER'
-        );
-      }
+    // Notificación fuera de la transacción (evita mantener la TX abierta)
+    await this._notifySafe('pago_registrado', {
+      tx: null,
+      user_id: userId,
+      titulo: 'Pago registrado',
+      mensaje: `Se registró tu pago de garantía para la subasta ${result.auction.asset?.placa ?? ''}. Pendiente de validación.`,
+      reference_type: 'movement',
+      reference_id: result.movement.id,
+    });
+
+    return result;
+  }
+
+  /**
+   * Pagar garantía con saldo disponible (reembolsos mantener_saldo, excedentes, liberaciones)
+   * - Aplica el saldo disponible en la moneda de la garantía (saldos_por_moneda de GET /users/:id/balance)
+   *   hasta lo que falta cubrir, o monto_saldo si es menor: Movement pago_garantia 'validado' con tipo_pago
+   *   'saldo_disponible', sin revisión de voucher; asiento guarantee_from_balance (disponible → retenido)
+   *   con el equivalente en moneda base al costo histórico de la cuenta disponible
+   * - Opcional: transferencia por el resto (monto + datos y voucher) registrada como pago pendiente
+   * - Subasta: finalizada (balance_applied) si la garantía queda cubierta; si no, en_validacion cuando se
+   *   registró la transferencia o sin cambio de estado
+   */
+  async applyBalanceToGuarantee(userId, data, voucherFile) {
+    const { auction_id, monto_saldo = null, monto = null } = data;
+    const withTransfer = monto !== null;
 
-      // 3) Validar monto exacto = 8% de oferta
-      const expectedAmount =
-        businessCalculations?.calculateGuaranteeAmount?.(userGuarantee.monto_oferta) ??
-        Number((Number(userGuarantee.monto_oferta) * 0.08).toFixed(2));
+    Logger.info(`Cliente ${userId} aplicando saldo disponible a la garantía de la subasta ${auction_id}`, {
+      monto_saldo,
+      transferencia: withTransfer ? monto : null,
+    });
+
+    if (withTransfer && !voucherFile?.buffer) {
+      throw new ValidationError('El voucher es obligatorio para la transferencia del resto', { field: 'voucher' });
+    }
+    const voucher = withTransfer ? await this._uploadVoucher(userId, voucherFile) : null;
+
+    const result = await prisma.$transaction(async (tx) => {
+      const { auction, guarantee: userGuarantee } = await this._winnerAuction(tx, auction_id, userId);
+      stateMachineService.assertTransition('auction', auction.estado, 'en_validacion');
 
-      const isValidGuarantee =
-        businessValidations?.isGuaranteeAmountValid?.(monto, userGuarantee.monto_oferta) ??
-        Number(monto) === expectedAmount;
+      const guarantee = await this._lockGuarantee(tx, { guarantee_id_ref: userGuarantee.id });
+      const rules = await businessRuleService.forGuarantee(guarantee, tx);
+      const coverage = await this._guaranteeCoverage(tx, guarantee, rules);
 
-      if (!isValidGuarantee) {
-        throw BusinessErrors.InvalidAmount(expectedAmount, monto);
+      const moneda = coverage.moneda ?? data.moneda ?? BASE_CURRENCY;
+      if (data.moneda && data.moneda !== moneda) {
+        throw new ConflictError(`Los pagos de esta garantía se registran en ${moneda}`, 'MIXED_CURRENCY_GUARANTEE');
+      }
+      if (coverage.monto_faltante <= 0) {
+        throw new ConflictError('La garantía ya está cubierta por pagos validados', 'GUARANTEE_ALREADY_COVERED');
       }
 
-            // 4) Validar fecha de pago (solo no futura; subasta ya no tiene fecha_inicio/fin)
-            const paymentDate = new Date(fecha_pago);
-            const now = new Date();
-      
-            if (paymentDate > now) {
-              throw new ConflictError('La fecha de pago no puede ser futura', 'FUTURE_PAYMENT_DATE');
-            }
-
-      // 5) Validar unicidad de numero_operacion por usuario
-      if (numero_operacion) {
-        const dupOp = await tx.movement.findFirst({
-          where: {
-            user_id: userId,
-            numero_operacion,
-          },
-        });
-        if (dupOp) {
-          throw new ConflictError(
-            'El número de operación ya fue registrado por este usuario',
-            'DUPLICATE_OPERATION_NUMBER'
-          );
-        }
+      const disponible = await ledgerService.getAccountBalance(tx, userId, 'disponible', moneda);
+      if (disponible <= 0 || (monto_saldo !== null && Number(monto_saldo) > disponible)) {
+        throw new ConflictError(
+          `Saldo disponible insuficiente (${moneda} ${disponible})`,
+          'INSUFFICIENT_BALANCE'
+        );
       }
 
-      // 6) Voucher ya subido fuera de la transacción (pre-TX). Usamos voucherUrl obtenido previamente.
+      // Lo que falta en la moneda del saldo al costo histórico de la cuenta; redondeo hacia arriba para
+      // que su equivalente en moneda base no quede un centavo corto
+      const disponibleBase = await ledgerService.baseEquivalent(tx, userId, 'disponible', moneda, disponible);
+      const necesario = moneda === BASE_CURRENCY
+        ? coverage.monto_faltante
+        : ceil2((coverage.monto_faltante * disponible) / disponibleBase);
+      const aplicado = round2(Math.min(monto_saldo ?? Infinity, disponible, necesario));
+      const aplicadoBase = await ledgerService.baseEquivalent(tx, userId, 'disponible', moneda, aplicado);
 
-      // 7) Crear Movement pendiente con referencias directas
-      const movement = await tx.movement.create({
+      const balanceMovement = await tx.movement.create({
         data: {
           user_id: userId,
           tipo_movimiento_general: 'entrada',
           tipo_movimiento_especifico: 'pago_garantia',
-          monto,
+          monto: aplicado,
           moneda,
-          tipo_pago: tipo_pago ?? null,
-          numero_cuenta_origen: numero_cuenta_origen ?? null,
-          voucher_url: voucherUrl,
-          concepto,
-          estado: 'pendiente',
-          fecha_pago: paymentDate,
-          numero_operacion: numero_operacion ?? null,
+          tipo_cambio: aplicadoBase > 0 ? Number((aplicado / aplicadoBase).toFixed(6)) : 1,
+          monto_base: aplicadoBase,
+          tipo_pago: 'saldo_disponible',
+          concepto: data.concepto || 'Pago de garantía con saldo disponible',
+          estado: 'validado',
+          fecha_pago: new Date(),
+          fecha_resolucion: new Date(),
           auction_id_ref: auction_id,
-          guarantee_id_ref: userGuarantee.id,
+          guarantee_id_ref: guarantee.id,
+          rule_version: rules.version,
         },
       });
+      // Asiento guarantee_from_balance: disponible → retenido
+      await ledgerService.postMovement(tx, balanceMovement);
+      await ledgerService.projectUser(tx, userId);
 
-      // 9) Cambiar estado de subasta -> 'en_validacion'
-      const updatedAuction = await tx.auction.update({
-        where: { id: auction_id },
-        data: { estado: 'en_validacion' },
-        include: { asset: true },
-      });
-
-      // 10) NO recalcular retenido en registro pendiente (RN07): evitar alterar cache hasta aprobación
-      // Asegurar explícitamente que el cache de retenido no cambie por efectos colaterales
-      await tx.user.update({
-        where: { id: userId },
-        data: { saldo_retenido: retenidoBefore },
-      });
+      const transferMovement = withTransfer
+        ? await this._createPendingPayment(tx, userId, guarantee, rules, { ...data, moneda }, voucher)
+        : null;
 
+      const after = await this._guaranteeCoverage(tx, guarantee, rules);
+      let updatedAuction = auction;
+      if (after.monto_faltante <= 0) {
+        updatedAuction = await stateMachineService.transition(tx, 'auction', auction, 'finalizada', {
+          event: 'balance_applied',
+          data: { finished_at: new Date() },
+          include: { asset: true },
+          actorId: userId,
+          metadata: { movement_id: balanceMovement.id, guarantee_id: guarantee.id },
+        });
+      } else if (transferMovement) {
+        updatedAuction = await stateMachineService.transition(tx, 'auction', auction, 'en_validacion', {
+          include: { asset: true },
+          actorId: userId,
+          metadata: { movement_id: transferMovement.id, guarantee_id: guarantee.id },
+        });
+      }
 
       return {
-        movement,
+        movement: balanceMovement,
+        transfer_movement: transferMovement,
         auction: updatedAuction,
+        coverage: after,
       };
     });
 
-    // Notificación fuera de la transacción (evita mantener la TX abierta)
-    await this._notifySafe('pago_registrado', {
+    this._queueVoucherOcr(result.transfer_movement, voucherFile);
+
+    const placa = result.auction.asset?.placa ?? '';
+    await this._notifySafe('pago_validado', {
       tx: null,
       user_id: userId,
-      titulo: 'Pago registrado',
-      mensaje: `Se registró tu pago de garantía para la subasta ${result.auction.asset?.placa ?? ''}. Pendiente de validación.`,
+      titulo: 'Garantía pagada con saldo disponible',
+      mensaje: result.coverage.monto_faltante > 0
+        ? `Se aplicó ${result.movement.moneda} ${Number(result.movement.monto).toFixed(2)} de tu saldo a la garantía de la subasta ${placa}. Falta ${result.coverage.moneda_base} ${result.coverage.monto_faltante.toFixed(2)}.`
+        : `Se aplicó ${result.movement.moneda} ${Number(result.movement.monto).toFixed(2)} de tu saldo y la garantía de la subasta ${placa} quedó cubierta.`,
       reference_type: 'movement',
       reference_id: result.movement.id,
     });
@@ -190,11 +251,18 @@ if (voucherFile?.buffer) {
   /**
    * Aprobar Movement de pago de garantía:
    * - movement.estado: pendiente -> validado (+ fecha_resolucion)
-   * - auction.estado: en_validacion -> finalizada
-   * - Recalc: saldo_total (desde Movement validados), saldo_retenido (estados que retienen)
+   * - Conversión a moneda base con el tipo de cambio vigente a la fecha de pago (tipo_cambio, monto_base)
+   * - Pagos parciales: auction.estado en_validacion -> finalizada solo cuando los pagos validados cubren la
+   *   garantía requerida; si falta y no quedan otros pagos pendientes, en_validacion -> pendiente
+   *   (payment_partially_approved) a la espera del siguiente voucher
+   * - Lo que supere la garantía requerida se guarda en monto_excedente y se acredita como saldo disponible
+   * - Asientos guarantee_payment (banco → retenido) y guarantee_overpayment (banco → disponible) en la
+   *   moneda del pago y proyección de saldos del cliente
    * - Notificación 'pago_validado'
+   * - expectedVersion (If-Match): si el pago cambió desde que el admin lo consultó → 409 RESOURCE_MODIFIED
+   * - Pago tomado por otro admin en la cola de validación → 409 PAYMENT_CLAIMED
    */
-  async approvePaymentMovement(movementId, adminUserId, comentarios = null) {
+  async approvePaymentMovement(movementId, adminUserId, comentarios = null, { expectedVersion = null } = {}) {
     Logger.info(`Admin ${adminUserId} aprobando Movement ${movementId}`);
   
     const result = await prisma.$transaction(async (tx) => {
@@ -203,10 +271,10 @@ if (voucherFile?.buffer) {
         include: { user: true },
       });
       if (!movement) throw new NotFoundError('Movement');
+      stateMachineService.assertVersion('movement', movement, expectedVersion);
+      this._assertClaim(movement, adminUserId);
   
-      if (movement.estado !== 'pendiente') {
-        throw BusinessErrors.PaymentAlreadyProcessed();
-      }
+      stateMachineService.assertTransition('movement', movement.estado, 'validado');
       if (
         movement.tipo_movimiento_general !== 'entrada' ||
         movement.tipo_movimiento_especifico !== 'pago_garantia'
@@ -214,32 +282,87 @@ if (voucherFile?.buffer) {
         throw new ConflictError('Solo es posible aprobar pagos de garantía en estado pendiente', 'INVALID_MOVEMENT_TYPE');
       }
   
-      const approved = await tx.movement.update({
-        where: { id: movementId },
+      const auction_id = movement.auction_id_ref;
+      if (!auction_id) {
+        throw new ConflictError('Movement sin referencia a subasta', 'MISSING_AUCTION_REFERENCE');
+      }
+      const auction = await tx.auction.findUnique({
+        where: { id: auction_id },
+        select: { id: true, estado: true, finished_at: true, asset: true },
+      });
+      if (!auction) throw BusinessErrors.AuctionNotFound();
+
+      const guarantee = await this._lockGuarantee(tx, movement);
+      const rules = await businessRuleService.forGuarantee(guarantee, tx);
+      const coverage = await this._guaranteeCoverage(tx, guarantee, rules, { excludeMovementId: movementId });
+
+      const conversion = await exchangeRateService.convert(
+        movement.monto,
+        movement.moneda,
+        movement.fecha_pago ?? new Date(),
+        tx
+      );
+
+      // Faltante en la moneda del pago al mismo tipo de cambio; dentro de un centavo el pago es exacto
+      const monto = round2(movement.monto);
+      const faltante = exchangeRateService.fromBase(coverage.monto_faltante, { tasa: conversion.tipo_cambio });
+      const exacto = businessCalculations.amountsEqual(monto, faltante);
+      const cubre = exacto || monto > faltante;
+      const excedente = cubre && !exacto ? round2(monto - faltante) : 0;
+
+      if (!cubre || coverage.monto_faltante > 0) {
+        // Sin garantía completa la subasta debe seguir esperando pagos
+        stateMachineService.assertTransition('auction', auction.estado, cubre ? 'finalizada' : 'pendiente', {
+          event: cubre ? 'payment_approved' : 'payment_partially_approved',
+        });
+      }
+
+      const approved = await stateMachineService.transition(tx, 'movement', movement, 'validado', {
         data: {
-          estado: 'validado',
+          ...conversion,
+          monto_excedente: excedente > 0 ? excedente : null,
           fecha_resolucion: new Date(),
           concepto: comentarios ? `${movement.concepto} | ${comentarios}` : movement.concepto,
         },
+        actorId: adminUserId,
+        reason: comentarios,
       });
-  
-      const auction_id = movement.auction_id_ref;
-      if (!auction_id) {
-        throw new ConflictError('Movement sin referencia a subasta', 'MISSING_AUCTION_REFERENCE');
+
+      let updatedAuction = auction;
+      if (auction.estado === 'en_validacion' && cubre) {
+        updatedAuction = await stateMachineService.transition(tx, 'auction', auction, 'finalizada', {
+          data: { finished_at: new Date() },
+          include: { asset: true },
+          actorId: adminUserId,
+          metadata: { movement_id: movementId, guarantee_id: guarantee.id },
+        });
+      } else if (auction.estado === 'en_validacion' && coverage.pagos_pendientes === 0) {
+        updatedAuction = await stateMachineService.transition(tx, 'auction', auction, 'pendiente', {
+          event: 'payment_partially_approved',
+          include: { asset: true },
+          actorId: adminUserId,
+          metadata: { movement_id: movementId, guarantee_id: guarantee.id },
+        });
       }
+
+      await ledgerService.postMovement(tx, approved);
+      await ledgerService.projectUser(tx, movement.user_id);
   
-      const finalizedAuction = await tx.auction.update({
-        where: { id: auction_id },
-        data: { estado: 'finalizada', finished_at: new Date() },
-        include: { asset: true },
+      await auditService.record(tx, {
+        actorId: adminUserId,
+        action: AUDIT_ACTIONS.MOVEMENT_APPROVE,
+        entityType: 'movement',
+        entityId: movementId,
+        before: movement,
+        after: approved,
+        reason: comentarios,
+        metadata: { auction_id, auction_estado: updatedAuction.estado, monto_excedente: excedente, ...conversion },
       });
   
-      await this._recalcularSaldoTotalTx(tx, movement.user_id);
-      await this._recalcularSaldoRetenidoTx(tx, movement.user_id);
-  
       return {
         movement: approved,
-        auction: finalizedAuction,
+        auction: updatedAuction,
+        coverage: await this._guaranteeCoverage(tx, guarantee, rules),
         user: {
           data: movement.user,
           name: formatters.fullName(movement.user),
@@ -249,11 +372,15 @@ if (voucherFile?.buffer) {
     });
   
     // Notificación pago_validado fuera de la transacción para evitar P2028
+    const { coverage } = result;
+    const detalle = coverage.monto_faltante > 0
+      ? ` Falta ${coverage.moneda_base} ${coverage.monto_faltante.toFixed(2)} para completar la garantía.`
+      : '';
     await this._notifySafe('pago_validado', {
       tx: null,
       user_id: result.movement.user_id,
       titulo: 'Pago de garantía aprobado',
-      mensaje: `Tu pago de garantía fue validado para la subasta ${result.auction.asset?.placa ?? ''}.`,
+      mensaje: `Tu pago de garantía fue validado para la subasta ${result.auction.asset?.placa ?? ''}.${detalle}`,
       reference_type: 'movement',
       reference_id: result.movement.id,
     });
@@ -264,11 +391,13 @@ if (voucherFile?.buffer) {
   /**
    * Rechazar Movement de pago de garantía:
    * - movement.estado: pendiente -> rechazado (+ motivo_rechazo, fecha_resolucion)
-   * - auction.estado: en_validacion -> pendiente
-   * - Recalc: saldo_total (no varía por pendiente), saldo_retenido
+   * - auction.estado: en_validacion -> pendiente cuando no quedan otros pagos pendientes de la garantía
+   * - Sin asiento contable (el pago nunca afectó saldos)
    * - Notificación 'pago_rechazado'
+   * - expectedVersion (If-Match): si el pago cambió desde que el admin lo consultó → 409 RESOURCE_MODIFIED
+   * - Pago tomado por otro admin en la cola de validación → 409 PAYMENT_CLAIMED
    */
-  async rejectPaymentMovement(movementId, adminUserId, rejectionData) {
+  async rejectPaymentMovement(movementId, adminUserId, rejectionData, { expectedVersion = null } = {}) {
     const { motivos = [], otros_motivos, comentarios } = rejectionData || {};
     Logger.warn(`Admin ${adminUserId} rechazando Movement ${movementId}`, { motivos, otros_motivos });
   
@@ -278,10 +407,10 @@ if (voucherFile?.buffer) {
         include: { user: true },
       });
       if (!movement) throw new NotFoundError('Movement');
+      stateMachineService.assertVersion('movement', movement, expectedVersion);
+      this._assertClaim(movement, adminUserId);
   
-      if (movement.estado !== 'pendiente') {
-        throw BusinessErrors.PaymentAlreadyProcessed();
-      }
+      stateMachineService.assertTransition('movement', movement.estado, 'rechazado');
       if (
         movement.tipo_movimiento_general !== 'entrada' ||
         movement.tipo_movimiento_especifico !== 'pago_garantia'
@@ -292,25 +421,54 @@ if (voucherFile?.buffer) {
       let motivoRechazo = Array.isArray(motivos) ? motivos.join(', ') : String(motivos || '');
       if (otros_motivos) motivoRechazo = motivoRechazo ? `${motivoRechazo}, ${otros_motivos}` : otros_motivos;
   
-      const rejected = await tx.movement.update({
-        where: { id: movementId },
+      const auction_id = movement.auction_id_ref;
+      if (!auction_id) {
+        throw new ConflictError('Movement sin referencia a subasta', 'MISSING_AUCTION_REFERENCE');
+      }
+      const auction = await tx.auction.findUnique({
+        where: { id: auction_id },
+        select: { id: true, estado: true, asset: true },
+      });
+      if (!auction) throw BusinessErrors.AuctionNotFound();
+
+      const guarantee = await this._lockGuarantee(tx, movement);
+      const rules = await businessRuleService.forGuarantee(guarantee, tx);
+      const coverage = await this._guaranteeCoverage(tx, guarantee, rules, { excludeMovementId: movementId });
+      // Con otros vouchers pendientes la subasta sigue en validación; con la garantía ya cubierta no cambia
+      const revert = coverage.pagos_pendientes === 0 && coverage.monto_faltante > 0;
+      if (revert) {
+        stateMachineService.assertTransition('auction', auction.estado, 'pendiente', { event: 'payment_rejected' });
+      }
+
+      const rejected = await stateMachineService.transition(tx, 'movement', movement, 'rechazado', {
         data: {
-          estado: 'rechazado',
           fecha_resolucion: new Date(),
           motivo_rechazo: motivoRechazo,
           concepto: comentarios ? `${movement.concepto} | ${comentarios}` : movement.concepto,
         },
+        actorId: adminUserId,
+        reason: motivoRechazo,
       });
   
-      const auction_id = movement.auction_id_ref;
-      if (!auction_id) {
-        throw new ConflictError('Movement sin referencia a subasta', 'MISSING_AUCTION_REFERENCE');
-      }
+      const revertedAuction = revert
+        ? await stateMachineService.transition(tx, 'auction', auction, 'pendiente', {
+            event: 'payment_rejected',
+            include: { asset: true },
+            actorId: adminUserId,
+            reason: motivoRechazo,
+            metadata: { movement_id: movementId, guarantee_id: guarantee.id },
+          })
+        : auction;
   
-      const revertedAuction = await tx.auction.update({
-        where: { id: auction_id },
-        data: { estado: 'pendiente' },
-        include: { asset: true },
+      await auditService.record(tx, {
+        actorId: adminUserId,
+        action: AUDIT_ACTIONS.MOVEMENT_REJECT,
+        entityType: 'movement',
+        entityId: movementId,
+        before: movement,
+        after: rejected,
+        reason: comentarios ? `${motivoRechazo} | ${comentarios}` : motivoRechazo,
+        metadata: { auction_id, auction_estado: revertedAuction.estado, motivos },
       });
   
       return {
@@ -321,6 +479,7 @@ if (voucherFile?.buffer) {
           name: formatters.fullName(movement.user),
           document: formatters.document(movement.user.document_type, movement.user.document_number),
         },
+        coverage,
         motivoRechazo,
       };
     });
@@ -334,12 +493,68 @@ if (voucherFile?.buffer) {
       reference_type: 'movement',
       reference_id: result.movement.id,
     });
-  
+
     return result;
   }
 
+  /**
+   * Aprobar o rechazar varios pagos de garantía en lote (action: 'approve' | 'reject')
+   * - Cada item pasa por approvePaymentMovement / rejectPaymentMovement con su propia transacción:
+   *   el error de un pago no revierte los ya resueltos
+   * - Secuencial y en el orden recibido (pagos parciales de una misma garantía se resuelven uno tras otro)
+   * - item.version cumple el papel del If-Match del endpoint individual
+   * Retorna { resultados: [{ movement_id, success, movement?, auction?, error? }], resumen }
+   */
+  async reviewPaymentsBatch(action, items, adminUserId) {
+    Logger.info(`Admin ${adminUserId} resolviendo lote de ${items.length} pago(s): ${action}`);
+
+    const resultados = [];
+    for (const item of items) {
+      const options = { expectedVersion: item.version ?? null };
+      try {
+        const result = action === 'approve'
+          ? await this.approvePaymentMovement(item.movement_id, adminUserId, item.comentarios ?? null, options)
+          : await this.rejectPaymentMovement(item.movement_id, adminUserId, item, options);
+
+        resultados.push({
+          movement_id: item.movement_id,
+          success: true,
+          movement: {
+            id: result.movement.id,
+            estado: result.movement.estado,
+            version: result.movement.version,
+            fecha_resolucion: result.movement.fecha_resolucion,
+          },
+          auction: { id: result.auction.id, estado: result.auction.estado },
+        });
+      } catch (error) {
+        resultados.push({ movement_id: item.movement_id, success: false, error: this._batchError(error, item) });
+      }
+    }
+
+    const exitosos = resultados.filter((r) => r.success).length;
+    return {
+      resultados,
+      resumen: { total: resultados.length, exitosos, fallidos: resultados.length - exitosos },
+    };
+  }
+
+  // Error de un item del lote con el mismo código y mensaje que daría el endpoint individual
+  _batchError(error, item) {
+    if (error.code === 'P2025') {
+      return { status: 404, code: 'NOT_FOUND', message: 'Movement no encontrado', details: null };
+    }
+    if (!error.isOperational) {
+      Logger.error(`Error inesperado en lote de pagos (movement ${item.movement_id}): ${error.message}`, { stack: error.stack });
+      return { status: 500, code: 'INTERNAL_SERVER_ERROR', message: 'Error interno del servidor', details: null };
+    }
+    return { status: error.statusCode, code: error.code, message: error.message, details: error.details ?? null };
+  }
+
   /**
    * Listar movements del usuario (o admin: de todos con filtros)
+   * Admin: cada movement con comprobante incluye voucher_check (duplicados entre todos los usuarios)
+   * y, si se leyó por OCR, ocr_check (datos leídos vs declarados)
    */
   async listMovements(filters = {}, userRole = 'client', userId = null) {
     const {
@@ -449,12 +664,19 @@ if (voucherFile?.buffer) {
       prisma.movement.count({ where }),
     ]);
 
+    const voucherChecks = userRole === 'client'
+      ? new Map()
+      : await voucherFingerprintService.findDuplicates(movs);
+
     const formatted = movs.map((m) => {
       const base = {
         id: m.id,
         tipo_movimiento_general: m.tipo_movimiento_general,
         tipo_movimiento_especifico: m.tipo_movimiento_especifico,
         monto: m.monto,
+        moneda: m.moneda,
+        tipo_cambio: m.tipo_cambio,
+        monto_base: m.monto_base,
         estado: m.estado,
         concepto: m.concepto,
         numero_operacion: m.numero_operacion,
@@ -465,6 +687,12 @@ if (voucherFile?.buffer) {
           ...(m.refund_id_ref ? [{ type: 'refund', id: m.refund_id_ref }] : []),
         ],
       };
+      if (voucherChecks.has(m.id)) {
+        base.voucher_check = voucherChecks.get(m.id);
+      }
+      if (userRole !== 'client' && m.voucher_ocr) {
+        base.ocr_check = voucherOcrService.compare(m);
+      }
 
       // related (opt-in vía include)
       if (includeSet.size > 0) {
@@ -524,8 +752,10 @@ if (voucherFile?.buffer) {
   /**
    * Obtener detalle de movement (con include opt-in)
    * include CSV: auction,user,refund,guarantee
+   * adminView (vista de aprobación del admin): comprobantes idénticos o similares de otros pagos
+   * y discrepancias entre lo leído por OCR y lo declarado (ocr_check); sin adminView se leen solo CLIENT_MOVEMENT_FIELDS
    */
-  async getMovementById(movementId, userRole = 'client', userId = null, includeRaw = '') {
+  async getMovementById(movementId, includeRaw = '', { adminView = false } = {}) {
     // Parse include
     const includeSet = new Set(
       String(includeRaw)
@@ -585,16 +815,17 @@ if (voucherFile?.buffer) {
   
     const m = await prisma.movement.findUnique({
       where: { id: movementId },
-      include: prismaInclude,
+      ...(adminView
+        ? { include: prismaInclude }
+        : { select: { ...CLIENT_MOVEMENT_FIELDS, ...includePrisma } }),
     });
     if (!m) throw new NotFoundError('Movement');
   
-    if (userRole === 'client' && userId && m.user_id !== userId) {
-      throw new ConflictError('No tiene permisos para ver este movement', 'FORBIDDEN');
-    }
-  
+    // La referencia del almacenamiento no se expone: el comprobante se descarga por voucher_path (URL firmada)
+    const { voucher_url, ...fields } = m;
     const result = {
-      ...m,
+      ...fields,
+      voucher_path: this.voucherPath(m),
       references: [
         ...(m.auction_id_ref ? [{ type: 'auction', id: m.auction_id_ref }] : []),
         ...(m.guarantee_id_ref ? [{ type: 'guarantee', id: m.guarantee_id_ref }] : []),
@@ -641,120 +872,319 @@ if (voucherFile?.buffer) {
         result.related = related;
       }
     }
+
+    if (adminView && m.voucher_url) {
+      const checks = await voucherFingerprintService.findDuplicates([m]);
+      result.voucher_check = checks.get(m.id);
+    }
+    if (adminView && m.voucher_ocr) {
+      result.ocr_check = voucherOcrService.compare(m);
+    }
   
     return result;
   }
 
-  // -----------------------
-  // Helpers internos (cache)
-  // -----------------------
+  /**
+   * Ruta de descarga del comprobante (GET /movements/:id/voucher); null si el movement no tiene voucher
+   */
+  voucherPath(movement) {
+    return movement.voucher_url ? `/movements/${movement.id}/voucher` : null;
+  }
 
   /**
-   * Recalcula y actualiza User.saldo_total = sum(entradas validadas) - sum(salidas validadas)
+   * Referencia del comprobante en el almacenamiento (Movement.voucher_url), solo para firmar la descarga
    */
-  async _recalcularSaldoTotalTx(tx, userId) {
-    // Unificación de regla: excluir entradas 'reembolso' para no inflar saldo_total
-    const entradas = await tx.movement.aggregate({
-      _sum: { monto: true },
-      where: {
-        user_id: userId,
-        estado: 'validado',
-        tipo_movimiento_general: 'entrada',
-        NOT: { tipo_movimiento_especifico: 'reembolso' },
-      },
-    });
-    const salidas = await tx.movement.aggregate({
-      _sum: { monto: true },
-      where: {
-        user_id: userId,
-        estado: 'validado',
-        tipo_movimiento_general: 'salida',
-      },
+  async getVoucherReference(movementId) {
+    const m = await prisma.movement.findUnique({
+      where: { id: movementId },
+      select: { voucher_url: true },
     });
+    if (!m) throw new NotFoundError('Movement');
+    return m.voucher_url;
+  }
 
-    const totalEntradas = Number(entradas._sum.monto || 0);
-    const totalSalidas = Number(salidas._sum.monto || 0);
-    const saldoTotal = Number((totalEntradas - totalSalidas).toFixed(2));
+  /**
+   * Guardar voucher en el almacenamiento configurado (fuera de la transacción) y calcular sus huellas
+   * La lectura OCR queda 'pendiente' y se encola tras el commit (voucherOcrService.enqueue)
+   * Retorna { voucher_url, voucher_sha256, voucher_phash, voucher_ocr }; null si no se adjuntó archivo
+   */
+  async _uploadVoucher(userId, voucherFile) {
+    if (!voucherFile?.buffer) return null;
 
-    await tx.user.update({
-      where: { id: userId },
-      data: { saldo_total: saldoTotal },
-    });
+    try {
+      const stored = await fileStorageService.upload(voucherFile, userId);
+      Logger.info(`Comprobante subido (pre-TX): ${stored.url}`);
+      return {
+        voucher_url: stored.url,
+        ...(await voucherFingerprintService.fingerprint(voucherFile)),
+        voucher_ocr: voucherOcrService.initialState(voucherFile),
+      };
+    } catch (err) {
+      Logger.error('Error subiendo voucher (pre-TX):', err);
+      throw new ConflictError('Error al procesar el archivo del comprobante', 'UPLOAD_ERROR');
+    }
+  }
+
+  /**
+   * Leer por OCR el voucher de un movement ya confirmado, en segundo plano (la respuesta no lo espera)
+   */
+  _queueVoucherOcr(movement, voucherFile) {
+    if (movement?.voucher_ocr?.estado !== 'pendiente') return;
+
+    voucherOcrService.enqueue(voucherFile, (voucher_ocr) => prisma.movement.update({
+      where: { id: movement.id },
+      data: { voucher_ocr },
+    }));
+  }
 
-    return saldoTotal;
+  /**
+   * Pago tomado por otro admin en la cola de validación: solo su asignado lo aprueba o rechaza
+   */
+  _assertClaim(movement, adminUserId) {
+    if (movement.assigned_to && movement.assigned_to !== adminUserId) {
+      throw new ConflictError('El pago está asignado a otro administrador en la cola de validación', 'PAYMENT_CLAIMED');
+    }
   }
 
   /**
-   * Recalcula y actualiza User.saldo_retenido (RN07):
-   * retenido = sum(pagos_garantia validados en subastas con estado en
-   * ['finalizada','ganada','perdida','penalizada']) - sum(reembolsos validados (entrada o salida)).
-   * 'facturada' NO retiene.
+   * Subasta con la garantía del usuario; solo el ganador vigente puede pagarla
    */
-  async _recalcularSaldoRetenidoTx(tx, userId) {
-    // 1) Retención por subastas: garantías validadas - reembolsos validados (entrada o salida)
-    const offers = await tx.guarantee.findMany({
-      where: { user_id: userId },
-      select: {
-        id: true,
-        auction: { select: { id: true, estado: true } },
+  async _winnerAuction(tx, auctionId, userId) {
+    const auction = await tx.auction.findUnique({
+      where: { id: auctionId },
+      include: {
+        asset: true,
+        guarantees: {
+          where: { user_id: userId },
+          orderBy: { posicion_ranking: 'asc' },
+          take: 1,
+        },
       },
     });
 
-    const retenedorStates = new Set(['finalizada', 'ganada', 'perdida']);
-    const auctionIdsToRetain = offers
-      .filter((o) => o.auction && retenedorStates.has(o.auction.estado))
-      .map((o) => o.auction.id);
+    if (!auction) throw BusinessErrors.AuctionNotFound();
 
-    let sumGarantias = 0;
-    if (auctionIdsToRetain.length > 0) {
-      const guaranteeMovs = await tx.movement.findMany({
-        where: {
-          user_id: userId,
-          estado: 'validado',
-          tipo_movimiento_general: 'entrada',
-          tipo_movimiento_especifico: 'pago_garantia',
-          auction_id_ref: { in: auctionIdsToRetain },
-        },
-        select: { monto: true },
-      });
-      sumGarantias = guaranteeMovs.reduce((acc, m) => acc + Number(m.monto || 0), 0);
+    const guarantee = auction.guarantees?.[0];
+    if (!guarantee) {
+      throw new ConflictError(
+        'Solo el ganador/ganadora puede registrar el pago de garantía para esta subasta',
+        'NOT_CURRENT_WINNER'
+      );
+    }
+
+    return { auction, guarantee };
+  }
+
+  /**
+   * Validar y crear un pago de garantía pendiente (voucher de depósito o transferencia)
+   * - Bloquea la garantía antes de calcular la cobertura: dos vouchers en paralelo no pueden superar
+   *   juntos la garantía requerida (el segundo ve el pago pendiente del primero)
+   * - Cobertura: se rechaza si lo registrado ya cubre la garantía; misma moneda que los pagos previos
+   * - Fecha de pago no futura y numero_operacion único por usuario
+   * - Comprobante repetido de cualquier usuario: se marca o se rechaza según VOUCHER_DUPLICATE_POLICY
+   */
+  async _createPendingPayment(tx, userId, guarantee, rules, data, voucher) {
+    const {
+      monto,
+      tipo_pago, // 'deposito' | 'transferencia'
+      numero_cuenta_origen,
+      numero_operacion,
+      fecha_pago,
+      moneda = BASE_CURRENCY,
+      concepto = 'Pago de garantía',
+    } = data;
+
+    const locked = await this._lockGuarantee(tx, { guarantee_id_ref: guarantee.id });
+    const coverage = await this._guaranteeCoverage(tx, locked, rules);
+
+    if (coverage.moneda && coverage.moneda !== moneda) {
+      throw new ConflictError(
+        `Los pagos de esta garantía se registran en ${coverage.moneda}`,
+        'MIXED_CURRENCY_GUARANTEE'
+      );
+    }
+    if (coverage.monto_por_registrar <= 0) {
+      throw new ConflictError(
+        'Los pagos registrados ya cubren la garantía requerida; espere su validación',
+        'GUARANTEE_ALREADY_COVERED'
+      );
+    }
+    // En otra moneda exige tipo de cambio vigente a la fecha de pago (se usa al validar)
+    await exchangeRateService.getRateAt(moneda, new Date(fecha_pago), tx);
+
+    // Fecha de pago solo no futura (subasta ya no tiene fecha_inicio/fin)
+    const paymentDate = new Date(fecha_pago);
+    if (paymentDate > new Date()) {
+      throw new ConflictError('La fecha de pago no puede ser futura', 'FUTURE_PAYMENT_DATE');
     }
 
-    let sumReembolsos = 0;
-    if (auctionIdsToRetain.length > 0) {
-      const refundMovs = await tx.movement.findMany({
+    if (numero_operacion) {
+      const dupOp = await tx.movement.findFirst({
         where: {
           user_id: userId,
-          estado: 'validado',
-          // considerar cualquier 'reembolso' (entrada o salida)
-          tipo_movimiento_especifico: 'reembolso',
-          auction_id_ref: { in: auctionIdsToRetain },
+          numero_operacion,
         },
-        select: { monto: true },
       });
-      sumReembolsos = refundMovs.reduce((acc, m) => acc + Number(m.monto || 0), 0);
+      if (dupOp) {
+        throw new ConflictError(
+          'El número de operación ya fue registrado por este usuario',
+          'DUPLICATE_OPERATION_NUMBER'
+        );
+      }
     }
 
-    const retenidoSubastas = Number(Math.max(0, sumGarantias - sumReembolsos).toFixed(2));
+    await voucherFingerprintService.checkDuplicate(tx, voucher, userId);
 
-    // 2) Retención por solicitudes de reembolso en curso (solicitado|confirmado)
-    const pendingRefundsAgg = await tx.refund.aggregate({
-      _sum: { monto_solicitado: true },
-      where: {
+    // Movement pendiente con referencias directas
+    return tx.movement.create({
+      data: {
         user_id: userId,
-        estado: { in: ['solicitado', 'confirmado'] },
+        tipo_movimiento_general: 'entrada',
+        tipo_movimiento_especifico: 'pago_garantia',
+        monto,
+        moneda,
+        tipo_pago: tipo_pago ?? null,
+        numero_cuenta_origen: numero_cuenta_origen ?? null,
+        voucher_url: voucher?.voucher_url ?? null,
+        voucher_sha256: voucher?.voucher_sha256 ?? null,
+        voucher_phash: voucher?.voucher_phash ?? null,
+        voucher_ocr: voucher?.voucher_ocr ?? undefined,
+        concepto,
+        estado: 'pendiente',
+        fecha_pago: paymentDate,
+        numero_operacion: numero_operacion ?? null,
+        auction_id_ref: guarantee.auction_id,
+        guarantee_id_ref: guarantee.id,
+        rule_version: rules.version,
+      },
+    });
+  }
+
+  /**
+   * Liberar a saldo disponible los pagos parciales validados de una garantía que deja de ser ganadora
+   * (vencimiento del plazo o reasignación): Movement entrada/reembolso validado con asiento guarantee_released
+   * Retorna el Movement creado, o null si no había garantía retenida o ya fue liberada
+   */
+  async releasePartialPayments(tx, guarantee, concepto, actorId = null) {
+    const released = await tx.movement.findFirst({
+      where: {
+        user_id: guarantee.user_id,
+        auction_id_ref: guarantee.auction_id,
+        tipo_movimiento_general: 'entrada',
+        tipo_movimiento_especifico: 'reembolso',
+        refund_id_ref: null,
+      },
+      select: { id: true },
+    });
+    if (released) return null;
+
+    const funds = await ledgerService.guaranteeFunds(tx, guarantee.user_id, guarantee.auction_id);
+    if (!funds || funds.monto <= 0) return null;
+
+    const releaseMovement = await tx.movement.create({
+      data: {
+        user_id: guarantee.user_id,
+        tipo_movimiento_general: 'entrada',
+        tipo_movimiento_especifico: 'reembolso',
+        monto: funds.monto,
+        moneda: funds.moneda,
+        tipo_cambio: funds.tipo_cambio,
+        monto_base: funds.monto_base,
+        concepto,
+        estado: 'validado',
+        fecha_pago: new Date(),
+        fecha_resolucion: new Date(),
+        auction_id_ref: guarantee.auction_id,
+        guarantee_id_ref: guarantee.id,
+        rule_version: guarantee.rule_version ?? null,
       },
     });
-    const retenidoSolicitudes = Number(pendingRefundsAgg._sum.monto_solicitado || 0);
+    // Asiento guarantee_released: retenido → disponible
+    await ledgerService.postMovement(tx, releaseMovement);
+    await ledgerService.projectUser(tx, guarantee.user_id);
+
+    Logger.info(`Pagos parciales liberados a saldo disponible: ${funds.moneda} ${funds.monto}`, {
+      user_id: guarantee.user_id,
+      auction_id: guarantee.auction_id,
+      movement_id: releaseMovement.id,
+      actor_id: actorId,
+    });
+
+    return releaseMovement;
+  }
+
+  /**
+   * Garantía del pago ({ guarantee_id_ref } basta), bloqueada hasta el fin de la transacción (incrementa su
+   * versión): las resoluciones simultáneas de pagos de una misma garantía calculan la cobertura en orden
+   */
+  async _lockGuarantee(tx, movement) {
+    const guaranteeId = movement.guarantee_id_ref ?? (
+      await tx.guarantee.findFirst({
+        where: { auction_id: movement.auction_id_ref, user_id: movement.user_id },
+        orderBy: { created_at: 'desc' },
+        select: { id: true },
+      })
+    )?.id;
+    if (!guaranteeId) {
+      throw new ConflictError('Movement sin garantía asociada', 'MISSING_GUARANTEE_REFERENCE');
+    }
 
-    const saldoRetenido = Number((retenidoSubastas + retenidoSolicitudes).toFixed(2));
+    return tx.guarantee.update({
+      where: { id: guaranteeId },
+      data: { version: { increment: 1 } },
+    });
+  }
 
-    await tx.user.update({
-      where: { id: userId },
-      data: { saldo_retenido: saldoRetenido },
+  /**
+   * Cobertura de una garantía (moneda base) a partir de sus pagos pago_garantia
+   * - monto_validado: parte retenida de los pagos validados (sin excedentes)
+   * - monto_pendiente: pagos pendientes al tipo de cambio vigente a su fecha de pago
+   * - monto_faltante = requerido - validado; monto_por_registrar = faltante - pendiente
+   * - moneda: moneda de los pagos ya registrados (null si aún no hay)
+   */
+  async _guaranteeCoverage(tx, guarantee, rules, { excludeMovementId = null } = {}) {
+    const payments = await tx.movement.findMany({
+      where: {
+        guarantee_id_ref: guarantee.id,
+        tipo_movimiento_general: 'entrada',
+        tipo_movimiento_especifico: 'pago_garantia',
+        estado: { in: ['pendiente', 'validado'] },
+        ...(excludeMovementId ? { id: { not: excludeMovementId } } : {}),
+      },
+      orderBy: { created_at: 'asc' },
     });
 
-    return saldoRetenido;
+    let validado = 0;
+    let pendiente = 0;
+    for (const payment of payments) {
+      if (payment.estado === 'validado') {
+        const retained = ledgerService.retainedPosting(payment);
+        validado = round2(validado + (retained?.amountBase ?? 0));
+      } else {
+        const { monto_base } = await exchangeRateService.convert(
+          payment.monto,
+          payment.moneda,
+          payment.fecha_pago ?? new Date(),
+          tx
+        );
+        pendiente = round2(pendiente + monto_base);
+      }
+    }
+
+    const requerido = businessCalculations.calculateGuaranteeAmount(guarantee.monto_oferta, rules);
+    const faltante = Math.max(0, round2(requerido - validado));
+
+    return {
+      moneda_base: BASE_CURRENCY,
+      moneda: payments[0]?.moneda ?? null,
+      monto_requerido: requerido,
+      monto_validado: validado,
+      monto_pendiente: pendiente,
+      monto_faltante: faltante,
+      monto_por_registrar: Math.max(0, round2(faltante - pendiente)),
+      pagos_validados: payments.filter((p) => p.estado === 'validado').length,
+      pagos_pendientes: payments.filter((p) => p.estado === 'pendiente').length,
+    };
   }
 
   /**
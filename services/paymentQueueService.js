@@ -0,0 +1,279 @@
+const { prisma } = require('../config/database');
+const { config } = require('../config');
+const {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} = require('../middleware/errorHandler');
+const { Logger } = require('../middleware/logger');
+const roleService = require('./roleService');
+const auditService = require('./auditService');
+const { AUDIT_ACTIONS } = require('../config/audit');
+const { PAYMENT_RISK_LEVELS, RISK_HOURS, SLA_REPORT_LIMIT } = require('../config/paymentQueue');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Pagos que esperan validación
+const QUEUE_WHERE = { tipo_movimiento_especifico: 'pago_garantia', estado: 'pendiente' };
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const adminSummary = (admin) => (admin
+  ? { id: admin.id, first_name: admin.first_name, last_name: admin.last_name, email: admin.email }
+  : null);
+
+/**
+ * Cola de validación de pagos de garantía
+ * - Pendientes ordenados por riesgo: primero el plazo de pago de la garantía más próximo a vencer
+ * - Tiempo en cola contra el SLA (config.paymentQueue.slaHours)
+ * - Asignación: un admin toma el pago (claim) y solo él lo aprueba o rechaza hasta liberarlo;
+ *   quien tiene payments:assign puede asignarlo a otro o liberarlo
+ */
+class PaymentQueueService {
+  _risk(deadline, now) {
+    if (!deadline) return 'sin_plazo';
+    const hours = (deadline.getTime() - now) / HOUR_MS;
+    if (hours < 0) return 'vencido';
+    if (hours <= RISK_HOURS.critico) return 'critico';
+    if (hours <= RISK_HOURS.alto) return 'alto';
+    return 'normal';
+  }
+
+  _formatItem(m, now, admins) {
+    const deadline = m.guarantee_ref?.fecha_limite_pago ?? null;
+    const minutesInQueue = Math.floor((now - m.created_at.getTime()) / 60000);
+    return {
+      movement: {
+        id: m.id,
+        monto: Number(m.monto),
+        moneda: m.moneda,
+        tipo_pago: m.tipo_pago,
+        numero_operacion: m.numero_operacion,
+        fecha_pago: m.fecha_pago,
+        voucher: Boolean(m.voucher_url),
+        version: m.version,
+        created_at: m.created_at,
+      },
+      user: m.user,
+      auction: m.auction_ref
+        ? { id: m.auction_ref.id, estado: m.auction_ref.estado, asset: m.auction_ref.asset }
+        : null,
+      fecha_limite_pago: deadline,
+      horas_para_vencer: deadline ? round1((deadline.getTime() - now) / HOUR_MS) : null,
+      riesgo: this._risk(deadline, now),
+      minutos_en_cola: minutesInQueue,
+      sla_vencido: minutesInQueue > config.paymentQueue.slaHours * 60,
+      asignado: m.assigned_to
+        ? { admin: adminSummary(admins.get(m.assigned_to)) ?? { id: m.assigned_to }, assigned_at: m.assigned_at }
+        : null,
+    };
+  }
+
+  async _admins(ids) {
+    const unique = [...new Set(ids.filter(Boolean))];
+    if (unique.length === 0) return new Map();
+    const admins = await prisma.user.findMany({
+      where: { id: { in: unique } },
+      select: { id: true, first_name: true, last_name: true, email: true },
+    });
+    return new Map(admins.map((a) => [a.id, a]));
+  }
+
+  /**
+   * Cola de validación con resumen por riesgo
+   * filters: asignado ('me' | 'none' | id de admin), riesgo, sla_vencido, page, limit
+   */
+  async getQueue(filters = {}, adminUser) {
+    const { asignado, riesgo, sla_vencido, page = 1, limit = 20 } = filters;
+
+    const where = { ...QUEUE_WHERE };
+    if (asignado === 'me') where.assigned_to = adminUser.id;
+    else if (asignado === 'none') where.assigned_to = null;
+    else if (asignado) where.assigned_to = asignado;
+
+    const movements = await prisma.movement.findMany({
+      where,
+      include: {
+        user: {
+          select: { id: true, first_name: true, last_name: true, document_type: true, document_number: true },
+        },
+        guarantee_ref: { select: { id: true, fecha_limite_pago: true } },
+        auction_ref: {
+          select: {
+            id: true,
+            estado: true,
+            asset: { select: { placa: true, marca: true, modelo: true, año: true } },
+          },
+        },
+      },
+    });
+
+    const now = Date.now();
+    const admins = await this._admins(movements.map((m) => m.assigned_to));
+    const items = movements
+      .map((m) => this._formatItem(m, now, admins))
+      // Plazo más próximo primero (los vencidos encabezan); sin plazo al final; empate → más antiguo en cola
+      .sort((a, b) => {
+        const da = a.fecha_limite_pago ? a.fecha_limite_pago.getTime() : Infinity;
+        const db = b.fecha_limite_pago ? b.fecha_limite_pago.getTime() : Infinity;
+        if (da !== db) return da - db;
+        return a.movement.created_at - b.movement.created_at;
+      });
+
+    const resumen = {
+      total: items.length,
+      por_riesgo: Object.fromEntries(Object.keys(PAYMENT_RISK_LEVELS).map((level) => [level, items.filter((i) => i.riesgo === level).length])),
+      sla_vencidos: items.filter((i) => i.sla_vencido).length,
+      sin_asignar: items.filter((i) => !i.asignado).length,
+      sla_horas: config.paymentQueue.slaHours,
+    };
+
+    const filtered = items.filter((i) =>
+      (!riesgo || i.riesgo === riesgo) &&
+      (sla_vencido === undefined || i.sla_vencido === sla_vencido)
+    );
+    const offset = (Number(page) - 1) * Number(limit);
+
+    return {
+      items: filtered.slice(offset, offset + Number(limit)),
+      resumen,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total: filtered.length,
+        total_pages: Math.max(1, Math.ceil(filtered.length / Number(limit))),
+      },
+    };
+  }
+
+  /**
+   * Tomar un pago de la cola (admin actual); idempotente si ya es suyo
+   */
+  async claim(movementId, adminUser) {
+    return this._assign(movementId, adminUser.id, adminUser, (movement) => {
+      if (movement.assigned_to && movement.assigned_to !== adminUser.id) {
+        throw new ConflictError('El pago ya fue tomado por otro administrador', 'PAYMENT_CLAIMED');
+      }
+    });
+  }
+
+  /**
+   * Liberar un pago: el admin asignado, o quien tiene payments:assign (canReassign)
+   */
+  async release(movementId, adminUser, canReassign = false) {
+    return this._assign(movementId, null, adminUser, (movement) => {
+      if (movement.assigned_to && movement.assigned_to !== adminUser.id && !canReassign) {
+        throw new ForbiddenError('Solo el administrador asignado puede liberar el pago');
+      }
+    });
+  }
+
+  /**
+   * Asignar un pago a un admin con permiso payments:approve (requiere payments:assign)
+   */
+  async assign(movementId, adminId, adminUser) {
+    const admin = await prisma.user.findUnique({
+      where: { id: adminId },
+      select: { id: true, user_type: true, deleted_at: true },
+    });
+    if (!admin || admin.user_type !== 'admin' || admin.deleted_at) {
+      throw new ValidationError('El pago solo puede asignarse a un administrador activo');
+    }
+    const { permissions } = await roleService.getUserAccess(adminId);
+    if (!permissions.includes('*') && !permissions.includes('payments:approve')) {
+      throw new ValidationError('El administrador no tiene permiso para aprobar pagos (payments:approve)');
+    }
+
+    return this._assign(movementId, adminId, adminUser);
+  }
+
+  // Cambiar el asignado de un pago pendiente; la actualización exige que el asignado no haya cambiado
+  async _assign(movementId, assignedTo, adminUser, guard = () => {}) {
+    const result = await prisma.$transaction(async (tx) => {
+      const movement = await tx.movement.findUnique({ where: { id: movementId } });
+      if (!movement) throw new NotFoundError('Movement');
+      if (movement.tipo_movimiento_especifico !== 'pago_garantia' || movement.estado !== 'pendiente') {
+        throw new ConflictError('Solo los pagos de garantía pendientes están en la cola de validación', 'PAYMENT_NOT_IN_QUEUE');
+      }
+      guard(movement);
+      if (movement.assigned_to === assignedTo) return movement;
+
+      const { count } = await tx.movement.updateMany({
+        where: { id: movementId, estado: 'pendiente', assigned_to: movement.assigned_to },
+        data: { assigned_to: assignedTo, assigned_at: assignedTo ? new Date() : null },
+      });
+      if (count === 0) {
+        throw new ConflictError('El pago cambió mientras se asignaba; vuelve a consultarlo', 'RESOURCE_MODIFIED');
+      }
+
+      const updated = await tx.movement.findUnique({ where: { id: movementId } });
+      await auditService.record(tx, {
+        actorId: adminUser.id,
+        action: AUDIT_ACTIONS.MOVEMENT_ASSIGN,
+        entityType: 'movement',
+        entityId: movementId,
+        before: { assigned_to: movement.assigned_to, assigned_at: movement.assigned_at },
+        after: { assigned_to: updated.assigned_to, assigned_at: updated.assigned_at },
+      });
+      return updated;
+    });
+
+    Logger.info(`Admin ${adminUser.email} ${assignedTo ? `asignó a ${assignedTo}` : 'liberó'} el pago ${movementId}`);
+
+    const admins = await this._admins([result.assigned_to]);
+    return {
+      id: result.id,
+      estado: result.estado,
+      asignado: result.assigned_to
+        ? { admin: adminSummary(admins.get(result.assigned_to)), assigned_at: result.assigned_at }
+        : null,
+    };
+  }
+
+  /**
+   * Pagos pendientes que superan el SLA (reporte diario)
+   */
+  async slaReport(now = Date.now()) {
+    const slaHours = config.paymentQueue.slaHours;
+    const limit = new Date(now - slaHours * HOUR_MS);
+
+    const [pendientes, sinAsignar, oldest, breached, totalBreached] = await Promise.all([
+      prisma.movement.count({ where: QUEUE_WHERE }),
+      prisma.movement.count({ where: { ...QUEUE_WHERE, assigned_to: null } }),
+      prisma.movement.findFirst({ where: QUEUE_WHERE, orderBy: { created_at: 'asc' }, select: { created_at: true } }),
+      prisma.movement.findMany({
+        where: { ...QUEUE_WHERE, created_at: { lt: limit } },
+        orderBy: { created_at: 'asc' },
+        take: SLA_REPORT_LIMIT,
+        select: {
+          id: true,
+          user_id: true,
+          auction_id_ref: true,
+          assigned_to: true,
+          created_at: true,
+          guarantee_ref: { select: { fecha_limite_pago: true } },
+        },
+      }),
+      prisma.movement.count({ where: { ...QUEUE_WHERE, created_at: { lt: limit } } }),
+    ]);
+
+    return {
+      sla_horas: slaHours,
+      pendientes,
+      sin_asignar: sinAsignar,
+      sla_vencidos: totalBreached,
+      mas_antiguo_horas: oldest ? round1((now - oldest.created_at.getTime()) / HOUR_MS) : 0,
+      vencidos: breached.map((m) => ({
+        movement_id: m.id,
+        user_id: m.user_id,
+        auction_id: m.auction_id_ref,
+        asignado_a: m.assigned_to,
+        horas_en_cola: round1((now - m.created_at.getTime()) / HOUR_MS),
+        fecha_limite_pago: m.guarantee_ref?.fecha_limite_pago ?? null,
+      })),
+    };
+  }
+}
+
+module.exports = new PaymentQueueService();
@@ -0,0 +1,233 @@
+const { prisma } = require('../config/database');
+const { NotFoundError } = require('../middleware/errorHandler');
+const { Logger } = require('../middleware/logger');
+const { formatters } = require('../utils');
+const ledgerService = require('./ledgerService');
+const auditService = require('./auditService');
+const { AUDIT_ACTIONS } = require('../config/audit');
+
+const round2 = (value) => Number(Number(value || 0).toFixed(2));
+const entryKey = (sourceType, sourceId, event) => `${sourceType}:${sourceId}:${event}`;
+
+const BALANCE_FIELDS = ['saldo_total', 'saldo_retenido', 'saldo_aplicado', 'saldo_disponible'];
+
+const USER_SELECT = {
+  id: true,
+  first_name: true,
+  last_name: true,
+  email: true,
+  saldo_total: true,
+  saldo_retenido: true,
+  saldo_aplicado: true,
+};
+
+/**
+ * Reconciliación de saldos
+ * Recalcula los saldos de cada cliente desde su historial (Movement/Billing/Refund) y los compara con
+ * el cache de User y con las cuentas del libro mayor. La reparación registra los asientos faltantes,
+ * reproyecta el cache y deja evento de auditoría en la misma transacción.
+ */
+class ReconciliationService {
+  /**
+   * Asientos del libro mayor que no corresponden al historial del cliente
+   */
+  _offendingRecords(postings, entries) {
+    const expected = new Map(postings.map((p) => [entryKey(p.sourceType, p.sourceId, p.event), p]));
+    const posted = new Map(entries.map((e) => [entryKey(e.source_type, e.source_id, e.event), e]));
+    const records = [];
+
+    for (const [key, p] of expected) {
+      const entry = posted.get(key);
+      if (!entry) {
+        records.push({
+          issue: 'missing_entry',
+          source_type: p.sourceType,
+          source_id: p.sourceId,
+          event: p.event,
+          expected_monto: p.amount,
+          ledger_monto: null,
+        });
+      } else if (round2(entry.monto) !== p.amount) {
+        records.push({
+          issue: 'amount_mismatch',
+          source_type: p.sourceType,
+          source_id: p.sourceId,
+          event: p.event,
+          expected_monto: p.amount,
+          ledger_monto: round2(entry.monto),
+        });
+      }
+    }
+
+    for (const [key, e] of posted) {
+      if (!expected.has(key)) {
+        records.push({
+          issue: 'orphan_entry',
+          source_type: e.source_type,
+          source_id: e.source_id,
+          event: e.event,
+          expected_monto: null,
+          ledger_monto: round2(e.monto),
+        });
+      }
+    }
+
+    return records;
+  }
+
+  _differences(source, actual, expected) {
+    return BALANCE_FIELDS
+      .filter((field) => actual[field] !== expected[field])
+      .map((field) => ({
+        source,
+        field,
+        actual: actual[field],
+        expected: expected[field],
+        diff: round2(actual[field] - expected[field]),
+      }));
+  }
+
+  /**
+   * Reconciliar un cliente (solo lectura)
+   */
+  async reconcileUser(client, user) {
+    const [postings, entries, ledger] = await Promise.all([
+      ledgerService.historyPostings(client, user.id),
+      client.ledgerEntry.findMany({
+        where: { user_id: user.id },
+        select: { source_type: true, source_id: true, event: true, monto: true },
+      }),
+      ledgerService.getUserBalances(client, user.id),
+    ]);
+
+    const saldo_total = round2(user.saldo_total);
+    const saldo_retenido = round2(user.saldo_retenido);
+    const saldo_aplicado = round2(user.saldo_aplicado);
+    const cached = {
+      saldo_total,
+      saldo_retenido,
+      saldo_aplicado,
+      saldo_disponible: round2(saldo_total - saldo_retenido - saldo_aplicado),
+    };
+    const expected = ledgerService.projectBalances(ledgerService.accountsFromPostings(postings));
+
+    const differences = [
+      ...this._differences('cache', cached, expected),
+      ...this._differences('ledger', ledger, expected),
+    ];
+    const offending_records = this._offendingRecords(postings, entries);
+
+    return {
+      user_id: user.id,
+      user: { name: formatters.fullName(user), email: user.email },
+      status: differences.length || offending_records.length ? 'discrepancy' : 'ok',
+      cached,
+      ledger,
+      expected,
+      differences,
+      offending_records,
+    };
+  }
+
+  async _findClients(userIds = null) {
+    const where = { user_type: 'client', deleted_at: null };
+    if (userIds) where.id = { in: userIds };
+
+    const users = await prisma.user.findMany({ where, select: USER_SELECT, orderBy: { created_at: 'asc' } });
+    if (userIds && users.length !== userIds.length) {
+      throw new NotFoundError('Cliente');
+    }
+    return users;
+  }
+
+  /**
+   * Reporte de reconciliación de todos los clientes (o de uno)
+   * Filtros: user_id, only_discrepancies (default true)
+   */
+  async run(filters = {}) {
+    const { user_id, only_discrepancies = true } = filters;
+    const users = await this._findClients(user_id ? [user_id] : null);
+
+    const results = [];
+    for (const user of users) {
+      results.push(await this.reconcileUser(prisma, user));
+    }
+    const discrepancies = results.filter((r) => r.status === 'discrepancy');
+
+    return {
+      checked_at: new Date().toISOString(),
+      users_checked: results.length,
+      users_with_discrepancies: discrepancies.length,
+      results: only_discrepancies ? discrepancies : results,
+    };
+  }
+
+  /**
+   * Reparar saldos de los clientes indicados (por defecto: todos los que presentan discrepancias)
+   * Por cliente y en una transacción:
+   * - Registra los asientos faltantes del historial y reproyecta User.saldo_*
+   * - Registra evento de auditoría balance.reconcile (before/after = cache)
+   * Los asientos con monto distinto o sin documento no se modifican (libro inmutable): quedan en
+   * unresolved y el cliente se reporta como requires_manual_review
+   */
+  async repair({ user_ids, motivo }, adminUser) {
+    const users = await this._findClients(user_ids ?? null);
+    const results = [];
+
+    for (const user of users) {
+      const result = await prisma.$transaction(async (tx) => {
+        const before = await this.reconcileUser(tx, user);
+        if (before.status === 'ok') {
+          return { user_id: user.id, status: 'ok', entries_created: 0 };
+        }
+
+        const entriesCreated = await ledgerService.backfillUser(tx, user.id);
+        const refreshed = await tx.user.findUnique({ where: { id: user.id }, select: USER_SELECT });
+        const after = await this.reconcileUser(tx, refreshed);
+
+        await auditService.record(tx, {
+          actorId: adminUser.id,
+          action: AUDIT_ACTIONS.BALANCE_RECONCILE,
+          entityType: 'user',
+          entityId: user.id,
+          before: before.cached,
+          after: after.cached,
+          reason: motivo,
+          metadata: {
+            entries_created: entriesCreated,
+            offending_records: before.offending_records,
+            unresolved: after.offending_records,
+          },
+        });
+
+        return {
+          user_id: user.id,
+          status: after.status === 'ok' ? 'repaired' : 'requires_manual_review',
+          entries_created: entriesCreated,
+          before: before.cached,
+          after: after.cached,
+          expected: after.expected,
+          unresolved: after.offending_records,
+        };
+      });
+
+      results.push(result);
+    }
+
+    const count = (status) => results.filter((r) => r.status === status).length;
+    Logger.warn(`Admin ${adminUser.email} reconcilió saldos de ${results.length} clientes`, {
+      repaired: count('repaired'),
+      requires_manual_review: count('requires_manual_review'),
+    });
+
+    return {
+      repaired_at: new Date().toISOString(),
+      users_checked: results.length,
+      repaired: count('repaired'),
+      requires_manual_review: count('requires_manual_review'),
+      results: results.filter((r) => r.status !== 'ok'),
+    };
+  }
+}
+
+module.exports = new ReconciliationService();
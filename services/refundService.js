@@ -7,8 +7,15 @@ const {
 } = require('../middleware/errorHandler');
 const balanceService = require('./balanceService');
 const notificationService = require('./notificationService');
-const { uploadToCloudinary } = require('../config/cloudinary');
 const { paginationHelpers } = require('../utils');
+const auditService = require('./auditService');
+const stateMachineService = require('./stateMachineService');
+const businessRuleService = require('./businessRuleService');
+const ledgerService = require('./ledgerService');
+const fileStorageService = require('./fileStorageService');
+const voucherFingerprintService = require('./voucherFingerprintService');
+const { AUDIT_ACTIONS } = require('../config/audit');
+const { BASE_CURRENCY } = require('../config/currencies');
 
 /**
  * Servicio de Reembolsos
@@ -19,15 +26,16 @@ class RefundService {
   /**
    * HU-REEM-01 — Solicitar Reembolso (Cliente)
    * Reglas:
-   * - monto_solicitado > 0 y <= saldo_disponible
+   * - monto_solicitado > 0 y <= saldo disponible en la moneda solicitada (default moneda base)
    * - No debe haber solicitudes pendientes (solicitado|confirmado)
-   * - Crea refund estado 'solicitado' + notificaciones
+   * - Crea refund estado 'solicitado' (con su equivalente en moneda base al costo histórico) + notificaciones
    */
   async createRefund(userId, payload) {
-    const { monto_solicitado, motivo, auction_id } = payload;
+    const { monto_solicitado, motivo, auction_id, moneda = BASE_CURRENCY } = payload;
 
     Logger.info(`Cliente ${userId} solicitando reembolso`, {
       monto_solicitado,
+      moneda,
       auction_id,
     });
 
@@ -51,44 +59,33 @@ class RefundService {
         );
       }
 
-      // Nota: No validar contra saldo_disponible global aquí.
-      // La validación correcta se realiza contra el saldo retenido por subasta (RN07) más abajo.
-      // Esto permite solicitar reembolso incluso si el saldo_disponible es 0,
-      // siempre que exista retenido pendiente asociado a la subasta.
-
-      // Validar contra saldo_disponible actual (saldo_total - saldo_retenido - aplicado)
-      const userCache = await tx.user.findUnique({
-        where: { id: userId },
-        select: { saldo_total: true, saldo_retenido: true },
-      });
-      const appliedAgg = await tx.billing.aggregate({
-        _sum: { monto: true },
-        where: { user_id: userId },
-      });
-      const saldo_total = Number(userCache?.saldo_total || 0);
-      const saldo_retenido = Number(userCache?.saldo_retenido || 0);
-      const saldo_aplicado = Number(appliedAgg._sum.monto || 0);
-      const saldo_disponible = Number((saldo_total - saldo_retenido - saldo_aplicado).toFixed(2));
+      // Validar contra el saldo disponible actual en la moneda solicitada (cuenta disponible del libro mayor)
+      const saldo_disponible = await ledgerService.getAccountBalance(tx, userId, 'disponible', moneda);
 
       if (Number(monto_solicitado) > saldo_disponible) {
         throw new ConflictError(
-          `Monto solicitado excede el saldo disponible ($${saldo_disponible})`,
+          `Monto solicitado excede el saldo disponible (${moneda} ${saldo_disponible})`,
           'REFUND_AMOUNT_EXCEEDS_AVAILABLE'
         );
       }
 
+      const monto_base = await ledgerService.baseEquivalent(tx, userId, 'disponible', moneda, monto_solicitado);
+
       const refund = await tx.refund.create({
         data: {
           user_id: userId,
           monto_solicitado: Number(monto_solicitado),
+          moneda,
+          monto_base,
           estado: 'solicitado',
           motivo: motivo || null,
           ...(auction_id ? { auction_id } : {}),
         },
       });
 
-      // Retención inmediata: al solicitar reembolso, el monto queda retenido
-      await this._recalcularSaldoRetenidoTx(tx, userId);
+      // Retención inmediata: asiento refund_requested (disponible → en_reembolso)
+      await ledgerService.postRefund(tx, refund, 'refund_requested');
+      await ledgerService.projectUser(tx, userId);
 
       // Notificación para admin: reembolso_solicitado
       const admin = await tx.user.findFirst({
@@ -101,7 +98,7 @@ class RefundService {
           user_id: admin.id,
           tipo: 'reembolso_solicitado',
           titulo: 'Nueva solicitud de reembolso',
-          mensaje: `Cliente solicitó reembolso de $${monto_solicitado}`,
+          mensaje: `Cliente solicitó reembolso de ${moneda} ${monto_solicitado}`,
           reference_type: 'refund',
           reference_id: refund.id,
         });
@@ -127,8 +124,9 @@ class RefundService {
    * Confirmar o rechazar solicitud:
    * - confirmado: requiere llamada previa; marca fecha_respuesta_empresa
    * - rechazado: requiere motivo
+   * - expectedVersion (If-Match): si la solicitud cambió desde que el admin la consultó → 409 RESOURCE_MODIFIED
    */
-  async manageRefund(refundId, adminUserId, { estado, motivo }) {
+  async manageRefund(refundId, adminUserId, { estado, motivo }, { expectedVersion = null } = {}) {
     Logger.info(`Admin ${adminUserId} gestionando refund ${refundId}`, { estado, motivo });
 
     if (!['confirmado', 'rechazado'].includes(estado)) {
@@ -138,25 +136,33 @@ class RefundService {
     return prisma.$transaction(async (tx) => {
       const refund = await tx.refund.findUnique({ where: { id: refundId } });
       if (!refund) throw new NotFoundError('Refund');
+      stateMachineService.assertVersion('refund', refund, expectedVersion);
 
-      if (refund.estado !== 'solicitado') {
-        throw new ConflictError(
-          `Solo se puede gestionar solicitudes en estado 'solicitado' (actual: ${refund.estado})`,
-          'INVALID_REFUND_STATE'
-        );
-      }
-
-      const updated = await tx.refund.update({
-        where: { id: refundId },
+      const updated = await stateMachineService.transition(tx, 'refund', refund, estado, {
         data: {
-          estado,
           fecha_respuesta_empresa: new Date(),
           motivo_rechazo: estado === 'rechazado' ? (motivo || 'Rechazado por políticas') : null,
         },
+        actorId: adminUserId,
+        reason: motivo,
       });
 
-      // Si se rechaza, liberar retención; si se confirma, mantenerla
-      await this._recalcularSaldoRetenidoTx(tx, refund.user_id);
+      // Si se rechaza, liberar retención (refund_cancelled: en_reembolso → disponible); si se confirma, mantenerla
+      if (estado === 'rechazado') {
+        await ledgerService.postRefund(tx, refund, 'refund_cancelled');
+        await ledgerService.projectUser(tx, refund.user_id);
+      }
+
+      await auditService.record(tx, {
+        actorId: adminUserId,
+        action: AUDIT_ACTIONS.REFUND_MANAGE,
+        entityType: 'refund',
+        entityId: refundId,
+        before: refund,
+        after: updated,
+        reason: motivo,
+        metadata: { estado },
+      });
 
       // Notificación al cliente según resultado (opcional, usamos reembolso_solicitado para no crear nuevo tipo)
       await notificationService.createAndSend({
@@ -182,9 +188,10 @@ class RefundService {
    * - Crea Movement validado:
    *   * mantener_saldo => entrada/reembolso
    *   * devolver_dinero => salida/reembolso (con voucher/operación)
-   * - Recalcula saldos y notifica reembolso_procesado
+   * - Registra asiento refund_paid | refund_to_balance, proyecta saldos y notifica reembolso_procesado
+   * - expectedVersion (If-Match): se valida antes de subir el voucher y de nuevo dentro de la transacción
    */
-  async processRefund(refundId, adminUserId, data = {}, voucherFile) {
+  async processRefund(refundId, adminUserId, data = {}, voucherFile, { expectedVersion = null } = {}) {
     const {
       tipo_transferencia, // 'transferencia' | 'deposito' | etc (opcional)
       banco_destino,
@@ -202,26 +209,21 @@ class RefundService {
     // Prefetch fuera de la transacción para obtener user_id/auction_id y evitar subir voucher dentro de la TX
     const pre = await prisma.refund.findUnique({
       where: { id: refundId },
-      select: { user_id: true, auction_id: true, estado: true, monto_solicitado: true },
+      select: { user_id: true, auction_id: true, estado: true, monto_solicitado: true, version: true },
     });
     if (!pre) throw new NotFoundError('Refund');
-    if (pre.estado !== 'confirmado') {
-      throw new ConflictError(
-        `Solo se puede procesar refund en estado 'confirmado' (actual: ${pre.estado})`,
-        'INVALID_REFUND_STATE'
-      );
-    }
+    stateMachineService.assertVersion('refund', pre, expectedVersion);
+    stateMachineService.assertTransition('refund', pre.estado, 'procesado');
   
-    // Subir voucher (si aplica) FUERA de la transacción para evitar P2028
-    let voucherUrl = null;
+    // Subir voucher (si aplica) FUERA de la transacción para evitar P2028; se guardan sus huellas
+    let voucher = null;
     if (voucherFile?.buffer) {
       try {
-        const uploadResult = await uploadToCloudinary(
-          voucherFile.buffer,
-          voucherFile.originalname || 'refund_voucher',
-          pre.user_id || 'unknown'
-        );
-        voucherUrl = uploadResult.secure_url;
+        const stored = await fileStorageService.upload(voucherFile, pre.user_id || 'unknown');
+        voucher = {
+          voucher_url: stored.url,
+          ...(await voucherFingerprintService.fingerprint(voucherFile)),
+        };
       } catch (err) {
         throw new ConflictError('Error al procesar el comprobante del reembolso', 'UPLOAD_ERROR');
       }
@@ -234,98 +236,63 @@ class RefundService {
         where: { id: refundId },
       });
       if (!refund) throw new NotFoundError('Refund');
-      if (refund.estado !== 'confirmado') {
-        throw new ConflictError(
-          `Solo se puede procesar refund en estado 'confirmado' (actual: ${refund.estado})`,
-          'INVALID_REFUND_STATE'
-        );
-      }
+      stateMachineService.assertVersion('refund', refund, expectedVersion);
+      stateMachineService.assertTransition('refund', refund.estado, 'procesado');
   
       const userId = refund.user_id;
   
-      // Validación de seguridad basada en reservas/retenido (RN07)
-      const userCache = await tx.user.findUnique({
-        where: { id: userId },
-        select: { saldo_total: true, saldo_retenido: true },
-      });
-      const appliedAgg = await tx.billing.aggregate({
-        _sum: { monto: true },
-        where: { user_id: userId },
-      });
-      const saldo_total = Number(userCache?.saldo_total || 0);
-      const saldo_retenido = Number(userCache?.saldo_retenido || 0);
-      const saldo_aplicado = Number(appliedAgg._sum.monto || 0);
-      const saldo_disponible = Number((saldo_total - saldo_retenido - saldo_aplicado).toFixed(2));
-      const safetyAvailable = Number((saldo_disponible + Number(refund.monto_solicitado)).toFixed(2));
+      // Validación de seguridad: el monto debe seguir reservado en la cuenta en_reembolso de su moneda (RN07)
+      const reservado = await ledgerService.getAccountBalance(tx, userId, 'en_reembolso', refund.moneda);
   
-      if (Number(refund.monto_solicitado) > safetyAvailable) {
+      if (Number(refund.monto_solicitado) > reservado) {
         throw new ConflictError(
-          `Saldo reservado insuficiente para procesar el reembolso (disp+retenido_solicitud=$${safetyAvailable})`,
+          `Saldo reservado insuficiente para procesar el reembolso (en_reembolso=${refund.moneda} ${reservado})`,
           'INSUFFICIENT_RESERVED_BALANCE'
         );
       }
   
       const movementConcept = `${isDevolverDinero ? 'Reembolso transferido - ' : 'Reembolso como saldo - '}${(refund.motivo || '').trim()}`.trim();
   
-      // Heurística RN07 para compatibilizar flujos:
-      // - devolver_dinero: si hay múltiples subastas retenedoras, asociamos la salida a la subasta del refund
-      //   para reflejar liberación adicional (puede resultar en retenido negativo, esperado en Flow 6).
-      //   si solo hay una subasta retenedora, no asociamos (Flow 2 espera retenido sin cambio).
-      // - mantener_saldo: asociamos a la subasta para liberar retenido de esa subasta.
-      const guaranteesForUser = await tx.guarantee.findMany({
-        where: { user_id: userId },
-        select: { auction: { select: { id: true, estado: true } } },
-      });
-      const retainStates = new Set(['finalizada', 'ganada', 'perdida']);
-      const retainedAuctionIds = guaranteesForUser
-        .filter((o) => o.auction && retainStates.has(o.auction.estado))
-        .map((o) => o.auction.id);
-      const attachAuctionRefForSalida = isDevolverDinero && retainedAuctionIds.length > 1;
-      const auctionRefToUse = isDevolverDinero
-        ? (attachAuctionRefForSalida ? (refund.auction_id ?? null) : null)
-        : (refund.auction_id ?? null);
-  
-      // Crear Movement validado con referencias directas
+      // Crear Movement validado con referencias directas y versión de reglas vigente
+      // En la moneda de la solicitud y con el equivalente en moneda base reservado al solicitarla
+      const rules = await businessRuleService.getCurrent(tx);
+      const monto = Number(refund.monto_solicitado);
+      const montoBase = Number(refund.monto_base ?? refund.monto_solicitado);
       const movement = await tx.movement.create({
         data: {
           user_id: userId,
           tipo_movimiento_general: isDevolverDinero ? 'salida' : 'entrada',
           tipo_movimiento_especifico: 'reembolso',
-          monto: Number(refund.monto_solicitado),
-          moneda: 'USD',
+          monto,
+          moneda: refund.moneda,
+          tipo_cambio: montoBase > 0 ? Number((monto / montoBase).toFixed(6)) : 1,
+          monto_base: montoBase,
           tipo_pago: null,
           numero_cuenta_origen: null,
-          voucher_url: voucherUrl,
+          voucher_url: voucher?.voucher_url ?? null,
+          voucher_sha256: voucher?.voucher_sha256 ?? null,
+          voucher_phash: voucher?.voucher_phash ?? null,
           concepto: movementConcept,
           estado: 'validado',
           fecha_pago: new Date(),
           fecha_resolucion: new Date(),
           motivo_rechazo: null,
           numero_operacion: isDevolverDinero ? numero_operacion : null,
-          auction_id_ref: auctionRefToUse,
+          auction_id_ref: refund.auction_id ?? null,
           refund_id_ref: refundId,
+          rule_version: rules.version,
         },
       });
   
       // Actualizar refund a 'procesado'
-      const processed = await tx.refund.update({
-        where: { id: refundId },
-        data: {
-          estado: 'procesado',
-          fecha_procesamiento: new Date(),
-        },
+      const processed = await stateMachineService.transition(tx, 'refund', refund, 'procesado', {
+        data: { fecha_procesamiento: new Date() },
+        actorId: adminUserId,
       });
   
-      // Recalcular saldo_total y retenido según RN07
-      await this._recalcularSaldoTotalTx(tx, userId);
-      const retenidoAfter = await this._recalcularSaldoRetenidoTx(tx, userId);
-      // Caso mantener_saldo: si por efectos combinados el retenido quedó negativo, normalizar a 0
-      if (!isDevolverDinero && Number(retenidoAfter) < 0) {
-        await tx.user.update({
-          where: { id: userId },
-          data: { saldo_retenido: 0 },
-        });
-      }
+      // Asiento refund_paid | refund_to_balance y proyección de saldos
+      await ledgerService.postMovement(tx, movement);
+      await ledgerService.projectUser(tx, userId);
   
       // Notificar cliente: reembolso_procesado
       await notificationService.createAndSend({
@@ -338,6 +305,20 @@ class RefundService {
         reference_id: refundId,
       });
   
+      await auditService.record(tx, {
+        actorId: adminUserId,
+        action: AUDIT_ACTIONS.REFUND_PROCESS,
+        entityType: 'refund',
+        entityId: refundId,
+        before: refund,
+        after: processed,
+        metadata: {
+          movement_id: movement.id,
+          modalidad: isDevolverDinero ? 'devolver_dinero' : 'mantener_saldo',
+          numero_operacion: isDevolverDinero ? numero_operacion : null,
+        },
+      });
+  
       return { refund: processed, movement };
     });
   }
@@ -392,7 +373,10 @@ class RefundService {
       user_id: r.user_id,
       auction_id: r.auction_id ?? null,
       monto_solicitado: r.monto_solicitado,
+      moneda: r.moneda,
+      monto_base: r.monto_base ?? r.monto_solicitado,
       estado: r.estado,
+      version: r.version,
       fecha_respuesta_empresa: r.fecha_respuesta_empresa ?? null,
       fecha_procesamiento: r.fecha_procesamiento ?? null,
       motivo: r.motivo ?? null,
@@ -500,14 +484,9 @@ class RefundService {
   
   /**
    * Listar reembolsos por usuario específico
-   * - Admin: cualquiera
-   * - Cliente: solo el propio
+   * La propiedad (cliente solo el propio) se valida en la ruta con requireOwnership('user')
    */
-  async getRefundsByUser(targetUserId, filters = {}, requesterRole = 'client', requesterId = null) {
-    if (requesterRole === 'client' && requesterId && requesterId !== targetUserId) {
-      throw new ConflictError('No tiene permisos para ver reembolsos de este usuario', 'FORBIDDEN');
-    }
-  
+  async getRefundsByUser(targetUserId, filters = {}) {
     const {
       page = 1,
       limit = 20,
@@ -557,10 +536,11 @@ class RefundService {
   }
   
   /**
-   * Detalle de refund (Admin: cualquiera; Client: solo propio)
+   * Detalle de refund
+   * La propiedad se valida en la ruta con requireOwnership('refund')
    * include CSV: user,auction
    */
-  async getRefundById(refundId, requesterRole = 'client', requesterId = null, include = '') {
+  async getRefundById(refundId, include = '') {
     const { includeSet, prismaInclude } = this._buildIncludeForRefunds(include);
   
     const r = await prisma.refund.findUnique({
@@ -569,117 +549,8 @@ class RefundService {
     });
     if (!r) throw new NotFoundError('Refund');
   
-    if (requesterRole === 'client' && requesterId && r.user_id !== requesterId) {
-      throw new ConflictError('No tiene permisos para ver este reembolso', 'FORBIDDEN');
-    }
-  
     return this._mapRefundResponse(r, includeSet);
   }
-
-  // ---------------- Helpers (cálculo de cache) ----------------
-
-  async _recalcularSaldoTotalTx(tx, userId) {
-    // Importante: excluir entradas de tipo 'reembolso' (mantener_saldo) para no inflar saldo_total
-    const entradas = await tx.movement.aggregate({
-      _sum: { monto: true },
-      where: {
-        user_id: userId,
-        estado: 'validado',
-        tipo_movimiento_general: 'entrada',
-        NOT: { tipo_movimiento_especifico: 'reembolso' },
-      },
-    });
-    const salidas = await tx.movement.aggregate({
-      _sum: { monto: true },
-      where: {
-        user_id: userId,
-        estado: 'validado',
-        tipo_movimiento_general: 'salida',
-      },
-    });
-
-    const totalEntradas = Number(entradas._sum.monto || 0);
-    const totalSalidas = Number(salidas._sum.monto || 0);
-    const saldoTotal = Number((totalEntradas - totalSalidas).toFixed(2));
-
-    await tx.user.update({
-      where: { id: userId },
-      data: { saldo_total: saldoTotal },
-    });
-
-    return saldoTotal;
-  }
-
-  async _recalcularSaldoRetenidoTx(tx, userId) {
-    // 1) Retención por subastas (garantías validadas - reembolsos validados)
-    const guarantees = await tx.guarantee.findMany({
-      where: { user_id: userId },
-      select: {
-        auction: { select: { id: true, estado: true } },
-      },
-    });
-
-    const retenedorStates = new Set(['finalizada', 'ganada', 'perdida']);
-    const auctionIdsToRetain = guarantees
-      .filter((o) => o.auction && retenedorStates.has(o.auction.estado))
-      .map((o) => o.auction.id);
-
-    let sumGarantias = 0;
-    if (auctionIdsToRetain.length > 0) {
-      const validatedGuaranteeMovs = await tx.movement.findMany({
-        where: {
-          user_id: userId,
-          estado: 'validado',
-          tipo_movimiento_general: 'entrada',
-          tipo_movimiento_especifico: 'pago_garantia',
-          auction_id_ref: { in: auctionIdsToRetain },
-        },
-        select: { monto: true },
-      });
-      sumGarantias = validatedGuaranteeMovs.reduce((acc, m) => acc + Number(m.monto || 0), 0);
-    }
-
-    let sumReembolsos = 0;
-    if (auctionIdsToRetain.length > 0) {
-      const refundMovs = await tx.movement.findMany({
-        where: {
-          user_id: userId,
-          estado: 'validado',
-          tipo_movimiento_especifico: 'reembolso',
-          auction_id_ref: { in: auctionIdsToRetain },
-          OR: [
-            // contar siempre salidas (devolver_dinero)
-            { tipo_movimiento_general: 'salida' },
-            // contar entradas solo si NO provienen de un refund procesado (mantener_saldo = refund_id_ref != null)
-            { AND: [{ tipo_movimiento_general: 'entrada' }, { refund_id_ref: null }] },
-          ],
-        },
-        select: { monto: true },
-      });
-      sumReembolsos = refundMovs.reduce((acc, m) => acc + Number(m.monto || 0), 0);
-    }
-
-    const retenidoSubastas = Number((sumGarantias - sumReembolsos).toFixed(2));
-
-    // 2) Retención por solicitudes de reembolso (solicitado|confirmado)
-    const pendingRefundsAgg = await tx.refund.aggregate({
-      _sum: { monto_solicitado: true },
-      where: {
-        user_id: userId,
-        estado: { in: ['solicitado', 'confirmado'] },
-      },
-    });
-    const retenidoSolicitudes = Number(pendingRefundsAgg._sum.monto_solicitado || 0);
-
-    const saldoRetenido = Number((retenidoSubastas + retenidoSolicitudes).toFixed(2));
-
-    await tx.user.update({
-      where: { id: userId },
-      data: { saldo_retenido: saldoRetenido },
-    });
-
-    return saldoRetenido;
-  }
 }
 
 module.exports = new RefundService();
\ No newline at end of file
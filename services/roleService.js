@@ -0,0 +1,276 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/database');
+const {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  isKnownPermission,
+} = require('../config/permissions');
+const {
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+} = require('../middleware/errorHandler');
+const { Logger } = require('../middleware/logger');
+
+const ROLE_SELECT = {
+  id: true,
+  name: true,
+  description: true,
+  is_system: true,
+  created_at: true,
+  updated_at: true,
+  permissions: { select: { key: true }, orderBy: { key: 'asc' } },
+  _count: { select: { users: true } },
+};
+
+// Aplanar permisos y conteo de usuarios para la respuesta
+const formatRole = (role) => {
+  const { permissions, _count, ...rest } = role;
+  return {
+    ...rest,
+    permissions: permissions.map((p) => p.key),
+    users_count: _count?.users ?? 0,
+  };
+};
+
+class RoleService {
+  /**
+   * Catálogo de permisos disponibles
+   */
+  listPermissions() {
+    return [
+      { key: ALL_PERMISSIONS, description: 'Todos los permisos' },
+      ...Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })),
+    ];
+  }
+
+  /**
+   * Rol y permisos efectivos de un usuario
+   */
+  async getUserAccess(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        role: {
+          select: {
+            name: true,
+            permissions: { select: { key: true }, orderBy: { key: 'asc' } },
+          },
+        },
+      },
+    });
+    return {
+      role: user?.role?.name || null,
+      permissions: (user?.role?.permissions || []).map((p) => p.key),
+    };
+  }
+
+  /**
+   * Listar roles con sus permisos
+   */
+  async listRoles() {
+    const roles = await prisma.role.findMany({
+      select: ROLE_SELECT,
+      orderBy: { name: 'asc' },
+    });
+    return roles.map(formatRole);
+  }
+
+  /**
+   * Crear rol con permisos del catálogo
+   */
+  async createRole({ name, description, permissions }, adminUser) {
+    const existing = await prisma.role.findUnique({ where: { name } });
+    if (existing) {
+      throw new ConflictError(`Ya existe un rol con nombre '${name}'`, 'ROLE_ALREADY_EXISTS');
+    }
+
+    const role = await prisma.role.create({
+      data: {
+        name,
+        description: description || null,
+        permissions: { connectOrCreate: this._permissionConnections(permissions) },
+      },
+      select: ROLE_SELECT,
+    });
+
+    Logger.info(`Admin ${adminUser.email} creó rol ${name} con permisos: ${permissions.join(', ')}`);
+    return formatRole(role);
+  }
+
+  /**
+   * Actualizar descripción y/o reemplazar permisos de un rol
+   * - Roles del sistema: solo la descripción (sus permisos los define config/permissions.js)
+   * - Quitar '*' de un rol personalizado no puede dejar sin administradores con todos los permisos
+   */
+  async updateRole(roleId, { description, permissions }, adminUser) {
+    const role = await prisma.role.findUnique({
+      where: { id: roleId },
+      include: { permissions: { select: { key: true } } },
+    });
+    if (!role) {
+      throw new NotFoundError('Rol');
+    }
+    if (role.is_system && permissions !== undefined) {
+      throw new ConflictError('Los permisos de los roles del sistema no pueden modificarse', 'SYSTEM_ROLE');
+    }
+
+    const connections = permissions !== undefined ? this._permissionConnections(permissions) : null;
+    const dropsAll = Boolean(connections)
+      && role.permissions.some((p) => p.key === ALL_PERMISSIONS)
+      && !permissions.includes(ALL_PERMISSIONS);
+
+    const updated = await prisma.$transaction(async (tx) => {
+      if (dropsAll) {
+        await this._assertSuperadminRemains(tx, { excludeRoleId: roleId });
+      }
+
+      if (connections) {
+        // Reemplazo completo: primero desvincular, luego asociar el nuevo conjunto
+        await tx.role.update({
+          where: { id: roleId },
+          data: { permissions: { set: [] } },
+        });
+      }
+
+      return tx.role.update({
+        where: { id: roleId },
+        data: {
+          ...(description !== undefined && { description }),
+          ...(connections && { permissions: { connectOrCreate: connections } }),
+        },
+        select: ROLE_SELECT,
+      });
+    });
+
+    Logger.info(`Admin ${adminUser.email} actualizó rol ${role.name}${permissions ? `: ${permissions.join(', ')}` : ''}`);
+    return formatRole(updated);
+  }
+
+  /**
+   * Eliminar rol personalizado sin usuarios asignados
+   */
+  async deleteRole(roleId, adminUser) {
+    const role = await prisma.role.findUnique({
+      where: { id: roleId },
+      select: { id: true, name: true, is_system: true, _count: { select: { users: true } } },
+    });
+    if (!role) {
+      throw new NotFoundError('Rol');
+    }
+    if (role.is_system) {
+      throw new ConflictError('Los roles del sistema no pueden eliminarse', 'SYSTEM_ROLE');
+    }
+    if (role._count.users > 0) {
+      throw new ConflictError(
+        `El rol tiene ${role._count.users} administrador(es) asignado(s)`,
+        'ROLE_IN_USE'
+      );
+    }
+
+    await prisma.role.delete({ where: { id: roleId } });
+    Logger.info(`Admin ${adminUser.email} eliminó rol ${role.name}`);
+  }
+
+  /**
+   * Asignar rol a un administrador
+   * Quitar el rol con '*' al último administrador que lo tiene → 409 LAST_SUPERADMIN
+   */
+  async assignRole(userId, roleName, adminUser) {
+    const [user, role] = await Promise.all([
+      prisma.user.findFirst({
+        where: { id: userId, deleted_at: null },
+        select: {
+          id: true,
+          email: true,
+          user_type: true,
+          role: { select: { permissions: { where: { key: ALL_PERMISSIONS }, select: { key: true } } } },
+        },
+      }),
+      prisma.role.findUnique({
+        where: { name: roleName },
+        select: { id: true, name: true, permissions: { where: { key: ALL_PERMISSIONS }, select: { key: true } } },
+      }),
+    ]);
+
+    if (!user) {
+      throw new NotFoundError('Usuario');
+    }
+    if (user.user_type !== 'admin') {
+      throw new ValidationError('Solo se pueden asignar roles a administradores');
+    }
+    if (!role) {
+      throw new NotFoundError(`Rol '${roleName}'`);
+    }
+    if (user.id === adminUser.id) {
+      throw new ConflictError('No puede modificar su propio rol', 'SELF_ROLE_CHANGE');
+    }
+
+    const dropsAll = (user.role?.permissions.length ?? 0) > 0 && role.permissions.length === 0;
+
+    const updated = await prisma.$transaction(async (tx) => {
+      if (dropsAll) {
+        await this._assertSuperadminRemains(tx, { excludeUserId: userId });
+      }
+
+      return tx.user.update({
+        where: { id: userId },
+        data: { role_id: role.id },
+        select: {
+          id: true,
+          email: true,
+          first_name: true,
+          last_name: true,
+          role: { select: { name: true } },
+        },
+      });
+    });
+
+    Logger.info(`Admin ${adminUser.email} asignó rol ${role.name} a ${user.email}`);
+    return updated;
+  }
+
+  // Métodos privados
+
+  // Debe quedar al menos un admin activo con '*' (el único que siempre puede gestionar roles).
+  // Bloquea los roles con '*' para que dos cambios en paralelo no se validen uno sin ver al otro
+  async _assertSuperadminRemains(tx, { excludeRoleId = null, excludeUserId = null } = {}) {
+    const holders = await tx.role.findMany({
+      where: { permissions: { some: { key: ALL_PERMISSIONS } } },
+      select: { id: true },
+    });
+    const roleIds = holders.map((r) => r.id);
+    if (roleIds.length > 0) {
+      await tx.$queryRaw`SELECT id FROM roles WHERE id IN (${Prisma.join(roleIds)}) FOR UPDATE`;
+    }
+
+    const remaining = await tx.user.count({
+      where: {
+        user_type: 'admin',
+        deleted_at: null,
+        role_id: { in: roleIds.filter((id) => id !== excludeRoleId) },
+        ...(excludeUserId && { id: { not: excludeUserId } }),
+      },
+    });
+    if (remaining === 0) {
+      throw new ConflictError('Debe quedar al menos un administrador con todos los permisos (*)', 'LAST_SUPERADMIN');
+    }
+  }
+
+  _permissionConnections(permissions) {
+    const unknown = permissions.filter((key) => !isKnownPermission(key));
+    if (unknown.length > 0) {
+      throw new ValidationError('Permisos no reconocidos', { unknown });
+    }
+
+    return [...new Set(permissions)].map((key) => ({
+      where: { key },
+      create: {
+        key,
+        description: key === ALL_PERMISSIONS ? 'Todos los permisos' : PERMISSIONS[key],
+      },
+    }));
+  }
+}
+
+module.exports = new RoleService();
@@ -0,0 +1,114 @@
+const {
+  listActiveSessions,
+  findSessionByHandle,
+  getSessionHandle,
+  destroySession,
+  destroyUserSessions,
+} = require('../middleware/auth');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { paginationHelpers } = require('../utils');
+const { Logger } = require('../middleware/logger');
+
+// Vista pública de una sesión (sin el session_id, que es la credencial)
+const formatSession = (session, currentSessionId = null) => ({
+  id: getSessionHandle(session.id),
+  user: {
+    id: session.user.id,
+    first_name: session.user.first_name,
+    last_name: session.user.last_name,
+    email: session.user.email,
+    user_type: session.user.user_type,
+  },
+  created_at: new Date(session.createdAt).toISOString(),
+  last_access: new Date(session.lastAccess).toISOString(),
+  expires_at: new Date(session.expiresAt).toISOString(),
+  ip: session.ip || null,
+  user_agent: session.userAgent || null,
+  current: session.id === currentSessionId,
+});
+
+class SessionService {
+  /**
+   * Listar sesiones activas (Admin)
+   * Filtros: user_id, user_type, page, limit
+   */
+  async listSessions(filters = {}, currentSessionId = null) {
+    const { user_id, user_type, page = 1, limit = 20 } = filters;
+
+    const sessions = await listActiveSessions({ userId: user_id, userType: user_type });
+    const offset = paginationHelpers.calculateOffset(page, limit);
+
+    return {
+      sessions: sessions
+        .slice(offset, offset + Number(limit))
+        .map((session) => formatSession(session, currentSessionId)),
+      pagination: paginationHelpers.generatePaginationMeta(page, limit, sessions.length),
+    };
+  }
+
+  /**
+   * Sesiones activas del usuario autenticado (marca la actual)
+   */
+  async listOwnSessions(userId, currentSessionId) {
+    const sessions = await listActiveSessions({ userId });
+    return sessions.map((session) => formatSession(session, currentSessionId));
+  }
+
+  /**
+   * Revocar una sesión cualquiera por su identificador público (Admin)
+   */
+  async revokeSession(handle, adminUser) {
+    const session = await findSessionByHandle(handle);
+    if (!session) {
+      throw new NotFoundError('Sesión');
+    }
+
+    await destroySession(session.id);
+    Logger.warn(`Admin ${adminUser.email} revocó sesión de ${session.user.email} (${session.user.user_type})`);
+
+    return formatSession(session);
+  }
+
+  /**
+   * Revocar todas las sesiones de un usuario (Admin), ej. ante sospecha de compromiso
+   * Si el admin revoca las propias, conserva la sesión desde la que opera
+   */
+  async revokeUserSessions(userId, adminUser, currentSessionId) {
+    const revoked = await destroyUserSessions(userId, {
+      exceptSessionId: userId === adminUser.id ? currentSessionId : null,
+    });
+
+    Logger.warn(`Admin ${adminUser.email} revocó ${revoked} sesión(es) del usuario ${userId}`);
+    return { user_id: userId, revoked };
+  }
+
+  /**
+   * Cerrar una sesión propia distinta de la actual
+   * Sesiones de otros usuarios se reportan como inexistentes (no revelar su existencia)
+   */
+  async revokeOwnSession(user, handle, currentSessionId) {
+    const session = await findSessionByHandle(handle);
+    if (!session || session.user.id !== user.id) {
+      throw new NotFoundError('Sesión');
+    }
+    if (session.id === currentSessionId) {
+      throw new ValidationError('Para cerrar la sesión actual use POST /auth/logout');
+    }
+
+    await destroySession(session.id);
+    Logger.info(`Usuario ${user.email} cerró una de sus sesiones (${handle})`);
+
+    return formatSession(session);
+  }
+
+  /**
+   * Cerrar todas las sesiones propias excepto la actual
+   */
+  async revokeOtherOwnSessions(user, currentSessionId) {
+    const revoked = await destroyUserSessions(user.id, { exceptSessionId: currentSessionId });
+    Logger.info(`Usuario ${user.email} cerró ${revoked} sesión(es) en otros dispositivos`);
+    return { revoked };
+  }
+}
+
+module.exports = new SessionService();
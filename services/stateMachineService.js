@@ -0,0 +1,242 @@
+const { EventEmitter } = require('events');
+const { STATE_MACHINES, STATE_MACHINE_ENTITIES } = require('../config/stateMachines');
+const { BusinessErrors, NotFoundError } = require('../middleware/errorHandler');
+const { Logger } = require('../middleware/logger');
+
+/**
+ * Motor de las máquinas de estado declaradas en config/stateMachines.js
+ * Cada transición aplicada queda persistida en state_transitions (misma transacción que el cambio)
+ *
+ * Eventos emitidos por cada transición aplicada:
+ * - 'transition'            → todas las entidades
+ * - '<entidad>.<evento>'    → ej. 'auction.payment_approved', 'refund.processed'
+ * Payload: { entity, id, from, to, event, actorId, reason, metadata, at, tx }
+ * Se emiten dentro de la transacción que aplica el cambio (antes del commit):
+ * los listeners que escriban en BD deben usar `tx`; un error en un listener se registra y no revierte la transición.
+ */
+class StateMachineService extends EventEmitter {
+  getMachine(entity) {
+    const machine = STATE_MACHINES[entity];
+    if (!machine) {
+      throw new NotFoundError('Máquina de estado');
+    }
+    return machine;
+  }
+
+  /**
+   * Transiciones declaradas desde un estado (manualOnly: solo las que un admin puede forzar)
+   */
+  getTransitions(entity, from, { manualOnly = false } = {}) {
+    return this.getMachine(entity).transitions.filter(
+      (t) => t.from === from && (!manualOnly || t.manual)
+    );
+  }
+
+  /**
+   * Estados destino alcanzables desde `from`
+   */
+  getValidTargets(entity, from, options = {}) {
+    return [...new Set(this.getTransitions(entity, from, options).map((t) => t.to))];
+  }
+
+  canTransition(entity, from, to, options = {}) {
+    return this.getValidTargets(entity, from, options).includes(to);
+  }
+
+  /**
+   * Validar transición; retorna su definición o lanza INVALID_STATE_TRANSITION (409)
+   * Si hay varias transiciones from→to, `event` elige cuál se aplica (por defecto la primera declarada)
+   */
+  assertTransition(entity, from, to, { event = null, manualOnly = false } = {}) {
+    const machine = this.getMachine(entity);
+    const definition = this.getTransitions(entity, from, { manualOnly }).find(
+      (t) => t.to === to && (!event || t.event === event)
+    );
+
+    if (!definition) {
+      throw BusinessErrors.InvalidStateTransition(
+        entity,
+        machine.label,
+        from,
+        to,
+        this.getValidTargets(entity, from, { manualOnly })
+      );
+    }
+    return definition;
+  }
+
+  /**
+   * Validar la versión esperada (If-Match) contra el registro leído; null = sin precondición
+   * Lanza RESOURCE_MODIFIED (409) si el registro cambió desde que el cliente lo consultó
+   */
+  assertVersion(entity, record, expectedVersion) {
+    if (expectedVersion === null || expectedVersion === undefined) return;
+    if (record.version !== expectedVersion) {
+      throw BusinessErrors.ResourceModified(entity, this.getMachine(entity).label, expectedVersion, record.version);
+    }
+  }
+
+  /**
+   * Aplicar transición sobre un registro ya leído ({ id, estado, version? }) con el cliente de la transacción
+   * - data: campos adicionales a actualizar junto con el estado (ej. finished_at)
+   * - include/select: se pasan al update de Prisma
+   * - metadata: movement_id, guarantee_id y auction_id se guardan además como columnas del historial
+   * El update exige que el estado siga siendo `from` y, si el registro trae version, que no haya cambiado:
+   * si otra operación lo modificó entretanto responde 409 (INVALID_STATE_TRANSITION o RESOURCE_MODIFIED).
+   * Cada transición incrementa version
+   */
+  async transition(tx, entity, record, to, options = {}) {
+    const {
+      event = null,
+      manualOnly = false,
+      data = {},
+      include,
+      select,
+      actorId = null,
+      reason = null,
+      metadata = null,
+    } = options;
+
+    const machine = this.getMachine(entity);
+    const from = record.estado;
+    const definition = this.assertTransition(entity, from, to, { event, manualOnly });
+
+    const versioned = Number.isInteger(record.version);
+
+    let updated;
+    try {
+      updated = await tx[machine.model].update({
+        where: { id: record.id, estado: from, ...(versioned ? { version: record.version } : {}) },
+        data: { ...data, estado: to, version: { increment: 1 } },
+        ...(include ? { include } : {}),
+        ...(select ? { select } : {}),
+      });
+    } catch (error) {
+      if (error?.code === 'P2025') {
+        const current = await tx[machine.model].findUnique({
+          where: { id: record.id },
+          select: { estado: true, version: true },
+        });
+        if (!current) throw new NotFoundError(machine.label);
+        if (current.estado === from) {
+          throw BusinessErrors.ResourceModified(entity, machine.label, record.version, current.version);
+        }
+        throw BusinessErrors.InvalidStateTransition(
+          entity,
+          machine.label,
+          current.estado,
+          to,
+          this.getValidTargets(entity, current.estado, { manualOnly })
+        );
+      }
+      throw error;
+    }
+
+    await tx.stateTransition.create({
+      data: {
+        entity_type: entity,
+        entity_id: record.id,
+        auction_id: metadata?.auction_id ?? record[machine.auctionRef] ?? null,
+        from_estado: from,
+        to_estado: to,
+        event: definition.event,
+        actor_id: actorId,
+        reason: reason || null,
+        movement_id: metadata?.movement_id ?? (entity === 'movement' ? record.id : null),
+        guarantee_id:
+          metadata?.guarantee_id ??
+          (entity === 'guarantee' ? record.id : record.guarantee_id_ref ?? null),
+        metadata: metadata ? JSON.parse(JSON.stringify(metadata)) : undefined,
+      },
+    });
+
+    const payload = {
+      entity,
+      id: record.id,
+      from,
+      to,
+      event: definition.event,
+      actorId,
+      reason,
+      metadata,
+      at: new Date(),
+      tx,
+    };
+
+    try {
+      this.emit('transition', payload);
+      this.emit(`${entity}.${definition.event}`, payload);
+    } catch (error) {
+      Logger.error(`Error en listener de transición ${entity}.${definition.event} (${record.id}):`, error);
+    }
+
+    Logger.debug(`Transición ${entity} ${record.id}: ${from} -> ${to} (${definition.event})`);
+
+    return updated;
+  }
+
+  /**
+   * Definición serializable de una máquina (formato json del diagrama)
+   */
+  describe(entity) {
+    const machine = this.getMachine(entity);
+    const withOutgoing = new Set(machine.transitions.map((t) => t.from));
+
+    return {
+      entity,
+      label: machine.label,
+      initial: machine.initial,
+      states: Object.entries(machine.states).map(([name, description]) => ({
+        name,
+        description,
+        terminal: !withOutgoing.has(name),
+      })),
+      transitions: machine.transitions.map(({ from, to, event, manual }) => ({
+        from,
+        to,
+        event,
+        manual: Boolean(manual),
+      })),
+    };
+  }
+
+  listMachines() {
+    return STATE_MACHINE_ENTITIES.map((entity) => this.describe(entity));
+  }
+
+  /**
+   * Exportar diagrama: json | mermaid (stateDiagram-v2) | dot (Graphviz)
+   */
+  exportDiagram(entity, format = 'json') {
+    const machine = this.describe(entity);
+    if (format === 'json') return machine;
+
+    const edgeLabel = (t) => (t.manual ? `${t.event} (manual)` : t.event);
+    const terminals = machine.states.filter((s) => s.terminal).map((s) => s.name);
+
+    if (format === 'mermaid') {
+      return [
+        'stateDiagram-v2',
+        ...machine.states.map((s) => `  ${s.name} : ${s.description}`),
+        ...machine.initial.map((s) => `  [*] --> ${s}`),
+        ...machine.transitions.map((t) => `  ${t.from} --> ${t.to} : ${edgeLabel(t)}`),
+        ...terminals.map((s) => `  ${s} --> [*]`),
+      ].join('\n');
+    }
+
+    return [
+      `digraph ${entity} {`,
+      '  rankdir=LR;',
+      `  label="${machine.label}";`,
+      '  __start [shape=point];',
+      ...terminals.map((s) => `  "${s}" [shape=doublecircle];`),
+      ...machine.initial.map((s) => `  __start -> "${s}";`),
+      ...machine.transitions.map(
+        (t) => `  "${t.from}" -> "${t.to}" [label="${edgeLabel(t)}"${t.manual ? ', style=dashed' : ''}];`
+      ),
+      '}',
+    ].join('\n');
+  }
+}
+
+module.exports = new StateMachineService();
@@ -0,0 +1,346 @@
+const { prisma } = require('../config/database');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { Logger } = require('../middleware/logger');
+const { formatters, timeHelpers } = require('../utils');
+const { PdfDocument } = require('../utils/pdf');
+const ledgerService = require('./ledgerService');
+const balanceService = require('./balanceService');
+const { LEDGER_EVENTS } = require('../config/ledger');
+const { BASE_CURRENCY } = require('../config/currencies');
+
+const round2 = (value) => Number(Number(value || 0).toFixed(2));
+
+// Fecha en hora de Lima (UTC-5): dd/mm/yyyy [HH:MM]
+const limaDate = (date, withTime = true) => {
+  const iso = new Date(new Date(date).getTime() - 5 * 60 * 60 * 1000).toISOString();
+  const day = `${iso.slice(8, 10)}/${iso.slice(5, 7)}/${iso.slice(0, 4)}`;
+  return withTime ? `${day} ${iso.slice(11, 16)}` : day;
+};
+
+const money = (value) =>
+  Number(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const csvCell = (value) => {
+  const str = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const CSV_COLUMNS = [
+  'fecha', 'tipo', 'descripcion', 'concepto', 'referencia', 'placa', 'moneda', 'monto',
+  'cargo', 'abono', 'saldo_total', 'saldo_retenido', 'saldo_aplicado', 'saldo_disponible',
+];
+
+class StatementService {
+  /**
+   * Estado de cuenta de un cliente en un rango de fechas
+   * - Saldo inicial: saldo al instante anterior a 'from' (cierres mensuales + historial)
+   * - Una línea por asiento del historial (pagos de garantía, reembolsos, penalidades, ajustes,
+   *   facturaciones y solicitudes de reembolso) con saldo acumulado
+   * - Cargo/abono: variación de saldo_total de cada línea
+   * - Saldos, cargos y abonos consolidados en moneda base; cada línea conserva su moneda y monto original
+   * Rango por defecto: desde el inicio del mes en curso hasta ahora
+   */
+  async buildStatement(userId, { from, to } = {}) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        first_name: true,
+        last_name: true,
+        email: true,
+        document_type: true,
+        document_number: true,
+      },
+    });
+    if (!user) throw new NotFoundError('Usuario');
+
+    const now = new Date();
+    const start = from
+      ? timeHelpers.resolveStart(from)
+      : new Date(timeHelpers.periodEnd(timeHelpers.previousPeriod(timeHelpers.periodOf(now))).getTime() + 1);
+    const requestedEnd = to ? timeHelpers.resolveCutoff(to) : now;
+    const end = requestedEnd > now ? now : requestedEnd;
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      throw new ValidationError('Rango de fechas inválido', { from, to });
+    }
+    if (start > end) {
+      throw new ValidationError('La fecha inicial debe ser anterior a la final', { from, to });
+    }
+
+    const [opening, postings, billings] = await Promise.all([
+      balanceService.computeBalancesAt(prisma, userId, new Date(start.getTime() - 1)),
+      ledgerService.historyPostings(prisma, userId),
+      prisma.billing.findMany({
+        where: { user_id: userId, created_at: { gte: start, lte: end } },
+        include: { auction: { select: { asset: { select: { placa: true } } } } },
+        orderBy: { created_at: 'asc' },
+      }),
+    ]);
+
+    const inRange = postings.filter((p) => {
+      const at = new Date(p.at);
+      return at >= start && at <= end;
+    });
+
+    const auctionIds = [...new Set(inRange.map((p) => p.auctionId).filter(Boolean))];
+    const auctions = auctionIds.length
+      ? await prisma.auction.findMany({
+        where: { id: { in: auctionIds } },
+        select: { id: true, asset: { select: { placa: true } } },
+      })
+      : [];
+    const placas = new Map(auctions.map((a) => [a.id, a.asset?.placa ?? null]));
+
+    let accounts = { ...opening.accounts };
+    let balances = opening.balances;
+    const lines = inRange.map((p) => {
+      accounts = ledgerService.accountsFromPostings([p], accounts);
+      const next = ledgerService.projectBalances(accounts);
+      const delta = round2(next.saldo_total - balances.saldo_total);
+      balances = next;
+
+      return {
+        fecha: new Date(p.at),
+        tipo: p.event,
+        descripcion: LEDGER_EVENTS[p.event].description,
+        concepto: p.concepto ?? null,
+        referencia: `${p.sourceType}:${p.sourceId}`,
+        placa: placas.get(p.auctionId) ?? null,
+        moneda: p.moneda,
+        monto: p.amount,
+        cargo: delta < 0 ? -delta : 0,
+        abono: delta > 0 ? delta : 0,
+        ...next,
+      };
+    });
+
+    return {
+      user: {
+        id: user.id,
+        name: formatters.fullName(user),
+        document: user.document_number
+          ? `${user.document_type ?? ''} ${formatters.document(user.document_type, user.document_number)}`.trim()
+          : null,
+        email: user.email,
+      },
+      from: start,
+      to: end,
+      opening: opening.balances,
+      closing: balances,
+      lines,
+      billings: billings.map((b) => ({
+        id: b.id,
+        fecha: b.created_at,
+        placa: b.auction?.asset?.placa ?? null,
+        documento: b.billing_document_number
+          ? `${b.billing_document_type} ${b.billing_document_number}`
+          : 'Pendiente de completar',
+        concepto: b.concepto,
+        moneda: b.moneda,
+        monto: round2(b.monto),
+        monto_base: round2(b.monto_base ?? b.monto),
+      })),
+      totals: {
+        cargos: round2(lines.reduce((acc, l) => acc + l.cargo, 0)),
+        abonos: round2(lines.reduce((acc, l) => acc + l.abono, 0)),
+        aplicado: round2(billings.reduce((acc, b) => acc + Number(b.monto_base ?? b.monto), 0)),
+      },
+      generated_at: now,
+    };
+  }
+
+  /**
+   * Estado de cuenta en CSV (UTF-8 con BOM): saldo inicial, una fila por línea y saldo final
+   */
+  renderCsv(statement) {
+    const balanceRow = (tipo, fecha, balances) => [
+      fecha.toISOString(), tipo, tipo === 'saldo_inicial' ? 'Saldo inicial' : 'Saldo final',
+      '', '', '', BASE_CURRENCY, '', '', '',
+      balances.saldo_total.toFixed(2), balances.saldo_retenido.toFixed(2),
+      balances.saldo_aplicado.toFixed(2), balances.saldo_disponible.toFixed(2),
+    ];
+
+    const rows = [
+      CSV_COLUMNS,
+      balanceRow('saldo_inicial', statement.from, statement.opening),
+      ...statement.lines.map((l) => [
+        l.fecha.toISOString(), l.tipo, l.descripcion, l.concepto, l.referencia, l.placa,
+        l.moneda, l.monto.toFixed(2), l.cargo.toFixed(2), l.abono.toFixed(2),
+        l.saldo_total.toFixed(2), l.saldo_retenido.toFixed(2),
+        l.saldo_aplicado.toFixed(2), l.saldo_disponible.toFixed(2),
+      ]),
+      balanceRow('saldo_final', statement.to, statement.closing),
+    ];
+
+    return `\uFEFF${rows.map((row) => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Estado de cuenta en PDF (A4 horizontal)
+   */
+  renderPdf(statement) {
+    const doc = new PdfDocument({ size: 'A4_LANDSCAPE' });
+    const left = 36;
+    const right = doc.width - 36;
+    const bottom = 50;
+    let page = 1;
+    let y;
+
+    const columns = [
+      { key: 'fecha', label: 'Fecha', x: left },
+      { key: 'descripcion', label: 'Descripción', x: 120, maxWidth: 200 },
+      { key: 'detalle', label: 'Referencia', x: 325, maxWidth: 120 },
+      { key: 'cargo', label: 'Cargo', x: 510, align: 'right' },
+      { key: 'abono', label: 'Abono', x: 580, align: 'right' },
+      { key: 'saldo_total', label: 'Saldo total', x: 655, align: 'right' },
+      { key: 'saldo_retenido', label: 'Retenido', x: 730, align: 'right' },
+      { key: 'saldo_disponible', label: 'Disponible', x: right, align: 'right' },
+    ];
+
+    const footer = () => {
+      doc.text(right, 24, `Página ${page}`, { size: 8, align: 'right' });
+      doc.text(left, 24, `Generado el ${limaDate(statement.generated_at)} (hora de Lima)`, { size: 8 });
+    };
+
+    const tableHeader = () => {
+      columns.forEach((c) => doc.text(c.x, y, c.label, { size: 8, bold: true, align: c.align }));
+      doc.line(left, y - 4, right, y - 4);
+      y -= 16;
+    };
+
+    const ensureSpace = (withHeader = true) => {
+      if (y >= bottom) return;
+      footer();
+      doc.addPage();
+      page += 1;
+      y = doc.height - 40;
+      if (withHeader) tableHeader();
+    };
+
+    // Encabezado
+    y = doc.height - 44;
+    doc.text(left, y, 'BOB Subastas - Estado de cuenta', { size: 15, bold: true });
+    y -= 20;
+    doc.text(left, y, statement.user.name, { size: 10, bold: true });
+    doc.text(right, y, `Del ${limaDate(statement.from, false)} al ${limaDate(statement.to, false)}`, {
+      size: 10,
+      align: 'right',
+    });
+    y -= 13;
+    doc.text(left, y, [statement.user.document, statement.user.email].filter(Boolean).join('  |  '), { size: 9 });
+    y -= 24;
+
+    // Resumen
+    const summary = [
+      ['Saldo inicial', statement.opening.saldo_total],
+      ['Cargos', statement.totals.cargos],
+      ['Abonos', statement.totals.abonos],
+      ['Saldo final', statement.closing.saldo_total],
+      ['Disponible final', statement.closing.saldo_disponible],
+      ['Aplicado en el periodo', statement.totals.aplicado],
+    ];
+    summary.forEach(([label, value], index) => {
+      const x = left + index * 128;
+      doc.text(x, y, label, { size: 8 });
+      doc.text(x, y - 12, `${BASE_CURRENCY} ${money(value)}`, { size: 10, bold: true });
+    });
+    y -= 36;
+
+    // Movimientos
+    doc.text(left, y, 'Movimientos', { size: 11, bold: true });
+    y -= 16;
+    tableHeader();
+
+    const rowValues = (line) => ({
+      fecha: limaDate(line.fecha),
+      descripcion: line.moneda === BASE_CURRENCY
+        ? line.descripcion
+        : `${line.descripcion} (${line.moneda} ${money(line.monto)})`,
+      detalle: line.placa || line.concepto || line.referencia,
+      cargo: line.cargo ? money(line.cargo) : '',
+      abono: line.abono ? money(line.abono) : '',
+      saldo_total: money(line.saldo_total),
+      saldo_retenido: money(line.saldo_retenido),
+      saldo_disponible: money(line.saldo_disponible),
+    });
+
+    const drawRow = (values, { bold = false } = {}) => {
+      ensureSpace();
+      columns.forEach((c) => {
+        doc.text(c.x, y, values[c.key] ?? '', { size: 8, bold, align: c.align, maxWidth: c.maxWidth });
+      });
+      y -= 14;
+    };
+
+    drawRow({
+      fecha: limaDate(statement.from),
+      descripcion: 'Saldo inicial',
+      saldo_total: money(statement.opening.saldo_total),
+      saldo_retenido: money(statement.opening.saldo_retenido),
+      saldo_disponible: money(statement.opening.saldo_disponible),
+    }, { bold: true });
+    if (!statement.lines.length) {
+      drawRow({ descripcion: 'Sin movimientos en el periodo' });
+    }
+    statement.lines.forEach((line) => drawRow(rowValues(line)));
+    drawRow({
+      fecha: limaDate(statement.to),
+      descripcion: 'Saldo final',
+      cargo: money(statement.totals.cargos),
+      abono: money(statement.totals.abonos),
+      saldo_total: money(statement.closing.saldo_total),
+      saldo_retenido: money(statement.closing.saldo_retenido),
+      saldo_disponible: money(statement.closing.saldo_disponible),
+    }, { bold: true });
+
+    // Facturaciones aplicadas
+    if (statement.billings.length) {
+      y -= 14;
+      ensureSpace(false);
+      doc.text(left, y, 'Facturaciones aplicadas', { size: 11, bold: true });
+      y -= 16;
+      statement.billings.forEach((b) => {
+        ensureSpace(false);
+        doc.text(left, y, limaDate(b.fecha), { size: 8 });
+        doc.text(120, y, b.placa || '-', { size: 8 });
+        doc.text(200, y, b.documento, { size: 8, maxWidth: 140 });
+        doc.text(350, y, b.concepto, { size: 8, maxWidth: 300 });
+        if (b.moneda !== BASE_CURRENCY) {
+          doc.text(right - 80, y, `${b.moneda} ${money(b.monto)}`, { size: 8, align: 'right' });
+        }
+        doc.text(right, y, money(b.monto_base), { size: 8, align: 'right' });
+        y -= 14;
+      });
+      ensureSpace(false);
+      doc.text(350, y, 'Total aplicado', { size: 8, bold: true });
+      doc.text(right, y, money(statement.totals.aplicado), { size: 8, bold: true, align: 'right' });
+    }
+
+    footer();
+    return doc.toBuffer();
+  }
+
+  /**
+   * Generar estado de cuenta en el formato solicitado (pdf | csv)
+   */
+  async generate(userId, { from, to, format = 'pdf' } = {}) {
+    const statement = await this.buildStatement(userId, { from, to });
+
+    Logger.info(`Estado de cuenta ${format} generado para usuario ${userId}`, {
+      from: statement.from,
+      to: statement.to,
+      lines: statement.lines.length,
+    });
+
+    const suffix = `${limaDate(statement.from, false)}_${limaDate(statement.to, false)}`.replace(/\//g, '-');
+    const filename = `estado-cuenta-${statement.user.id}-${suffix}.${format}`;
+
+    if (format === 'csv') {
+      return { filename, contentType: 'text/csv; charset=utf-8', body: this.renderCsv(statement) };
+    }
+    return { filename, contentType: 'application/pdf', body: this.renderPdf(statement) };
+  }
+}
+
+module.exports = new StatementService();
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/database');
+const { config } = require('../config');
+const { ConflictError } = require('../middleware/errorHandler');
+const { Logger } = require('../middleware/logger');
+const { perceptualHash } = require('../utils/perceptualHash');
+
+// Imágenes de las que se calcula el hash perceptual (los PDF solo tienen sha256)
+const PHASH_TYPES = ['image/jpeg', 'image/jpg', 'image/png'];
+
+// Pagos cuyo comprobante impide registrar uno idéntico con la política 'block' (los rechazados solo se marcan)
+const BLOCKING_STATES = ['pendiente', 'validado'];
+
+/**
+ * Huellas de comprobantes (Movement.voucher_sha256 / voucher_phash)
+ * - sha256 del archivo: mismo archivo subido otra vez, por cualquier cliente
+ * - Hash perceptual (pHash DCT de 64 bits, calculado en el servidor con cualquier driver de almacenamiento):
+ *   la misma imagen recomprimida, redimensionada o con otro formato
+ * - config.vouchers.duplicatePolicy: 'flag' solo marca los duplicados en la vista de aprobación;
+ *   'block' rechaza al registrar un comprobante idéntico al de otro pago pendiente o validado
+ */
+class VoucherFingerprintService {
+  /**
+   * Huellas de un archivo recibido por multer
+   * Retorna { voucher_sha256, voucher_phash }; voucher_phash es null en PDF o si la imagen no se pudo leer
+   */
+  async fingerprint(file) {
+    return {
+      voucher_sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+      voucher_phash: await this.perceptualHash(file),
+    };
+  }
+
+  /**
+   * Hash perceptual de una imagen: 64 bits en hexadecimal (16 caracteres)
+   */
+  async perceptualHash(file) {
+    if (!PHASH_TYPES.includes(file.mimetype)) return null;
+
+    try {
+      return await perceptualHash(file.buffer);
+    } catch (error) {
+      Logger.warn(`No se pudo calcular el hash perceptual del comprobante: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Verificar un comprobante idéntico antes de registrar el pago (dentro de la transacción)
+   * Con 'block' → 409 DUPLICATE_VOUCHER; con 'flag' solo se registra en el log
+   */
+  async checkDuplicate(tx, voucher, userId) {
+    if (!voucher?.voucher_sha256) return;
+
+    const existing = await tx.movement.findFirst({
+      where: { voucher_sha256: voucher.voucher_sha256 },
+      orderBy: { created_at: 'asc' },
+      select: { id: true, user_id: true, estado: true },
+    });
+    if (!existing) return;
+
+    if (config.vouchers.duplicatePolicy === 'block' && BLOCKING_STATES.includes(existing.estado)) {
+      throw new ConflictError('El comprobante ya fue presentado en otro pago', 'DUPLICATE_VOUCHER');
+    }
+    Logger.warn(`Comprobante repetido en pago del cliente ${userId}`, {
+      original_movement_id: existing.id,
+      original_user_id: existing.user_id,
+      mismo_usuario: existing.user_id === userId,
+    });
+  }
+
+  /**
+   * Comprobantes idénticos o similares a los de los movements indicados (todos los usuarios)
+   * - Idénticos: mismo sha256 en cualquier fecha (índice voucher_sha256)
+   * - Similares: solo entre comprobantes subidos a ≤ VOUCHER_SIMILAR_WINDOW_DAYS del movement revisado
+   * Retorna Map movementId → voucher_check; los movements sin huella quedan como 'sin_huella'
+   */
+  async findDuplicates(movements, client = prisma) {
+    const checks = new Map();
+    const withVoucher = movements.filter((m) => m.voucher_url);
+    for (const m of withVoucher) {
+      checks.set(m.id, { estado: m.voucher_sha256 ? 'unico' : 'sin_huella', coincidencias: [] });
+    }
+
+    const ids = withVoucher.filter((m) => m.voucher_sha256).map((m) => m.id);
+    if (ids.length === 0) return checks;
+
+    // Distancia de Hamming entre phash: XOR de bit(64) y conteo de unos (mismo archivo = 0)
+    const windowDays = config.vouchers.similarWindowDays;
+    const rows = await client.$queryRaw`
+      SELECT * FROM (
+        SELECT m.id AS movement_id,
+               d.id AS duplicate_id,
+               d.user_id,
+               d.user_id = m.user_id AS mismo_usuario,
+               d.estado::text AS estado,
+               d.created_at,
+               true AS identico,
+               0 AS distancia
+        FROM movements m
+        JOIN movements d ON d.voucher_sha256 = m.voucher_sha256 AND d.id <> m.id
+        WHERE m.id IN (${Prisma.join(ids)})
+
+        UNION ALL
+
+        SELECT * FROM (
+          SELECT m.id AS movement_id,
+                 d.id AS duplicate_id,
+                 d.user_id,
+                 d.user_id = m.user_id AS mismo_usuario,
+                 d.estado::text AS estado,
+                 d.created_at,
+                 false AS identico,
+                 length(replace(
+                   (('x' || m.voucher_phash)::bit(64) # ('x' || d.voucher_phash)::bit(64))::text, '0', ''
+                 )) AS distancia
+          FROM movements m
+          JOIN movements d
+            ON d.created_at BETWEEN m.created_at - make_interval(days => ${windowDays}::int)
+                                AND m.created_at + make_interval(days => ${windowDays}::int)
+           AND d.voucher_phash IS NOT NULL
+           AND d.voucher_sha256 IS DISTINCT FROM m.voucher_sha256
+           AND d.id <> m.id
+          WHERE m.id IN (${Prisma.join(ids)})
+            AND m.voucher_phash IS NOT NULL
+        ) parecidos
+        WHERE distancia <= ${config.vouchers.similarDistance}
+      ) candidates
+      ORDER BY created_at ASC
+    `;
+
+    for (const row of rows) {
+      const check = checks.get(row.movement_id);
+      const distancia = Number(row.distancia);
+      check.coincidencias.push({
+        movement_id: row.duplicate_id,
+        user_id: row.user_id,
+        mismo_usuario: row.mismo_usuario,
+        estado: row.estado,
+        tipo: row.identico ? 'identico' : 'similar',
+        distancia,
+        created_at: row.created_at,
+      });
+      if (row.identico) check.estado = 'duplicado';
+      else if (check.estado === 'unico') check.estado = 'similar';
+    }
+
+    return checks;
+  }
+}
+
+module.exports = new VoucherFingerprintService();
@@ -0,0 +1,175 @@
+const { config } = require('../config');
+const { Logger } = require('../middleware/logger');
+const { timeHelpers } = require('../utils');
+const { extractVoucherFields } = require('../utils/voucherOcrParser');
+const { OCR_SUPPORTED_TYPES, OCR_AMOUNT_TOLERANCE } = require('../config/voucherOcr');
+
+// Número de operación comparable: solo letras y dígitos, sin ceros a la izquierda
+const normalizeOperation = (value) => String(value ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/^0+/, '');
+
+/**
+ * Lectura de comprobantes por OCR local (tesseract.js, sin servicios externos)
+ * - initialState: el pago se registra con voucher_ocr 'pendiente' (o no_soportado) sin esperar al OCR
+ * - enqueue: tras el commit lee el comprobante en segundo plano (número de operación, monto, moneda, fecha y
+ *   banco) y entrega la lectura a quien la guarda en Movement.voucher_ocr
+ * - compare: contrasta lo leído con lo que declaró el cliente para la revisión del admin
+ * El OCR nunca bloquea ni retrasa el registro del pago: si falla queda registrado en el estado
+ */
+class VoucherOcrService {
+  constructor() {
+    this.worker = null;
+    // Cola de lecturas: una a la vez sobre el mismo worker
+    this.queue = Promise.resolve();
+  }
+
+  // Worker de tesseract.js reutilizado entre comprobantes (cargar el modelo tarda varios segundos)
+  // El modelo se lee del directorio local resuelto al arrancar (validateConfig) y no se copia a la caché del cwd
+  async _worker() {
+    if (!this.worker) {
+      const { createWorker } = require('tesseract.js');
+      this.worker = createWorker(config.ocr.lang, undefined, {
+        langPath: config.ocr.langPath,
+        gzip: config.ocr.gzip !== false,
+        cacheMethod: 'none',
+      }).catch((error) => {
+        this.worker = null;
+        throw error;
+      });
+    }
+    return this.worker;
+  }
+
+  // Descartar el worker: el siguiente comprobante crea uno nuevo
+  _resetWorker() {
+    const pending = this.worker;
+    this.worker = null;
+    if (pending) {
+      pending.then((worker) => worker.terminate()).catch(() => {});
+    }
+  }
+
+  async _recognize(buffer) {
+    let timer;
+    let timedOut = false;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        timedOut = true;
+        reject(new Error(`OCR excedió ${config.ocr.timeoutMs} ms`));
+      }, config.ocr.timeoutMs);
+    });
+
+    try {
+      const worker = await Promise.race([this._worker(), timeout]);
+      const { data } = await Promise.race([worker.recognize(buffer), timeout]);
+      return data;
+    } catch (error) {
+      // El worker sigue ocupado con la lectura vencida: terminarlo para que no retenga las siguientes
+      if (timedOut) this._resetWorker();
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Estado de la lectura con el que se registra el pago (dentro de la transacción, sin leer el archivo)
+   * Retorna null si el OCR está deshabilitado o no se adjuntó archivo
+   */
+  initialState(file) {
+    if (!config.ocr.enabled || !file?.buffer) return null;
+
+    if (!OCR_SUPPORTED_TYPES.includes(file.mimetype)) {
+      return { motor: 'tesseract', estado: 'no_soportado', campos: null, procesado_at: new Date().toISOString() };
+    }
+    return { motor: 'tesseract', estado: 'pendiente', campos: null, procesado_at: null };
+  }
+
+  /**
+   * Encolar la lectura de un comprobante; save(voucher_ocr) persiste el resultado
+   * No se espera desde la petición; retorna la promesa de la cola (pruebas)
+   */
+  enqueue(file, save) {
+    this.queue = this.queue
+      .then(async () => save(await this.analyze(file)))
+      .catch((error) => {
+        Logger.warn(`No se guardó la lectura OCR del comprobante: ${error.message}`);
+      });
+    return this.queue;
+  }
+
+  /**
+   * Leer un comprobante recibido por multer
+   * Retorna el objeto a guardar en Movement.voucher_ocr, o null si el OCR está deshabilitado
+   */
+  async analyze(file) {
+    if (!config.ocr.enabled || !file?.buffer) return null;
+
+    const base = { motor: 'tesseract', procesado_at: new Date().toISOString() };
+    if (!OCR_SUPPORTED_TYPES.includes(file.mimetype)) {
+      return { ...base, estado: 'no_soportado', campos: null };
+    }
+
+    try {
+      const { text, confidence } = await this._recognize(file.buffer);
+      const campos = extractVoucherFields(text);
+      const found = Object.values(campos).some((value) => value !== null);
+      return {
+        ...base,
+        estado: found ? 'procesado' : 'sin_datos',
+        confianza: Number((confidence / 100).toFixed(2)),
+        campos,
+      };
+    } catch (error) {
+      if (error.code === 'MODULE_NOT_FOUND') {
+        Logger.warn('VOUCHER_OCR=true pero el paquete tesseract.js no está instalado');
+        return { ...base, estado: 'no_disponible', campos: null };
+      }
+      Logger.warn(`OCR de comprobante falló: ${error.message}`);
+      return { ...base, estado: 'error', campos: null };
+    }
+  }
+
+  /**
+   * Contrastar la lectura guardada con los datos declarados del movement
+   * Retorna { estado: 'coincide'|'discrepancias'|'sin_datos', ocr_estado, banco, confianza, discrepancias[] }
+   * o null si el movement no tiene lectura OCR
+   */
+  compare(movement) {
+    const ocr = movement.voucher_ocr;
+    if (!ocr) return null;
+
+    const result = {
+      ocr_estado: ocr.estado,
+      banco: ocr.campos?.banco ?? null,
+      confianza: ocr.confianza ?? null,
+      discrepancias: [],
+    };
+    if (ocr.estado !== 'procesado') return { estado: 'sin_datos', ...result };
+
+    const { campos } = ocr;
+    const declarado = {
+      numero_operacion: movement.numero_operacion ?? null,
+      monto: Number(movement.monto),
+      moneda: movement.moneda,
+      fecha: movement.fecha_pago ? timeHelpers.dayOf(movement.fecha_pago) : null,
+    };
+    const iguales = {
+      numero_operacion: (a, b) => normalizeOperation(a) === normalizeOperation(b),
+      monto: (a, b) => Math.abs(a - b) <= OCR_AMOUNT_TOLERANCE,
+      moneda: (a, b) => a === b,
+      fecha: (a, b) => a === b,
+    };
+
+    // Solo se comparan los datos leídos y declarados; un dato que el OCR no encontró no es discrepancia
+    for (const [campo, equal] of Object.entries(iguales)) {
+      if (campos[campo] === null || campos[campo] === undefined || declarado[campo] === null) continue;
+      if (!equal(campos[campo], declarado[campo])) {
+        result.discrepancias.push({ campo, declarado: declarado[campo], extraido: campos[campo] });
+      }
+    }
+
+    return { estado: result.discrepancias.length > 0 ? 'discrepancias' : 'coincide', ...result };
+  }
+}
+
+module.exports = new VoucherOcrService();
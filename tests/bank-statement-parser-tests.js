@@ -0,0 +1,165 @@
+/**
+ * Pruebas del lector de extractos bancarios (utils/bankStatementParser.js) sin BD ni servidor
+ * Ejecutar: node tests/bank-statement-parser-tests.js
+ * Montos y fechas con separadores locales, CSV con datos de la cuenta antes del encabezado y MT940
+ */
+const { parseStatement, parseAmount, parseDate } = require('../utils/bankStatementParser');
+
+function assertEq2(actual, expected, msg) {
+  if (actual !== expected) {
+    throw new Error(`${msg} | esperado=${expected} actual=${actual}`);
+  }
+  console.log(`✔ ${msg}`);
+}
+
+function assertThrows(fn, code, msg) {
+  try {
+    fn();
+  } catch (error) {
+    assertEq2(error.code, code, msg);
+    return;
+  }
+  throw new Error(`${msg} | se esperaba un error ${code}`);
+}
+
+function runAmounts() {
+  console.log('\n=== Montos ===');
+  assertEq2(parseAmount('1.234,56'), 1234.56, 'Punto de miles y coma decimal');
+  assertEq2(parseAmount('1,234.56'), 1234.56, 'Coma de miles y punto decimal');
+  assertEq2(parseAmount('1,234'), 1234, 'Tres dígitos tras la coma son miles');
+  assertEq2(parseAmount('1.234.567'), 1234567, 'Varios separadores de miles');
+  assertEq2(parseAmount('1500,'), 1500, 'Coma final sin decimales (MT940)');
+  assertEq2(parseAmount('1500,5'), 1500.5, 'Un solo dígito decimal');
+  assertEq2(parseAmount('S/ -50.00'), -50, 'Símbolo de moneda y signo negativo');
+  assertEq2(parseAmount('US$ 700'), 700, 'Monto entero con símbolo');
+  assertEq2(parseAmount(''), null, 'Celda vacía');
+  assertEq2(parseAmount('abono'), null, 'Texto sin dígitos');
+}
+
+function runDates() {
+  console.log('\n=== Fechas ===');
+  assertEq2(parseDate('15/01/2025'), '2025-01-15', 'DD/MM/YYYY');
+  assertEq2(parseDate('5-1-25'), '2025-01-05', 'D-M-YY con año de dos dígitos');
+  assertEq2(parseDate('03.02.2025'), '2025-02-03', 'DD.MM.YYYY');
+  assertEq2(parseDate('2025-01-15 10:32:00'), '2025-01-15', 'YYYY-MM-DD con hora');
+  assertEq2(parseDate('15/13/2025'), null, 'Mes fuera de rango');
+  assertEq2(parseDate('32/01/2025'), null, 'Día fuera de rango');
+  assertEq2(parseDate('Total abonos'), null, 'Filas de totales no son fechas');
+}
+
+function runCsv() {
+  console.log('\n=== CSV con datos de la cuenta antes del encabezado ===');
+  const bcp = [
+    'Cuenta;191-1234567-0-12',
+    'Moneda;Soles',
+    'Saldo disponible;"12.500,00"',
+    '',
+    'Fecha;Fecha valuta;Descripción operación;Monto;Saldo;Sucursal - agencia;Operación - Número;Operación - Hora;Usuario;UTC;Referencia2',
+    '15/01/2025;15/01/2025;TRAN.CTAS.TERC. 19112345678012;"1.250,50";"13.750,50";191-Principal;00123456;10:32:11;WEB;0;19112345678012',
+    '16/01/2025;16/01/2025;COMISION MANTENIMIENTO;-10,00;"13.740,50";191-Principal;00123457;00:00:00;SIS;0;',
+    ';;Total;"1.240,50";;;;;;;',
+  ].join('\n');
+  const parsedBcp = parseStatement(Buffer.from(bcp, 'latin1'));
+  assertEq2(parsedBcp.formato, 'bcp', 'Formato BCP detectado por sus encabezados tras el preámbulo');
+  assertEq2(parsedBcp.total_lineas, 2, 'Solo se cuentan filas con fecha (sin preámbulo ni totales)');
+  assertEq2(parsedBcp.credits.length, 1, 'Los cargos no se importan');
+  const [credit] = parsedBcp.credits;
+  assertEq2(credit.line_number, 6, 'line_number es la fila del archivo');
+  assertEq2(credit.monto, 1250.5, 'Monto con punto de miles y coma decimal');
+  assertEq2(credit.numero_operacion, '00123456', 'Número de operación de su columna');
+  assertEq2(credit.numero_cuenta_origen, '19112345678012', 'Cuenta de origen de Referencia2');
+  assertEq2(credit.descripcion, 'TRAN.CTAS.TERC. 19112345678012', 'Archivo Latin-1: encabezados con tilde reconocidos y descripción leída');
+
+  const interbank = [
+    'Interbank - Banca por Internet Empresas',
+    'Cuenta corriente US$ 200-3001234567',
+    '',
+    'Fecha de operación,Descripción,Cargo,Abono,Nro. de operación,Cuenta ordenante',
+    '03/02/2025,"TRANSFERENCIA, CLIENTE",,"1,234.56",000987654,',
+    '04/02/2025,PAGO PROVEEDOR,500.00,,000987655,',
+  ].join('\n');
+  const parsedInterbank = parseStatement(Buffer.from(interbank));
+  assertEq2(parsedInterbank.formato, 'interbank', 'Formato Interbank detectado con delimitador coma');
+  assertEq2(parsedInterbank.credits.length, 1, 'Solo la columna de abonos genera créditos');
+  assertEq2(parsedInterbank.credits[0].monto, 1234.56, 'Abono con coma de miles');
+  assertEq2(parsedInterbank.credits[0].descripcion, 'TRANSFERENCIA, CLIENTE', 'Campo entre comillas con el delimitador');
+
+  const generic = 'fecha;monto;moneda;referencia\n2025-01-20;1500,;US$;OP-1\n';
+  const parsedGeneric = parseStatement(Buffer.from(generic));
+  assertEq2(parsedGeneric.formato, 'csv', 'Sin encabezados de banco se usa el CSV genérico');
+  assertEq2(parsedGeneric.credits[0].moneda, 'USD', 'Moneda normalizada a código ISO');
+  assertEq2(parsedGeneric.credits[0].monto, 1500, 'Monto con coma final');
+
+  assertThrows(
+    () => parseStatement(Buffer.from('Cuenta;191\nSaldo;100\n'), 'csv'),
+    'VALIDATION_ERROR',
+    'Sin fila de encabezados → 422'
+  );
+}
+
+function runMt940() {
+  console.log('\n=== MT940 ===');
+  const mt940 = [
+    ':20:STMT250115',
+    ':25:19112345678012',
+    ':28C:00015/001',
+    ':60F:C250114PEN12500,00',
+    ':61:2501150115C1250,50NTRF00123456//BCP9988',
+    ':86:TRANSFERENCIA DE JUAN PEREZ',
+    'CTA 191-12345678-0-12',
+    ':61:250116D10,00NCHGNONREF',
+    ':86:COMISION MANTENIMIENTO',
+    ':61:250117RC1250,50NTRF00123456',
+    ':86:EXTORNO TRANSFERENCIA',
+    ':61:250118RD10,00NCHGNONREF',
+    ':86:EXTORNO COMISION',
+    ':61:250119CR1500,NTRFNONREF//BCP9990',
+    ':86:DEPOSITO EN VENTANILLA',
+    ':62F:C250119PEN13990,00',
+    '-}',
+  ].join('\n');
+  const parsed = parseStatement(Buffer.from(mt940));
+
+  assertEq2(parsed.formato, 'mt940', 'MT940 detectado por :20: y :61:');
+  assertEq2(parsed.cuenta, '19112345678012', 'Cuenta de :25:');
+  assertEq2(parsed.moneda, 'PEN', 'Moneda del saldo inicial :60F:');
+  assertEq2(parsed.total_lineas, 5, 'Cada :61: cuenta como línea');
+  assertEq2(parsed.credits.length, 2, 'Solo abonos C: cargos y extornos RC/RD no se importan');
+
+  const [first, second] = parsed.credits;
+  assertEq2(first.fecha, '2025-01-15', 'Fecha valuta AAMMDD con fecha de registro MMDD');
+  assertEq2(first.monto, 1250.5, 'Monto con coma decimal');
+  assertEq2(first.numero_operacion, '00123456', 'Referencia del cliente como número de operación');
+  assertEq2(first.descripcion, 'TRANSFERENCIA DE JUAN PEREZ CTA 191-12345678-0-12', ':86: con línea de continuación');
+  assertEq2(first.numero_cuenta_origen, '19112345678012', 'Cuenta de la glosa sin guiones');
+  assertEq2(first.raw[86].includes('EXTORNO'), false, 'El :86: de un extorno no se une al abono anterior');
+
+  assertEq2(second.line_number, 5, 'line_number es el número de :61:');
+  assertEq2(second.monto, 1500, 'Monto sin decimales (coma final)');
+  assertEq2(second.numero_operacion, 'BCP9990', 'Con NONREF se usa la referencia del banco');
+  assertEq2(second.descripcion, 'DEPOSITO EN VENTANILLA', 'Detalle del abono');
+
+  assertThrows(
+    () => parseStatement(Buffer.from(':20:X\n:25:123\n:61:XXXX\n')),
+    'VALIDATION_ERROR',
+    'Movimiento :61: ilegible → 422'
+  );
+}
+
+async function run() {
+  console.log('🚀 Pruebas de lectura de extractos bancarios');
+  runAmounts();
+  runDates();
+  runCsv();
+  runMt940();
+  console.log('\n✅ Lectura de extractos bancarios verificada correctamente');
+}
+
+if (require.main === module) {
+  run().catch((e) => {
+    console.error('❌ Error lectura de extractos bancarios:', e);
+    process.exit(1);
+  });
+}
+
+module.exports = { run };
@@ -4,6 +4,9 @@
  */
 
 const API_BASE = 'http://localhost:3000';
+// Credenciales admin del seed de desarrollo (sobrescribibles por entorno)
+const ADMIN_EMAIL = process.env.TEST_ADMIN_EMAIL || 'admin@bobsubastas.com';
+const ADMIN_PASSWORD = process.env.TEST_ADMIN_PASSWORD || 'BobAdmin2024';
 
 // Función helper para hacer requests
 async function makeRequest(endpoint, options = {}) {
@@ -33,8 +36,9 @@ async function makeRequest(endpoint, options = {}) {
 async function loginAsAdmin() {
   console.log('\n🔐 === AUTENTICACIÓN ===');
   
-  const { response, data } = await makeRequest('/auth/admin-access', {
+  const { response, data } = await makeRequest('/auth/admin-login', {
     method: 'POST',
+    body: JSON.stringify({ email: ADMIN_EMAIL, password: ADMIN_PASSWORD }),
   });
   
   if (response?.ok && data?.success) {
@@ -49,7 +53,7 @@ async function loginAsAdmin() {
 async function loginAsClient() {
   console.log('\n🔐 Intentando login de cliente de prueba...');
   
-  const { response, data } = await makeRequest('/auth/client-login', {
+  const step1 = await makeRequest('/auth/client-login', {
     method: 'POST',
     body: JSON.stringify({
       document_type: 'DNI',
@@ -57,6 +61,21 @@ async function loginAsClient() {
     }),
   });
   
+  // El código solo viene en la respuesta si el servidor corre con AUTH_EXPOSE_OTP=true
+  const challenge = step1.data?.data?.challenge;
+  if (!challenge?.dev_code) {
+    console.log('❌ Error en login de cliente (esperado si no hay seed o AUTH_EXPOSE_OTP no está activo)');
+    return null;
+  }
+  
+  const { response, data } = await makeRequest('/auth/client-login/verify', {
+    method: 'POST',
+    body: JSON.stringify({
+      challenge_id: challenge.challenge_id,
+      code: challenge.dev_code,
+    }),
+  });
+  
   if (response?.ok && data?.success) {
     console.log('✅ Login de cliente exitoso');
     return { sessionId: data.data.session.session_id, userId: data.data.user.id };
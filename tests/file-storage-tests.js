@@ -0,0 +1,180 @@
+/**
+ * Pruebas de drivers de almacenamiento de comprobantes (local, S3 y Cloudinary) sin servicios externos
+ * Ejecutar: node tests/file-storage-tests.js
+ * El driver S3 se prueba contra un stand-in en memoria con la misma API (client.send + comandos + getSignedUrl)
+ */
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const {
+  CloudinaryFileStorage,
+  LocalFileStorage,
+  S3FileStorage,
+  storageTypeOf,
+} = require('../config/fileStorage');
+
+class FakeCommand {
+  constructor(input) {
+    this.input = input;
+  }
+}
+class PutObjectCommand extends FakeCommand {}
+class GetObjectCommand extends FakeCommand {}
+class DeleteObjectCommand extends FakeCommand {}
+
+class FakeS3Client {
+  constructor() {
+    this.objects = new Map(); // `${bucket}/${key}` -> { body, contentType }
+  }
+
+  async send(command) {
+    const id = `${command.input.Bucket}/${command.input.Key}`;
+    if (command instanceof PutObjectCommand) {
+      this.objects.set(id, { body: command.input.Body, contentType: command.input.ContentType });
+    } else if (command instanceof DeleteObjectCommand) {
+      this.objects.delete(id);
+    }
+    return {};
+  }
+}
+
+function assertEq2(actual, expected, msg) {
+  if (actual !== expected) {
+    throw new Error(`${msg} | esperado=${expected} actual=${actual}`);
+  }
+  console.log(`✔ ${msg}`);
+}
+
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mP8/x8AAwMCAO5WpZkAAAAASUVORK5CYII=', 'base64');
+const FILE = { fileName: 'voucher.png', contentType: 'image/png', userId: 'user-1' };
+
+function parseSigned(url) {
+  const parsed = new URL(url, 'http://localhost');
+  return {
+    pathname: parsed.pathname,
+    key: decodeURIComponent(parsed.pathname.replace(/^\/files\//, '')),
+    expires: parsed.searchParams.get('expires'),
+    signature: parsed.searchParams.get('signature'),
+  };
+}
+
+async function runLocal() {
+  console.log('\n=== Driver local ===');
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bob-storage-'));
+  const storage = new LocalFileStorage({ rootDir, secret: 'secreto-de-prueba' });
+
+  try {
+    const stored = await storage.put(PNG, FILE);
+    assertEq2(/^local:\/\/vouchers\/voucher_user-1_\d+_[0-9a-f-]{36}\.png$/.test(stored.url), true, 'put devuelve referencia local://');
+    assertEq2(storageTypeOf(stored.url), 'local', 'storageTypeOf reconoce la referencia local');
+    const parallel = await Promise.all([storage.put(PNG, FILE), storage.put(PNG, FILE)]);
+    assertEq2(parallel[0].url !== parallel[1].url, true, 'subidas en paralelo del mismo usuario no comparten clave');
+
+    const signed = parseSigned(await storage.signedUrl(stored.url, Date.now() + 60000));
+    assertEq2(signed.pathname.startsWith('/files/vouchers%2F'), true, 'URL firmada apunta a /files con la clave codificada');
+
+    const filePath = storage.verify(signed.key, signed.expires, signed.signature);
+    assertEq2(Buffer.compare(await fs.readFile(filePath), PNG), 0, 'firma válida resuelve el archivo guardado');
+
+    assertEq2(storage.verify(signed.key, signed.expires, 'f'.repeat(64)), null, 'firma alterada se rechaza');
+    assertEq2(storage.verify(signed.key, Number(signed.expires) + 60, signed.signature), null, 'expiración alterada se rechaza');
+    assertEq2(
+      storage.verify(signed.key, signed.expires, signed.signature, (Number(signed.expires) + 1) * 1000),
+      null,
+      'URL vencida se rechaza'
+    );
+
+    const escape = parseSigned(await storage.signedUrl('local://../fuera.txt', Date.now() + 60000));
+    assertEq2(storage.verify(escape.key, escape.expires, escape.signature), null, 'claves fuera del directorio se rechazan');
+
+    assertEq2(await storage.remove(stored.url), true, 'remove elimina el archivo');
+    assertEq2(await storage.remove(stored.url), false, 'remove repetido devuelve false');
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+}
+
+async function runS3() {
+  console.log('\n=== Driver S3 (stand-in) ===');
+  const client = new FakeS3Client();
+  const storage = new S3FileStorage({
+    client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+    getSignedUrl: async (c, command, { expiresIn }) =>
+      `https://s3.test/${command.input.Bucket}/${command.input.Key}?X-Amz-Expires=${expiresIn}`,
+  }, { bucket: 'bob-vouchers' });
+
+  const stored = await storage.put(PNG, FILE);
+  assertEq2(/^s3:\/\/bob-vouchers\/vouchers\/voucher_user-1_\d+_[0-9a-f-]{36}\.png$/.test(stored.url), true, 'put devuelve referencia s3://');
+  assertEq2(storageTypeOf(stored.url), 's3', 'storageTypeOf reconoce la referencia S3');
+
+  const key = stored.url.replace('s3://bob-vouchers/', '');
+  assertEq2(client.objects.get(`bob-vouchers/${key}`)?.contentType, 'image/png', 'el objeto se guarda con su Content-Type');
+
+  const url = await storage.signedUrl(stored.url, Date.now() + 10 * 60 * 1000);
+  const expiresIn = Number(new URL(url).searchParams.get('X-Amz-Expires'));
+  assertEq2(expiresIn >= 599 && expiresIn <= 600, true, 'URL prefirmada expira en el plazo indicado');
+
+  await storage.remove(stored.url);
+  assertEq2(client.objects.size, 0, 'remove elimina el objeto');
+}
+
+async function runCloudinary() {
+  console.log('\n=== Driver Cloudinary (sin red) ===');
+  const calls = [];
+  let apiSecret = 'secreto';
+  const client = {
+    config: () => ({ api_secret: apiSecret }),
+    utils: {
+      private_download_url: (publicId, format, options) => {
+        calls.push({ publicId, format, options });
+        return `https://api.cloudinary.com/v1_1/demo/${options.resource_type}/download?public_id=${publicId}`;
+      },
+    },
+  };
+  const storage = new CloudinaryFileStorage(client, async () => ({
+    secure_url: 'https://res.cloudinary.com/demo/image/private/s--x1Y2z3--/v1700000000/bob-subastas/vouchers/voucher_user-1_1.png',
+  }));
+
+  const stored = await storage.put(PNG, FILE);
+  assertEq2(stored.url, 'https://res.cloudinary.com/demo/image/private/s--x1Y2z3--/v1700000000/bob-subastas/vouchers/voucher_user-1_1.png', 'Cloudinary devuelve su secure_url como referencia');
+  assertEq2(storageTypeOf(stored.url), 'cloudinary', 'storageTypeOf reconoce la URL de Cloudinary');
+
+  const expiresAt = Date.now() + 60000;
+  await storage.signedUrl(stored.url, expiresAt);
+  assertEq2(calls[0].publicId, 'bob-subastas/vouchers/voucher_user-1_1', 'public_id sin firma, versión ni extensión');
+  assertEq2(calls[0].options.type, 'private', 'la descarga firmada pide el recurso privado');
+  assertEq2(calls[0].format, 'png', 'formato tomado de la extensión');
+  assertEq2(calls[0].options.expires_at, Math.floor(expiresAt / 1000), 'la descarga firmada expira en el plazo indicado');
+
+  await storage.signedUrl('https://res.cloudinary.com/demo/raw/upload/v1/bob-subastas/vouchers/recibo.pdf', expiresAt);
+  assertEq2(calls[1].publicId, 'bob-subastas/vouchers/recibo.pdf', 'recursos raw conservan la extensión en el public_id');
+
+  apiSecret = undefined;
+  const unsigned = await storage.signedUrl(stored.url, expiresAt).then(() => null, (error) => error);
+  assertEq2(Boolean(unsigned), true, 'sin CLOUDINARY_API_SECRET no se entrega la URL sin firmar');
+  apiSecret = 'secreto';
+  const unknown = await storage.signedUrl('https://res.cloudinary.com/demo/otro/formato', expiresAt).then(() => null, (error) => error);
+  assertEq2(Boolean(unknown), true, 'referencia de Cloudinary no reconocida → error');
+
+  assertEq2(storageTypeOf('https://example.com/voucher.pdf'), null, 'enlaces externos no pertenecen a ningún driver');
+}
+
+async function run() {
+  console.log('🚀 Pruebas de almacenamiento de comprobantes');
+  await runLocal();
+  await runS3();
+  await runCloudinary();
+  console.log('\n✅ Drivers de almacenamiento verificados correctamente');
+}
+
+if (require.main === module) {
+  run().catch((e) => {
+    console.error('❌ Error almacenamiento de comprobantes:', e);
+    process.exit(1);
+  });
+}
+
+module.exports = { run };
@@ -24,6 +24,9 @@
  */
 
 const API_BASE = 'http://localhost:3000';
+// Credenciales admin del seed de desarrollo (sobrescribibles por entorno)
+const ADMIN_EMAIL = process.env.TEST_ADMIN_EMAIL || 'admin@bobsubastas.com';
+const ADMIN_PASSWORD = process.env.TEST_ADMIN_PASSWORD || 'BobAdmin2024';
 
 function delay(ms) { return new Promise(res => setTimeout(res, ms)); }
 
@@ -57,10 +60,25 @@ function assertEq2(label, a, b) {
   }
 }
 
+// Login de cliente en dos pasos (requiere servidor con AUTH_EXPOSE_OTP=true fuera de producción)
+async function clientLoginWithCode(document_type, document_number) {
+  const step1 = await req('/auth/client-login', {
+    method: 'POST',
+    body: { document_type, document_number },
+  });
+  if (!step1.res.ok || !step1.data?.success) return step1;
+  const { challenge_id, dev_code } = step1.data.data.challenge;
+  if (!dev_code) throw new Error('Código OTP no expuesto: iniciar servidor con AUTH_EXPOSE_OTP=true');
+  return req('/auth/client-login/verify', {
+    method: 'POST',
+    body: { challenge_id, code: dev_code },
+  });
+}
+
 async function loginAdmin() {
   // Robustez: reintentos para evitar errores transitorios (ej. P1017 / 5xx)
   for (let attempt = 1; attempt <= 3; attempt++) {
-    const { res, data } = await req('/auth/admin-access', { method: 'POST' });
+    const { res, data } = await req('/auth/admin-login', { method: 'POST', body: { email: ADMIN_EMAIL, password: ADMIN_PASSWORD } });
     if (res.ok && data?.success) {
       return { sessionId: data.data.session.session_id, user: data.data.user };
     }
@@ -77,10 +95,7 @@ async function loginAdmin() {
 }
 
 async function loginClient(docType = 'DNI', docNumber = '12345678') {
-  const { res, data } = await req('/auth/client-login', {
-    method: 'POST',
-    body: { document_type: docType, document_number: docNumber },
-  });
+  const { res, data } = await clientLoginWithCode(docType, docNumber);
   if (!res.ok || !data?.success) throw new Error('Login cliente falló');
   return { sessionId: data.data.session.session_id, user: data.data.user };
 }
@@ -127,18 +142,41 @@ async function registerGuaranteePayment(clientHeaders, auctionId, guaranteeAmoun
   const bin = Buffer.from(b64Png1x1, 'base64');
   form.append('voucher', new Blob([bin], { type: 'image/png' }), 'voucher.png');
 
-  const { res, data } = await req('/movements', { method: 'POST', headers: clientHeaders, body: form });
+  // Doble envío con la misma Idempotency-Key: el reintento devuelve el mismo Movement sin registrar otro
+  const headers = { ...clientHeaders, 'Idempotency-Key': `flujo1-${Date.now()}-${Math.random().toString(36).slice(2,8)}` };
+  const { res, data } = await req('/movements', { method: 'POST', headers, body: form });
   if (!res.ok) throw new Error('Registro de pago falló');
+  const { res: retryRes, data: retry } = await req('/movements', { method: 'POST', headers, body: form });
+  if (retryRes.headers.get('idempotent-replayed') !== 'true' || retry?.data?.movement?.id !== data.data.movement.id) {
+    throw new Error('Reintento con la misma Idempotency-Key debería devolver el Movement original');
+  }
+  console.log('✅ Reintento con Idempotency-Key devuelve el mismo Movement');
   return data.data.movement.id;
 }
 
 async function approvePayment(adminHeaders, movementId) {
+  // Concurrencia optimista: If-Match con una versión anterior → 409; con el ETag vigente → aprobado
+  const { res: detailRes } = await req(`/movements/${movementId}`, { headers: adminHeaders });
+  const etag = detailRes.headers.get('etag');
+  if (!etag) throw new Error('GET /movements/:id debería incluir ETag');
+
+  const { res: staleRes, data: stale } = await req(`/movements/${movementId}/approve`, {
+    method: 'PATCH',
+    headers: { ...adminHeaders, 'Content-Type': 'application/json', 'If-Match': '"0"' },
+    body: { comentarios: 'Verificado FLUJO1' },
+  });
+  if (staleRes.status !== 409 || stale?.error?.code !== 'RESOURCE_MODIFIED') {
+    throw new Error('Aprobación con versión desactualizada debería responder 409 RESOURCE_MODIFIED');
+  }
+  console.log('✅ If-Match desactualizado → 409 RESOURCE_MODIFIED');
+
   const { res } = await req(`/movements/${movementId}/approve`, {
     method: 'PATCH',
-    headers: { ...adminHeaders, 'Content-Type': 'application/json' },
+    headers: { ...adminHeaders, 'Content-Type': 'application/json', 'If-Match': etag },
     body: { comentarios: 'Verificado FLUJO1' },
   });
   if (!res.ok) throw new Error('Aprobación de pago falló');
+  if (res.headers.get('etag') === etag) throw new Error('La aprobación debería cambiar el ETag del Movement');
 }
 
 async function setCompetitionResult(adminHeaders, auctionId, resultado, observaciones) {
@@ -150,6 +188,24 @@ async function setCompetitionResult(adminHeaders, auctionId, resultado, observac
   if (!res.ok) throw new Error('Registrar resultado competencia falló');
 }
 
+async function listAuditEvents(adminHeaders, query) {
+  const { res, data } = await req(`/audit?${new URLSearchParams(query)}`, {
+    method: 'GET',
+    headers: adminHeaders,
+  });
+  if (!res.ok || !data?.success) throw new Error('Consultar auditoría falló');
+  return data.data.events || [];
+}
+
+async function getAuctionTimeline(adminHeaders, auctionId) {
+  const { res, data } = await req(`/auctions/${auctionId}/timeline`, {
+    method: 'GET',
+    headers: adminHeaders,
+  });
+  if (!res.ok || !data?.success) throw new Error('Consultar línea de tiempo falló');
+  return data.data.timeline || [];
+}
+
 async function listBillingsByUser(clientHeaders, userId, include = 'auction') {
   const { res, data } = await req(`/users/${userId}/billings?include=${include}`, {
     method: 'GET',
@@ -182,8 +238,9 @@ async function completeBilling(clientHeaders, billingId, docNumber, billingName
   if (!res.ok) throw new Error('Completar datos de Billing falló');
 }
 
-async function getBalance(headers, userId) {
-  const { res, data } = await req(`/users/${userId}/balance`, { headers });
+async function getBalance(headers, userId, asOf) {
+  const query = asOf ? `?as_of=${encodeURIComponent(asOf)}` : '';
+  const { res, data } = await req(`/users/${userId}/balance${query}`, { headers });
   if (!res.ok || !data?.data?.balance) throw new Error('Get balance falló');
   const b = data.data.balance;
   return {
@@ -194,6 +251,22 @@ async function getBalance(headers, userId) {
   };
 }
 
+async function getLedger(headers, userId) {
+  const { res, data } = await req(`/users/${userId}/ledger?limit=100`, { headers });
+  if (!res.ok || !data?.data?.entries) throw new Error('Get ledger falló');
+  return data.data;
+}
+
+async function downloadStatement(headers, userId, format) {
+  const endpoint = `/users/${userId}/statement?format=${format}`;
+  const res = await fetch(`${API_BASE}${endpoint}`, { headers });
+  const body = Buffer.from(await res.arrayBuffer());
+  console.log(`\nGET ${endpoint}`);
+  console.log(`Status: ${res.status} ${res.statusText} (${res.headers.get('content-type')}, ${body.length} bytes)`);
+  if (!res.ok) throw new Error('Descargar estado de cuenta falló');
+  return { contentType: res.headers.get('content-type') || '', body };
+}
+
 function assertFormula(bal) {
   const expected = approx2(bal.saldo_total - bal.saldo_retenido - bal.saldo_aplicado);
   assertEq2('Formula saldo_disponible', bal.saldo_disponible, expected);
@@ -215,6 +288,7 @@ async function run() {
   // Estado inicial
   const bal0 = await getBalance(clientHeaders, clientId);
   assertFormula(bal0);
+  const asOfInicial = new Date().toISOString();
   console.log('Estado Inicial Cliente:', bal0);
 
   // Paso 1: Admin crea nueva subasta (placa única aleatoria)
@@ -280,6 +354,22 @@ async function run() {
   assertEq2('Aplicado tras ganada (+garantía)', balAfterGanada.saldo_aplicado, balAfterApprove.saldo_aplicado + garantia);
   assertEq2('Disponible tras ganada (sin cambio)', balAfterGanada.saldo_disponible, balAfterApprove.saldo_disponible);
 
+  // Paso 5b: Auditoría — aprobación y resultado de competencia quedan registrados con actor y snapshots
+  const approveEvents = await listAuditEvents(adminHeaders, { entity_type: 'movement', entity_id: movementId });
+  const approveEvent = approveEvents.find((e) => e.action === 'movement.approve');
+  if (!approveEvent) throw new Error('[ASSERT] Falta evento de auditoría movement.approve');
+  if (approveEvent.before?.estado !== 'pendiente' || approveEvent.after?.estado !== 'validado') {
+    throw new Error('[ASSERT] Snapshot de auditoría de aprobación incorrecto');
+  }
+  if (!approveEvent.actor_id || approveEvent.reason !== 'Verificado FLUJO1') {
+    throw new Error('[ASSERT] Evento de aprobación sin actor o motivo');
+  }
+  const resultEvents = await listAuditEvents(adminHeaders, { entity_type: 'auction', entity_id: auctionId, action: 'auction.competition_result' });
+  if (resultEvents.length !== 1 || resultEvents[0].after?.estado !== 'ganada') {
+    throw new Error('[ASSERT] Falta evento de auditoría auction.competition_result');
+  }
+  console.log('✅ Auditoría registra aprobación y resultado de competencia');
+
   // Paso 6: Cliente completa datos de facturación (PATCH /billing/:id/complete) - SIN CAMBIOS EN SALDOS
   const uniqueDoc = String(10000000 + Math.floor(Math.random() * 90000000));
   const billingId = await findBillingIdForAuction(clientHeaders, clientId, auctionId);
@@ -293,6 +383,77 @@ async function run() {
   assertEq2('Aplicado tras completar billing (igual)', balAfterBilling.saldo_aplicado, balAfterGanada.saldo_aplicado);
   assertEq2('Disponible tras completar billing (igual)', balAfterBilling.saldo_disponible, balAfterGanada.saldo_disponible);
 
+  // Paso 7: Línea de tiempo — cada transición de la subasta queda persistida en orden
+  const timeline = await getAuctionTimeline(adminHeaders, auctionId);
+  const auctionStates = timeline.filter((e) => e.source === 'auction').map((e) => e.to);
+  const expectedStates = ['activa', 'pendiente', 'en_validacion', 'finalizada', 'ganada', 'facturada'];
+  if (JSON.stringify(auctionStates) !== JSON.stringify(expectedStates)) {
+    throw new Error(`[ASSERT] Transiciones de subasta inesperadas: ${auctionStates.join(' → ')}`);
+  }
+  const approvedEntry = timeline.find((e) => e.source === 'movement' && e.event === 'approved');
+  if (!approvedEntry || approvedEntry.entity_id !== movementId || !approvedEntry.actor?.email) {
+    throw new Error('[ASSERT] Línea de tiempo sin aprobación del movement con actor');
+  }
+  const finalizada = timeline.find((e) => e.source === 'auction' && e.to === 'finalizada');
+  if (finalizada?.details?.movement_id !== movementId) {
+    throw new Error('[ASSERT] Transición a finalizada sin movement relacionado');
+  }
+  if (!timeline.some((e) => e.source === 'billing' && e.event === 'created')) {
+    throw new Error('[ASSERT] Línea de tiempo sin facturación');
+  }
+  const sorted = timeline.every((e, i) => i === 0 || new Date(timeline[i - 1].at) <= new Date(e.at));
+  if (!sorted) throw new Error('[ASSERT] Línea de tiempo fuera de orden cronológico');
+  console.log(`✅ Línea de tiempo: ${auctionStates.join(' → ')}`);
+
+  // Paso 8: Saldo a fecha de corte — antes del flujo coincide con el inicial, ahora con el actual
+  const balAsOfInicial = await getBalance(clientHeaders, clientId, asOfInicial);
+  const balAsOfAhora = await getBalance(clientHeaders, clientId, new Date().toISOString());
+  for (const field of ['saldo_total', 'saldo_retenido', 'saldo_aplicado', 'saldo_disponible']) {
+    assertEq2(`as_of inicial ${field}`, balAsOfInicial[field], bal0[field]);
+    assertEq2(`as_of actual ${field}`, balAsOfAhora[field], balAfterBilling[field]);
+  }
+  const { res: futureRes } = await req(`/users/${clientId}/balance?as_of=2999-01-01`, { headers: clientHeaders });
+  if (futureRes.status !== 422) throw new Error('[ASSERT] as_of futura debería responder 422');
+  console.log('✅ Saldo a fecha de corte reconstruido desde el historial');
+
+  // Paso 9: Libro mayor — asientos balanceados y proyección igual al saldo consultado
+  const ledger = await getLedger(clientHeaders, clientId);
+  const unbalanced = ledger.entries.filter((e) => {
+    const debit = e.lines.reduce((acc, l) => acc + l.debit, 0);
+    const credit = e.lines.reduce((acc, l) => acc + l.credit, 0);
+    return approx2(debit) !== approx2(credit);
+  });
+  if (unbalanced.length) throw new Error(`[ASSERT] Asientos desbalanceados: ${unbalanced.map((e) => e.id).join(', ')}`);
+  for (const event of ['guarantee_payment', 'guarantee_billed']) {
+    if (!ledger.entries.some((e) => e.event === event && e.auction_id === auctionId)) {
+      throw new Error(`[ASSERT] Libro mayor sin asiento ${event} para la subasta`);
+    }
+  }
+  assertEq2('Ledger saldo_total', ledger.balances.saldo_total, balAfterBilling.saldo_total);
+  assertEq2('Ledger saldo_retenido', ledger.balances.saldo_retenido, balAfterBilling.saldo_retenido);
+  assertEq2('Ledger saldo_aplicado', ledger.balances.saldo_aplicado, balAfterBilling.saldo_aplicado);
+  assertEq2('Ledger saldo_disponible', ledger.balances.saldo_disponible, balAfterBilling.saldo_disponible);
+  console.log(`✅ Libro mayor: ${ledger.entries.length} asientos balanceados`);
+
+  // Paso 10: Estado de cuenta del mes — saldo final del CSV igual al saldo actual; PDF válido
+  const csv = await downloadStatement(clientHeaders, clientId, 'csv');
+  if (!csv.contentType.startsWith('text/csv')) throw new Error('[ASSERT] Estado de cuenta CSV con content-type inesperado');
+  const csvRows = csv.body.toString('utf8').trim().split('\r\n');
+  const closingRow = csvRows[csvRows.length - 1].split(',');
+  if (!csvRows.some((row) => row.includes(',saldo_inicial,')) || closingRow[1] !== 'saldo_final') {
+    throw new Error('[ASSERT] Estado de cuenta CSV sin filas de saldo inicial/final');
+  }
+  const [csvTotal, csvRetenido, csvAplicado, csvDisponible] = closingRow.slice(-4).map(Number);
+  assertEq2('Estado de cuenta saldo_total final', csvTotal, balAfterBilling.saldo_total);
+  assertEq2('Estado de cuenta saldo_retenido final', csvRetenido, balAfterBilling.saldo_retenido);
+  assertEq2('Estado de cuenta saldo_aplicado final', csvAplicado, balAfterBilling.saldo_aplicado);
+  assertEq2('Estado de cuenta saldo_disponible final', csvDisponible, balAfterBilling.saldo_disponible);
+  const pdf = await downloadStatement(clientHeaders, clientId, 'pdf');
+  if (!pdf.contentType.startsWith('application/pdf') || pdf.body.subarray(0, 5).toString('latin1') !== '%PDF-') {
+    throw new Error('[ASSERT] Estado de cuenta PDF inválido');
+  }
+  console.log(`✅ Estado de cuenta: ${csvRows.length - 3} líneas en CSV, PDF de ${pdf.body.length} bytes`);
+
   console.log('\n✅ FLUJO 1 completado correctamente. Deltas de saldo coinciden con el caso esperado.');
 }
 
@@ -0,0 +1,370 @@
+/**
+ * FLUJO 10: Garantía pagada en vouchers parciales con excedente (cliente limpio)
+ * Requiere API en http://localhost:3000 y Node 18+ (fetch/FormData/Blob nativos)
+ *
+ * Escenario:
+ * - Admin crea subasta Hyundai Tucson 2021
+ * - Admin registra a Lucía como ganadora (oferta 15000, garantía 1200)
+ * - Voucher 1 por 500 → Admin APRUEBA: la subasta vuelve a 'pendiente' (faltan 700), retenido +500
+ * - Voucher 2 por 300 y voucher 3 por 450 quedan pendientes a la vez (suman 750 ≥ 700)
+ * - Un cuarto voucher se rechaza con 409 GUARANTEE_ALREADY_COVERED
+ * - Admin RECHAZA el voucher 2: la subasta sigue 'en_validacion' (el voucher 3 sigue pendiente)
+ * - Voucher 4 por 300 → Admin APRUEBA el 3 (faltan 250) y el 4: la subasta pasa a 'finalizada'
+ * - Excedente 50 del voucher 4 (monto_excedente) se acredita como saldo disponible
+ * - Segunda subasta (oferta 5000, garantía 400): paga 50 con saldo disponible (validado sin revisión) y
+ *   transfiere 350 por el resto → Admin APRUEBA la transferencia: 'finalizada', disponible vuelve al inicial
+ * - Tercera subasta sin saldo disponible → 409 INSUFFICIENT_BALANCE
+ */
+
+const API_BASE = 'http://localhost:3000';
+// Credenciales admin del seed de desarrollo (sobrescribibles por entorno)
+const ADMIN_EMAIL = process.env.TEST_ADMIN_EMAIL || 'admin@bobsubastas.com';
+const ADMIN_PASSWORD = process.env.TEST_ADMIN_PASSWORD || 'BobAdmin2024';
+
+function delay(ms) { return new Promise(res => setTimeout(res, ms)); }
+
+async function req(endpoint, opts = {}) {
+  const url = `${API_BASE}${endpoint}`;
+  const { method = 'GET', headers = {}, body } = opts;
+  const finalHeaders = { ...headers };
+  const isForm = (typeof FormData !== 'undefined') && (body instanceof FormData);
+  if (body && !isForm && !finalHeaders['Content-Type']) finalHeaders['Content-Type'] = 'application/json';
+
+  const res = await fetch(url, {
+    method,
+    headers: finalHeaders,
+    body: body && !isForm ? JSON.stringify(body) : body,
+  });
+
+  let data = null;
+  try { data = await res.json(); } catch (_) {}
+  console.log(`\n${method} ${endpoint}`);
+  console.log(`Status: ${res.status} ${res.statusText}`);
+  if (data) console.log('Response:', JSON.stringify(data, null, 2));
+  return { res, data };
+}
+
+function approx2(n) { return Number(Number(n).toFixed(2)); }
+function assertEq2(label, a, b) {
+  const a2 = approx2(a);
+  const b2 = approx2(b);
+  if (a2 !== b2) {
+    throw new Error(`[ASSERT] ${label} esperado=${b2} obtenido=${a2}`);
+  }
+}
+
+// Login de cliente en dos pasos (requiere servidor con AUTH_EXPOSE_OTP=true fuera de producción)
+async function clientLoginWithCode(document_type, document_number) {
+  const step1 = await req('/auth/client-login', {
+    method: 'POST',
+    body: { document_type, document_number },
+  });
+  if (!step1.res.ok || !step1.data?.success) return step1;
+  const { challenge_id, dev_code } = step1.data.data.challenge;
+  if (!dev_code) throw new Error('Código OTP no expuesto: iniciar servidor con AUTH_EXPOSE_OTP=true');
+  return req('/auth/client-login/verify', {
+    method: 'POST',
+    body: { challenge_id, code: dev_code },
+  });
+}
+
+async function loginAdmin() {
+  const { res, data } = await req('/auth/admin-login', { method: 'POST', body: { email: ADMIN_EMAIL, password: ADMIN_PASSWORD } });
+  if (!res.ok || !data?.success) throw new Error('Login admin falló');
+  return { sessionId: data.data.session.session_id, user: data.data.user };
+}
+
+function randDigits(n) {
+  let s = '';
+  for (let i = 0; i < n; i++) s += Math.floor(Math.random() * 10);
+  return s;
+}
+
+async function ensureCleanClientLucia() {
+  // Crea cliente limpio "Lucía" para garantizar saldos iniciales en 0
+  const { PrismaClient } = require('@prisma/client');
+  const prisma = new PrismaClient();
+  const ruc = '20' + randDigits(9); // 11 dígitos válidos
+  const email = `flow10.${Math.random().toString(36).slice(2,8)}@test.local`;
+  let user;
+  try {
+    user = await prisma.user.create({
+      data: {
+        first_name: 'Lucía',
+        last_name: 'Parciales',
+        email,
+        phone_number: '+519' + randDigits(8),
+        document_type: 'RUC',
+        document_number: ruc,
+        user_type: 'client',
+        saldo_total: 0,
+        saldo_retenido: 0,
+      },
+      select: { id: true, document_type: true, document_number: true },
+    });
+  } finally {
+    await prisma.$disconnect();
+  }
+
+  const { res, data } = await clientLoginWithCode(user.document_type, user.document_number);
+  if (!res.ok || !data?.success) throw new Error('Login cliente (Lucía) falló');
+
+  return {
+    headers: { 'X-Session-ID': data.data.session.session_id },
+    user: data.data.user,
+  };
+}
+
+function uniquePlatePRC() {
+  // Prefijo "PRC-" para caso de pagos PaRCiales, evitar duplicados con sufijo aleatorio
+  return `PRC-${Math.random().toString(36).slice(2,7).toUpperCase()}`;
+}
+
+async function createAuction(adminHeaders, asset) {
+  const payload = { asset };
+  const { res, data } = await req('/auctions', { method: 'POST', headers: adminHeaders, body: payload });
+  if (!res.ok) throw new Error('Crear subasta falló');
+  return { id: data.data.auction.id };
+}
+
+async function setWinner(adminHeaders, auctionId, userId, montoOferta, fechaLimitePagoISO) {
+  const payload = {
+    user_id: userId,
+    monto_oferta: montoOferta,
+    fecha_limite_pago: fechaLimitePagoISO || new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+  };
+  const { res } = await req(`/auctions/${auctionId}/winner`, { method: 'POST', headers: adminHeaders, body: payload });
+  if (!res.ok) throw new Error('Registrar ganador falló');
+}
+
+async function registerGuaranteePayment(clientHeaders, auctionId, amount, concepto, expectedStatus = 201) {
+  const form = new FormData();
+  form.append('auction_id', auctionId);
+  form.append('monto', String(approx2(amount)));
+  form.append('tipo_pago', 'transferencia');
+  form.append('numero_cuenta_origen', '1234567890');
+  form.append('numero_operacion', `OP-${Math.random().toString(36).slice(2,8).toUpperCase()}`);
+  form.append('fecha_pago', new Date().toISOString());
+  form.append('moneda', 'USD');
+  form.append('concepto', concepto || 'Pago parcial garantía FLUJO10');
+
+  const b64Png1x1 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR4nGMAAQAABQABDQottAAAAABJRU5ErkJggg==';
+  const bin = Buffer.from(b64Png1x1, 'base64');
+  form.append('voucher', new Blob([bin], { type: 'image/png' }), 'voucher.png');
+
+  const { res, data } = await req('/movements', { method: 'POST', headers: clientHeaders, body: form });
+  if (res.status !== expectedStatus) {
+    throw new Error(`Registro de pago: esperado ${expectedStatus}, obtenido ${res.status}`);
+  }
+  return data;
+}
+
+async function applyBalance(clientHeaders, auctionId, transferAmount = null, expectedStatus = 201) {
+  const form = new FormData();
+  form.append('auction_id', auctionId);
+  if (transferAmount !== null) {
+    form.append('monto', String(approx2(transferAmount)));
+    form.append('tipo_pago', 'transferencia');
+    form.append('numero_cuenta_origen', '1234567890');
+    form.append('numero_operacion', `OP-${Math.random().toString(36).slice(2,8).toUpperCase()}`);
+    form.append('fecha_pago', new Date().toISOString());
+
+    const b64Png1x1 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR4nGMAAQAABQABDQottAAAAABJRU5ErkJggg==';
+    const bin = Buffer.from(b64Png1x1, 'base64');
+    form.append('voucher', new Blob([bin], { type: 'image/png' }), 'voucher.png');
+  }
+
+  const { res, data } = await req('/movements/apply-balance', { method: 'POST', headers: clientHeaders, body: form });
+  if (res.status !== expectedStatus) {
+    throw new Error(`Pago con saldo: esperado ${expectedStatus}, obtenido ${res.status}`);
+  }
+  return data;
+}
+
+async function approvePayment(adminHeaders, movementId) {
+  const { res, data } = await req(`/movements/${movementId}/approve`, {
+    method: 'PATCH',
+    headers: { ...adminHeaders, 'Content-Type': 'application/json' },
+    body: { comentarios: 'Verificado FLUJO10' },
+  });
+  if (!res.ok) throw new Error('Aprobación de pago falló');
+  return data.data;
+}
+
+async function rejectPayment(adminHeaders, movementId, motivos) {
+  const { res, data } = await req(`/movements/${movementId}/reject`, {
+    method: 'PATCH',
+    headers: { ...adminHeaders, 'Content-Type': 'application/json' },
+    body: { motivos },
+  });
+  if (!res.ok) throw new Error('Rechazo de pago falló');
+  return data.data;
+}
+
+async function getMovement(adminHeaders, movementId) {
+  const { res, data } = await req(`/movements/${movementId}`, { headers: adminHeaders });
+  if (!res.ok) throw new Error('Detalle de movement falló');
+  return data.data.movement;
+}
+
+async function getBalance(headers, userId) {
+  const { res, data } = await req(`/users/${userId}/balance`, { headers });
+  if (!res.ok || !data?.data?.balance) throw new Error('Get balance falló');
+  const b = data.data.balance;
+  return {
+    saldo_total: approx2(b.saldo_total),
+    saldo_retenido: approx2(b.saldo_retenido),
+    saldo_aplicado: approx2(b.saldo_aplicado ?? 0),
+    saldo_disponible: approx2(b.saldo_disponible),
+  };
+}
+
+function assertFormula(bal) {
+  const expected = approx2(bal.saldo_total - bal.saldo_retenido - bal.saldo_aplicado);
+  assertEq2('Formula saldo_disponible', bal.saldo_disponible, expected);
+}
+
+function assertEstado(label, actual, expected) {
+  if (actual !== expected) throw new Error(`[ASSERT] ${label} esperado=${expected} obtenido=${actual}`);
+}
+
+async function run() {
+  console.log('🚀 Iniciando FLUJO 10 - Garantía en vouchers parciales con excedente (cliente limpio)');
+
+  // Health
+  await req('/');
+
+  // Logins
+  const adminLogin = await loginAdmin();
+  const adminHeaders = { 'X-Session-ID': adminLogin.sessionId };
+
+  const clientCtx = await ensureCleanClientLucia();
+  const clientHeaders = clientCtx.headers;
+  const clientId = clientCtx.user.id;
+
+  const bal0 = await getBalance(clientHeaders, clientId);
+  assertFormula(bal0);
+
+  // Paso 1-2: Crear subasta y asignar ganadora
+  const { id: auctionId } = await createAuction(adminHeaders, {
+    placa: uniquePlatePRC(),
+    empresa_propietaria: 'EMPRESA PRC S.A.',
+    marca: 'Hyundai',
+    modelo: 'Tucson',
+    año: 2021,
+    descripcion: 'FLUJO10 - Hyundai Tucson 2021',
+  });
+
+  const oferta = 15000.00;
+  const garantia = approx2(oferta * 0.08); // 1200
+  await setWinner(adminHeaders, auctionId, clientId, oferta);
+
+  // Paso 3: Voucher 1 (parcial) → aprobado; la subasta vuelve a esperar el resto
+  const reg1 = await registerGuaranteePayment(clientHeaders, auctionId, 500, 'Garantía parcial 1');
+  assertEstado('Subasta tras voucher 1', reg1.data.auction_updated.estado, 'en_validacion');
+  assertEq2('Por registrar tras voucher 1', reg1.data.garantia.monto_por_registrar, garantia - 500);
+
+  const ap1 = await approvePayment(adminHeaders, reg1.data.movement.id);
+  assertEstado('Subasta tras aprobar voucher 1', ap1.auction_updated.estado, 'pendiente');
+  assertEq2('Faltante tras aprobar voucher 1', ap1.garantia.monto_faltante, 700);
+
+  const bal1 = await getBalance(clientHeaders, clientId);
+  assertFormula(bal1);
+  assertEq2('Retenido tras voucher 1', bal1.saldo_retenido, bal0.saldo_retenido + 500);
+  assertEq2('Disponible tras voucher 1 (sin cambio)', bal1.saldo_disponible, bal0.saldo_disponible);
+
+  // Paso 4: Vouchers 2 y 3 pendientes a la vez; un cuarto excede lo que falta registrar
+  const reg2 = await registerGuaranteePayment(clientHeaders, auctionId, 300, 'Garantía parcial 2');
+  const reg3 = await registerGuaranteePayment(clientHeaders, auctionId, 450, 'Garantía parcial 3');
+  assertEq2('Por registrar con 2 y 3 pendientes', reg3.data.garantia.monto_por_registrar, 0);
+
+  // Los vouchers 2 y 3 usan el mismo archivo → el admin ve el comprobante repetido
+  const mv3 = await getMovement(adminHeaders, reg3.data.movement.id);
+  assertEstado('Comprobante del voucher 3', mv3.voucher_check?.estado, 'duplicado');
+  if (!mv3.voucher_check.coincidencias.some((c) => c.movement_id === reg2.data.movement.id && c.tipo === 'identico')) {
+    throw new Error('voucher_check no incluye el voucher 2 como comprobante idéntico');
+  }
+
+  const dup = await registerGuaranteePayment(clientHeaders, auctionId, 100, 'Garantía de más', 409);
+  assertEstado('Código con garantía cubierta', dup.error?.code, 'GUARANTEE_ALREADY_COVERED');
+
+  // Paso 5: Rechazo del voucher 2 con el 3 aún pendiente → la subasta sigue en validación
+  const rj2 = await rejectPayment(adminHeaders, reg2.data.movement.id, ['Comprobante ilegible']);
+  assertEstado('Subasta tras rechazar voucher 2', rj2.auction_updated.estado, 'en_validacion');
+
+  // Paso 6: Voucher 4 con excedente; se aprueban 3 y 4
+  const reg4 = await registerGuaranteePayment(clientHeaders, auctionId, 300, 'Garantía parcial 4');
+
+  const ap3 = await approvePayment(adminHeaders, reg3.data.movement.id);
+  assertEstado('Subasta tras aprobar voucher 3 (voucher 4 pendiente)', ap3.auction_updated.estado, 'en_validacion');
+  assertEq2('Faltante tras aprobar voucher 3', ap3.garantia.monto_faltante, 250);
+
+  const ap4 = await approvePayment(adminHeaders, reg4.data.movement.id);
+  assertEstado('Subasta tras aprobar voucher 4', ap4.auction_updated.estado, 'finalizada');
+  assertEq2('Excedente del voucher 4', ap4.movement.monto_excedente, 50);
+  assertEq2('Validado final', ap4.garantia.monto_validado, garantia);
+
+  // Retenido = garantía requerida; el excedente queda disponible
+  const bal2 = await getBalance(clientHeaders, clientId);
+  assertFormula(bal2);
+  assertEq2('Total final', bal2.saldo_total, bal0.saldo_total + garantia + 50);
+  assertEq2('Retenido final', bal2.saldo_retenido, bal0.saldo_retenido + garantia);
+  assertEq2('Disponible final (excedente)', bal2.saldo_disponible, bal0.saldo_disponible + 50);
+
+  // Paso 7: Segunda subasta pagada con el excedente disponible + transferencia por el resto
+  const { id: auction2Id } = await createAuction(adminHeaders, {
+    placa: uniquePlatePRC(),
+    empresa_propietaria: 'EMPRESA PRC S.A.',
+    marca: 'Kia',
+    modelo: 'Rio',
+    año: 2019,
+    descripcion: 'FLUJO10 - Kia Rio 2019',
+  });
+  await setWinner(adminHeaders, auction2Id, clientId, 5000);
+  const garantia2 = approx2(5000 * 0.08); // 400
+
+  const applied = await applyBalance(clientHeaders, auction2Id, garantia2 - 50);
+  assertEstado('Pago con saldo', applied.data.movement.estado, 'validado');
+  assertEstado('Tipo de pago con saldo', applied.data.movement.tipo_pago, 'saldo_disponible');
+  assertEq2('Monto aplicado del saldo', applied.data.movement.monto, 50);
+  assertEstado('Transferencia por el resto', applied.data.transfer_movement.estado, 'pendiente');
+  assertEstado('Subasta 2 tras aplicar saldo', applied.data.auction_updated.estado, 'en_validacion');
+  assertEq2('Faltante subasta 2', applied.data.garantia.monto_faltante, garantia2 - 50);
+
+  const bal3 = await getBalance(clientHeaders, clientId);
+  assertFormula(bal3);
+  assertEq2('Disponible tras aplicar saldo', bal3.saldo_disponible, bal0.saldo_disponible);
+  assertEq2('Retenido tras aplicar saldo', bal3.saldo_retenido, bal2.saldo_retenido + 50);
+  assertEq2('Total tras aplicar saldo (sin cambio)', bal3.saldo_total, bal2.saldo_total);
+
+  const apT = await approvePayment(adminHeaders, applied.data.transfer_movement.id);
+  assertEstado('Subasta 2 tras aprobar transferencia', apT.auction_updated.estado, 'finalizada');
+
+  const bal4 = await getBalance(clientHeaders, clientId);
+  assertFormula(bal4);
+  assertEq2('Retenido final subasta 2', bal4.saldo_retenido, bal0.saldo_retenido + garantia + garantia2);
+
+  // Paso 8: Sin saldo disponible no hay pago con saldo
+  const { id: auction3Id } = await createAuction(adminHeaders, {
+    placa: uniquePlatePRC(),
+    empresa_propietaria: 'EMPRESA PRC S.A.',
+    marca: 'Suzuki',
+    modelo: 'Swift',
+    año: 2018,
+    descripcion: 'FLUJO10 - Suzuki Swift 2018',
+  });
+  await setWinner(adminHeaders, auction3Id, clientId, 1000);
+  const noBalance = await applyBalance(clientHeaders, auction3Id, null, 409);
+  assertEstado('Código sin saldo', noBalance.error?.code, 'INSUFFICIENT_BALANCE');
+
+  console.log('\n✅ FLUJO 10 completado. La garantía se cubrió en vouchers parciales, el excedente quedó disponible y pagó la siguiente garantía.');
+}
+
+if (require.main === module) {
+  run().catch((e) => {
+    console.error('❌ Error FLUJO 10:', e);
+    process.exit(1);
+  });
+}
+
+module.exports = { run };
@@ -0,0 +1,298 @@
+/**
+ * FLUJO 11: Conciliación de pagos de garantía con extracto bancario (cliente limpio)
+ * Requiere API en http://localhost:3000 y Node 18+ (fetch/FormData/Blob nativos)
+ *
+ * Escenario:
+ * - Admin crea subasta Nissan Frontier 2020 y registra a Marco como ganador (oferta 10000, garantía 800)
+ * - Marco registra su transferencia de 800 (número de operación y cuenta de origen propios)
+ * - Admin importa un extracto CSV BCP con el abono de Marco, un abono desconocido y un cargo:
+ *   el abono de Marco queda 'propuesto' con confianza 1; el desconocido 'sin_coincidencia'; el cargo se ignora
+ * - Reimportar el mismo archivo → 409 STATEMENT_ALREADY_IMPORTED
+ * - Admin aprueba la línea propuesta: el pago queda validado y la subasta 'finalizada'
+ * - Admin descarta el abono desconocido; aprobar una línea descartada → 409 STATEMENT_LINE_NOT_PROPOSED
+ * - Un extracto MT940 con el mismo abono no lo vuelve a registrar (total_duplicados = 1)
+ */
+
+const API_BASE = 'http://localhost:3000';
+// Credenciales admin del seed de desarrollo (sobrescribibles por entorno)
+const ADMIN_EMAIL = process.env.TEST_ADMIN_EMAIL || 'admin@bobsubastas.com';
+const ADMIN_PASSWORD = process.env.TEST_ADMIN_PASSWORD || 'BobAdmin2024';
+
+function delay(ms) { return new Promise(res => setTimeout(res, ms)); }
+
+async function req(endpoint, opts = {}) {
+  const url = `${API_BASE}${endpoint}`;
+  const { method = 'GET', headers = {}, body } = opts;
+  const finalHeaders = { ...headers };
+  const isForm = (typeof FormData !== 'undefined') && (body instanceof FormData);
+  if (body && !isForm && !finalHeaders['Content-Type']) finalHeaders['Content-Type'] = 'application/json';
+
+  const res = await fetch(url, {
+    method,
+    headers: finalHeaders,
+    body: body && !isForm ? JSON.stringify(body) : body,
+  });
+
+  let data = null;
+  try { data = await res.json(); } catch (_) {}
+  console.log(`\n${method} ${endpoint}`);
+  console.log(`Status: ${res.status} ${res.statusText}`);
+  if (data) console.log('Response:', JSON.stringify(data, null, 2));
+  return { res, data };
+}
+
+function approx2(n) { return Number(Number(n).toFixed(2)); }
+function assertEq2(label, a, b) {
+  const a2 = approx2(a);
+  const b2 = approx2(b);
+  if (a2 !== b2) {
+    throw new Error(`[ASSERT] ${label} esperado=${b2} obtenido=${a2}`);
+  }
+}
+
+// Login de cliente en dos pasos (requiere servidor con AUTH_EXPOSE_OTP=true fuera de producción)
+async function clientLoginWithCode(document_type, document_number) {
+  const step1 = await req('/auth/client-login', {
+    method: 'POST',
+    body: { document_type, document_number },
+  });
+  if (!step1.res.ok || !step1.data?.success) return step1;
+  const { challenge_id, dev_code } = step1.data.data.challenge;
+  if (!dev_code) throw new Error('Código OTP no expuesto: iniciar servidor con AUTH_EXPOSE_OTP=true');
+  return req('/auth/client-login/verify', {
+    method: 'POST',
+    body: { challenge_id, code: dev_code },
+  });
+}
+
+async function loginAdmin() {
+  const { res, data } = await req('/auth/admin-login', { method: 'POST', body: { email: ADMIN_EMAIL, password: ADMIN_PASSWORD } });
+  if (!res.ok || !data?.success) throw new Error('Login admin falló');
+  return { sessionId: data.data.session.session_id, user: data.data.user };
+}
+
+function randDigits(n) {
+  let s = '';
+  for (let i = 0; i < n; i++) s += Math.floor(Math.random() * 10);
+  return s;
+}
+
+async function ensureCleanClientMarco() {
+  // Crea cliente limpio "Marco" para garantizar saldos iniciales en 0
+  const { PrismaClient } = require('@prisma/client');
+  const prisma = new PrismaClient();
+  const ruc = '20' + randDigits(9); // 11 dígitos válidos
+  const email = `flow11.${Math.random().toString(36).slice(2,8)}@test.local`;
+  let user;
+  try {
+    user = await prisma.user.create({
+      data: {
+        first_name: 'Marco',
+        last_name: 'Conciliado',
+        email,
+        phone_number: '+519' + randDigits(8),
+        document_type: 'RUC',
+        document_number: ruc,
+        user_type: 'client',
+        saldo_total: 0,
+        saldo_retenido: 0,
+      },
+      select: { id: true, document_type: true, document_number: true },
+    });
+  } finally {
+    await prisma.$disconnect();
+  }
+
+  const { res, data } = await clientLoginWithCode(user.document_type, user.document_number);
+  if (!res.ok || !data?.success) throw new Error('Login cliente (Marco) falló');
+
+  return {
+    headers: { 'X-Session-ID': data.data.session.session_id },
+    user: data.data.user,
+  };
+}
+
+function uniquePlateCNB() {
+  // Prefijo "CNB-" para caso de CoNciliación Bancaria, evitar duplicados con sufijo aleatorio
+  return `CNB-${Math.random().toString(36).slice(2,7).toUpperCase()}`;
+}
+
+async function createAuction(adminHeaders, asset) {
+  const payload = { asset };
+  const { res, data } = await req('/auctions', { method: 'POST', headers: adminHeaders, body: payload });
+  if (!res.ok) throw new Error('Crear subasta falló');
+  return { id: data.data.auction.id };
+}
+
+async function setWinner(adminHeaders, auctionId, userId, montoOferta, fechaLimitePagoISO) {
+  const payload = {
+    user_id: userId,
+    monto_oferta: montoOferta,
+    fecha_limite_pago: fechaLimitePagoISO || new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+  };
+  const { res } = await req(`/auctions/${auctionId}/winner`, { method: 'POST', headers: adminHeaders, body: payload });
+  if (!res.ok) throw new Error('Registrar ganador falló');
+}
+
+async function registerGuaranteePayment(clientHeaders, auctionId, amount, numeroOperacion, cuentaOrigen) {
+  const form = new FormData();
+  form.append('auction_id', auctionId);
+  form.append('monto', String(approx2(amount)));
+  form.append('tipo_pago', 'transferencia');
+  form.append('numero_cuenta_origen', cuentaOrigen);
+  form.append('numero_operacion', numeroOperacion);
+  form.append('fecha_pago', new Date().toISOString());
+  form.append('moneda', 'USD');
+  form.append('concepto', 'Pago garantía FLUJO11');
+
+  const b64Png1x1 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR4nGMAAQAABQABDQottAAAAABJRU5ErkJggg==';
+  const bin = Buffer.from(b64Png1x1, 'base64');
+  form.append('voucher', new Blob([bin], { type: 'image/png' }), 'voucher.png');
+
+  const { res, data } = await req('/movements', { method: 'POST', headers: clientHeaders, body: form });
+  if (res.status !== 201) throw new Error(`Registro de pago: esperado 201, obtenido ${res.status}`);
+  return data;
+}
+
+async function importStatement(adminHeaders, content, filename, expectedStatus = 201) {
+  const form = new FormData();
+  form.append('moneda', 'USD');
+  form.append('statement', new Blob([content], { type: 'text/csv' }), filename);
+
+  const { res, data } = await req('/bank-statements', { method: 'POST', headers: adminHeaders, body: form });
+  if (res.status !== expectedStatus) {
+    throw new Error(`Importar extracto: esperado ${expectedStatus}, obtenido ${res.status}`);
+  }
+  return data;
+}
+
+// Fecha de hoy en Lima como DD/MM/YYYY (formato BCP) y AAMMDD (MT940)
+function limaToday() {
+  const iso = new Date(Date.now() - 5 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const [y, m, d] = iso.split('-');
+  return { bcp: `${d}/${m}/${y}`, mt940: `${y.slice(2)}${m}${d}` };
+}
+
+function assertEstado(label, actual, expected) {
+  if (actual !== expected) throw new Error(`[ASSERT] ${label} esperado=${expected} obtenido=${actual}`);
+}
+
+async function run() {
+  console.log('🚀 Iniciando FLUJO 11 - Conciliación bancaria de pagos de garantía (cliente limpio)');
+
+  // Health
+  await req('/');
+
+  // Logins
+  const adminLogin = await loginAdmin();
+  const adminHeaders = { 'X-Session-ID': adminLogin.sessionId };
+
+  const clientCtx = await ensureCleanClientMarco();
+  const clientHeaders = clientCtx.headers;
+  const clientId = clientCtx.user.id;
+
+  // Paso 1: Subasta y ganador
+  const { id: auctionId } = await createAuction(adminHeaders, {
+    placa: uniquePlateCNB(),
+    empresa_propietaria: 'EMPRESA CNB S.A.',
+    marca: 'Nissan',
+    modelo: 'Frontier',
+    año: 2020,
+    descripcion: 'FLUJO11 - Nissan Frontier 2020',
+  });
+  const oferta = 10000.00;
+  const garantia = approx2(oferta * 0.08); // 800
+  await setWinner(adminHeaders, auctionId, clientId, oferta);
+
+  // Paso 2: Transferencia de Marco
+  const operacion = randDigits(8);
+  const cuentaOrigen = '191' + randDigits(11);
+  const reg = await registerGuaranteePayment(clientHeaders, auctionId, garantia, operacion, cuentaOrigen);
+  const movementId = reg.data.movement.id;
+
+  // Paso 3: Extracto BCP con el abono de Marco (número con ceros a la izquierda), un abono desconocido y un cargo
+  const hoy = limaToday();
+  const bcp = [
+    'Cuenta;193-0000000-0-00',
+    'Moneda;Dólares',
+    '',
+    'Fecha;Fecha valuta;Descripción operación;Monto;Saldo;Sucursal - agencia;Operación - Número;Operación - Hora;Usuario;UTC;Referencia2',
+    `${hoy.bcp};${hoy.bcp};TRAN.CTAS.TERC.BM;${garantia.toFixed(2)};10,800.00;193;00${operacion};10:22:01;BMWEB;4401;${cuentaOrigen}`,
+    `${hoy.bcp};${hoy.bcp};DEPOSITO EFECTIVO;333.33;11,133.33;193;9${randDigits(7)};11:05:12;VENT;4401;`,
+    `${hoy.bcp};${hoy.bcp};COMISION MANTENIMIENTO;-15.00;11,118.33;193;9${randDigits(7)};23:59:59;SIST;4401;`,
+  ].join('\n');
+  const filename = `bcp-${operacion}.csv`;
+
+  const imported = await importStatement(adminHeaders, bcp, filename);
+  const { statement, lines } = imported.data;
+  assertEstado('Formato detectado', statement.formato, 'bcp');
+  assertEstado('Abonos importados', statement.total_abonos, 2);
+  assertEstado('Coincidencias propuestas', statement.total_propuestos, 1);
+
+  const propuesta = lines.find((l) => l.estado === 'propuesto');
+  const sinCoincidencia = lines.find((l) => l.estado === 'sin_coincidencia');
+  assertEstado('Pago propuesto', propuesta?.movement?.id, movementId);
+  assertEq2('Confianza de la propuesta', propuesta.confidence, 1);
+  assertEstado('Abono desconocido', sinCoincidencia?.monto, 333.33);
+
+  // Paso 4: Reimportar el mismo archivo
+  const again = await importStatement(adminHeaders, bcp, filename, 409);
+  assertEstado('Código reimportación', again.error?.code, 'STATEMENT_ALREADY_IMPORTED');
+
+  // Paso 5: Cola de revisión y aprobación
+  const queue = await req(`/bank-statements/lines?statement_id=${statement.id}&estado=propuesto`, { headers: adminHeaders });
+  assertEstado('Línea en la cola', queue.data?.data?.lines?.[0]?.id, propuesta.id);
+
+  const approved = await req(`/bank-statements/lines/${propuesta.id}/approve`, {
+    method: 'PATCH',
+    headers: adminHeaders,
+    body: { comentarios: 'Abono verificado FLUJO11' },
+  });
+  if (!approved.res.ok) throw new Error('Aprobación desde extracto falló');
+  assertEstado('Línea aprobada', approved.data.data.line.estado, 'aprobado');
+  assertEstado('Pago validado', approved.data.data.movement.estado, 'validado');
+  assertEstado('Subasta finalizada', approved.data.data.auction_updated.estado, 'finalizada');
+
+  // Paso 6: Descartar el abono desconocido
+  const discarded = await req(`/bank-statements/lines/${sinCoincidencia.id}/discard`, {
+    method: 'PATCH',
+    headers: adminHeaders,
+    body: { motivo: 'Depósito ajeno a subastas' },
+  });
+  if (!discarded.res.ok) throw new Error('Descartar línea falló');
+  assertEstado('Línea descartada', discarded.data.data.line.estado, 'descartado');
+
+  const notProposed = await req(`/bank-statements/lines/${sinCoincidencia.id}/approve`, {
+    method: 'PATCH',
+    headers: adminHeaders,
+    body: {},
+  });
+  assertEstado('Código línea no propuesta', notProposed.data?.error?.code, 'STATEMENT_LINE_NOT_PROPOSED');
+
+  // Paso 7: MT940 del mismo día con el mismo abono → duplicado
+  const mt940 = [
+    `:20:FLOW11${operacion}`,
+    ':25:00219300000000000000',
+    ':28C:00001/001',
+    `:60F:C${hoy.mt940}USD10000,00`,
+    `:61:${hoy.mt940}C${garantia.toFixed(2).replace('.', ',')}NTRF00${operacion}//BCP0001`,
+    `:86:TRANSF. DE ${cuentaOrigen} MARCO CONCILIADO`,
+    `:62F:C${hoy.mt940}USD10800,00`,
+    '-}',
+  ].join('\n');
+  const mtImport = await importStatement(adminHeaders, mt940, `mt940-${operacion}.sta`);
+  assertEstado('Formato MT940', mtImport.data.statement.formato, 'mt940');
+  assertEstado('Abono ya importado', mtImport.data.statement.total_duplicados, 1);
+  assertEstado('Sin líneas nuevas', mtImport.data.lines.length, 0);
+
+  console.log('\n✅ FLUJO 11 completado. El abono del extracto se concilió con el pago pendiente y el desconocido quedó descartado.');
+}
+
+if (require.main === module) {
+  run().catch((e) => {
+    console.error('❌ Error FLUJO 11:', e);
+    process.exit(1);
+  });
+}
+
+module.exports = { run };
@@ -0,0 +1,290 @@
+/**
+ * FLUJO 12: Cola de validación de pagos con asignación entre admins (cliente limpio)
+ * Requiere API en http://localhost:3000 y Node 18+ (fetch/FormData/Blob nativos)
+ *
+ * Escenario:
+ * - Admin crea subasta Kia Sportage 2022 y registra a Rosa como ganadora con plazo de pago en 3 horas (oferta 15000, garantía 1200)
+ * - Rosa registra su transferencia: el pago aparece en la cola sin asignar con riesgo 'critico'
+ * - Un segundo admin (rol treasurer) toma el pago: el superadmin ya no puede tomarlo ni aprobarlo (409 PAYMENT_CLAIMED)
+ * - El superadmin (payments:assign) se lo reasigna: ahora el treasurer recibe 409 al aprobar y 403 al liberar
+ * - El superadmin lo libera, el treasurer lo vuelve a tomar y lo aprueba: el pago sale de la cola
+ * - Tomar un pago ya validado → 409 PAYMENT_NOT_IN_QUEUE; el reporte diario incluye validacion_pagos
+ */
+
+const API_BASE = 'http://localhost:3000';
+// Credenciales admin del seed de desarrollo (sobrescribibles por entorno)
+const ADMIN_EMAIL = process.env.TEST_ADMIN_EMAIL || 'admin@bobsubastas.com';
+const ADMIN_PASSWORD = process.env.TEST_ADMIN_PASSWORD || 'BobAdmin2024';
+
+async function req(endpoint, opts = {}) {
+  const url = `${API_BASE}${endpoint}`;
+  const { method = 'GET', headers = {}, body } = opts;
+  const finalHeaders = { ...headers };
+  const isForm = (typeof FormData !== 'undefined') && (body instanceof FormData);
+  if (body && !isForm && !finalHeaders['Content-Type']) finalHeaders['Content-Type'] = 'application/json';
+
+  const res = await fetch(url, {
+    method,
+    headers: finalHeaders,
+    body: body && !isForm ? JSON.stringify(body) : body,
+  });
+
+  let data = null;
+  try { data = await res.json(); } catch (_) {}
+  console.log(`\n${method} ${endpoint}`);
+  console.log(`Status: ${res.status} ${res.statusText}`);
+  if (data) console.log('Response:', JSON.stringify(data, null, 2));
+  return { res, data };
+}
+
+function approx2(n) { return Number(Number(n).toFixed(2)); }
+function assertEq(label, a, b) {
+  if (a !== b) {
+    throw new Error(`[ASSERT] ${label} esperado=${b} obtenido=${a}`);
+  }
+}
+
+// Login de cliente en dos pasos (requiere servidor con AUTH_EXPOSE_OTP=true fuera de producción)
+async function clientLoginWithCode(document_type, document_number) {
+  const step1 = await req('/auth/client-login', {
+    method: 'POST',
+    body: { document_type, document_number },
+  });
+  if (!step1.res.ok || !step1.data?.success) return step1;
+  const { challenge_id, dev_code } = step1.data.data.challenge;
+  if (!dev_code) throw new Error('Código OTP no expuesto: iniciar servidor con AUTH_EXPOSE_OTP=true');
+  return req('/auth/client-login/verify', {
+    method: 'POST',
+    body: { challenge_id, code: dev_code },
+  });
+}
+
+async function loginAdmin(email = ADMIN_EMAIL, password = ADMIN_PASSWORD) {
+  const { res, data } = await req('/auth/admin-login', { method: 'POST', body: { email, password } });
+  if (!res.ok || !data?.success) throw new Error(`Login admin falló (${email})`);
+  return { headers: { 'X-Session-ID': data.data.session.session_id }, user: data.data.user };
+}
+
+function randDigits(n) {
+  let s = '';
+  for (let i = 0; i < n; i++) s += Math.floor(Math.random() * 10);
+  return s;
+}
+
+async function ensureCleanClientRosa() {
+  // Crea cliente limpio "Rosa" para garantizar saldos iniciales en 0
+  const { PrismaClient } = require('@prisma/client');
+  const prisma = new PrismaClient();
+  const ruc = '20' + randDigits(9); // 11 dígitos válidos
+  const email = `flow12.${Math.random().toString(36).slice(2,8)}@test.local`;
+  let user;
+  try {
+    user = await prisma.user.create({
+      data: {
+        first_name: 'Rosa',
+        last_name: 'Encolada',
+        email,
+        phone_number: '+519' + randDigits(8),
+        document_type: 'RUC',
+        document_number: ruc,
+        user_type: 'client',
+        saldo_total: 0,
+        saldo_retenido: 0,
+      },
+      select: { id: true, document_type: true, document_number: true },
+    });
+  } finally {
+    await prisma.$disconnect();
+  }
+
+  const { res, data } = await clientLoginWithCode(user.document_type, user.document_number);
+  if (!res.ok || !data?.success) throw new Error('Login cliente (Rosa) falló');
+
+  return {
+    headers: { 'X-Session-ID': data.data.session.session_id },
+    user: data.data.user,
+  };
+}
+
+async function ensureTreasurerAdmin() {
+  // Segundo admin con rol treasurer (payments:approve sin payments:assign)
+  const { PrismaClient } = require('@prisma/client');
+  const { securityHelpers } = require('../utils');
+  const prisma = new PrismaClient();
+  const email = `flow12.tesoreria.${Math.random().toString(36).slice(2,8)}@test.local`;
+  const password = `Tesoreria-${randDigits(6)}`;
+  try {
+    const role = await prisma.role.findUnique({ where: { name: 'treasurer' } });
+    if (!role) throw new Error('Rol treasurer no existe: ejecutar el seed');
+    await prisma.user.create({
+      data: {
+        first_name: 'Tesorería',
+        last_name: 'Flujo12',
+        email,
+        phone_number: '+519' + randDigits(8),
+        document_type: null,
+        document_number: `ADM${randDigits(8)}`,
+        user_type: 'admin',
+        role_id: role.id,
+        password_hash: await securityHelpers.hashPassword(password),
+        password_updated_at: new Date(),
+      },
+    });
+  } finally {
+    await prisma.$disconnect();
+  }
+  return loginAdmin(email, password);
+}
+
+function uniquePlateCOL() {
+  // Prefijo "COL-" para caso de COLa de validación, evitar duplicados con sufijo aleatorio
+  return `COL-${Math.random().toString(36).slice(2,7).toUpperCase()}`;
+}
+
+async function createAuction(adminHeaders, asset) {
+  const payload = { asset };
+  const { res, data } = await req('/auctions', { method: 'POST', headers: adminHeaders, body: payload });
+  if (!res.ok) throw new Error('Crear subasta falló');
+  return { id: data.data.auction.id };
+}
+
+async function setWinner(adminHeaders, auctionId, userId, montoOferta, fechaLimitePagoISO) {
+  const payload = { user_id: userId, monto_oferta: montoOferta, fecha_limite_pago: fechaLimitePagoISO };
+  const { res } = await req(`/auctions/${auctionId}/winner`, { method: 'POST', headers: adminHeaders, body: payload });
+  if (!res.ok) throw new Error('Registrar ganador falló');
+}
+
+async function registerGuaranteePayment(clientHeaders, auctionId, amount) {
+  const form = new FormData();
+  form.append('auction_id', auctionId);
+  form.append('monto', String(approx2(amount)));
+  form.append('tipo_pago', 'transferencia');
+  form.append('numero_cuenta_origen', '1234567890');
+  form.append('numero_operacion', `OP-${Math.random().toString(36).slice(2,8).toUpperCase()}`);
+  form.append('fecha_pago', new Date().toISOString());
+  form.append('moneda', 'USD');
+  form.append('concepto', 'Pago garantía FLUJO12');
+
+  const b64Png1x1 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR4nGMAAQAABQABDQottAAAAABJRU5ErkJggg==';
+  const bin = Buffer.from(b64Png1x1, 'base64');
+  form.append('voucher', new Blob([bin], { type: 'image/png' }), 'voucher.png');
+
+  const { res, data } = await req('/movements', { method: 'POST', headers: clientHeaders, body: form });
+  if (!res.ok) throw new Error('Registro de pago falló');
+  return data.data.movement.id;
+}
+
+async function findInQueue(adminHeaders, movementId, query = '') {
+  const { res, data } = await req(`/movements/validation-queue?limit=100${query}`, { headers: adminHeaders });
+  if (!res.ok) throw new Error('Consultar cola de validación falló');
+  return data.data.items.find((item) => item.movement.id === movementId) || null;
+}
+
+async function queueAction(adminHeaders, movementId, action, body) {
+  return req(`/movements/${movementId}/${action}`, { method: 'PATCH', headers: adminHeaders, body: body || {} });
+}
+
+async function approve(adminHeaders, movementId) {
+  return req(`/movements/${movementId}/approve`, {
+    method: 'PATCH',
+    headers: adminHeaders,
+    body: { comentarios: 'Verificado FLUJO12' },
+  });
+}
+
+async function run() {
+  console.log('🚀 Iniciando FLUJO 12 - Cola de validación de pagos (cliente limpio)');
+
+  // Health
+  await req('/');
+
+  // Logins: superadmin del seed (payments:assign vía '*') y un treasurer nuevo
+  const superadmin = await loginAdmin();
+  const treasurer = await ensureTreasurerAdmin();
+  const clientCtx = await ensureCleanClientRosa();
+
+  // Paso 1: subasta con plazo de pago en 3 horas (riesgo crítico)
+  const { id: auctionId } = await createAuction(superadmin.headers, {
+    placa: uniquePlateCOL(),
+    empresa_propietaria: 'EMPRESA COL S.A.',
+    marca: 'Kia',
+    modelo: 'Sportage',
+    año: 2022,
+    descripcion: 'FLUJO12 - Kia Sportage 2022',
+  });
+  const oferta = 15000.00;
+  const garantia = approx2(oferta * 0.08); // 1200
+  await setWinner(superadmin.headers, auctionId, clientCtx.user.id, oferta, new Date(Date.now() + 3 * 60 * 60 * 1000).toISOString());
+
+  // Paso 2: pago registrado → en cola, sin asignar, riesgo crítico
+  const movementId = await registerGuaranteePayment(clientCtx.headers, auctionId, garantia);
+  const queued = await findInQueue(superadmin.headers, movementId, '&asignado=none');
+  if (!queued) throw new Error('[ASSERT] El pago registrado no aparece en la cola sin asignar');
+  assertEq('Riesgo con plazo en 3 horas', queued.riesgo, 'critico');
+  assertEq('Recién registrado dentro del SLA', queued.sla_vencido, false);
+
+  // Paso 3: treasurer toma el pago; el superadmin ya no puede tomarlo ni aprobarlo
+  const claim = await queueAction(treasurer.headers, movementId, 'claim');
+  assertEq('Claim treasurer status', claim.res.status, 200);
+  assertEq('Claim asigna al treasurer', claim.data.data.movement.asignado.admin.id, treasurer.user.id);
+
+  const claimOther = await queueAction(superadmin.headers, movementId, 'claim');
+  assertEq('Claim de otro admin status', claimOther.res.status, 409);
+  assertEq('Claim de otro admin código', claimOther.data.error.code, 'PAYMENT_CLAIMED');
+
+  const approveOther = await approve(superadmin.headers, movementId);
+  assertEq('Aprobar pago tomado por otro status', approveOther.res.status, 409);
+  assertEq('Aprobar pago tomado por otro código', approveOther.data.error.code, 'PAYMENT_CLAIMED');
+
+  const mine = await findInQueue(treasurer.headers, movementId, '&asignado=me');
+  if (!mine) throw new Error('[ASSERT] El pago tomado no aparece con asignado=me');
+
+  // Paso 4: superadmin se lo reasigna (payments:assign); el treasurer no puede aprobar ni liberar
+  const assign = await queueAction(superadmin.headers, movementId, 'assign', { admin_id: superadmin.user.id });
+  assertEq('Assign status', assign.res.status, 200);
+  assertEq('Assign reasigna al superadmin', assign.data.data.movement.asignado.admin.id, superadmin.user.id);
+
+  const approveTreasurer = await approve(treasurer.headers, movementId);
+  assertEq('Treasurer aprueba pago reasignado status', approveTreasurer.res.status, 409);
+
+  const releaseTreasurer = await queueAction(treasurer.headers, movementId, 'release');
+  assertEq('Treasurer libera pago ajeno status', releaseTreasurer.res.status, 403);
+
+  const assignForbidden = await queueAction(treasurer.headers, movementId, 'assign', { admin_id: treasurer.user.id });
+  assertEq('Treasurer sin payments:assign status', assignForbidden.res.status, 403);
+
+  // Paso 5: superadmin libera; treasurer lo toma y aprueba
+  const release = await queueAction(superadmin.headers, movementId, 'release');
+  assertEq('Release status', release.res.status, 200);
+  assertEq('Release deja el pago sin asignar', release.data.data.movement.asignado, null);
+
+  const reclaim = await queueAction(treasurer.headers, movementId, 'claim');
+  assertEq('Nuevo claim treasurer status', reclaim.res.status, 200);
+
+  const approved = await approve(treasurer.headers, movementId);
+  assertEq('Treasurer aprueba su pago status', approved.res.status, 200);
+  assertEq('Subasta finalizada', approved.data.data.auction_updated.estado, 'finalizada');
+
+  // Paso 6: el pago validado sale de la cola
+  if (await findInQueue(superadmin.headers, movementId)) throw new Error('[ASSERT] Pago validado sigue en la cola');
+  const claimValidated = await queueAction(superadmin.headers, movementId, 'claim');
+  assertEq('Claim de pago validado status', claimValidated.res.status, 409);
+  assertEq('Claim de pago validado código', claimValidated.data.error.code, 'PAYMENT_NOT_IN_QUEUE');
+
+  // Paso 7: reporte diario con la sección de SLA de validación
+  const { res: reportRes, data: reportData } = await req('/jobs/daily-report', { headers: superadmin.headers });
+  assertEq('Reporte diario status', reportRes.status, 200);
+  const validacion = reportData.data.report.validacion_pagos;
+  if (!validacion || typeof validacion.sla_vencidos !== 'number') {
+    throw new Error('[ASSERT] Reporte diario sin validacion_pagos');
+  }
+
+  console.log('\n✅ FLUJO 12 completado. La cola ordena por riesgo y solo el admin asignado resuelve el pago.');
+}
+
+if (require.main === module) {
+  run().catch((e) => {
+    console.error('❌ Error FLUJO 12:', e);
+    process.exit(1);
+  });
+}
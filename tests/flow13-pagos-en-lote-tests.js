@@ -0,0 +1,234 @@
+/**
+ * FLUJO 13: Aprobación y rechazo de pagos en lote (cliente limpio)
+ * Requiere API en http://localhost:3000 y Node 18+ (fetch/FormData/Blob nativos)
+ *
+ * Escenario:
+ * - Admin crea tres subastas y registra a Luis como ganador de todas (ofertas 10000, 12500 y 20000)
+ * - Luis registra los tres pagos de garantía (800, 1000 y 1600)
+ * - Lote con un movement_id repetido → 422 sin procesar ninguno
+ * - Lote de aprobación [pago 1, pago 2 con versión desactualizada, id inexistente]:
+ *   el pago 1 queda validado; el 2 falla con RESOURCE_MODIFIED y el inexistente con NOT_FOUND, sin revertir el 1
+ * - Lote de rechazo [pago 2, pago 3, pago 1]: 2 y 3 rechazados; el 1 ya validado falla con INVALID_STATE_TRANSITION
+ * - Saldos: solo el pago aprobado queda retenido
+ */
+
+const API_BASE = 'http://localhost:3000';
+// Credenciales admin del seed de desarrollo (sobrescribibles por entorno)
+const ADMIN_EMAIL = process.env.TEST_ADMIN_EMAIL || 'admin@bobsubastas.com';
+const ADMIN_PASSWORD = process.env.TEST_ADMIN_PASSWORD || 'BobAdmin2024';
+
+async function req(endpoint, opts = {}) {
+  const url = `${API_BASE}${endpoint}`;
+  const { method = 'GET', headers = {}, body } = opts;
+  const finalHeaders = { ...headers };
+  const isForm = (typeof FormData !== 'undefined') && (body instanceof FormData);
+  if (body && !isForm && !finalHeaders['Content-Type']) finalHeaders['Content-Type'] = 'application/json';
+
+  const res = await fetch(url, {
+    method,
+    headers: finalHeaders,
+    body: body && !isForm ? JSON.stringify(body) : body,
+  });
+
+  let data = null;
+  try { data = await res.json(); } catch (_) {}
+  console.log(`\n${method} ${endpoint}`);
+  console.log(`Status: ${res.status} ${res.statusText}`);
+  if (data) console.log('Response:', JSON.stringify(data, null, 2));
+  return { res, data };
+}
+
+function approx2(n) { return Number(Number(n).toFixed(2)); }
+function assertEq(label, a, b) {
+  if (a !== b) {
+    throw new Error(`[ASSERT] ${label} esperado=${b} obtenido=${a}`);
+  }
+}
+
+// Login de cliente en dos pasos (requiere servidor con AUTH_EXPOSE_OTP=true fuera de producción)
+async function clientLoginWithCode(document_type, document_number) {
+  const step1 = await req('/auth/client-login', {
+    method: 'POST',
+    body: { document_type, document_number },
+  });
+  if (!step1.res.ok || !step1.data?.success) return step1;
+  const { challenge_id, dev_code } = step1.data.data.challenge;
+  if (!dev_code) throw new Error('Código OTP no expuesto: iniciar servidor con AUTH_EXPOSE_OTP=true');
+  return req('/auth/client-login/verify', {
+    method: 'POST',
+    body: { challenge_id, code: dev_code },
+  });
+}
+
+async function loginAdmin(email = ADMIN_EMAIL, password = ADMIN_PASSWORD) {
+  const { res, data } = await req('/auth/admin-login', { method: 'POST', body: { email, password } });
+  if (!res.ok || !data?.success) throw new Error(`Login admin falló (${email})`);
+  return { headers: { 'X-Session-ID': data.data.session.session_id }, user: data.data.user };
+}
+
+function randDigits(n) {
+  let s = '';
+  for (let i = 0; i < n; i++) s += Math.floor(Math.random() * 10);
+  return s;
+}
+
+async function ensureCleanClientLuis() {
+  // Crea cliente limpio "Luis" para garantizar saldos iniciales en 0
+  const { PrismaClient } = require('@prisma/client');
+  const prisma = new PrismaClient();
+  const ruc = '20' + randDigits(9); // 11 dígitos válidos
+  const email = `flow13.${Math.random().toString(36).slice(2,8)}@test.local`;
+  let user;
+  try {
+    user = await prisma.user.create({
+      data: {
+        first_name: 'Luis',
+        last_name: 'Lotes',
+        email,
+        phone_number: '+519' + randDigits(8),
+        document_type: 'RUC',
+        document_number: ruc,
+        user_type: 'client',
+        saldo_total: 0,
+        saldo_retenido: 0,
+      },
+      select: { id: true, document_type: true, document_number: true },
+    });
+  } finally {
+    await prisma.$disconnect();
+  }
+
+  const { res, data } = await clientLoginWithCode(user.document_type, user.document_number);
+  if (!res.ok || !data?.success) throw new Error('Login cliente (Luis) falló');
+
+  return {
+    headers: { 'X-Session-ID': data.data.session.session_id },
+    user: data.data.user,
+  };
+}
+
+function uniquePlateLOT() {
+  // Prefijo "LOT-" para caso de LOTes de pagos, evitar duplicados con sufijo aleatorio
+  return `LOT-${Math.random().toString(36).slice(2,7).toUpperCase()}`;
+}
+
+async function createAuction(adminHeaders, asset) {
+  const payload = { asset };
+  const { res, data } = await req('/auctions', { method: 'POST', headers: adminHeaders, body: payload });
+  if (!res.ok) throw new Error('Crear subasta falló');
+  return { id: data.data.auction.id };
+}
+
+async function setWinner(adminHeaders, auctionId, userId, montoOferta, fechaLimitePagoISO) {
+  const payload = { user_id: userId, monto_oferta: montoOferta, fecha_limite_pago: fechaLimitePagoISO };
+  const { res } = await req(`/auctions/${auctionId}/winner`, { method: 'POST', headers: adminHeaders, body: payload });
+  if (!res.ok) throw new Error('Registrar ganador falló');
+}
+
+async function registerGuaranteePayment(clientHeaders, auctionId, amount) {
+  const form = new FormData();
+  form.append('auction_id', auctionId);
+  form.append('monto', String(approx2(amount)));
+  form.append('tipo_pago', 'transferencia');
+  form.append('numero_cuenta_origen', '1234567890');
+  form.append('numero_operacion', `OP-${Math.random().toString(36).slice(2,8).toUpperCase()}`);
+  form.append('fecha_pago', new Date().toISOString());
+  form.append('moneda', 'USD');
+  form.append('concepto', 'Pago garantía FLUJO13');
+
+  const b64Png1x1 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR4nGMAAQAABQABDQottAAAAABJRU5ErkJggg==';
+  const bin = Buffer.from(b64Png1x1, 'base64');
+  form.append('voucher', new Blob([bin], { type: 'image/png' }), 'voucher.png');
+
+  const { res, data } = await req('/movements', { method: 'POST', headers: clientHeaders, body: form });
+  if (!res.ok) throw new Error('Registro de pago falló');
+  return data.data.movement.id;
+}
+
+async function batch(adminHeaders, action, items) {
+  return req(`/movements/batch/${action}`, { method: 'POST', headers: adminHeaders, body: { items } });
+}
+
+function resultOf(data, movementId) {
+  const result = data.data.resultados.find((r) => r.movement_id === movementId);
+  if (!result) throw new Error(`[ASSERT] Sin resultado para ${movementId}`);
+  return result;
+}
+
+async function getBalance(headers, userId) {
+  const { res, data } = await req(`/users/${userId}/balance`, { headers });
+  if (!res.ok || !data?.data?.balance) throw new Error('Get balance falló');
+  return data.data.balance;
+}
+
+async function run() {
+  console.log('🚀 Iniciando FLUJO 13 - Pagos en lote (cliente limpio)');
+
+  // Health
+  await req('/');
+
+  const admin = await loginAdmin();
+  const clientCtx = await ensureCleanClientLuis();
+  const clientId = clientCtx.user.id;
+
+  // Paso 1: tres subastas ganadas por Luis, cada una con su pago pendiente
+  const ofertas = [10000.00, 12500.00, 20000.00];
+  const movements = [];
+  for (const [i, oferta] of ofertas.entries()) {
+    const { id: auctionId } = await createAuction(admin.headers, {
+      placa: uniquePlateLOT(),
+      empresa_propietaria: 'EMPRESA LOT S.A.',
+      marca: 'Hyundai',
+      modelo: 'Tucson',
+      año: 2021,
+      descripcion: `FLUJO13 - Hyundai Tucson 2021 (${i + 1})`,
+    });
+    await setWinner(admin.headers, auctionId, clientId, oferta, new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString());
+    movements.push(await registerGuaranteePayment(clientCtx.headers, auctionId, approx2(oferta * 0.08)));
+  }
+  const [mov1, mov2, mov3] = movements;
+
+  // Paso 2: lote inválido (id repetido) → 422 y ningún pago resuelto
+  const duplicated = await batch(admin.headers, 'approve', [{ movement_id: mov1 }, { movement_id: mov1 }]);
+  assertEq('Lote con id repetido status', duplicated.res.status, 422);
+
+  // Paso 3: aprobación parcial
+  const missingId = 'c' + 'z'.repeat(24);
+  const approved = await batch(admin.headers, 'approve', [
+    { movement_id: mov1, comentarios: 'Lote FLUJO13' },
+    { movement_id: mov2, version: 99 },
+    { movement_id: missingId },
+  ]);
+  assertEq('Lote de aprobación status', approved.res.status, 200);
+  assertEq('Aprobación: exitosos', approved.data.data.resumen.exitosos, 1);
+  assertEq('Aprobación: fallidos', approved.data.data.resumen.fallidos, 2);
+  assertEq('Pago 1 validado', resultOf(approved.data, mov1).movement.estado, 'validado');
+  assertEq('Pago 1 subasta finalizada', resultOf(approved.data, mov1).auction.estado, 'finalizada');
+  assertEq('Pago 2 versión desactualizada', resultOf(approved.data, mov2).error.code, 'RESOURCE_MODIFIED');
+  assertEq('Id inexistente', resultOf(approved.data, missingId).error.code, 'NOT_FOUND');
+
+  // Paso 4: rechazo en lote; el pago ya validado falla sin afectar a los demás
+  const rejected = await batch(admin.headers, 'reject', [
+    { movement_id: mov2, motivos: ['Monto incorrecto'] },
+    { movement_id: mov3, motivos: ['Comprobante ilegible'], comentarios: 'Reenviar fotografía nítida' },
+    { movement_id: mov1, motivos: ['Monto incorrecto'] },
+  ]);
+  assertEq('Lote de rechazo status', rejected.res.status, 200);
+  assertEq('Rechazo: exitosos', rejected.data.data.resumen.exitosos, 2);
+  assertEq('Pago 2 rechazado', resultOf(rejected.data, mov2).movement.estado, 'rechazado');
+  assertEq('Pago 3 rechazado', resultOf(rejected.data, mov3).movement.estado, 'rechazado');
+  assertEq('Pago 1 ya validado', resultOf(rejected.data, mov1).error.code, 'INVALID_STATE_TRANSITION');
+
+  // Paso 5: solo el pago aprobado afecta saldos
+  const balance = await getBalance(clientCtx.headers, clientId);
+  assertEq('Retenido = garantía del pago aprobado', approx2(balance.saldo_retenido), approx2(ofertas[0] * 0.08));
+
+  console.log('\n✅ FLUJO 13 completado. Cada pago del lote se resolvió por separado con su propio resultado.');
+}
+
+if (require.main === module) {
+  run().catch((e) => {
+    console.error('❌ Error FLUJO 13:', e);
+    process.exit(1);
+  });
+}
@@ -17,6 +17,9 @@
  */
 
 const API_BASE = 'http://localhost:3000';
+// Credenciales admin del seed de desarrollo (sobrescribibles por entorno)
+const ADMIN_EMAIL = process.env.TEST_ADMIN_EMAIL || 'admin@bobsubastas.com';
+const ADMIN_PASSWORD = process.env.TEST_ADMIN_PASSWORD || 'BobAdmin2024';
 
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
@@ -91,18 +94,30 @@ function assertFormula(bal) {
   assertEq2('Formula saldo_disponible', bal.saldo_disponible, expected);
 }
 
+// Login de cliente en dos pasos (requiere servidor con AUTH_EXPOSE_OTP=true fuera de producción)
+async function clientLoginWithCode(document_type, document_number) {
+  const step1 = await req('/auth/client-login', {
+    method: 'POST',
+    body: { document_type, document_number },
+  });
+  if (!step1.res.ok || !step1.data?.success) return step1;
+  const { challenge_id, dev_code } = step1.data.data.challenge;
+  if (!dev_code) throw new Error('Código OTP no expuesto: iniciar servidor con AUTH_EXPOSE_OTP=true');
+  return req('/auth/client-login/verify', {
+    method: 'POST',
+    body: { challenge_id, code: dev_code },
+  });
+}
+
 async function loginAdmin() {
-  const { res, data } = await req('/auth/admin-access', { method: 'POST' });
+  const { res, data } = await req('/auth/admin-login', { method: 'POST', body: { email: ADMIN_EMAIL, password: ADMIN_PASSWORD } });
   if (!res.ok || !data?.success) throw new Error('Login admin falló');
   return { sessionId: data.data.session.session_id, user: data.data.user };
 }
 
 // Cliente limpio: Ana (DNI 12345678) del seed
 async function loginClient(docType = 'DNI', docNumber = '12345678') {
-  const { res, data } = await req('/auth/client-login', {
-    method: 'POST',
-    body: { document_type: docType, document_number: docNumber },
-  });
+  const { res, data } = await clientLoginWithCode(docType, docNumber);
   if (!res.ok || !data?.success) throw new Error('Login cliente falló');
   return { sessionId: data.data.session.session_id, user: data.data.user };
 }
@@ -13,6 +13,9 @@
  */
 
 const API_BASE = 'http://localhost:3000';
+// Credenciales admin del seed de desarrollo (sobrescribibles por entorno)
+const ADMIN_EMAIL = process.env.TEST_ADMIN_EMAIL || 'admin@bobsubastas.com';
+const ADMIN_PASSWORD = process.env.TEST_ADMIN_PASSWORD || 'BobAdmin2024';
 
 function delay(ms) { return new Promise(res => setTimeout(res, ms)); }
 
@@ -46,8 +49,23 @@ function assertEq2(label, a, b) {
   }
 }
 
+// Login de cliente en dos pasos (requiere servidor con AUTH_EXPOSE_OTP=true fuera de producción)
+async function clientLoginWithCode(document_type, document_number) {
+  const step1 = await req('/auth/client-login', {
+    method: 'POST',
+    body: { document_type, document_number },
+  });
+  if (!step1.res.ok || !step1.data?.success) return step1;
+  const { challenge_id, dev_code } = step1.data.data.challenge;
+  if (!dev_code) throw new Error('Código OTP no expuesto: iniciar servidor con AUTH_EXPOSE_OTP=true');
+  return req('/auth/client-login/verify', {
+    method: 'POST',
+    body: { challenge_id, code: dev_code },
+  });
+}
+
 async function loginAdmin() {
-  const { res, data } = await req('/auth/admin-access', { method: 'POST' });
+  const { res, data } = await req('/auth/admin-login', { method: 'POST', body: { email: ADMIN_EMAIL, password: ADMIN_PASSWORD } });
   if (!res.ok || !data?.success) throw new Error('Login admin falló');
   return { sessionId: data.data.session.session_id, user: data.data.user };
 }
@@ -85,10 +103,7 @@ async function ensureCleanClient() {
     await prisma.$disconnect();
   }
 
-  const { res, data } = await req('/auth/client-login', {
-    method: 'POST',
-    body: { document_type: user.document_type, document_number: user.document_number },
-  });
+  const { res, data } = await clientLoginWithCode(user.document_type, user.document_number);
   if (!res.ok || !data?.success) throw new Error('Login cliente (Roberto) falló');
 
   return {
@@ -360,11 +375,11 @@ async function run() {
 
   const balAfterRefundB = await getBalance(clientHeaders, clientId);
   assertFormula(balAfterRefundB);
-  // total -1000, retenido -1000 (libera retención de la solicitud), disponible sin cambio respecto a solicitud
+  // total -1000 (refund_paid), retenido sin cambio (la reserva de la solicitud se transfiere), disponible -1000
   assertEq2('Total tras refund B (devolver)', balAfterRefundB.saldo_total, balAfterBillA.saldo_total - garantiaB);
-  assertEq2('Retenido tras refund B (devolver)', balAfterRefundB.saldo_retenido, balAfterBillA.saldo_retenido - garantiaB);
+  assertEq2('Retenido tras refund B (sin cambio)', balAfterRefundB.saldo_retenido, balAfterBillA.saldo_retenido);
   assertEq2('Aplicado tras refund B (devolver)', balAfterRefundB.saldo_aplicado, balAfterBillA.saldo_aplicado);
-  assertEq2('Disponible tras refund B (sin cambio)', balAfterRefundB.saldo_disponible, balAfterBillA.saldo_disponible);
+  assertEq2('Disponible tras refund B (devolver)', balAfterRefundB.saldo_disponible, balAfterBillA.saldo_disponible - garantiaB);
 
   // 6C) Refund C devolver_dinero (504 = 70% restante ya disponible)
   const montoC70 = approx2(garantiaC * 0.70); // 504
@@ -400,8 +415,9 @@ async function run() {
   const balFinal = await getBalance(clientHeaders, clientId);
   assertFormula(balFinal);
   // Efectos esperados finales según escenario
-  // Después de C devolver: total = 1696, retenido = 896, aplicado = 800, disponible = 0
-  // Después de D mantener: total igual (entrada/reembolso excluida del total), retenido 0, aplicado 800, disponible +896
+  // Después de C devolver: total = 1696, retenido = 0, aplicado = 800, disponible = 896
+  // Solicitud D: reserva 896 (retenido 896, disponible 0)
+  // Después de D mantener: total igual (la reserva vuelve a disponible), retenido 0, aplicado 800, disponible 896
   assertEq2('Final Total', balFinal.saldo_total, 1696.00);
   assertEq2('Final Retenido', balFinal.saldo_retenido, 0.00);
   assertEq2('Final Aplicado', balFinal.saldo_aplicado, 800.00);
@@ -0,0 +1,248 @@
+/**
+ * CONTROL DE PROPIEDAD DE RECURSOS (requireOwnership)
+ * Verifica que cada ruta accesible por clientes solo entregue recursos propios
+ * Requiere API en http://localhost:3000 (AUTH_EXPOSE_OTP=true) y Node 18+
+ *
+ * Casos cubiertos:
+ * - /users/:userId/* (won-auctions, can-participate, balance, movements, billings, refunds)
+ * - /movements/:id y /movements/:id/voucher
+ * - /billing/:id y /billing/:id/complete
+ * - /refunds/:id
+ * - Dueño → 2xx, otro cliente → 403 FORBIDDEN, inexistente → 404, admin → 2xx
+ */
+
+const { PrismaClient } = require('@prisma/client');
+
+const API_BASE = 'http://localhost:3000';
+// Credenciales admin del seed de desarrollo (sobrescribibles por entorno)
+const ADMIN_EMAIL = process.env.TEST_ADMIN_EMAIL || 'admin@bobsubastas.com';
+const ADMIN_PASSWORD = process.env.TEST_ADMIN_PASSWORD || 'BobAdmin2024';
+
+const prisma = new PrismaClient();
+
+async function req(endpoint, opts = {}) {
+  const url = `${API_BASE}${endpoint}`;
+  const { method = 'GET', headers = {}, body, redirect = 'follow' } = opts;
+  const finalHeaders = { ...headers };
+  if (body && !finalHeaders['Content-Type']) finalHeaders['Content-Type'] = 'application/json';
+
+  const res = await fetch(url, {
+    method,
+    headers: finalHeaders,
+    body: body ? JSON.stringify(body) : undefined,
+    redirect,
+  });
+
+  let data = null;
+  try { data = await res.json(); } catch (_) {}
+  console.log(`\n${method} ${endpoint}`);
+  console.log(`Status: ${res.status} ${res.statusText}`);
+  if (data && !res.ok) console.log('Error:', JSON.stringify(data, null, 2));
+  return { res, data };
+}
+
+// Login de cliente en dos pasos (requiere servidor con AUTH_EXPOSE_OTP=true fuera de producción)
+async function clientLoginWithCode(document_type, document_number) {
+  const step1 = await req('/auth/client-login', {
+    method: 'POST',
+    body: { document_type, document_number },
+  });
+  if (!step1.res.ok || !step1.data?.success) return step1;
+  const { challenge_id, dev_code } = step1.data.data.challenge;
+  if (!dev_code) throw new Error('Código OTP no expuesto: iniciar servidor con AUTH_EXPOSE_OTP=true');
+  return req('/auth/client-login/verify', {
+    method: 'POST',
+    body: { challenge_id, code: dev_code },
+  });
+}
+
+async function loginAdmin() {
+  const { res, data } = await req('/auth/admin-login', { method: 'POST', body: { email: ADMIN_EMAIL, password: ADMIN_PASSWORD } });
+  if (!res.ok || !data?.success) throw new Error('Login admin falló');
+  return { 'X-Session-ID': data.data.session.session_id };
+}
+
+function randDigits(n) {
+  let s = '';
+  for (let i = 0; i < n; i++) s += Math.floor(Math.random() * 10);
+  return s;
+}
+
+async function createClient(label) {
+  const user = await prisma.user.create({
+    data: {
+      first_name: 'Propiedad',
+      last_name: label,
+      email: `own.${label.toLowerCase()}.${Math.random().toString(36).slice(2, 8)}@test.local`,
+      phone_number: '+519' + randDigits(8),
+      document_type: 'DNI',
+      document_number: randDigits(8),
+      user_type: 'client',
+      saldo_total: 0,
+      saldo_retenido: 0,
+    },
+    select: { id: true, document_type: true, document_number: true },
+  });
+
+  const { res, data } = await clientLoginWithCode(user.document_type, user.document_number);
+  if (!res.ok || !data?.success) throw new Error(`Login cliente ${label} falló`);
+
+  return { id: user.id, headers: { 'X-Session-ID': data.data.session.session_id } };
+}
+
+// Recursos del cliente dueño creados directamente en BD (independiente de los flujos de negocio)
+async function createOwnedResources(ownerId) {
+  const asset = await prisma.asset.create({
+    data: {
+      placa: `OWN-${Math.random().toString(36).slice(2, 7).toUpperCase()}`,
+      empresa_propietaria: 'OWNERSHIP TEST',
+      marca: 'Test',
+      modelo: 'Test',
+      año: 2020,
+    },
+  });
+  const auction = await prisma.auction.create({
+    data: { asset_id: asset.id, estado: 'ganada' },
+  });
+  const movement = await prisma.movement.create({
+    data: {
+      user_id: ownerId,
+      tipo_movimiento_general: 'entrada',
+      tipo_movimiento_especifico: 'pago_garantia',
+      monto: 100,
+      concepto: 'Pago de garantía (prueba de propiedad)',
+      estado: 'pendiente',
+      voucher_url: 'https://example.com/voucher-propiedad.pdf',
+      voucher_sha256: 'a'.repeat(64),
+      voucher_phash: 'f'.repeat(16),
+      voucher_ocr: { estado: 'procesado', campos: { numero_operacion: '123456' } },
+      assigned_to: 'admin-propiedad',
+      assigned_at: new Date(),
+      auction_id_ref: auction.id,
+    },
+  });
+  const billing = await prisma.billing.create({
+    data: {
+      user_id: ownerId,
+      monto: 100,
+      concepto: 'Facturación (prueba de propiedad)',
+      auction_id: auction.id,
+    },
+  });
+  const refund = await prisma.refund.create({
+    data: {
+      user_id: ownerId,
+      auction_id: auction.id,
+      monto_solicitado: 50,
+      motivo: 'Reembolso (prueba de propiedad)',
+    },
+  });
+
+  return { assetId: asset.id, movementId: movement.id, billingId: billing.id, refundId: refund.id };
+}
+
+function expectStatus(res, expected, label) {
+  if (res.status !== expected) {
+    throw new Error(`${label}: se esperaba ${expected} y se obtuvo ${res.status}`);
+  }
+  console.log(`✅ ${label} → ${expected}`);
+}
+
+function expectForbidden({ res, data }, label) {
+  expectStatus(res, 403, label);
+  if (data?.error?.code !== 'FORBIDDEN') {
+    throw new Error(`${label}: código de error esperado FORBIDDEN, obtenido ${data?.error?.code}`);
+  }
+}
+
+async function run() {
+  console.log('=== PREPARACIÓN ===');
+  const adminHeaders = await loginAdmin();
+  const owner = await createClient('Duenio');
+  const intruder = await createClient('Intruso');
+  const resources = await createOwnedResources(owner.id);
+
+  try {
+    console.log('\n=== 1. RUTAS /users/:userId/* ===');
+    const userRoutes = ['won-auctions', 'can-participate', 'balance', 'movements', 'billings', 'refunds'];
+    for (const route of userRoutes) {
+      const path = `/users/${owner.id}/${route}`;
+      expectStatus((await req(path, { headers: owner.headers })).res, 200, `Dueño GET ${route}`);
+      expectForbidden(await req(path, { headers: intruder.headers }), `Otro cliente GET ${route}`);
+      expectStatus((await req(path, { headers: adminHeaders })).res, 200, `Admin GET ${route}`);
+    }
+
+    console.log('\n=== 2. MOVEMENTS ===');
+    const movementPath = `/movements/${resources.movementId}`;
+    const ownerDetail = await req(movementPath, { headers: owner.headers });
+    expectStatus(ownerDetail.res, 200, 'Dueño GET movement');
+    const ownerMovement = ownerDetail.data.data.movement;
+    if ('voucher_url' in ownerMovement) throw new Error('El detalle no debería exponer voucher_url');
+    if (ownerMovement.voucher_path !== `${movementPath}/voucher`) {
+      throw new Error(`voucher_path esperado ${movementPath}/voucher, obtenido ${ownerMovement.voucher_path}`);
+    }
+    console.log('✅ Detalle con voucher_path y sin la referencia del almacenamiento');
+    const hiddenFields = ['voucher_sha256', 'voucher_phash', 'voucher_ocr', 'assigned_to', 'assigned_at'];
+    const leaked = hiddenFields.filter((field) => field in ownerMovement);
+    if (leaked.length) throw new Error(`El detalle del cliente no debería incluir: ${leaked.join(', ')}`);
+    console.log('✅ Detalle del cliente sin campos internos del admin');
+    expectForbidden(await req(movementPath, { headers: intruder.headers }), 'Otro cliente GET movement');
+    const adminDetail = await req(movementPath, { headers: adminHeaders });
+    expectStatus(adminDetail.res, 200, 'Admin GET movement');
+    if (adminDetail.data.data.movement.voucher_sha256 !== 'a'.repeat(64)) {
+      throw new Error('El detalle del admin debería incluir voucher_sha256');
+    }
+    expectStatus(
+      (await req(`${movementPath}/voucher`, { headers: owner.headers, redirect: 'manual' })).res,
+      302,
+      'Dueño descarga voucher'
+    );
+    expectForbidden(
+      await req(`${movementPath}/voucher`, { headers: intruder.headers, redirect: 'manual' }),
+      'Otro cliente descarga voucher'
+    );
+    expectStatus((await req('/movements/movement-inexistente', { headers: intruder.headers })).res, 404, 'Cliente GET movement inexistente');
+
+    console.log('\n=== 3. BILLING ===');
+    const billingPath = `/billing/${resources.billingId}`;
+    expectStatus((await req(billingPath, { headers: owner.headers })).res, 200, 'Dueño GET billing');
+    expectForbidden(await req(billingPath, { headers: intruder.headers }), 'Otro cliente GET billing');
+    expectStatus((await req(billingPath, { headers: adminHeaders })).res, 200, 'Admin GET billing');
+    expectForbidden(
+      await req(`${billingPath}/complete`, {
+        method: 'PATCH',
+        headers: intruder.headers,
+        body: { billing_document_type: 'DNI', billing_document_number: randDigits(8), billing_name: 'Intruso' },
+      }),
+      'Otro cliente completa billing'
+    );
+    const untouched = await prisma.billing.findUnique({ where: { id: resources.billingId } });
+    if (untouched.billing_name) throw new Error('Billing ajeno no debería modificarse');
+    console.log('✅ Billing ajeno sin cambios');
+    expectStatus((await req('/billing/billing-inexistente', { headers: intruder.headers })).res, 404, 'Cliente GET billing inexistente');
+
+    console.log('\n=== 4. REFUNDS ===');
+    const refundPath = `/refunds/${resources.refundId}`;
+    expectStatus((await req(refundPath, { headers: owner.headers })).res, 200, 'Dueño GET refund');
+    expectForbidden(await req(refundPath, { headers: intruder.headers }), 'Otro cliente GET refund');
+    expectStatus((await req(refundPath, { headers: adminHeaders })).res, 200, 'Admin GET refund');
+    expectStatus((await req('/refunds/refund-inexistente', { headers: intruder.headers })).res, 404, 'Cliente GET refund inexistente');
+
+    console.log('\n✅ CONTROL DE PROPIEDAD completado. Todas las rutas de cliente validan recursos propios.');
+  } finally {
+    // Limpieza: usuarios y subasta (cascada a movements, billings y refunds)
+    await prisma.asset.delete({ where: { id: resources.assetId } }).catch(() => {});
+    await prisma.user.deleteMany({ where: { id: { in: [owner.id, intruder.id] } } }).catch(() => {});
+  }
+}
+
+if (require.main === module) {
+  run()
+    .catch((e) => {
+      console.error('❌ Error Propiedad:', e);
+      process.exitCode = 1;
+    })
+    .finally(() => prisma.$disconnect());
+}
+
+module.exports = { run };
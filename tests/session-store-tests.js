@@ -0,0 +1,254 @@
+/**
+ * Pruebas de stores de sesión (memory y redis) y gestión de sesiones sin servidor
+ * Ejecutar: node tests/session-store-tests.js
+ * El store Redis se prueba contra un stand-in en memoria con la misma API de comandos (ioredis)
+ */
+const { MemorySessionStore, RedisSessionStore } = require('../config/sessionStore');
+
+class FakeRedis {
+  constructor() {
+    this.data = new Map(); // key -> { value, expiresAt }
+    this.sets = new Map();
+  }
+
+  _alive(key) {
+    const entry = this.data.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && Date.now() > entry.expiresAt) {
+      this.data.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async get(key) {
+    const entry = this._alive(key);
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, mode, ttl, condition) {
+    if (condition === 'XX' && !this._alive(key)) return null;
+    const expiresAt = mode === 'PX' ? Date.now() + Number(ttl) : null;
+    this.data.set(key, { value: String(value), expiresAt });
+    return 'OK';
+  }
+
+  async del(key) {
+    return this.data.delete(key) ? 1 : 0;
+  }
+
+  async sadd(key, member) {
+    if (!this.sets.has(key)) this.sets.set(key, new Set());
+    const set = this.sets.get(key);
+    const had = set.has(member);
+    set.add(member);
+    return had ? 0 : 1;
+  }
+
+  async srem(key, member) {
+    const set = this.sets.get(key);
+    return set && set.delete(member) ? 1 : 0;
+  }
+
+  async smembers(key) {
+    return Array.from(this.sets.get(key) || []);
+  }
+}
+
+function assertEq2(actual, expected, msg) {
+  if (actual !== expected) {
+    throw new Error(`${msg} | esperado=${expected} actual=${actual}`);
+  }
+  console.log(`✔ ${msg}`);
+}
+
+function delay(ms){ return new Promise(r => setTimeout(r, ms)); }
+
+function buildSession(id, userType, ttlMs) {
+  const now = Date.now();
+  return {
+    id,
+    handle: `h-${id}`,
+    user: { id: `user-${id}`, email: `${id}@test.com`, user_type: userType },
+    createdAt: now,
+    expiresAt: now + ttlMs,
+    lastAccess: now,
+  };
+}
+
+async function runStoreSuite(label, store) {
+  console.log(`\n=== Store ${label} ===`);
+
+  await store.set(buildSession('s1', 'admin', 60000));
+  await store.set(buildSession('s2', 'client', 60000));
+  await store.set(buildSession('s3', 'client', 30));
+
+  const s1 = await store.get('s1');
+  assertEq2(s1?.user?.email, 's1@test.com', `${label}: get devuelve la sesión guardada`);
+  assertEq2(await store.get('no-existe'), null, `${label}: get de sesión inexistente es null`);
+
+  const newExpiry = Date.now() + 120000;
+  assertEq2(await store.touch('s1', { lastAccess: 123, expiresAt: newExpiry }), true, `${label}: touch sobre sesión existente`);
+  const touched = await store.get('s1');
+  assertEq2(touched.expiresAt, newExpiry, `${label}: touch persiste expiresAt`);
+  assertEq2(touched.lastAccess, 123, `${label}: touch persiste lastAccess`);
+
+  assertEq2((await store.all()).length, 3, `${label}: all lista todas las sesiones`);
+
+  await delay(60);
+  const removed = await store.sweepExpired(Date.now());
+  assertEq2(removed, 1, `${label}: sweepExpired elimina solo la sesión vencida`);
+  assertEq2((await store.all()).length, 2, `${label}: quedan 2 sesiones tras la limpieza`);
+
+  assertEq2(await store.destroy('s2'), true, `${label}: destroy elimina sesión existente`);
+  assertEq2(await store.destroy('s2'), false, `${label}: destroy repetido devuelve false`);
+  assertEq2(await store.get('s2'), null, `${label}: sesión destruida ya no se obtiene`);
+
+  assertEq2((await store.findByHandle('h-s1'))?.id, 's1', `${label}: findByHandle resuelve por identificador público`);
+  assertEq2(await store.findByHandle('h-s2'), null, `${label}: findByHandle no encuentra sesiones destruidas`);
+
+  const twin = { ...buildSession('s4', 'admin', 60000), user: { id: 'user-s1', email: 's1@test.com', user_type: 'admin' } };
+  await store.set(twin);
+  assertEq2((await store.list({ userId: 'user-s1' })).length, 2, `${label}: list filtra por usuario`);
+  assertEq2((await store.list({ userType: 'client' })).length, 0, `${label}: list filtra por tipo`);
+  assertEq2(await store.destroyByUser('user-s1', { exceptSessionId: 's4' }), 1, `${label}: destroyByUser respeta la sesión exceptuada`);
+  assertEq2((await store.list({ userId: 'user-s1' }))[0]?.id, 's4', `${label}: queda solo la sesión exceptuada`);
+  assertEq2(await store.findByHandle('h-s1'), null, `${label}: destroyByUser también invalida el handle`);
+}
+
+async function runMemoryIndexes() {
+  console.log('\n=== Índices del store en memoria ===');
+  const store = new MemorySessionStore();
+  await store.set(buildSession('m1', 'admin', 60000));
+  await store.set({ ...buildSession('m1', 'admin', 60000), handle: 'h-m1-nuevo' });
+  assertEq2(await store.findByHandle('h-m1'), null, 'reemplazar la sesión retira su handle anterior');
+  assertEq2((await store.findByHandle('h-m1-nuevo'))?.id, 'm1', 'el handle nuevo queda indexado');
+  assertEq2((await store.list({ userId: 'user-m1' })).length, 1, 'reemplazar la sesión no la duplica en el índice de usuario');
+
+  await store.set(buildSession('m2', 'client', 30));
+  await delay(60);
+  await store.sweepExpired(Date.now());
+  assertEq2(store.idsByUser.has('user-m2'), false, 'sweepExpired limpia el índice de usuario');
+  assertEq2(store.idsByHandle.has('h-m2'), false, 'sweepExpired limpia el índice de handle');
+  await store.destroy('m1');
+  assertEq2(store.idsByUser.size + store.idsByHandle.size, 0, 'destroy deja los índices vacíos');
+}
+
+async function runAuthIntegration() {
+  console.log('\n=== middleware/auth con store Redis (stand-in) ===');
+  const auth = require('../middleware/auth');
+  auth.setSessionStore(new RedisSessionStore(new FakeRedis()));
+
+  const { session_id } = await auth.createSession({ id: 'u-admin', email: 'admin@test.com', user_type: 'admin' }, 1);
+  await auth.createSession({ id: 'u-client', email: 'client@test.com', user_type: 'client' }, 1);
+
+  const session = await auth.getSession(session_id);
+  assertEq2(session?.user?.id, 'u-admin', 'getSession resuelve desde el store configurado');
+
+  const stats = await auth.getSessionStats();
+  assertEq2(stats.total, 2, 'getSessionStats cuenta sesiones activas');
+  assertEq2(stats.admin, 1, 'getSessionStats cuenta admins');
+  assertEq2(stats.client, 1, 'getSessionStats cuenta clientes');
+
+  const req = { session };
+  await new Promise((resolve) => auth.renewSession(req, {}, resolve));
+  const renewed = await auth.getSession(session_id);
+  assertEq2(renewed.expiresAt, req.session.expiresAt, 'renewSession persiste la nueva expiración');
+
+  assertEq2(await auth.destroySession(session_id), true, 'destroySession elimina del store');
+  assertEq2(await auth.getSession(session_id), null, 'sesión destruida no se resuelve');
+}
+
+async function runRedisTouchRace() {
+  console.log('\n=== Store redis: touch concurrente con destroy ===');
+  const client = new FakeRedis();
+  const store = new RedisSessionStore(client);
+  await store.set(buildSession('race', 'client', 60000));
+
+  // La sesión se elimina entre la lectura y la escritura de touch (revocación durante una petición)
+  const get = client.get.bind(client);
+  client.get = async (key) => {
+    client.get = get;
+    const value = await get(key);
+    await store.destroy('race');
+    return value;
+  };
+  assertEq2(await store.touch('race', { lastAccess: Date.now() }), false, 'touch no reescribe una sesión eliminada en paralelo');
+  assertEq2(await store.get('race'), null, 'la sesión revocada sigue eliminada');
+}
+
+async function runSessionManagement(label, store) {
+  console.log(`\n=== Gestión de sesiones (listar / revocar) - store ${label} ===`);
+  const auth = require('../middleware/auth');
+  const sessionService = require('../services/sessionService');
+  auth.setSessionStore(store);
+
+  const client = { id: 'u-client', email: 'client@test.com', user_type: 'client' };
+  const other = { id: 'u-other', email: 'other@test.com', user_type: 'client' };
+  const admin = { id: 'u-admin', email: 'admin@test.com', user_type: 'admin' };
+  const device = { ip: '10.0.0.1', userAgent: 'Mozilla/5.0 (Test)' };
+
+  const current = await auth.createSession(client, 1, device);
+  await auth.createSession(client, 1, { ip: '10.0.0.2', userAgent: 'Mobile' });
+  const foreign = await auth.createSession(other, 1, device);
+  const adminSession = await auth.createSession(admin, 1);
+
+  const own = await sessionService.listOwnSessions(client.id, current.session_id);
+  assertEq2(own.length, 2, 'listOwnSessions devuelve solo sesiones del usuario');
+  assertEq2(own.filter((s) => s.current).length, 1, 'listOwnSessions marca la sesión actual');
+  assertEq2(own.some((s) => s.id === current.session_id), false, 'el listado no expone el session_id');
+  assertEq2(own.find((s) => s.current).ip, '10.0.0.1', 'la sesión guarda IP de origen');
+  assertEq2(own.find((s) => s.current).user_agent, 'Mozilla/5.0 (Test)', 'la sesión guarda user agent');
+
+  const currentHandle = own.find((s) => s.current).id;
+  const otherHandle = own.find((s) => !s.current).id;
+  const foreignHandle = auth.getSessionHandle(foreign.session_id);
+
+  const rejectsWith = async (promise, statusCode, msg) => {
+    try {
+      await promise;
+    } catch (error) {
+      return assertEq2(error.statusCode, statusCode, msg);
+    }
+    throw new Error(`${msg} | se esperaba error ${statusCode}`);
+  };
+  await rejectsWith(sessionService.revokeOwnSession(client, foreignHandle, current.session_id), 404, 'cliente no puede cerrar sesiones ajenas');
+  await rejectsWith(sessionService.revokeOwnSession(client, currentHandle, current.session_id), 422, 'la sesión actual se cierra con logout');
+
+  await sessionService.revokeOwnSession(client, otherHandle, current.session_id);
+  assertEq2((await sessionService.listOwnSessions(client.id, current.session_id)).length, 1, 'revokeOwnSession cierra la otra sesión');
+
+  const { sessions, pagination } = await sessionService.listSessions({ user_type: 'client', page: 1, limit: 10 });
+  assertEq2(pagination.total, 2, 'listSessions filtra por tipo de usuario');
+  assertEq2(sessions.every((s) => s.user.user_type === 'client'), true, 'listSessions devuelve solo clientes');
+
+  await sessionService.revokeSession(foreignHandle, admin);
+  assertEq2(await auth.getSession(foreign.session_id), null, 'admin revoca una sesión por id público');
+
+  await auth.createSession(client, 1, device);
+  const { revoked } = await sessionService.revokeUserSessions(client.id, admin, adminSession.session_id);
+  assertEq2(revoked, 2, 'admin revoca todas las sesiones de un usuario');
+  assertEq2((await auth.listActiveSessions({ userId: client.id })).length, 0, 'el usuario queda sin sesiones');
+  assertEq2((await auth.getSession(adminSession.session_id))?.user?.id, admin.id, 'la sesión del admin sigue activa');
+}
+
+async function run() {
+  console.log('🚀 Pruebas de stores de sesión');
+  await runStoreSuite('memory', new MemorySessionStore());
+  await runStoreSuite('redis', new RedisSessionStore(new FakeRedis()));
+  await runMemoryIndexes();
+  await runAuthIntegration();
+  await runRedisTouchRace();
+  await runSessionManagement('memory', new MemorySessionStore());
+  await runSessionManagement('redis', new RedisSessionStore(new FakeRedis()));
+  console.log('\n✅ Stores de sesión verificados correctamente');
+}
+
+if (require.main === module) {
+  run().catch((e) => {
+    console.error('❌ Error stores de sesión:', e);
+    process.exit(1);
+  });
+}
+
+module.exports = { run, FakeRedis };
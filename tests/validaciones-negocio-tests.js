@@ -12,6 +12,9 @@
  */
 
 const API_BASE = 'http://localhost:3000';
+// Credenciales admin del seed de desarrollo (sobrescribibles por entorno)
+const ADMIN_EMAIL = process.env.TEST_ADMIN_EMAIL || 'admin@bobsubastas.com';
+const ADMIN_PASSWORD = process.env.TEST_ADMIN_PASSWORD || 'BobAdmin2024';
 
 function delay(ms) { return new Promise(res => setTimeout(res, ms)); }
 
@@ -38,10 +41,25 @@ async function req(endpoint, opts = {}) {
 
 function approx2(n) { return Number(Number(n).toFixed(2)); }
 
+// Login de cliente en dos pasos (requiere servidor con AUTH_EXPOSE_OTP=true fuera de producción)
+async function clientLoginWithCode(document_type, document_number) {
+  const step1 = await req('/auth/client-login', {
+    method: 'POST',
+    body: { document_type, document_number },
+  });
+  if (!step1.res.ok || !step1.data?.success) return step1;
+  const { challenge_id, dev_code } = step1.data.data.challenge;
+  if (!dev_code) throw new Error('Código OTP no expuesto: iniciar servidor con AUTH_EXPOSE_OTP=true');
+  return req('/auth/client-login/verify', {
+    method: 'POST',
+    body: { challenge_id, code: dev_code },
+  });
+}
+
 async function loginAdmin() {
-  const { res, data } = await req('/auth/admin-access', { method: 'POST' });
+  const { res, data } = await req('/auth/admin-login', { method: 'POST', body: { email: ADMIN_EMAIL, password: ADMIN_PASSWORD } });
   if (!res.ok || !data?.success) throw new Error('Login admin falló');
-  return { sessionId: data.data.session.session_id, user: data.data.user };
+  return { sessionId: data.data.session.session_id, user: data.data.user, permissions: data.data.permissions };
 }
 
 function randDigits(n) {
@@ -75,10 +93,7 @@ async function ensureCleanClient() {
     await prisma.$disconnect();
   }
 
-  const { res, data } = await req('/auth/client-login', {
-    method: 'POST',
-    body: { document_type: user.document_type, document_number: user.document_number },
-  });
+  const { res, data } = await clientLoginWithCode(user.document_type, user.document_number);
   if (!res.ok || !data?.success) throw new Error('Login cliente limpio falló');
 
   return {
@@ -330,6 +345,28 @@ async function run() {
   if (badAuctionState.status !== 409) throw new Error('Debería fallar con estado incorrecto');
   console.log('✅ Resultado en estado incorrecto → 409 Conflict');
 
+  // 6.2 Aprobar nuevamente un pago ya validado (validado no admite transiciones)
+  const { res: reApprove, data: reApproveData } = await req(`/movements/${movement2Id}/approve`, {
+    method: 'PATCH',
+    headers: adminHeaders,
+    body: { comentarios: 'Segunda aprobación' }
+  });
+  if (reApprove.status !== 409 || reApproveData?.error?.code !== 'INVALID_STATE_TRANSITION') {
+    throw new Error('Aprobar un pago ya validado debería fallar con INVALID_STATE_TRANSITION');
+  }
+  console.log('✅ Re-aprobación de pago → 409 INVALID_STATE_TRANSITION');
+
+  // 6.3 Registrar otro resultado sobre subasta ya resuelta (penalizada es estado final)
+  const { res: reResult, data: reResultData } = await req(`/auctions/${auction2}/competition-result`, {
+    method: 'PATCH',
+    headers: adminHeaders,
+    body: { resultado: 'ganada', observaciones: 'Cambio de resultado' }
+  });
+  if (reResult.status !== 409 || reResultData?.error?.code !== 'INVALID_STATE_TRANSITION') {
+    throw new Error('Cambiar resultado de subasta resuelta debería fallar con INVALID_STATE_TRANSITION');
+  }
+  console.log('✅ Resultado sobre subasta resuelta → 409 INVALID_STATE_TRANSITION');
+
   console.log('\n=== 7. VALIDACIONES DE BILLING ===');
 
   // Crear subasta ganada válida para billing
@@ -397,6 +434,59 @@ async function run() {
   if (userNotFound.status !== 404) throw new Error('Debería fallar con usuario inexistente');
   console.log('✅ Usuario inexistente → 404 Not Found');
 
+  // 10.3 Login admin con contraseña incorrecta (un solo intento, no alcanza el bloqueo)
+  const { res: badPass, data: badPassData } = await req('/auth/admin-login', {
+    method: 'POST',
+    body: { email: ADMIN_EMAIL, password: 'incorrecta-123' }
+  });
+  if (badPass.status !== 401 || badPassData?.error?.code !== 'INVALID_CREDENTIALS') {
+    throw new Error('Debería fallar con credenciales inválidas');
+  }
+  console.log('✅ Contraseña admin incorrecta → 401 INVALID_CREDENTIALS');
+
+  // 10.4 Endpoint legacy de acceso admin sin credenciales ya no existe
+  const { res: legacyAccess } = await req('/auth/admin-access', { method: 'POST' });
+  if (legacyAccess.status !== 404) throw new Error('admin-access no debería estar disponible');
+  console.log('✅ POST /auth/admin-access eliminado → 404');
+
+  // Reautenticar admin para resetear el contador de intentos fallidos
+  await loginAdmin();
+
+  // 10.5 Login cliente en dos pasos: el paso 1 no entrega sesión
+  const { data: otpStep1 } = await req('/auth/client-login', {
+    method: 'POST',
+    body: { document_type: clientCtx.user.document_type, document_number: clientCtx.user.document_number }
+  });
+  const otpChallenge = otpStep1?.data?.challenge;
+  if (!otpChallenge?.challenge_id || otpStep1?.data?.session) {
+    throw new Error('client-login debería devolver solo un challenge, sin sesión');
+  }
+  console.log('✅ client-login → challenge sin sesión');
+
+  // 10.6 Código incorrecto
+  const wrongCode = otpChallenge.dev_code === '000000' ? '111111' : '000000';
+  const { res: badCode, data: badCodeData } = await req('/auth/client-login/verify', {
+    method: 'POST',
+    body: { challenge_id: otpChallenge.challenge_id, code: wrongCode }
+  });
+  if (badCode.status !== 401 || badCodeData?.error?.code !== 'INVALID_LOGIN_CODE') {
+    throw new Error('Debería fallar con código incorrecto');
+  }
+  console.log('✅ Código OTP incorrecto → 401 INVALID_LOGIN_CODE');
+
+  // 10.7 Código correcto crea sesión y no puede reutilizarse
+  const { res: goodCode } = await req('/auth/client-login/verify', {
+    method: 'POST',
+    body: { challenge_id: otpChallenge.challenge_id, code: otpChallenge.dev_code }
+  });
+  if (goodCode.status !== 200) throw new Error('Código OTP válido debería crear sesión');
+  const { res: reusedCode } = await req('/auth/client-login/verify', {
+    method: 'POST',
+    body: { challenge_id: otpChallenge.challenge_id, code: otpChallenge.dev_code }
+  });
+  if (reusedCode.status !== 401) throw new Error('Código OTP consumido no debería reutilizarse');
+  console.log('✅ Código OTP válido → sesión; reutilización → 401');
+
   console.log('\n=== 11. VALIDACIONES DE ARCHIVOS ===');
 
   // 11.1 Archivo con tipo MIME incorrecto
@@ -471,6 +561,169 @@ async function run() {
   if (clientApprove.status !== 403) throw new Error('Cliente no debería poder aprobar movements');
   console.log('✅ Cliente aprueba movement → 403 Forbidden');
 
+  // 14.3 Cliente intenta gestionar roles (permiso roles:manage)
+  const { res: clientRoles } = await req('/roles', { headers: clientHeaders });
+  if (clientRoles.status !== 403) throw new Error('Cliente no debería poder listar roles');
+  console.log('✅ Cliente lista roles → 403 Forbidden');
+
+  // 14.4 Login admin informa permisos efectivos del rol
+  const adminAccess = await loginAdmin();
+  if (!Array.isArray(adminAccess.permissions) || adminAccess.permissions.length === 0) {
+    throw new Error('Login admin debería incluir permisos del rol');
+  }
+  console.log(`✅ Login admin incluye permisos: ${adminAccess.permissions.join(', ')}`);
+
+  // 14.5 Rol con permiso fuera del catálogo
+  const { res: badRole } = await req('/roles', {
+    method: 'POST',
+    headers: adminHeaders,
+    body: { name: `rol_invalido_${randDigits(6)}`, permissions: ['payments:approve', 'vault:open'] }
+  });
+  if (badRole.status !== 422) throw new Error('Rol con permiso desconocido debería fallar');
+  console.log('✅ Rol con permiso desconocido → 422 Validation Error');
+
+  // 14.6 Cliente intenta consultar la bitácora de auditoría (permiso audit:read)
+  const { res: clientAudit } = await req('/audit', { headers: clientHeaders });
+  if (clientAudit.status !== 403) throw new Error('Cliente no debería consultar auditoría');
+  console.log('✅ Cliente consulta auditoría → 403 Forbidden');
+
+  // 14.7 Filtro de auditoría con acción desconocida
+  const { res: badAuditFilter } = await req('/audit?action=auction.teleport', { headers: adminHeaders });
+  if (badAuditFilter.status !== 422) throw new Error('Filtro de acción desconocida debería fallar');
+  console.log('✅ Filtro de auditoría inválido → 422 Validation Error');
+
+  // 14.8 Cliente intenta exportar máquinas de estado (permiso state_machines:read)
+  const { res: clientMachines } = await req('/state-machines', { headers: clientHeaders });
+  if (clientMachines.status !== 403) throw new Error('Cliente no debería consultar máquinas de estado');
+  console.log('✅ Cliente consulta máquinas de estado → 403 Forbidden');
+
+  // 14.9 Admin exporta la máquina de subastas; entidad desconocida → 404
+  const { res: auctionMachineRes, data: auctionMachine } = await req('/state-machines/auction', { headers: adminHeaders });
+  const billed = auctionMachine?.data?.machine?.transitions?.some((t) => t.from === 'ganada' && t.to === 'facturada');
+  if (auctionMachineRes.status !== 200 || !billed) throw new Error('Diagrama de subastas debería incluir ganada → facturada');
+  const { res: unknownMachine } = await req('/state-machines/vehiculo', { headers: adminHeaders });
+  if (unknownMachine.status !== 404) throw new Error('Máquina desconocida debería responder 404');
+  console.log('✅ Diagrama de subastas exportado; entidad desconocida → 404');
+
+  // 14.10 Cliente intenta consultar reglas de negocio (permiso business_rules:read)
+  const { res: clientRules } = await req('/business-rules/current', { headers: clientHeaders });
+  if (clientRules.status !== 403) throw new Error('Cliente no debería consultar reglas de negocio');
+  console.log('✅ Cliente consulta reglas de negocio → 403 Forbidden');
+
+  // 14.11 Admin consulta reglas vigentes; nueva versión sin reglas o con porcentaje fuera de rango → 422
+  const { res: currentRulesRes, data: currentRules } = await req('/business-rules/current', { headers: adminHeaders });
+  if (currentRulesRes.status !== 200 || !currentRules?.data?.rules?.version) {
+    throw new Error('Admin debería obtener la versión vigente de reglas de negocio');
+  }
+  const { res: emptyRules } = await req('/business-rules', {
+    method: 'POST',
+    headers: adminHeaders,
+    body: { motivo: 'Cambio sin reglas a modificar' }
+  });
+  if (emptyRules.status !== 422) throw new Error('Versión sin reglas debería fallar');
+  const { res: badPct } = await req('/business-rules', {
+    method: 'POST',
+    headers: adminHeaders,
+    body: { guarantee_percentage: 1.5, motivo: 'Porcentaje de garantía fuera de rango' }
+  });
+  if (badPct.status !== 422) throw new Error('Porcentaje de garantía > 1 debería fallar');
+  console.log(`✅ Reglas vigentes v${currentRules.data.rules.version}; versión inválida → 422 Validation Error`);
+
+  // 14.12 Reconciliación de saldos: cliente → 403; reporte del cliente de pruebas sin discrepancias; reparar sin motivo → 422
+  const { res: clientRecon } = await req('/balances/reconciliation', { headers: clientHeaders });
+  if (clientRecon.status !== 403) throw new Error('Cliente no debería consultar la reconciliación de saldos');
+  const { res: reconRes, data: recon } = await req(
+    `/balances/reconciliation?user_id=${clientId}&only_discrepancies=false`,
+    { headers: adminHeaders }
+  );
+  if (reconRes.status !== 200 || recon?.data?.users_checked !== 1 || recon.data.results[0]?.status !== 'ok') {
+    throw new Error(`Saldos del cliente de pruebas deberían reconciliar sin discrepancias: ${JSON.stringify(recon?.data?.results?.[0])}`);
+  }
+  const { res: repairNoReason } = await req('/balances/reconciliation/repair', {
+    method: 'POST',
+    headers: adminHeaders,
+    body: { user_ids: [clientId] }
+  });
+  if (repairNoReason.status !== 422) throw new Error('Reparación sin motivo debería fallar');
+  console.log('✅ Reconciliación: cliente → 403; saldos del cliente de pruebas consistentes; reparación sin motivo → 422');
+
+  // 14.13 Tipos de cambio: cliente consulta tasas vigentes pero no registra; tasa de la moneda base → 422
+  const { res: clientRatesRes, data: clientRates } = await req('/exchange-rates/current', { headers: clientHeaders });
+  if (clientRatesRes.status !== 200 || clientRates?.data?.moneda_base !== 'USD') {
+    throw new Error('Cliente debería consultar los tipos de cambio vigentes');
+  }
+  const { res: clientNewRate } = await req('/exchange-rates', {
+    method: 'POST',
+    headers: clientHeaders,
+    body: { moneda: 'PEN', tasa: 3.75, motivo: 'Tasa registrada por un cliente' }
+  });
+  if (clientNewRate.status !== 403) throw new Error('Cliente no debería registrar tipos de cambio');
+  const { res: baseRate } = await req('/exchange-rates', {
+    method: 'POST',
+    headers: adminHeaders,
+    body: { moneda: 'USD', tasa: 1, motivo: 'Tasa de la moneda base del sistema' }
+  });
+  if (baseRate.status !== 422) throw new Error('Tipo de cambio de la moneda base debería fallar');
+  console.log('✅ Tipos de cambio: cliente consulta vigentes y no registra (403); moneda base → 422');
+
+  // 14.14 Saldo del cliente con desglose por moneda
+  const { data: currencyBalance } = await req(`/users/${clientId}/balance`, { headers: clientHeaders });
+  const byCurrency = currencyBalance?.data?.balance?.saldos_por_moneda;
+  if (!byCurrency?.USD || currencyBalance.data.balance.moneda_base !== 'USD') {
+    throw new Error('Saldo debería incluir saldos_por_moneda con la moneda base');
+  }
+  console.log('✅ Saldo del cliente incluye saldos_por_moneda y moneda_base');
+
+  // 14.15 Idempotency-Key: el reintento recibe la respuesta guardada; la misma clave con otro body → 422
+  const idemKey = `vn-${Date.now()}-${randDigits(6)}`;
+  const idemBody = { monto_solicitado: 999999, motivo: 'Reembolso con clave de idempotencia' };
+  const { res: idemFirst } = await req('/refunds', {
+    method: 'POST',
+    headers: { ...clientHeaders, 'Idempotency-Key': idemKey },
+    body: idemBody
+  });
+  const { res: idemRetry } = await req('/refunds', {
+    method: 'POST',
+    headers: { ...clientHeaders, 'Idempotency-Key': idemKey },
+    body: idemBody
+  });
+  if (idemRetry.status !== idemFirst.status || idemRetry.headers.get('idempotent-replayed') !== 'true') {
+    throw new Error('Reintento con la misma Idempotency-Key debería devolver la respuesta guardada');
+  }
+  const { res: idemReused, data: idemReusedData } = await req('/refunds', {
+    method: 'POST',
+    headers: { ...clientHeaders, 'Idempotency-Key': idemKey },
+    body: { ...idemBody, monto_solicitado: 1 }
+  });
+  if (idemReused.status !== 422 || idemReusedData?.error?.code !== 'IDEMPOTENCY_KEY_REUSED') {
+    throw new Error('Idempotency-Key reutilizada con otro body debería fallar');
+  }
+  console.log(`✅ Idempotency-Key: reintento reenviado (${idemFirst.status}); clave reutilizada con otro body → 422`);
+
+  // 14.16 Login con Idempotency-Key: no se guarda la respuesta (lleva session_id) ni se reenvía
+  const loginKey = `vn-login-${Date.now()}-${randDigits(6)}`;
+  const loginRequest = {
+    method: 'POST',
+    headers: { 'Idempotency-Key': loginKey },
+    body: { email: ADMIN_EMAIL, password: ADMIN_PASSWORD }
+  };
+  const { data: loginFirst } = await req('/auth/admin-login', loginRequest);
+  const { res: loginRetry, data: loginSecond } = await req('/auth/admin-login', loginRequest);
+  if (loginRetry.headers.get('idempotent-replayed') === 'true'
+    || loginFirst?.data?.session?.session_id === loginSecond?.data?.session?.session_id) {
+    throw new Error('Login con Idempotency-Key no debería reenviar la sesión anterior');
+  }
+  const { PrismaClient } = require('@prisma/client');
+  const prisma = new PrismaClient();
+  try {
+    const stored = await prisma.idempotencyKey.findMany({ where: { key: loginKey } });
+    const leaked = stored.some((row) => JSON.stringify(row.response_body ?? '').includes(loginFirst.data.session.session_id));
+    if (stored.length > 0 || leaked) throw new Error('Login con Idempotency-Key no debería guardar la respuesta');
+  } finally {
+    await prisma.$disconnect();
+  }
+  console.log('✅ Login con Idempotency-Key: sin respuesta guardada ni session_id reenviado');
+
   console.log('\n✅ VALIDACIONES DE NEGOCIO completadas. Sistema responde correctamente a casos de error.');
 }
 
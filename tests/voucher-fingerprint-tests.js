@@ -0,0 +1,66 @@
+/**
+ * Pruebas del hash perceptual de comprobantes (utils/perceptualHash.js) sin BD ni almacenamiento
+ * Ejecutar: node tests/voucher-fingerprint-tests.js
+ * Las imágenes se generan en memoria: una constancia simulada con bloques de texto y sus variantes
+ */
+const { Jimp } = require('jimp');
+const { perceptualHash } = require('../utils/perceptualHash');
+
+function assertEq2(actual, expected, msg) {
+  if (actual !== expected) {
+    throw new Error(`${msg} | esperado=${expected} actual=${actual}`);
+  }
+  console.log(`✔ ${msg}`);
+}
+
+// Bits distintos entre dos hashes hexadecimales de 64 bits
+const hamming = (a, b) => (BigInt(`0x${a}`) ^ BigInt(`0x${b}`)).toString(2).replace(/0/g, '').length;
+
+// Constancia simulada: fondo claro y rectángulos oscuros como líneas de texto
+function receipt(lines, { width = 480, height = 640 } = {}) {
+  const image = new Jimp({ width, height, color: 0xf4f4f4ff });
+  for (const [x, y, w, h] of lines) {
+    for (let px = Math.floor(x * width); px < Math.floor((x + w) * width); px++) {
+      for (let py = Math.floor(y * height); py < Math.floor((y + h) * height); py++) {
+        image.setPixelColor(0x202020ff, px, py);
+      }
+    }
+  }
+  return image;
+}
+
+const BCP_LINES = [[0.1, 0.05, 0.3, 0.06], [0.1, 0.2, 0.8, 0.03], [0.1, 0.3, 0.5, 0.03], [0.55, 0.45, 0.35, 0.08], [0.1, 0.7, 0.6, 0.03]];
+const OTHER_LINES = [[0.6, 0.05, 0.3, 0.1], [0.05, 0.5, 0.4, 0.2], [0.5, 0.85, 0.45, 0.05]];
+
+async function run() {
+  console.log('🚀 Pruebas de hash perceptual de comprobantes');
+
+  const original = receipt(BCP_LINES);
+  const png = await original.getBuffer('image/png');
+  const hash = await perceptualHash(png);
+  assertEq2(/^[0-9a-f]{16}$/.test(hash), true, 'Hash de 64 bits en hexadecimal');
+  assertEq2(await perceptualHash(png), hash, 'Mismo archivo, mismo hash');
+
+  const jpeg = await original.getBuffer('image/jpeg', { quality: 40 });
+  assertEq2(hamming(hash, await perceptualHash(jpeg)) <= 6, true, 'JPG recomprimido queda a ≤ 6 bits del PNG');
+
+  const resized = await receipt(BCP_LINES, { width: 240, height: 320 }).getBuffer('image/jpeg', { quality: 70 });
+  assertEq2(hamming(hash, await perceptualHash(resized)) <= 6, true, 'Captura a otra resolución queda a ≤ 6 bits');
+
+  const other = await receipt(OTHER_LINES).getBuffer('image/png');
+  assertEq2(hamming(hash, await perceptualHash(other)) > 6, true, 'Otro comprobante queda a más de 6 bits');
+
+  const rejected = await perceptualHash(Buffer.from('%PDF-1.4')).then(() => false, () => true);
+  assertEq2(rejected, true, 'Un archivo que no es imagen se rechaza');
+
+  console.log('\n✅ Hash perceptual de comprobantes verificado correctamente');
+}
+
+if (require.main === module) {
+  run().catch((e) => {
+    console.error('❌ Error hash perceptual de comprobantes:', e);
+    process.exit(1);
+  });
+}
+
+module.exports = { run };
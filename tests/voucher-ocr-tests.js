@@ -0,0 +1,169 @@
+/**
+ * Pruebas de lectura de comprobantes (extracción sobre texto OCR y contraste con lo declarado)
+ * Ejecutar: node tests/voucher-ocr-tests.js
+ * No requiere el motor OCR ni la BD: se prueban el parser y la comparación con textos como los que devuelve
+ * tesseract, y la cola en segundo plano con un worker simulado
+ */
+const { config } = require('../config');
+const { extractVoucherFields } = require('../utils/voucherOcrParser');
+const voucherOcrService = require('../services/voucherOcrService');
+
+function assertEq2(actual, expected, msg) {
+  if (actual !== expected) {
+    throw new Error(`${msg} | esperado=${expected} actual=${actual}`);
+  }
+  console.log(`✔ ${msg}`);
+}
+
+const BCP_TRANSFER = [
+  'BCP',
+  'Constancia de Transferencia',
+  'Fecha y hora: 15/01/2025 10:32',
+  'Monto transferido',
+  'S/ 1,250.50',
+  'N° de operación: 00123456',
+  'Cuenta origen 191-12345678-0-12',
+].join('\n');
+
+const INTERBANK_TRANSFER = [
+  'Interbank',
+  'Operación exitosa',
+  'Importe: US$ 700.00',
+  'Fecha de operación 03-02-2025',
+  'Código de operación',
+  '9876543',
+].join('\n');
+
+const MOBILE_CAPTURE = [
+  '¡Pago exitoso!',
+  'S/ 50',
+  '15 ene. 2025 - 08:45 p.m.',
+  'Nro. de operación: 12345678',
+].join('\n');
+
+function runExtraction() {
+  console.log('\n=== Extracción de datos ===');
+  const bcp = extractVoucherFields(BCP_TRANSFER);
+  assertEq2(bcp.banco, 'BCP', 'BCP: banco');
+  assertEq2(bcp.numero_operacion, '00123456', 'BCP: número de operación tras "N° de operación"');
+  assertEq2(bcp.monto, 1250.5, 'BCP: monto en la línea siguiente a la etiqueta');
+  assertEq2(bcp.moneda, 'PEN', 'BCP: moneda por el símbolo S/');
+  assertEq2(bcp.fecha, '2025-01-15', 'BCP: fecha DD/MM/YYYY');
+
+  const interbank = extractVoucherFields(INTERBANK_TRANSFER);
+  assertEq2(interbank.banco, 'INTERBANK', 'Interbank: banco');
+  assertEq2(interbank.numero_operacion, '9876543', 'Interbank: número de operación en la línea siguiente');
+  assertEq2(interbank.monto, 700, 'Interbank: importe');
+  assertEq2(interbank.moneda, 'USD', 'Interbank: moneda por el símbolo US$');
+  assertEq2(interbank.fecha, '2025-02-03', 'Interbank: la fecha de operación no se toma como número de operación');
+
+  const mobile = extractVoucherFields(MOBILE_CAPTURE);
+  assertEq2(mobile.monto, 50, 'Captura móvil: monto sin etiqueta');
+  assertEq2(mobile.fecha, '2025-01-15', 'Captura móvil: fecha con mes abreviado');
+  assertEq2(mobile.banco, null, 'Captura móvil: sin banco reconocible');
+
+  const empty = extractVoucherFields('Foto borrosa');
+  assertEq2(Object.values(empty).every((value) => value === null), true, 'Texto sin datos devuelve todos los campos en null');
+}
+
+function runComparison() {
+  console.log('\n=== Contraste con lo declarado ===');
+  const voucher_ocr = { estado: 'procesado', confianza: 0.91, campos: extractVoucherFields(BCP_TRANSFER) };
+  const declared = {
+    numero_operacion: '123456',
+    monto: '1250.50',
+    moneda: 'PEN',
+    fecha_pago: new Date('2025-01-15T22:00:00-05:00'),
+    voucher_ocr,
+  };
+
+  const ok = voucherOcrService.compare(declared);
+  assertEq2(ok.estado, 'coincide', 'Datos iguales (ceros a la izquierda y día en Lima) coinciden');
+  assertEq2(ok.banco, 'BCP', 'ocr_check informa el banco leído');
+
+  const typo = voucherOcrService.compare({ ...declared, numero_operacion: '123465', monto: '1520.50' });
+  assertEq2(typo.estado, 'discrepancias', 'Número y monto mal digitados se marcan');
+  assertEq2(typo.discrepancias.map((d) => d.campo).join(','), 'numero_operacion,monto', 'Discrepancias por campo');
+  assertEq2(typo.discrepancias[1].extraido, 1250.5, 'La discrepancia muestra el valor leído');
+
+  const partial = voucherOcrService.compare({
+    ...declared,
+    voucher_ocr: { ...voucher_ocr, campos: { ...voucher_ocr.campos, numero_operacion: null } },
+    numero_operacion: '999',
+  });
+  assertEq2(partial.estado, 'coincide', 'Un dato que el OCR no leyó no es discrepancia');
+
+  const pdf = voucherOcrService.compare({ ...declared, voucher_ocr: { estado: 'no_soportado', campos: null } });
+  assertEq2(pdf.estado, 'sin_datos', 'Comprobante no leído queda sin_datos');
+  assertEq2(pdf.ocr_estado, 'no_soportado', 'ocr_check conserva el estado de la lectura');
+
+  assertEq2(voucherOcrService.compare({ ...declared, voucher_ocr: null }), null, 'Movement sin lectura OCR no tiene ocr_check');
+}
+
+// Worker simulado: devuelve el texto indicado tras `delay` ms (Infinity = no responde nunca)
+function fakeWorker(text, delay, log) {
+  return {
+    terminated: false,
+    recognize(buffer) {
+      log.push(`inicio ${buffer}`);
+      if (delay === Infinity) return new Promise(() => {});
+      return new Promise((resolve) => setTimeout(() => {
+        log.push(`fin ${buffer}`);
+        resolve({ data: { text, confidence: 88 } });
+      }, delay));
+    },
+    async terminate() {
+      this.terminated = true;
+    },
+  };
+}
+
+async function runQueue() {
+  console.log('\n=== Lectura en segundo plano ===');
+  const saved = { ...config.ocr };
+  const updates = [];
+  const saveAs = (id) => async (voucher_ocr) => updates.push({ id, ...voucher_ocr });
+  Object.assign(config.ocr, { enabled: true, timeoutMs: 100 });
+
+  try {
+    const png = (name) => ({ buffer: name, mimetype: 'image/png' });
+    assertEq2(voucherOcrService.initialState(png('a')).estado, 'pendiente', 'Imagen se registra con lectura pendiente');
+    assertEq2(voucherOcrService.initialState({ buffer: 'b', mimetype: 'application/pdf' }).estado, 'no_soportado', 'PDF se registra no_soportado sin encolar');
+
+    const log = [];
+    const stuck = fakeWorker('', Infinity, log);
+    voucherOcrService.worker = Promise.resolve(stuck);
+    const timedOut = await voucherOcrService.analyze(png('lento'));
+    assertEq2(timedOut.estado, 'error', 'Lectura que excede OCR_TIMEOUT_MS queda en error');
+    assertEq2(stuck.terminated, true, 'El worker de la lectura vencida se termina');
+    assertEq2(voucherOcrService.worker, null, 'El siguiente comprobante crea un worker nuevo');
+
+    voucherOcrService.worker = Promise.resolve(fakeWorker(BCP_TRANSFER, 20, log));
+    voucherOcrService.enqueue(png('uno'), saveAs('m1'));
+    const last = voucherOcrService.enqueue(png('dos'), saveAs('m2'));
+    assertEq2(updates.length, 0, 'enqueue no espera a la lectura');
+    await last;
+    assertEq2(log.slice(1).join(','), 'inicio uno,fin uno,inicio dos,fin dos', 'Las lecturas se procesan de una en una');
+    assertEq2(updates.map((u) => `${u.id}:${u.estado}`).join(','), 'm1:procesado,m2:procesado', 'Cada lectura se guarda en su movement');
+  } finally {
+    Object.assign(config.ocr, saved);
+    voucherOcrService.worker = null;
+  }
+}
+
+async function run() {
+  console.log('🚀 Pruebas de lectura OCR de comprobantes');
+  runExtraction();
+  runComparison();
+  await runQueue();
+  console.log('\n✅ Lectura OCR de comprobantes verificada correctamente');
+}
+
+if (require.main === module) {
+  run().catch((e) => {
+    console.error('❌ Error lectura OCR de comprobantes:', e);
+    process.exit(1);
+  });
+}
+
+module.exports = { run };
@@ -0,0 +1,286 @@
+// Lectura de extractos bancarios (CSV por formato y SWIFT MT940) sin dependencias.
+// Devuelve solo los abonos: { formato, cuenta, moneda, total_lineas, credits: [{ line_number, fecha, monto, ... }] }
+
+const { ValidationError } = require('../middleware/errorHandler');
+const { BANK_STATEMENT_FORMATS } = require('../config/bankStatements');
+
+// Filas revisadas buscando el encabezado (los bancos anteponen datos de la cuenta)
+const HEADER_SEARCH_ROWS = 20;
+
+// Texto del archivo: UTF-8 y, si no es válido, Latin-1 (exportaciones de banca por internet)
+const decodeText = (buffer) => {
+  let text = buffer.toString('utf8');
+  if (text.includes('\uFFFD')) text = buffer.toString('latin1');
+  return text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+};
+
+// Encabezado comparable: minúsculas, sin tildes ni espacios repetidos
+const normalizeHeader = (value) => String(value ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const detectDelimiter = (text) => {
+  const sample = text.split('\n').slice(0, HEADER_SEARCH_ROWS).join('\n');
+  const counts = [';', ',', '\t'].map((delimiter) => [delimiter, sample.split(delimiter).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+};
+
+// Filas CSV con comillas (campos con delimitador, comillas dobles escapadas y saltos de línea)
+const parseCsvRows = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field.trim());
+      field = '';
+    } else if (char === '\n') {
+      row.push(field.trim());
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field.trim());
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Monto con separadores locales: '1,234.56', '1.234,56', 'S/ -50.00', '1500'
+ * El último separador seguido de 1-2 dígitos es el decimal
+ */
+const parseAmount = (value) => {
+  let text = String(value ?? '').replace(/[^\d.,-]/g, '');
+  if (!/\d/.test(text)) return null;
+
+  const negative = text.includes('-');
+  text = text.replace(/-/g, '');
+  const decimal = text.match(/[.,](\d{1,2})$/);
+  const integer = decimal ? text.slice(0, -decimal[0].length) : text;
+  const amount = Number(`${integer.replace(/[.,]/g, '')}.${decimal ? decimal[1] : '0'}`);
+
+  if (!Number.isFinite(amount)) return null;
+  return negative ? -amount : amount;
+};
+
+// Fecha 'DD/MM/YYYY', 'DD-MM-YY' o 'YYYY-MM-DD' → 'YYYY-MM-DD'
+const parseDate = (value) => {
+  const text = String(value ?? '').trim();
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})\b/);
+  if (!match) return null;
+  const [, day, month, year] = match;
+  if (Number(month) < 1 || Number(month) > 12 || Number(day) < 1 || Number(day) > 31) return null;
+  return `${year.length === 2 ? `20${year}` : year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+};
+
+// Moneda declarada en el extracto: 'S/', 'SOLES', 'US$', 'DOLARES', códigos ISO
+const parseCurrency = (value) => {
+  const text = normalizeHeader(value).replace(/\s/g, '');
+  if (!text) return null;
+  if (['pen', 's/', 's/.', 'soles', 'sol'].includes(text)) return 'PEN';
+  if (['usd', 'us$', '$', 'dolares', 'dolar'].includes(text)) return 'USD';
+  return text.toUpperCase();
+};
+
+// Cuenta de origen mencionada en la glosa (10 a 20 dígitos, guiones permitidos)
+const accountInDescription = (description) => {
+  const match = String(description ?? '').match(/\b\d[\d-]{8,22}\d\b/);
+  if (!match) return null;
+  const digits = match[0].replace(/-/g, '');
+  return digits.length >= 10 && digits.length <= 20 ? digits : null;
+};
+
+// Índices de columna por campo según los encabezados del formato
+const mapColumns = (headerRow, columns) => {
+  const headers = headerRow.map(normalizeHeader);
+  const mapping = {};
+  for (const [field, aliases] of Object.entries(columns)) {
+    const index = headers.findIndex((header) => aliases.includes(header));
+    if (index >= 0) mapping[field] = index;
+  }
+  return mapping;
+};
+
+const findHeader = (rows, format) => {
+  const limit = Math.min(rows.length, HEADER_SEARCH_ROWS);
+  for (let i = 0; i < limit; i++) {
+    const mapping = mapColumns(rows[i], format.columns);
+    if (mapping.fecha !== undefined && (mapping.amount !== undefined || mapping.credit !== undefined)) {
+      return { index: i, mapping };
+    }
+  }
+  return null;
+};
+
+const parseCsv = (text, format) => {
+  const rows = parseCsvRows(text, detectDelimiter(text));
+  const header = findHeader(rows, format);
+  if (!header) {
+    throw new ValidationError('No se encontró la fila de encabezados del extracto (fecha y monto/abono)');
+  }
+
+  const { index, mapping } = header;
+  const headerRow = rows[index];
+  const cell = (row, field) => (mapping[field] !== undefined ? row[mapping[field]] ?? '' : '');
+
+  const credits = [];
+  let total = 0;
+  rows.slice(index + 1).forEach((row, offset) => {
+    if (row.every((value) => !value)) return;
+    const fecha = parseDate(cell(row, 'fecha'));
+    if (!fecha) return; // Totales y pies de página
+    total += 1;
+
+    const monto = mapping.credit !== undefined && cell(row, 'credit')
+      ? parseAmount(cell(row, 'credit'))
+      : parseAmount(cell(row, 'amount'));
+    if (!monto || monto <= 0) return;
+
+    const descripcion = cell(row, 'descripcion') || null;
+    credits.push({
+      line_number: index + offset + 2,
+      fecha,
+      monto: Number(monto.toFixed(2)),
+      moneda: parseCurrency(cell(row, 'moneda')),
+      numero_operacion: cell(row, 'numero_operacion') || null,
+      numero_cuenta_origen: cell(row, 'numero_cuenta_origen') || accountInDescription(descripcion),
+      descripcion,
+      raw: Object.fromEntries(headerRow.map((name, i) => [name || `col${i + 1}`, row[i] ?? ''])),
+    });
+  });
+
+  return { cuenta: null, moneda: null, total_lineas: total, credits };
+};
+
+// Campos MT940 (:TAG:valor), con las líneas de continuación unidas al campo anterior
+const mt940Fields = (text) => {
+  const fields = [];
+  for (const line of text.split('\n')) {
+    const match = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+    if (match) {
+      fields.push({ tag: match[1], value: match[2] });
+    } else if (fields.length && line.trim() && !/^-\}?$/.test(line.trim())) {
+      fields[fields.length - 1].value += `\n${line}`;
+    }
+  }
+  return fields;
+};
+
+// :61:AAMMDD[MMDD]{C|D|RC|RD}[fondos]monto,dec{tipo}{ref. cliente}[//ref. banco]
+const MT940_ENTRY = /^(\d{2})(\d{2})(\d{2})(\d{4})?(RC|RD|C|D)([A-Z])?(\d{1,12},\d{0,2})([NSF][A-Z0-9]{3})([^/\n]*)(?:\/\/([^\n]*))?/;
+
+const parseMt940 = (text) => {
+  let cuenta = null;
+  let moneda = null;
+  let statementCurrency = null;
+  let total = 0;
+  const credits = [];
+
+  for (const field of mt940Fields(text)) {
+    if (field.tag === '25') {
+      cuenta = cuenta ?? field.value.trim();
+    } else if (field.tag === '60F' || field.tag === '60M') {
+      statementCurrency = field.value.trim().match(/^[CD]\d{6}([A-Z]{3})/)?.[1] ?? null;
+      moneda = moneda ?? statementCurrency;
+    } else if (field.tag === '61') {
+      const match = field.value.match(MT940_ENTRY);
+      if (!match) {
+        throw new ValidationError(`Movimiento MT940 ilegible: :61:${field.value.split('\n')[0]}`);
+      }
+      total += 1;
+      const [, yy, mm, dd, , mark, , amount, , customerRef, bankRef] = match;
+      if (mark !== 'C') continue;
+
+      const reference = customerRef.trim() && customerRef.trim().toUpperCase() !== 'NONREF'
+        ? customerRef.trim()
+        : bankRef?.trim() || null;
+      credits.push({
+        line_number: total,
+        fecha: `20${yy}-${mm}-${dd}`,
+        monto: Number(parseAmount(amount).toFixed(2)),
+        moneda: statementCurrency,
+        numero_operacion: reference,
+        numero_cuenta_origen: null,
+        descripcion: null,
+        raw: { 61: field.value },
+      });
+    } else if (field.tag === '86' && credits.length && credits[credits.length - 1].line_number === total) {
+      // Detalle del último movimiento (solo si fue un abono)
+      const credit = credits[credits.length - 1];
+      credit.descripcion = field.value.replace(/\n/g, ' ').trim();
+      credit.numero_cuenta_origen = accountInDescription(credit.descripcion);
+      credit.raw[86] = field.value;
+    }
+  }
+
+  if (!total && !cuenta) {
+    throw new ValidationError('El archivo no contiene un extracto MT940 válido');
+  }
+
+  return { cuenta, moneda, total_lineas: total, credits };
+};
+
+const isMt940 = (text) => /^:20:/m.test(text) && /^:(25|61):/m.test(text);
+
+/**
+ * Detectar el formato: MT940 por sus campos; CSV de banco por sus encabezados propios; si no, CSV genérico
+ */
+const detectFormat = (text) => {
+  if (isMt940(text)) return 'mt940';
+
+  const headers = parseCsvRows(text, detectDelimiter(text))
+    .slice(0, HEADER_SEARCH_ROWS)
+    .map((row) => row.map(normalizeHeader));
+  const candidates = Object.keys(BANK_STATEMENT_FORMATS)
+    .filter((code) => BANK_STATEMENT_FORMATS[code].signature);
+  return candidates.find((code) => headers.some((row) => (
+    BANK_STATEMENT_FORMATS[code].signature.every((header) => row.includes(header))
+  ))) || 'csv';
+};
+
+/**
+ * Leer un extracto bancario (Buffer) en el formato indicado o detectado
+ */
+const parseStatement = (buffer, formato = null) => {
+  const text = decodeText(buffer);
+  if (!text.trim()) throw new ValidationError('El archivo de extracto está vacío');
+
+  const code = formato || detectFormat(text);
+  const format = BANK_STATEMENT_FORMATS[code];
+  if (!format) throw new ValidationError(`Formato de extracto no soportado: ${code}`);
+
+  const parsed = format.type === 'mt940' ? parseMt940(text) : parseCsv(text, format);
+  return { formato: code, ...parsed };
+};
+
+module.exports = {
+  parseStatement,
+  parseAmount,
+  parseDate,
+};
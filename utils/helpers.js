@@ -1,15 +1,27 @@
-const { config } = require('../config');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { STATE_MACHINES } = require('../config/stateMachines');
+
+const scryptAsync = promisify(crypto.scrypt);
 
 // CÁLCULOS DE NEGOCIO
+// `rules`: versión de reglas de negocio aplicable (businessRuleService.getCurrent / forGuarantee)
 const businessCalculations = {
-  // Calcular monto de garantía (8% del monto de oferta)
-  calculateGuaranteeAmount: (offerAmount) => {
-    return Math.round(offerAmount * config.business.guaranteePercentage * 100) / 100;
+  // Calcular monto de garantía (porcentaje de la oferta, nunca menor al mínimo)
+  calculateGuaranteeAmount: (offerAmount, rules) => {
+    const amount = Math.round(Number(offerAmount) * rules.guarantee_percentage * 100) / 100;
+    return Math.max(amount, rules.minimum_guarantee || 0);
+  },
+  
+  // Fecha límite de pago por defecto (null si la versión no define plazo)
+  defaultPaymentDeadline: (rules, from = new Date()) => {
+    if (!rules.payment_deadline_hours) return null;
+    return new Date(from.getTime() + rules.payment_deadline_hours * 60 * 60 * 1000);
   },
   
-  // Calcular penalidad (30% del saldo disponible)
-  calculatePenalty: (availableBalance) => {
-    return Math.round(availableBalance * config.business.penaltyPercentage * 100) / 100;
+  // Calcular penalidad (porcentaje de la garantía validada)
+  calculatePenalty: (guaranteeAmount, rules) => {
+    return Math.round(Number(guaranteeAmount) * rules.penalty_percentage * 100) / 100;
   },
   
   // Calcular saldo disponible
@@ -85,8 +97,8 @@ const businessValidations = {
   },
   
   // Validar que el monto de garantía sea correcto
-  isGuaranteeAmountValid: (guaranteeAmount, offerAmount) => {
-    const expectedAmount = businessCalculations.calculateGuaranteeAmount(offerAmount);
+  isGuaranteeAmountValid: (guaranteeAmount, offerAmount, rules) => {
+    const expectedAmount = businessCalculations.calculateGuaranteeAmount(offerAmount, rules);
     return businessCalculations.amountsEqual(guaranteeAmount, expectedAmount);
   },
   
@@ -108,19 +120,14 @@ const businessValidations = {
 };
 
 // UTILIDADES DE ESTADO
+// Derivadas de las máquinas declaradas en config/stateMachines.js (las transiciones se aplican vía stateMachineService)
 const stateHelpers = {
   // Obtener siguientes estados válidos para una subasta
   getValidAuctionTransitions: (currentState) => {
-    const transitions = {
-      activa: ['pendiente', 'cancelada'],
-      pendiente: ['en_validacion', 'vencida', 'cancelada'],
-      en_validacion: ['finalizada', 'pendiente', 'vencida'],
-      finalizada: [], // Estado final
-      cancelada: [], // Estado final
-      vencida: ['pendiente'], // Puede reasignarse
-    };
-    
-    return transitions[currentState] || [];
+    const targets = STATE_MACHINES.auction.transitions
+      .filter((t) => t.from === currentState)
+      .map((t) => t.to);
+    return [...new Set(targets)];
   },
   
   // Verificar si una transición de estado es válida
@@ -131,23 +138,8 @@ const stateHelpers = {
   
   // Obtener mensaje descriptivo del estado
   getStateDescription: (state, context = 'auction') => {
-    const descriptions = {
-      auction: {
-        activa: 'Subasta activa, sin ganador asignado',
-        pendiente: 'Ganador asignado, esperando pago de garantía',
-        en_validacion: 'Pago registrado, esperando validación del administrador',
-        finalizada: 'Subasta completada exitosamente',
-        cancelada: 'Subasta cancelada por el administrador',
-        vencida: 'Ganador no realizó pago antes del límite de tiempo',
-      },
-      payment: {
-        pendiente: 'Pago registrado, esperando validación',
-        validado: 'Pago aprobado por el administrador',
-        rechazado: 'Pago rechazado, debe registrar nuevo pago',
-      },
-    };
-    
-    return descriptions[context]?.[state] || 'Estado desconocido';
+    const entity = context === 'payment' ? 'movement' : context;
+    return STATE_MACHINES[entity]?.states[state] || 'Estado desconocido';
   },
 };
 
@@ -209,6 +201,45 @@ const timeHelpers = {
       return `${minutes} minuto${minutes > 1 ? 's' : ''}`;
     }
   },
+
+  // Fechas de corte contables en America/Lima (UTC-5, sin horario de verano)
+  // 'YYYY-MM-DD' = fin de ese día en Lima; cualquier otra fecha ISO se usa tal cual
+  resolveCutoff: (value) => {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return new Date(`${value}T23:59:59.999-05:00`);
+    }
+    return new Date(value);
+  },
+
+  // 'YYYY-MM-DD' = inicio de ese día en Lima; cualquier otra fecha ISO se usa tal cual
+  resolveStart: (value) => {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return new Date(`${value}T00:00:00.000-05:00`);
+    }
+    return new Date(value);
+  },
+
+  // Periodo contable (YYYY-MM) de una fecha en Lima
+  periodOf: (date) => {
+    return new Date(new Date(date).getTime() - 5 * 60 * 60 * 1000).toISOString().slice(0, 7);
+  },
+
+  // Día calendario (YYYY-MM-DD) de una fecha en Lima
+  dayOf: (date) => {
+    return new Date(new Date(date).getTime() - 5 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  },
+
+  // Último instante de un periodo (YYYY-MM) en Lima
+  periodEnd: (period) => {
+    const [year, month] = period.split('-').map(Number);
+    return new Date(Date.UTC(year, month, 1, 5) - 1);
+  },
+
+  // Periodo anterior a uno dado (YYYY-MM)
+  previousPeriod: (period) => {
+    const [year, month] = period.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 2, 1)).toISOString().slice(0, 7);
+  },
 };
 
 // SANITIZACIÓN DE DATOS
@@ -247,6 +278,54 @@ const sanitizers = {
   },
 };
 
+// CONCURRENCIA OPTIMISTA (ETag / If-Match sobre la columna version)
+const concurrencyHelpers = {
+  // ETag fuerte a partir de la versión del registro
+  etag: (version) => `"${version}"`,
+
+  // Versión esperada del header If-Match: null sin header o con '*'; undefined si el formato no es válido
+  parseIfMatch: (header) => {
+    if (header === undefined || header === null) return null;
+    const value = String(header).trim();
+    if (value === '*') return null;
+    const match = value.match(/^"?(\d+)"?$/);
+    return match ? Number(match[1]) : undefined;
+  },
+};
+
+// SEGURIDAD (contraseñas y tokens)
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+const securityHelpers = {
+  // Hash de contraseña con scrypt. Formato: scrypt$N$r$p$salt$hash (base64)
+  hashPassword: async (password) => {
+    const { N, r, p, keylen } = SCRYPT_PARAMS;
+    const salt = crypto.randomBytes(16);
+    const derived = await scryptAsync(String(password), salt, keylen, { N, r, p });
+    return ['scrypt', N, r, p, salt.toString('base64'), derived.toString('base64')].join('$');
+  },
+
+  // Verificar contraseña contra hash almacenado (comparación en tiempo constante)
+  verifyPassword: async (password, storedHash) => {
+    if (!storedHash) return false;
+    const [algo, N, r, p, saltB64, hashB64] = String(storedHash).split('$');
+    if (algo !== 'scrypt' || !saltB64 || !hashB64) return false;
+    const expected = Buffer.from(hashB64, 'base64');
+    const derived = await scryptAsync(String(password), Buffer.from(saltB64, 'base64'), expected.length, {
+      N: Number(N),
+      r: Number(r),
+      p: Number(p),
+    });
+    return crypto.timingSafeEqual(derived, expected);
+  },
+
+  // Token aleatorio opaco (para enlaces de restablecimiento, etc.)
+  generateToken: (bytes = 32) => crypto.randomBytes(bytes).toString('hex'),
+
+  // Hash determinístico de token para almacenarlo sin exponer el valor original
+  hashToken: (token) => crypto.createHash('sha256').update(String(token)).digest('hex'),
+};
+
 module.exports = {
   businessCalculations,
   formatters,
@@ -255,4 +334,6 @@ module.exports = {
   paginationHelpers,
   timeHelpers,
   sanitizers,
+  securityHelpers,
+  concurrencyHelpers,
 };
\ No newline at end of file
@@ -2,10 +2,15 @@
 const {
   baseSchemas,
   userSchemas,
+  roleSchemas,
   auctionSchemas,
   guaranteeSchemas,
   billingSchemas,
   refundSchemas,
+  businessRuleSchemas,
+  exchangeRateSchemas,
+  balanceSchemas,
+  bankStatementSchemas,
   querySchemas,
   validate,
   movementSchemas,
@@ -19,6 +24,8 @@ const {
   paginationHelpers,
   timeHelpers,
   sanitizers,
+  securityHelpers,
+  concurrencyHelpers,
 } = require('./helpers');
 
 module.exports = {
@@ -26,10 +33,15 @@ module.exports = {
   validations: {
     baseSchemas,
     userSchemas,
+    roleSchemas,
     auctionSchemas,
     guaranteeSchemas,
     billingSchemas,
     refundSchemas,
+    businessRuleSchemas,
+    exchangeRateSchemas,
+    balanceSchemas,
+    bankStatementSchemas,
     querySchemas,
     validate,
     movementSchemas,
@@ -43,4 +55,6 @@ module.exports = {
   paginationHelpers,
   timeHelpers,
   sanitizers,
+  securityHelpers,
+  concurrencyHelpers,
 };
\ No newline at end of file
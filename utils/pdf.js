@@ -0,0 +1,114 @@
+// Generador PDF mínimo (sin dependencias): páginas de texto con Helvetica / Helvetica-Bold.
+// Coordenadas en puntos con origen en la esquina inferior izquierda (PDF 1.4).
+
+const PAGE_SIZES = {
+  A4: [595.28, 841.89],
+  A4_LANDSCAPE: [841.89, 595.28],
+};
+
+// Anchos de Helvetica (1/1000 em) para ASCII imprimible 32..126; el resto se aproxima con 556
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+// Texto → Latin-1 (WinAnsiEncoding); caracteres fuera de rango se reemplazan por '?'
+const toLatin1 = (text) => String(text ?? '').replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+
+const escapeText = (text) => toLatin1(text).replace(/[\\()]/g, (c) => `\\${c}`);
+
+const textWidth = (text, size) => {
+  let units = 0;
+  for (const char of toLatin1(text)) {
+    const code = char.charCodeAt(0);
+    units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+  }
+  return (units * size) / 1000;
+};
+
+class PdfDocument {
+  constructor({ size = 'A4' } = {}) {
+    [this.width, this.height] = PAGE_SIZES[size] || PAGE_SIZES.A4;
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.current = [];
+    this.pages.push(this.current);
+    return this;
+  }
+
+  /**
+   * Escribir texto; align: left | right (x = borde derecho)
+   * maxWidth: trunca con '...' si el texto no cabe
+   */
+  text(x, y, value, { size = 9, bold = false, align = 'left', maxWidth = null } = {}) {
+    let str = toLatin1(value);
+    if (maxWidth && textWidth(str, size) > maxWidth) {
+      while (str.length && textWidth(`${str}...`, size) > maxWidth) str = str.slice(0, -1);
+      str = `${str}...`;
+    }
+    const left = align === 'right' ? x - textWidth(str, size) : x;
+    this.current.push(
+      `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(2)} ${y.toFixed(2)} Td (${escapeText(str)}) Tj ET`
+    );
+    return this;
+  }
+
+  line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+    this.current.push(`${width} w ${x1.toFixed(2)} ${y1.toFixed(2)} m ${x2.toFixed(2)} ${y2.toFixed(2)} l S`);
+    return this;
+  }
+
+  /**
+   * Serializar el documento (Buffer listo para enviar como application/pdf)
+   */
+  toBuffer() {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = add(null);
+    const pagesId = add(null);
+    const fontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+    const pageIds = this.pages.map((operations) => {
+      const stream = operations.join('\n');
+      const contentId = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+      return add(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.width} ${this.height}] ` +
+        `/Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`
+      );
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    let output = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+      const offset = Buffer.byteLength(output, 'latin1');
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+module.exports = {
+  PdfDocument,
+  textWidth,
+};
@@ -0,0 +1,66 @@
+const { Jimp } = require('jimp');
+
+/**
+ * Hash perceptual (pHash DCT) de imágenes de comprobantes: 64 bits en hexadecimal (16 caracteres).
+ * Dos capturas de la misma imagen recomprimida, redimensionada o en otro formato quedan a pocos bits
+ * de distancia de Hamming (services/voucherFingerprintService.js).
+ */
+
+// La imagen se reduce a SIZE×SIZE en grises y se toman los BITS×BITS coeficientes DCT de menor frecuencia
+const SIZE = 32;
+const BITS = 8;
+
+// cos((2x+1)uπ/2N) para u < BITS, x < SIZE
+const DCT_COS = Array.from({ length: BITS }, (_, u) =>
+  Array.from({ length: SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * SIZE))));
+
+// Luminancia promedio de cada celda de una cuadrícula SIZE×SIZE sobre el bitmap RGBA
+const grayGrid = ({ data, width, height }) => {
+  const sum = new Float64Array(SIZE * SIZE);
+  const count = new Uint32Array(SIZE * SIZE);
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor((y * SIZE) / height) * SIZE;
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const cell = row + Math.floor((x * SIZE) / width);
+      sum[cell] += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+      count[cell] += 1;
+    }
+  }
+  return Array.from(sum, (value, cell) => (count[cell] ? value / count[cell] : 0));
+};
+
+// pHash DCT: bit 1 si el coeficiente supera la mediana de los coeficientes sin la componente continua
+const dctHash = (grid) => {
+  const coefficients = [];
+  for (let v = 0; v < BITS; v++) {
+    for (let u = 0; u < BITS; u++) {
+      let total = 0;
+      for (let y = 0; y < SIZE; y++) {
+        for (let x = 0; x < SIZE; x++) {
+          total += grid[y * SIZE + x] * DCT_COS[u][x] * DCT_COS[v][y];
+        }
+      }
+      coefficients.push(total);
+    }
+  }
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+
+  let hex = '';
+  for (let i = 0; i < coefficients.length; i += 4) {
+    const nibble = coefficients.slice(i, i + 4).reduce((acc, c) => (acc << 1) | (c > median ? 1 : 0), 0);
+    hex += nibble.toString(16);
+  }
+  return hex;
+};
+
+// Hash de una imagen JPG/PNG; rechaza si el buffer no se puede decodificar
+const perceptualHash = async (buffer) => {
+  const image = await Jimp.read(buffer);
+  return dctHash(grayGrid(image.bitmap));
+};
+
+module.exports = {
+  perceptualHash,
+};
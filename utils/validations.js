@@ -1,4 +1,10 @@
 const Joi = require('joi');
+const { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } = require('../config/audit');
+const { DIAGRAM_FORMATS } = require('../config/stateMachines');
+const { LEDGER_EVENTS } = require('../config/ledger');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES, QUOTED_CURRENCIES } = require('../config/currencies');
+const { BANK_STATEMENT_FORMAT_CODES, STATEMENT_LINE_STATES } = require('../config/bankStatements');
+const { PAYMENT_RISK_LEVELS, PAYMENT_REJECTION_REASONS, BATCH_REVIEW_LIMIT } = require('../config/paymentQueue');
 
 // Esquemas base
 const baseSchemas = {
@@ -17,10 +23,18 @@ const baseSchemas = {
 
   // Monetarios
   currency: Joi.number().positive().precision(2).max(999999.99),
+  currencyCode: Joi.string().uppercase().valid(...SUPPORTED_CURRENCIES),
   percentage: Joi.number().min(0).max(1),
 
   // Fechas
   datetime: Joi.date().iso(),
+  // Fecha de corte contable: 'YYYY-MM-DD' (día completo en Lima) o ISO 8601; se conserva como string
+  cutoffDate: Joi.alternatives().try(
+    Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/),
+    Joi.string().isoDate()
+  ).messages({
+    'alternatives.match': '{{#label}} debe ser una fecha YYYY-MM-DD o ISO 8601',
+  }),
   futureDatetime: Joi.date().iso().greater('now'),
 
   // Archivos
@@ -38,6 +52,12 @@ const baseSchemas = {
     'string.pattern.base': 'ID debe ser un CUID válido',
   }),
   uuid: Joi.string().uuid(),
+
+  // Credenciales
+  password: Joi.string().min(10).max(128).pattern(/[A-Za-z]/).pattern(/\d/).messages({
+    'string.min': 'La contraseña debe tener al menos 10 caracteres',
+    'string.pattern.base': 'La contraseña debe incluir letras y números',
+  }),
 };
 
 // Validación condicional de documento
@@ -77,6 +97,54 @@ const userSchemas = {
     document_type: baseSchemas.documentType.required(),
     document_number: documentNumber.required(),
   }),
+  clientLoginVerify: Joi.object({
+    challenge_id: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/).required().messages({
+      'string.pattern.base': 'El código debe tener 6 dígitos',
+    }),
+  }),
+  adminLogin: Joi.object({
+    email: Joi.string().email().required(),
+    password: Joi.string().max(128).required(),
+  }),
+  adminPasswordResetRequest: Joi.object({
+    email: Joi.string().email().required(),
+  }),
+  adminPasswordReset: Joi.object({
+    token: Joi.string().hex().length(64).required(),
+    password: baseSchemas.password.required(),
+  }),
+  adminPasswordChange: Joi.object({
+    current_password: Joi.string().max(128).required(),
+    new_password: baseSchemas.password.required(),
+  }),
+  createAdmin: Joi.object({
+    first_name: Joi.string().min(2).max(50).required(),
+    last_name: Joi.string().min(2).max(50).required(),
+    email: Joi.string().email().required(),
+    phone_number: Joi.string().pattern(/^\+51\d{9}$/).optional().messages({
+      'string.pattern.base': 'Teléfono debe tener formato +51XXXXXXXXX',
+    }),
+    role: Joi.string().max(40).optional(),
+  }),
+};
+
+// ROLES Y PERMISOS
+const roleSchemas = {
+  createRole: Joi.object({
+    name: Joi.string().pattern(/^[a-z][a-z0-9_]{2,39}$/).required().messages({
+      'string.pattern.base': 'El nombre del rol debe ser snake_case (3-40 caracteres)',
+    }),
+    description: Joi.string().max(200).optional(),
+    permissions: Joi.array().items(Joi.string().max(50)).min(1).required(),
+  }),
+  updateRole: Joi.object({
+    description: Joi.string().max(200).optional(),
+    permissions: Joi.array().items(Joi.string().max(50)).min(1).optional(),
+  }).min(1),
+  assignRole: Joi.object({
+    role: Joi.string().max(40).required(),
+  }),
 };
 
 // SUBASTAS
@@ -171,6 +239,8 @@ const refundSchemas = {
     motivo: Joi.string().min(10).max(500).required(),
     // auction_id ya no es obligatorio; el reembolso ahora opera sobre saldo disponible
     auction_id: baseSchemas.cuid.optional(),
+    // Moneda del saldo disponible a reembolsar
+    moneda: baseSchemas.currencyCode.default(BASE_CURRENCY),
   }),
   manageRefund: Joi.object({
     estado: Joi.string().valid('confirmado', 'rechazado').required(),
@@ -196,23 +266,50 @@ const movementSchemas = {
     numero_cuenta_origen: Joi.string().min(10).max(20).required(),
     numero_operacion: Joi.string().max(100).optional(),
     fecha_pago: baseSchemas.datetime.required(),
-    moneda: Joi.string().length(3).uppercase().default('USD'),
+    moneda: baseSchemas.currencyCode.default(BASE_CURRENCY),
     concepto: Joi.string().max(300).default('Pago de garantía'),
   }),
+  // Pago con saldo disponible; con monto se registra además una transferencia por el resto (exige sus datos)
+  applyBalance: Joi.object({
+    auction_id: baseSchemas.cuid.required(),
+    monto_saldo: baseSchemas.currency.optional(),
+    moneda: baseSchemas.currencyCode.optional(),
+    concepto: Joi.string().max(300).optional(),
+    monto: baseSchemas.currency.optional(),
+    tipo_pago: Joi.string().valid('deposito', 'transferencia')
+      .when('monto', { is: Joi.exist(), then: Joi.required(), otherwise: Joi.forbidden() }),
+    numero_cuenta_origen: Joi.string().min(10).max(20)
+      .when('monto', { is: Joi.exist(), then: Joi.required(), otherwise: Joi.forbidden() }),
+    numero_operacion: Joi.string().max(100)
+      .when('monto', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.forbidden() }),
+    fecha_pago: baseSchemas.datetime
+      .when('monto', { is: Joi.exist(), then: Joi.required(), otherwise: Joi.forbidden() }),
+  }),
   approve: Joi.object({
     comentarios: Joi.string().max(300).optional(),
   }),
   reject: Joi.object({
-    motivos: Joi.array().items(Joi.string().valid(
-      'Monto incorrecto',
-      'Comprobante ilegible',
-      'Datos bancarios incorrectos',
-      'Fecha de pago inválida',
-      'Documento de facturación incorrecto'
-    )).min(1).required(),
+    motivos: Joi.array().items(Joi.string().valid(...PAYMENT_REJECTION_REASONS)).min(1).required(),
     otros_motivos: Joi.string().max(200).optional(),
     comentarios: Joi.string().max(300).optional(),
   }),
+  // Lotes: cada item con sus propios comentarios/motivos y, opcional, la versión leída (como If-Match)
+  batchApprove: Joi.object({
+    items: Joi.array().items(Joi.object({
+      movement_id: baseSchemas.cuid.required(),
+      version: Joi.number().integer().min(1).optional(),
+      comentarios: Joi.string().max(300).optional(),
+    })).min(1).max(BATCH_REVIEW_LIMIT).unique('movement_id').required(),
+  }),
+  batchReject: Joi.object({
+    items: Joi.array().items(Joi.object({
+      movement_id: baseSchemas.cuid.required(),
+      version: Joi.number().integer().min(1).optional(),
+      motivos: Joi.array().items(Joi.string().valid(...PAYMENT_REJECTION_REASONS)).min(1).required(),
+      otros_motivos: Joi.string().max(200).optional(),
+      comentarios: Joi.string().max(300).optional(),
+    })).min(1).max(BATCH_REVIEW_LIMIT).unique('movement_id').required(),
+  }),
   listFilters: Joi.object({
     tipo_especifico: Joi.alternatives().try(
       Joi.string().valid('pago_garantia', 'reembolso', 'penalidad', 'ajuste_manual'),
@@ -225,7 +322,70 @@ const movementSchemas = {
     // Param opcional para enriquecer respuesta: include=auction,user,refund,guarantee
     include: Joi.string().max(100).optional(),
   }).concat(pagination).concat(dateRange),
+  // Cola de validación: asignado=me | none | id de admin
+  queueFilters: Joi.object({
+    asignado: Joi.alternatives().try(Joi.string().valid('me', 'none'), baseSchemas.cuid).optional(),
+    riesgo: Joi.string().valid(...Object.keys(PAYMENT_RISK_LEVELS)).optional(),
+    sla_vencido: Joi.boolean().optional(),
+  }).concat(pagination),
+  assign: Joi.object({
+    admin_id: baseSchemas.cuid.required(),
+  }),
 };
+// REGLAS DE NEGOCIO
+const businessRuleSchemas = {
+  createVersion: Joi.object({
+    guarantee_percentage: Joi.number().greater(0).max(1).precision(4).optional(),
+    penalty_percentage: baseSchemas.percentage.precision(4).optional(),
+    minimum_guarantee: Joi.number().min(0).precision(2).max(999999.99).optional(),
+    payment_deadline_hours: Joi.number().integer().min(1).max(720).allow(null).optional(),
+    effective_from: baseSchemas.datetime.optional(),
+    motivo: Joi.string().min(10).max(500).required(),
+  }).or('guarantee_percentage', 'penalty_percentage', 'minimum_guarantee', 'payment_deadline_hours')
+    .messages({
+      'object.missing': 'Debe indicar al menos una regla a modificar',
+    }),
+};
+
+// TIPOS DE CAMBIO
+const exchangeRateSchemas = {
+  createRate: Joi.object({
+    moneda: Joi.string().uppercase().valid(...QUOTED_CURRENCIES).required(),
+    // Unidades de la moneda por 1 USD (3.75 = 3.75 PEN por 1 USD)
+    tasa: Joi.number().positive().precision(6).max(999999).required(),
+    effective_from: baseSchemas.datetime.optional(),
+    motivo: Joi.string().min(10).max(500).required(),
+  }),
+};
+
+// SALDOS
+const balanceSchemas = {
+  reconcileRepair: Joi.object({
+    user_ids: Joi.array().items(baseSchemas.cuid).min(1).max(100).unique().optional(),
+    motivo: Joi.string().min(10).max(500).required(),
+  }),
+};
+
+// EXTRACTOS BANCARIOS
+const bankStatementSchemas = {
+  importStatement: Joi.object({
+    // Sin formato se detecta por el contenido del archivo
+    formato: Joi.string().lowercase().valid(...BANK_STATEMENT_FORMAT_CODES).optional(),
+    // Moneda de los abonos cuando el archivo no la informa
+    moneda: baseSchemas.currencyCode.default(BASE_CURRENCY),
+    cuenta: Joi.string().max(40).optional(),
+  }),
+  approveLine: Joi.object({
+    comentarios: Joi.string().max(500).optional(),
+  }),
+  matchLine: Joi.object({
+    movement_id: baseSchemas.cuid.required(),
+  }),
+  discardLine: Joi.object({
+    motivo: Joi.string().min(5).max(500).required(),
+  }),
+};
+
 // CONSULTAS Y FILTROS
 const querySchemas = {
   pagination,
@@ -288,6 +448,46 @@ const querySchemas = {
     document_type: baseSchemas.documentType.optional(),
     user_type: baseSchemas.userType.optional(),
   }).concat(pagination),
+  auditFilters: Joi.object({
+    entity_type: Joi.string().valid(...AUDIT_ENTITY_TYPES).optional(),
+    entity_id: Joi.string().max(50).optional(),
+    actor_id: baseSchemas.cuid.optional(),
+    action: Joi.string().valid(...Object.values(AUDIT_ACTIONS)).optional(),
+  }).concat(pagination).concat(dateRange),
+  ledgerFilters: Joi.object({
+    event: Joi.string().valid(...Object.keys(LEDGER_EVENTS)).optional(),
+  }).concat(pagination).concat(dateRange),
+  balanceAsOf: Joi.object({
+    as_of: baseSchemas.cutoffDate.optional(),
+  }),
+  statementFilters: Joi.object({
+    from: baseSchemas.cutoffDate.optional(),
+    to: baseSchemas.cutoffDate.optional(),
+    format: Joi.string().valid('pdf', 'csv').default('pdf'),
+  }),
+  exchangeRateFilters: Joi.object({
+    moneda: Joi.string().uppercase().valid(...QUOTED_CURRENCIES).optional(),
+  }).concat(pagination),
+  exchangeRateAt: Joi.object({
+    fecha: baseSchemas.cutoffDate.optional(),
+  }),
+  bankStatementFilters: pagination,
+  statementLineFilters: Joi.object({
+    estado: Joi.string().valid(...Object.keys(STATEMENT_LINE_STATES)).optional(),
+    statement_id: baseSchemas.cuid.optional(),
+    min_confidence: Joi.number().min(0).max(1).optional(),
+  }).concat(pagination),
+  reconciliationFilters: Joi.object({
+    user_id: baseSchemas.cuid.optional(),
+    only_discrepancies: Joi.boolean().default(true),
+  }),
+  sessionFilters: Joi.object({
+    user_id: baseSchemas.cuid.optional(),
+    user_type: baseSchemas.userType.optional(),
+  }).concat(pagination),
+  stateMachineDiagram: Joi.object({
+    format: Joi.string().valid(...DIAGRAM_FORMATS).default('json'),
+  }),
 };
 
 // Función helper
@@ -319,10 +519,15 @@ const validate = (schema, data, options = {}) => {
 module.exports = {
   baseSchemas,
   userSchemas,
+  roleSchemas,
   auctionSchemas,
   guaranteeSchemas,
   billingSchemas,
   refundSchemas,
+  businessRuleSchemas,
+  exchangeRateSchemas,
+  balanceSchemas,
+  bankStatementSchemas,
   querySchemas,
   validate,
   movementSchemas,
@@ -0,0 +1,86 @@
+const { parseAmount, parseDate } = require('./bankStatementParser');
+const { VOUCHER_BANKS, FIELD_LABELS } = require('../config/voucherOcr');
+
+/**
+ * Datos de pago en el texto reconocido de un comprobante (constancias de transferencia,
+ * depósitos en ventanilla, capturas de banca móvil).
+ * Cada dato se busca tras su etiqueta (config/voucherOcr.js) y, si no hay etiqueta, por su forma.
+ */
+
+const MONTHS = {
+  ene: 1, feb: 2, mar: 3, abr: 4, may: 5, jun: 6, jul: 7, ago: 8, set: 9, sep: 9, oct: 10, nov: 11, dic: 12,
+};
+
+const OPERATION_PATTERN = /^([a-z]{0,3}\d[\d-]{3,19})\b/;
+const AMOUNT_PATTERN = /^(s\/\.?|us\$|\$|usd|pen|soles|dolares)?\s*(\d[\d.,]*\d|\d)/;
+const CURRENCY_AMOUNT_PATTERN = /(s\/\.?|us\$)\s*(\d[\d.,]*\d|\d)/;
+const DATE_PATTERN = /(\d{4}-\d{2}-\d{2}|\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}|\d{1,2}\s+(?:de\s+)?[a-z]{3,10}\.?\s+(?:de\s+)?\d{4})/;
+
+// Sin tildes, minúsculas, '°'/'º' como espacio y espacios simples
+const normalizeLine = (value) => String(value ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[\u00b0\u00ba]/g, ' ')
+  .replace(/[ \t]+/g, ' ')
+  .trim();
+
+// Valor que sigue a la primera etiqueta encontrada: en la misma línea (tras ':') o en la siguiente
+const valueAfterLabel = (lines, labels, pattern) => {
+  for (const label of labels) {
+    for (let i = 0; i < lines.length; i++) {
+      const found = lines[i].match(label);
+      if (!found) continue;
+      const rest = lines[i].slice(found.index + found[0].length).replace(/^[\s:.#-]+/, '');
+      const match = rest.match(pattern) || (!rest && (lines[i + 1] ?? '').match(pattern));
+      if (match) return match;
+    }
+  }
+  return null;
+};
+
+const currencyOf = (symbol) => {
+  if (!symbol) return null;
+  return ['s/', 's/.', 'pen', 'soles'].includes(symbol) ? 'PEN' : 'USD';
+};
+
+// '15/01/2025', '2025-01-15' o '15 de enero de 2025' → 'YYYY-MM-DD'
+const toDate = (value) => {
+  const named = value.match(/^(\d{1,2})\s+(?:de\s+)?([a-z]{3})[a-z]*\.?\s+(?:de\s+)?(\d{4})$/);
+  if (!named) return parseDate(value);
+  const month = MONTHS[named[2]];
+  if (!month) return null;
+  return `${named[3]}-${String(month).padStart(2, '0')}-${named[1].padStart(2, '0')}`;
+};
+
+/**
+ * Extraer { numero_operacion, monto, moneda, fecha, banco } del texto; null en los datos no encontrados
+ */
+const extractVoucherFields = (text) => {
+  const lines = String(text ?? '').split(/\r?\n/).map(normalizeLine).filter(Boolean);
+  const fullText = lines.join('\n');
+
+  const operation = valueAfterLabel(lines, FIELD_LABELS.numero_operacion, OPERATION_PATTERN);
+
+  let amount = valueAfterLabel(lines, FIELD_LABELS.monto, AMOUNT_PATTERN);
+  if (!amount) amount = fullText.match(CURRENCY_AMOUNT_PATTERN);
+  // Moneda del monto o, si la etiqueta no la trae, el primer símbolo del comprobante
+  const symbol = amount?.[1] || fullText.match(/(s\/\.?|us\$)/)?.[1];
+
+  const dateMatch = valueAfterLabel(lines, FIELD_LABELS.fecha, DATE_PATTERN) || fullText.match(DATE_PATTERN);
+
+  const bank = Object.entries(VOUCHER_BANKS)
+    .find(([, aliases]) => aliases.some((alias) => new RegExp(`\\b${alias}\\b`).test(fullText)));
+
+  return {
+    numero_operacion: operation ? operation[1].toUpperCase() : null,
+    monto: amount ? parseAmount(amount[2]) : null,
+    moneda: currencyOf(symbol),
+    fecha: dateMatch ? toDate(dateMatch[1]) : null,
+    banco: bank ? bank[0] : null,
+  };
+};
+
+module.exports = {
+  extractVoucherFields,
+};